@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Serves the calendars published by the app as iCalendar feeds, so that calendar
+// apps can subscribe to them. The app builds the feed itself, as only it can load
+// the calendar of an account, and publishes it again whenever it is outdated.
+// Each feed is published with a token that is needed to replace it later on.
+
+const HTTP_PORT = process.env.PORT || 8091;
+const FEEDS_DIR = process.env.FEEDS_DIR || 'calendar_feeds';
+const MAX_BODY_SIZE = 1048576;
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getFeedPath = (feedId, extension) => path.join(FEEDS_DIR, `${feedId}.${extension}`);
+
+const readToken = (feedId) => {
+    try {
+        return fs.readFileSync(getFeedPath(feedId, 'token'), 'utf8');
+    } catch (_error) {
+        return null;
+    }
+};
+
+const onGet = (res, feedId) => {
+    fs.readFile(getFeedPath(feedId, 'ics'), (error, content) => {
+        if (error) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(content);
+    });
+};
+
+const onPut = (req, res, feedId) => {
+    const authorization = req.headers.authorization || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '';
+    const storedToken = readToken(feedId);
+    if (token.length === 0 || (storedToken !== null && storedToken !== hashToken(token))) {
+        res.writeHead(403).end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+            res.writeHead(413).end();
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        if (!body.startsWith('BEGIN:VCALENDAR')) {
+            res.writeHead(400).end();
+            return;
+        }
+
+        try {
+            fs.mkdirSync(FEEDS_DIR, { recursive: true });
+            fs.writeFileSync(getFeedPath(feedId, 'ics'), body);
+            fs.writeFileSync(getFeedPath(feedId, 'token'), hashToken(token));
+            res.writeHead(204).end();
+        } catch (error) {
+            console.error(error);
+            res.writeHead(500).end();
+        }
+    });
+};
+
+http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    // Feed ids are random, knowing one is what gives access to the feed
+    const match = /^\/feeds\/([a-f0-9]{32})\.ics$/.exec(pathname);
+    if (match !== null && req.method === 'GET') {
+        onGet(res, match[1]);
+    } else if (match !== null && req.method === 'PUT') {
+        onPut(req, res, match[1]);
+    } else {
+        res.writeHead(404).end();
+    }
+}).listen(HTTP_PORT, () => console.info(`Calendar feed server listening on port: ${HTTP_PORT}`));
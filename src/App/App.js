@@ -4,15 +4,18 @@ require('spatial-navigation-polyfill');
 const React = require('react');
 const { useTranslation } = require('react-i18next');
 const { Router } = require('stremio-router');
-const { Core, Shell, Chromecast, DragAndDrop, KeyboardShortcuts, ServicesProvider } = require('stremio/services');
+const { Core, Shell, CalendarReminders, Chromecast, Collections, DragAndDrop, Downloads, KeyboardShortcuts, Playback, ProfileStorage, RemoteControl, Trakt, ServicesProvider } = require('stremio/services');
 const { NotFound } = require('stremio/routes');
 const { FileDropProvider, PlatformProvider, ToastProvider, TooltipProvider, ShortcutsProvider, CONSTANTS, withCoreSuspender, useShell, useBinaryState } = require('stremio/common');
 const NetworkStatus = require('stremio/common/NetworkStatus');
 const ServicesToaster = require('./ServicesToaster');
+const CalendarRemindersNotifier = require('./CalendarRemindersNotifier');
 const DeepLinkHandler = require('./DeepLinkHandler');
 const SearchParamsHandler = require('./SearchParamsHandler');
 const { default: UpdaterBanner } = require('./UpdaterBanner');
 const { default: ShortcutsModal } = require('./ShortcutsModal');
+const { default: RemoteControlHints } = require('./RemoteControlHints');
+const { default: MiniPlayer } = require('./MiniPlayer');
 const ErrorDialog = require('./ErrorDialog');
 const withProtectedRoutes = require('./withProtectedRoutes');
 const routerViewsConfig = require('./routerViewsConfig');
@@ -20,6 +23,9 @@ const styles = require('./styles');
 
 const RouterWithProtectedRoutes = withCoreSuspender(withProtectedRoutes(Router));
 
+// Targets of the navigateTabs shortcut, in the order of its combos
+const NAVIGATION_TABS = ['#/', '#/discover', '#/library', '#/calendar', '#/addons', '#/settings'];
+
 const App = () => {
     const { i18n } = useTranslation();
     const shell = useShell();
@@ -31,20 +37,42 @@ const App = () => {
             appVersion: process.env.VERSION,
             shellVersion: null
         });
+        const profileStorage = new ProfileStorage({ core });
         return {
             core,
             shell: new Shell(),
             chromecast: new Chromecast(),
             keyboardShortcuts: new KeyboardShortcuts(),
-            dragAndDrop: new DragAndDrop({ core })
+            remoteControl: new RemoteControl(),
+            dragAndDrop: new DragAndDrop({ core }),
+            downloads: new Downloads(),
+            playback: new Playback(),
+            profileStorage,
+            trakt: new Trakt({ core }),
+            collections: new Collections({ profileStorage }),
+            calendarReminders: new CalendarReminders({ core })
         };
     }, []);
     const [initialized, setInitialized] = React.useState(false);
     const [shortcutModalOpen,, closeShortcutsModal, toggleShortcutModal] = useBinaryState(false);
 
-    const onShortcut = React.useCallback((name) => {
-        if (name === 'shortcuts') {
-            toggleShortcutModal();
+    const onShortcut = React.useCallback((name, combo) => {
+        switch (name) {
+            case 'shortcuts': {
+                toggleShortcutModal();
+                break;
+            }
+            case 'navigateTabs': {
+                if (NAVIGATION_TABS[combo]) {
+                    window.location = NAVIGATION_TABS[combo];
+                }
+
+                break;
+            }
+            case 'navigateSearch': {
+                window.location = '#/search';
+                break;
+            }
         }
     }, [toggleShortcutModal]);
 
@@ -95,14 +123,28 @@ const App = () => {
         services.shell.start();
         services.chromecast.start();
         services.keyboardShortcuts.start();
+        services.remoteControl.start();
         services.dragAndDrop.start();
+        services.downloads.start();
+        services.playback.start();
+        services.profileStorage.start();
+        services.trakt.start();
+        services.collections.start();
+        services.calendarReminders.start();
         window.services = services;
         return () => {
             services.core.stop();
             services.shell.stop();
             services.chromecast.stop();
             services.keyboardShortcuts.stop();
+            services.remoteControl.stop();
             services.dragAndDrop.stop();
+            services.downloads.stop();
+            services.playback.stop();
+            services.profileStorage.stop();
+            services.trakt.stop();
+            services.collections.stop();
+            services.calendarReminders.stop();
             services.core.off('stateChanged', onCoreStateChanged);
             services.shell.off('stateChanged', onShellStateChanged);
             services.chromecast.off('stateChanged', onChromecastStateChange);
@@ -218,8 +260,10 @@ const App = () => {
                                                 {
                                                     shortcutModalOpen && <ShortcutsModal onClose={closeShortcutsModal}/>
                                                 }
+                                                <RemoteControlHints />
                                                 <NetworkStatus />
                                                 <ServicesToaster />
+                                                <CalendarRemindersNotifier />
                                                 <DeepLinkHandler />
                                                 <SearchParamsHandler />
                                                 <UpdaterBanner className={styles['updater-banner-container']} />
@@ -228,6 +272,7 @@ const App = () => {
                                                     viewsConfig={routerViewsConfig}
                                                     onPathNotMatch={onPathNotMatch}
                                                 />
+                                                <MiniPlayer />
                                             </ShortcutsProvider>
                                         </FileDropProvider>
                                     </TooltipProvider>
@@ -0,0 +1,36 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useTranslation } = require('react-i18next');
+const { useServices } = require('stremio/services');
+
+const CalendarRemindersNotifier = () => {
+    const { t } = useTranslation();
+    const { calendarReminders } = useServices();
+
+    React.useEffect(() => {
+        const onReminders = (reminders) => {
+            reminders.forEach(({ videoId, name, season, episode, deepLink }) => {
+                const notification = new window.Notification(name !== null ? name : t('CALENDAR_REMINDER_TITLE'), {
+                    body: season !== null && episode !== null ?
+                        t('CALENDAR_REMINDER_EPISODE', { season, episode })
+                        :
+                        t('CALENDAR_REMINDER_VIDEO'),
+                    tag: videoId,
+                });
+                notification.onclick = () => {
+                    window.focus();
+                    window.location.href = deepLink;
+                    notification.close();
+                };
+            });
+        };
+        calendarReminders.on('reminders', onReminders);
+        return () => {
+            calendarReminders.off('reminders', onReminders);
+        };
+    }, [t]);
+    return null;
+};
+
+module.exports = CalendarRemindersNotifier;
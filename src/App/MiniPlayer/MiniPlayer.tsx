@@ -0,0 +1,162 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import classnames from 'classnames';
+import Icon from '@stremio/stremio-icons/react';
+import { useTranslation } from 'react-i18next';
+import { useServices } from 'stremio/services';
+import { Button } from 'stremio/components';
+import useMiniPlayerSession, { Session } from './useMiniPlayerSession';
+import styles from './MiniPlayer.less';
+
+const MARGIN = 16;
+
+type Info = {
+    title: string,
+    href: string,
+    session: Session | null,
+};
+
+// Offset of the window from the bottom right corner of the viewport
+type Position = {
+    right: number,
+    bottom: number,
+};
+
+type Drag = {
+    pointerId: number,
+    x: number,
+    y: number,
+    position: Position,
+};
+
+const clamp = (value: number, max: number) => Math.max(MARGIN, Math.min(value, max - MARGIN));
+
+const MiniPlayer = () => {
+    const { t } = useTranslation();
+    const { playback } = useServices();
+    const [info, setInfo] = useState<Info | null>(() => playback.miniPlayer);
+    const [paused, setPaused] = useState<boolean | null>(() => playback.videoState.paused);
+    const [position, setPosition] = useState<Position>({ right: MARGIN, bottom: MARGIN });
+    const containerRef = useRef<HTMLDivElement>(null);
+    const videoRef = useRef<HTMLDivElement>(null);
+    const drag = useRef<Drag | null>(null);
+    const closeSession = useMiniPlayerSession(info !== null ? info.session : null);
+
+    const onPlayPauseClick = useCallback(() => {
+        playback.setProp('paused', !paused);
+    }, [paused]);
+
+    const onExpandClick = useCallback(() => {
+        if (info !== null) {
+            window.location.href = info.href;
+        }
+    }, [info]);
+
+    const onCloseClick = useCallback(() => {
+        closeSession(false);
+        playback.reset();
+    }, [closeSession]);
+
+    const onPointerDown = useCallback((event: React.PointerEvent<HTMLDivElement>) => {
+        if (event.button !== 0) {
+            return;
+        }
+
+        event.currentTarget.setPointerCapture(event.pointerId);
+        drag.current = {
+            pointerId: event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            position,
+        };
+    }, [position]);
+
+    const onPointerMove = useCallback((event: React.PointerEvent<HTMLDivElement>) => {
+        if (drag.current === null || drag.current.pointerId !== event.pointerId || containerRef.current === null) {
+            return;
+        }
+
+        const { offsetWidth, offsetHeight } = containerRef.current;
+        setPosition({
+            right: clamp(drag.current.position.right - (event.clientX - drag.current.x), window.innerWidth - offsetWidth),
+            bottom: clamp(drag.current.position.bottom - (event.clientY - drag.current.y), window.innerHeight - offsetHeight),
+        });
+    }, []);
+
+    const onPointerUp = useCallback(() => {
+        drag.current = null;
+    }, []);
+
+    useEffect(() => {
+        const onMiniPlayerChanged = () => {
+            setInfo(playback.miniPlayer);
+        };
+
+        const onVideoStateChanged = () => {
+            setPaused(playback.videoState.paused);
+        };
+
+        // The player handles these itself while it is open
+        const onEnded = () => {
+            if (playback.miniPlayer !== null) {
+                closeSession(true);
+                playback.reset();
+            }
+        };
+
+        const onError = () => {
+            if (playback.miniPlayer !== null) {
+                closeSession(false);
+                playback.reset();
+            }
+        };
+
+        playback.on('miniPlayerChanged', onMiniPlayerChanged);
+        playback.on('videoStateChanged', onVideoStateChanged);
+        playback.on('ended', onEnded);
+        playback.on('error', onError);
+        return () => {
+            playback.off('miniPlayerChanged', onMiniPlayerChanged);
+            playback.off('videoStateChanged', onVideoStateChanged);
+            playback.off('ended', onEnded);
+            playback.off('error', onError);
+        };
+    }, [closeSession]);
+
+    // Moved in during the same commit as the player is removed, so that the video keeps playing
+    useLayoutEffect(() => {
+        if (info !== null && videoRef.current !== null) {
+            playback.mount(videoRef.current);
+        }
+    }, [info]);
+
+    return info !== null ? createPortal((
+        <div ref={containerRef} className={styles['mini-player']} style={position}>
+            <div
+                className={styles['header']}
+                onPointerDown={onPointerDown}
+                onPointerMove={onPointerMove}
+                onPointerUp={onPointerUp}
+                onPointerCancel={onPointerUp}
+            >
+                <div className={styles['title']} title={info.title}>
+                    {info.title}
+                </div>
+            </div>
+            <div ref={videoRef} className={styles['video']} onDoubleClick={onExpandClick} />
+            <div className={styles['controls']}>
+                <Button className={styles['button']} title={paused ? t('PLAYER_PLAY') : t('PLAYER_PAUSE')} onClick={onPlayPauseClick}>
+                    <Icon className={styles['icon']} name={paused !== false ? 'play' : 'pause'} />
+                </Button>
+                <Button className={styles['button']} title={t('MINI_PLAYER_EXPAND')} onClick={onExpandClick}>
+                    <Icon className={styles['icon']} name={'maximize'} />
+                </Button>
+                <Button className={classnames(styles['button'], styles['close'])} title={t('MINI_PLAYER_CLOSE')} onClick={onCloseClick}>
+                    <Icon className={styles['icon']} name={'close'} />
+                </Button>
+            </div>
+        </div>
+    ), document.body) : null;
+};
+
+export default MiniPlayer;
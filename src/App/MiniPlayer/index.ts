@@ -0,0 +1,2 @@
+import MiniPlayer from './MiniPlayer';
+export default MiniPlayer;
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useServices } from 'stremio/services';
+
+type ScrobbleItem = {
+    type: string,
+    id: string,
+    videoId: string,
+};
+
+export type Session = {
+    action: Action,
+    item: ScrobbleItem,
+};
+
+/**
+ * Goes on saving the progress and scrobbling while the mini player plays, as the
+ * player does. The player unloads its model when it is left, so it is loaded again.
+ * @param session - Session of the player the video was minimized from
+ * @returns A function closing the session
+ */
+const useMiniPlayerSession = (session: Session | null) => {
+    const { core, trakt, playback } = useServices();
+    const progress = useRef(0);
+
+    const close = useCallback((ended: boolean) => {
+        if (session === null) {
+            return;
+        }
+
+        if (ended) {
+            core.transport.dispatch({ action: 'Player', args: { action: 'Ended' } }, 'player');
+        }
+
+        trakt.scrobble('stop', session.item, ended ? 100 : progress.current);
+        core.transport.dispatch({ action: 'Unload' }, 'player');
+    }, [session]);
+
+    useEffect(() => {
+        if (session === null) {
+            return;
+        }
+
+        core.transport.dispatch(session.action, 'player');
+        let { time, paused } = playback.videoState;
+        const onVideoStateChanged = () => {
+            const { duration, manifest } = playback.videoState;
+            if (playback.videoState.time !== time && typeof playback.videoState.time === 'number' && typeof duration === 'number' && manifest !== null) {
+                time = playback.videoState.time;
+                core.transport.dispatch({
+                    action: 'Player',
+                    args: {
+                        action: 'TimeChanged',
+                        args: {
+                            time: Math.max(0, Math.round(time)),
+                            duration: Math.max(0, Math.round(duration)),
+                            device: manifest.name,
+                        },
+                    },
+                }, 'player');
+                progress.current = duration > 0 ? time / duration * 100 : 0;
+                if (!paused) {
+                    trakt.scrobble('start', session.item, progress.current);
+                }
+            }
+
+            if (playback.videoState.paused !== paused && typeof playback.videoState.paused === 'boolean') {
+                paused = playback.videoState.paused;
+                core.transport.dispatch({ action: 'Player', args: { action: 'PausedChanged', args: { paused } } }, 'player');
+                trakt.scrobble(paused ? 'pause' : 'start', session.item, progress.current);
+            }
+        };
+
+        playback.on('videoStateChanged', onVideoStateChanged);
+        return () => {
+            playback.off('videoStateChanged', onVideoStateChanged);
+        };
+    }, [session]);
+
+    return close;
+};
+
+export default useMiniPlayerSession;
@@ -0,0 +1,67 @@
+import React, { useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useTranslation } from 'react-i18next';
+import { useServices } from 'stremio/services';
+import { useBinaryState, useRemoteControl, useTimeout } from 'stremio/common';
+import styles from './RemoteControlHints.less';
+
+const HINTS_DURATION = 5000;
+
+const RemoteControlHints = () => {
+    const { t } = useTranslation();
+    const { remoteControl } = useServices();
+    const { actions, getInputLabel } = useRemoteControl();
+    const [visible, show, hide, toggle] = useBinaryState(false);
+    const timeout = useTimeout(HINTS_DURATION);
+
+    useEffect(() => {
+        const onGamepadConnected = () => {
+            show();
+            timeout.start(hide);
+        };
+
+        const onHints = () => {
+            timeout.cancel();
+            toggle();
+        };
+
+        remoteControl.on('gamepadConnected', onGamepadConnected);
+        remoteControl.on('hints', onHints);
+        return () => {
+            remoteControl.off('gamepadConnected', onGamepadConnected);
+            remoteControl.off('hints', onHints);
+        };
+    }, []);
+
+    return visible ? createPortal((
+        <div className={styles['remote-control-hints']}>
+            <div className={styles['title']}>
+                {t('REMOTE_CONTROL_HINTS')}
+            </div>
+            <div className={styles['hints']}>
+                {
+                    actions
+                        .filter(({ inputs }) => inputs.length > 0)
+                        .map(({ action, label, inputs }) => (
+                            <div key={action} className={styles['hint']}>
+                                <div className={styles['inputs']}>
+                                    {
+                                        inputs.map((input) => (
+                                            <kbd key={input} className={styles['input']}>
+                                                {getInputLabel(input)}
+                                            </kbd>
+                                        ))
+                                    }
+                                </div>
+                                <div className={styles['label']}>
+                                    {label}
+                                </div>
+                            </div>
+                        ))
+                }
+            </div>
+        </div>
+    ), document.body) : null;
+};
+
+export default RemoteControlHints;
@@ -0,0 +1,2 @@
+import RemoteControlHints from './RemoteControlHints';
+export default RemoteControlHints;
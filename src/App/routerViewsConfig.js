@@ -23,10 +23,18 @@ const routerViewsConfig = [
             ...routesRegexp.library,
             component: routes.Library
         },
+        {
+            ...routesRegexp.collection,
+            component: routes.Collection
+        },
         {
             ...routesRegexp.calendar,
             component: routes.Calendar
         },
+        {
+            ...routesRegexp.downloads,
+            component: routes.Downloads
+        },
         {
             ...routesRegexp.continuewatching,
             component: routes.Library
@@ -121,6 +121,14 @@ export const AUDIO_DETECTION_SETTINGS = {
     fallbackDelay: 1000
 };
 
+// Speech capture used to line subtitles up with the audio
+export const SPEECH_CAPTURE_SETTINGS = {
+    interval: 50, // ms
+    voiceBand: [300, 3400], // Hz
+    duration: 60, // s of playback
+    minConfidence: 0.2
+};
+
 // Audio Codec Support
 export const AUDIO_CODECS = {
     AAC: {
@@ -306,10 +314,30 @@ export const PERFORMANCE_SETTINGS = {
         chunkSize: 1024 * 1024, // 1MB
         maxFileSize: 50 * 1024 * 1024, // 50MB
         timeout: 30000,
-        supportedEncodings: ['UTF-8', 'UTF-16', 'ISO-8859-1', 'Windows-1252']
+        minCharsetConfidence: 0.3
     }
 };
 
+// Character sets offered for re-decoding subtitle files
+export const SUBTITLE_ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' },
+    { value: 'windows-1255', label: 'Windows-1255 (Hebrew)' },
+    { value: 'iso-8859-8', label: 'ISO-8859-8 (Hebrew)' },
+    { value: 'windows-1256', label: 'Windows-1256 (Arabic)' },
+    { value: 'iso-8859-6', label: 'ISO-8859-6 (Arabic)' },
+    { value: 'windows-1251', label: 'Windows-1251 (Cyrillic)' },
+    { value: 'iso-8859-5', label: 'ISO-8859-5 (Cyrillic)' },
+    { value: 'windows-1253', label: 'Windows-1253 (Greek)' },
+    { value: 'iso-8859-7', label: 'ISO-8859-7 (Greek)' },
+    { value: 'windows-1250', label: 'Windows-1250 (Central European)' },
+    { value: 'iso-8859-2', label: 'ISO-8859-2 (Central European)' },
+    { value: 'windows-1254', label: 'Windows-1254 (Turkish)' },
+    { value: 'windows-1252', label: 'Windows-1252 (Western)' },
+    { value: 'iso-8859-1', label: 'ISO-8859-1 (Western)' }
+];
+
 // Error Messages and Status Codes
 export const ERROR_MESSAGES = {
     audioDetection: {
@@ -317,7 +345,8 @@ export const ERROR_MESSAGES = {
         UNSUPPORTED_CODEC: 'Audio codec not supported',
         DETECTION_FAILED: 'Audio track detection failed',
         TIMEOUT: 'Audio detection timeout',
-        NETWORK_ERROR: 'Network error during audio detection'
+        NETWORK_ERROR: 'Network error during audio detection',
+        WEB_AUDIO_UNAVAILABLE: 'Web Audio API not available'
     },
     subtitleProcessing: {
         INVALID_FORMAT: 'Invalid subtitle format',
@@ -362,9 +391,11 @@ export default {
     SUBTITLE_OUTLINE_SIZES,
     SUBTITLE_PRESETS,
     AUDIO_DETECTION_SETTINGS,
+    SPEECH_CAPTURE_SETTINGS,
     AUDIO_CODECS,
     VIDEO_FORMATS,
     SUBTITLE_FORMATS,
+    SUBTITLE_ENCODINGS,
     ACCESSIBILITY_FEATURES,
     PERFORMANCE_SETTINGS,
     ERROR_MESSAGES,
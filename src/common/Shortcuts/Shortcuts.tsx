@@ -1,8 +1,9 @@
-import React, { createContext, useCallback, useContext, useEffect, useRef } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef } from 'react';
+import { useServices } from 'stremio/services';
+import useProfileStorage from '../useProfileStorage';
+import { CHORD_TIMEOUT, KeyStep, applyKeyBindings, findConflict, getEventStep, normalizeKeyBindings, parseCombo, startsWith } from './keyBindings';
 import shortcuts from './shortcuts.json';
 
-const SHORTCUTS = shortcuts.map(({ shortcuts }) => shortcuts).flat();
-
 export type ShortcutName = string;
 export type ShortcutListener = (combo: number) => void;
 
@@ -10,32 +11,75 @@ interface ShortcutsContext {
     grouped: ShortcutGroup[],
     on: (name: ShortcutName, listener: ShortcutListener) => void,
     off: (name: ShortcutName, listener: ShortcutListener) => void,
+    update: (name: ShortcutName, index: number, combo: string) => void,
+    reset: () => void,
+    findConflict: (name: ShortcutName, index: number, combo: string) => Shortcut | null,
 }
 
 const ShortcutsContext = createContext<ShortcutsContext>({} as ShortcutsContext);
 
 type Props = {
     children: JSX.Element,
-    onShortcut: (name: ShortcutName) => void,
+    onShortcut: (name: ShortcutName, combo: number) => void,
+};
+
+const isEditable = (target: EventTarget | null) => {
+    return target instanceof HTMLElement &&
+        (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
 };
 
 const ShortcutsProvider = ({ children, onShortcut }: Props) => {
+    const { remoteControl } = useServices();
+    const [keyBindings, updateKeyBindings] = useProfileStorage('keyBindings', normalizeKeyBindings);
     const listeners = useRef<Map<ShortcutName, Set<ShortcutListener>>>(new Map());
+    const chord = useRef<{ steps: KeyStep[], timeout: NodeJS.Timeout | null }>({ steps: [], timeout: null });
+
+    const grouped = useMemo(() => {
+        return applyKeyBindings(shortcuts, keyBindings);
+    }, [keyBindings]);
 
-    const onKeyDown = useCallback(({ ctrlKey, shiftKey, code, key }: KeyboardEvent) => {
-        SHORTCUTS.forEach(({ name, combos }) => combos.forEach((keys) => {
-            const modifers = (keys.includes('Ctrl') ? ctrlKey : true)
-                && (keys.includes('Shift') ? shiftKey : true);
+    const bindings = useMemo(() => {
+        return grouped
+            .flatMap(({ shortcuts }) => shortcuts)
+            .flatMap(({ name, combos }) => combos.map((combo, index) => ({ name, index, steps: parseCombo(combo) })))
+            .filter(({ steps }) => steps.length > 0);
+    }, [grouped]);
 
-            if (modifers && (keys.includes(code) || keys.includes(key.toUpperCase()))) {
-                const combo = combos.indexOf(keys);
-                listeners.current.get(name)?.forEach((listener) => listener(combo));
+    const resetChord = useCallback(() => {
+        chord.current.timeout !== null && clearTimeout(chord.current.timeout);
+        chord.current = { steps: [], timeout: null };
+    }, []);
 
-                onShortcut(name as ShortcutName);
-            }
-        }));
+    const trigger = useCallback((name: ShortcutName, combo: number) => {
+        listeners.current.get(name)?.forEach((listener) => listener(combo));
+        onShortcut(name, combo);
     }, [onShortcut]);
 
+    const onKeyDown = useCallback((event: KeyboardEvent) => {
+        const step = getEventStep(event);
+        // Plain keys are left to the inputs, combinations with Ctrl, Alt or Meta are not
+        if (step === null || (isEditable(event.target) && !step.Ctrl && !step.Alt && !step.Meta)) {
+            return;
+        }
+
+        const match = (steps: KeyStep[]) => bindings.filter((binding) => startsWith(binding.steps, steps));
+        let steps = chord.current.steps.concat(step);
+        let matches = match(steps);
+        if (matches.length === 0 && chord.current.steps.length > 0) {
+            steps = [step];
+            matches = match(steps);
+        }
+
+        resetChord();
+        const complete = matches.find((binding) => binding.steps.length === steps.length);
+        if (complete) {
+            trigger(complete.name, complete.index);
+        } else if (matches.length > 0) {
+            event.preventDefault();
+            chord.current = { steps, timeout: setTimeout(resetChord, CHORD_TIMEOUT) };
+        }
+    }, [bindings, trigger]);
+
     const on = (name: ShortcutName, listener: ShortcutListener) => {
         !listeners.current.has(name) && listeners.current.set(name, new Set());
         listeners.current.get(name)!.add(listener);
@@ -45,13 +89,40 @@ const ShortcutsProvider = ({ children, onShortcut }: Props) => {
         listeners.current.get(name)?.delete(listener);
     };
 
+    const update = useCallback((name: ShortcutName, index: number, combo: string) => {
+        const shortcut = grouped.flatMap(({ shortcuts }) => shortcuts).find((shortcut) => shortcut.name === name);
+        if (shortcut) {
+            updateKeyBindings({
+                ...keyBindings,
+                [name]: shortcut.combos.map((current, currentIndex) => currentIndex === index ? combo : current),
+            });
+        }
+    }, [grouped, keyBindings, updateKeyBindings]);
+
+    const reset = useCallback(() => {
+        updateKeyBindings({});
+    }, [updateKeyBindings]);
+
+    const findShortcutConflict = useCallback((name: ShortcutName, index: number, combo: string) => {
+        return findConflict(grouped, name, index, combo);
+    }, [grouped]);
+
     useEffect(() => {
         document.addEventListener('keydown', onKeyDown);
         return () => document.removeEventListener('keydown', onKeyDown);
     }, [onKeyDown]);
 
+    useEffect(() => {
+        remoteControl.on('shortcut', trigger);
+        return () => remoteControl.off('shortcut', trigger);
+    }, [trigger]);
+
+    useEffect(() => {
+        return resetChord;
+    }, []);
+
     return (
-        <ShortcutsContext.Provider value={{ grouped: shortcuts, on, off }}>
+        <ShortcutsContext.Provider value={{ grouped, on, off, update, reset, findConflict: findShortcutConflict }}>
             {children}
         </ShortcutsContext.Provider>
     );
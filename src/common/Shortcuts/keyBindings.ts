@@ -0,0 +1,167 @@
+// Combos are written as keys joined with '+' and chords as combos separated by a space, e.g. 'Ctrl+K S'
+const CHORD_SEPARATOR = ' ';
+const CHORD_TIMEOUT = 1500;
+const MAX_CHORD_LENGTH = 2;
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'] as const;
+const MODIFIER_KEYS = ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'OS'];
+
+type KeyStep = {
+    key: string,
+    Ctrl: boolean,
+    Alt: boolean,
+    Shift: boolean,
+    Meta: boolean,
+};
+
+// A trailing '+' is the plus key itself, as in 'Shift++'
+const splitStep = (step: string): string[] => {
+    return step.split(/\+(?!$)/);
+};
+
+const splitCombo = (combo: string): string[][] => {
+    return combo
+        .split(CHORD_SEPARATOR)
+        .filter((step) => step.length > 0)
+        .map(splitStep);
+};
+
+const parseStep = (step: string): KeyStep => {
+    const keys = splitStep(step);
+    const key = keys[keys.length - 1];
+    return {
+        key: key.length === 1 ? key.toUpperCase() : key,
+        Ctrl: keys.includes('Ctrl'),
+        Alt: keys.includes('Alt'),
+        Shift: keys.includes('Shift'),
+        Meta: keys.includes('Meta'),
+    };
+};
+
+const parseCombo = (combo: string): KeyStep[] => {
+    return combo
+        .split(CHORD_SEPARATOR)
+        .filter((step) => step.length > 0)
+        .map(parseStep);
+};
+
+const formatStep = (step: KeyStep): string => {
+    const modifiers: string[] = MODIFIERS.filter((modifier) => step[modifier]);
+    return modifiers
+        .concat(step.key)
+        .join('+');
+};
+
+// Letters and digits are read from the physical key so that Alt and Shift combinations keep their name
+const getEventKey = ({ code, key }: KeyboardEvent): string | null => {
+    if (MODIFIER_KEYS.includes(key)) {
+        return null;
+    }
+
+    if (/^Key[A-Z]$/.test(code)) {
+        return code.slice(3);
+    }
+
+    if (/^(Digit|Numpad)\d$/.test(code)) {
+        return code.slice(-1);
+    }
+
+    if (key.length === 1 && key !== ' ') {
+        return key.toUpperCase();
+    }
+
+    return code.length > 0 ? code : key;
+};
+
+const getEventStep = (event: KeyboardEvent): KeyStep | null => {
+    const key = getEventKey(event);
+    if (key === null) {
+        return null;
+    }
+
+    return {
+        key,
+        Ctrl: event.ctrlKey,
+        Alt: event.altKey,
+        Shift: event.shiftKey,
+        Meta: event.metaKey,
+    };
+};
+
+const isSameStep = (a: KeyStep, b: KeyStep) => {
+    return a.key === b.key && MODIFIERS.every((modifier) => a[modifier] === b[modifier]);
+};
+
+const startsWith = (combo: KeyStep[], steps: KeyStep[]) => {
+    return steps.length <= combo.length && steps.every((step, index) => isSameStep(step, combo[index]));
+};
+
+// Bindings saved for shortcuts by name, each with as many combos as the shortcut has
+const normalizeKeyBindings = (keyBindings: unknown): Record<string, string[]> | null => {
+    return keyBindings !== null && typeof keyBindings === 'object' ? keyBindings as Record<string, string[]> : null;
+};
+
+/**
+ * Applies the saved bindings over the default combos.
+ * Bindings of shortcuts whose number of combos changed are ignored.
+ */
+const applyKeyBindings = (groups: ShortcutGroup[], keyBindings: Record<string, string[]> | null | undefined): ShortcutGroup[] => {
+    return groups.map((group) => ({
+        ...group,
+        shortcuts: group.shortcuts.map((shortcut) => {
+            const combos = keyBindings ? keyBindings[shortcut.name] : null;
+            return Array.isArray(combos) && combos.length === shortcut.combos.length ?
+                { ...shortcut, combos }
+                :
+                shortcut;
+        }),
+    }));
+};
+
+/**
+ * Finds the shortcut a combo would conflict with. Combos conflict when they are
+ * equal or when one is the beginning of the other, as the shorter one would
+ * always be triggered first.
+ */
+const findConflict = (groups: ShortcutGroup[], name: string, index: number, combo: string): Shortcut | null => {
+    const steps = parseCombo(combo);
+    if (steps.length === 0) {
+        return null;
+    }
+
+    for (const shortcut of groups.flatMap(({ shortcuts }) => shortcuts)) {
+        const conflicting = shortcut.combos.some((other, otherIndex) => {
+            if (shortcut.name === name && otherIndex === index) {
+                return false;
+            }
+
+            const otherSteps = parseCombo(other);
+            return otherSteps.length > 0 && (startsWith(otherSteps, steps) || startsWith(steps, otherSteps));
+        });
+        if (conflicting) {
+            return shortcut;
+        }
+    }
+
+    return null;
+};
+
+export {
+    CHORD_SEPARATOR,
+    CHORD_TIMEOUT,
+    MAX_CHORD_LENGTH,
+    splitCombo,
+    parseStep,
+    parseCombo,
+    formatStep,
+    getEventStep,
+    isSameStep,
+    startsWith,
+    normalizeKeyBindings,
+    applyKeyBindings,
+    findConflict,
+};
+
+export type {
+    KeyStep,
+};
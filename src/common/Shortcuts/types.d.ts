@@ -1,7 +1,7 @@
 type Shortcut = {
     name: string,
     label: string,
-    combos: string[][],
+    combos: string[],
 };
 
 type ShortcutGroup = {
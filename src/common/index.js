@@ -12,9 +12,14 @@ const getVisibleChildrenRange = require('./getVisibleChildrenRange');
 const interfaceLanguages = require('./interfaceLanguages.json');
 const languageNames = require('./languageNames.json');
 const languages = require('./languages');
+const parseStreamDescriptor = require('./parseStreamDescriptor');
+const { getStreamCandidates, rankStreams, getPlayBestLink } = require('./rankStreams');
 const routesRegexp = require('./routesRegexp');
 const useAnimationFrame = require('./useAnimationFrame');
 const useBinaryState = require('./useBinaryState');
+const { default: useCalendarReminders } = require('./useCalendarReminders');
+const { default: useCollections } = require('./useCollections');
+const { default: useDownloads } = require('./useDownloads');
 const { default: useFullscreen } = require('./useFullscreen');
 const { default: useInterval } = require('./useInterval');
 const useLiveRef = require('./useLiveRef');
@@ -22,11 +27,15 @@ const useModelState = require('./useModelState');
 const useNotifications = require('./useNotifications');
 const useOnScrollToBottom = require('./useOnScrollToBottom');
 const useProfile = require('./useProfile');
+const { default: useProfileStorage } = require('./useProfileStorage');
+const { default: useRemoteControl } = require('./useRemoteControl');
 const { default: useSettings } = require('./useSettings');
 const { default: useShell } = require('./useShell');
+const { default: useStreamPreferences } = require('./useStreamPreferences');
 const useStreamingServer = require('./useStreamingServer');
 const { default: useTimeout } = require('./useTimeout');
 const useTorrent = require('./useTorrent');
+const { default: useTrakt } = require('./useTrakt');
 const useTranslate = require('./useTranslate');
 const { default: useOrientation } = require('./useOrientation');
 const { default: useLanguageSorting } = require('./useLanguageSorting');
@@ -51,9 +60,16 @@ module.exports = {
     interfaceLanguages,
     languageNames,
     languages,
+    parseStreamDescriptor,
+    getStreamCandidates,
+    rankStreams,
+    getPlayBestLink,
     routesRegexp,
     useAnimationFrame,
     useBinaryState,
+    useCalendarReminders,
+    useCollections,
+    useDownloads,
     useFullscreen,
     useInterval,
     useLiveRef,
@@ -61,11 +77,15 @@ module.exports = {
     useNotifications,
     useOnScrollToBottom,
     useProfile,
+    useProfileStorage,
+    useRemoteControl,
     useSettings,
     useShell,
+    useStreamPreferences,
     useStreamingServer,
     useTimeout,
     useTorrent,
+    useTrakt,
     useTranslate,
     useOrientation,
     useLanguageSorting,
@@ -0,0 +1,136 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const RESOLUTIONS = [
+    [2160, /\b(2160p|4k|uhd)\b/i],
+    [1440, /\b(1440p|2k|qhd)\b/i],
+    [1080, /\b(1080[pi]|fhd)\b/i],
+    [720, /\b720p\b/i],
+    [576, /\b576[pi]\b/i],
+    [480, /\b(480p|sd)\b/i],
+    [360, /\b360p\b/i],
+];
+
+const HDR_FORMATS = [
+    ['DV', /\b(dv|dovi|dolby[ .-]?vision)\b/i],
+    ['HDR10+', /\bhdr10(\+|plus)/i],
+    ['HDR10', /\bhdr10(?![+p])\b/i],
+    ['HDR', /\bhdr(?!10)\b/i],
+];
+
+const CODECS = [
+    ['hevc', /\b(hevc|[hx][ .]?265)\b/i],
+    ['avc', /\b(avc|[hx][ .]?264)\b/i],
+    ['av1', /\bav1\b/i],
+    ['vp9', /\bvp9\b/i],
+    ['xvid', /\b(xvid|divx)\b/i],
+];
+
+// Ordered from the most specific, a remux is a BluRay and a HDCAM is a CAM
+const SOURCES = [
+    ['CAM', /\b(cam|cam-?rip|hd-?cam)\b/i],
+    ['TS', /\b(telesync|hd-?ts|tc|telecine|hd-?tc)\b/i],
+    ['SCR', /\b(scr|screener|dvd-?scr)\b/i],
+    ['Remux', /\bremux\b/i],
+    ['BluRay', /\b(blu-?ray|bd-?rip|br-?rip|bd25|bd50)\b/i],
+    ['WEBRip', /\bweb[ .-]?rip\b/i],
+    ['WEB-DL', /\b(web[ .-]?dl|web)\b/i],
+    ['HDTV', /\b(hdtv|pdtv)\b/i],
+    ['DVD', /\bdvd(-?rip|5|9)?\b/i],
+];
+
+// Language codes are ISO 639-2 as in stremio/common/languageNames
+const LANGUAGES = [
+    ['eng', ['english', 'eng'], ['🇬🇧', '🇺🇸']],
+    ['heb', ['hebrew', 'heb'], ['🇮🇱']],
+    ['spa', ['spanish', 'spa', 'esp', 'castellano', 'latino'], ['🇪🇸', '🇲🇽']],
+    ['fre', ['french', 'fre', 'fra', 'vff', 'vf', 'truefrench'], ['🇫🇷']],
+    ['ger', ['german', 'ger', 'deu'], ['🇩🇪']],
+    ['ita', ['italian', 'ita'], ['🇮🇹']],
+    ['por', ['portuguese', 'por', 'pt-br'], ['🇵🇹', '🇧🇷']],
+    ['rus', ['russian', 'rus'], ['🇷🇺']],
+    ['ukr', ['ukrainian', 'ukr'], ['🇺🇦']],
+    ['pol', ['polish', 'pol'], ['🇵🇱']],
+    ['nld', ['dutch', 'dut', 'nld'], ['🇳🇱']],
+    ['tur', ['turkish', 'tur'], ['🇹🇷']],
+    ['ara', ['arabic', 'ara'], ['🇸🇦', '🇦🇪']],
+    ['ell', ['greek', 'gre', 'ell'], ['🇬🇷']],
+    ['hin', ['hindi', 'hin'], ['🇮🇳']],
+    ['jpn', ['japanese', 'jpn', 'jap'], ['🇯🇵']],
+    ['kor', ['korean', 'kor'], ['🇰🇷']],
+    ['zho', ['chinese', 'chi', 'zho', 'chs', 'cht'], ['🇨🇳', '🇹🇼']],
+    ['swe', ['swedish', 'swe'], ['🇸🇪']],
+    ['hun', ['hungarian', 'hun'], ['🇭🇺']],
+    ['ces', ['czech', 'cze', 'ces'], ['🇨🇿']],
+    ['ron', ['romanian', 'rum', 'ron'], ['🇷🇴']],
+    ['bul', ['bulgarian', 'bul'], ['🇧🇬']],
+];
+
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+const findFirst = (patterns, text) => {
+    const found = patterns.find(([, pattern]) => pattern.test(text));
+    return found ? found[0] : null;
+};
+
+const parseSize = (text) => {
+    const match = text.match(/(\d+(?:[.,]\d+)?)\s*([KMGT])i?B\b/i);
+    return match !== null ?
+        Math.round(parseFloat(match[1].replace(',', '.')) * SIZE_UNITS[match[2].toUpperCase()])
+        :
+        null;
+};
+
+const parseSeeders = (text) => {
+    const match = text.match(/👤\s*(\d+)/u) ||
+        text.match(/\bseed(?:er)?s?\s*[:=]?\s*(\d+)/i) ||
+        text.match(/(\d+)\s*seed(?:er)?s?\b/i);
+    return match !== null ? parseInt(match[1], 10) : null;
+};
+
+// Channel layouts like 5.1 or 7.1, but not sizes like 2.1 GB
+const parseAudioChannels = (text) => {
+    const match = text.match(/(?:^|[^\d.])([1-9])\.([0-2])(?!\.?\d)(?!\s*[KMGT]i?B)/i);
+    return match !== null ? `${match[1]}.${match[2]}` : null;
+};
+
+const parseLanguages = (text) => {
+    return LANGUAGES.reduce((result, [code, names, flags]) => {
+        const namesPattern = names.map((name) => name.replace(/[-+]/g, '\\$&')).join('|');
+        const subtitles = new RegExp(`\\b(${namesPattern})[ .-]?(sub|subs|subtitles?|subbed)\\b|\\bsub(s|titles?)?\\s*[:=]?\\s*(${namesPattern})\\b`, 'i');
+        const audio = new RegExp(`\\b(${namesPattern})\\b`, 'i');
+        if (subtitles.test(text)) {
+            result.subtitles.push(code);
+        } else if (audio.test(text) || flags.some((flag) => text.includes(flag))) {
+            result.languages.push(code);
+        }
+
+        return result;
+    }, { languages: [], subtitles: [] });
+};
+
+/**
+ * Reads the quality of a stream out of the free text addons put in its name,
+ * description and file name.
+ * @param {Object} stream - Stream as returned by the addons
+ * @returns {Object} Resolution in lines, HDR formats, video codec, audio channels,
+ * size in bytes, number of seeders, source and audio and subtitles language codes,
+ * null or empty when unknown
+ */
+const parseStreamDescriptor = (stream) => {
+    const behaviorHints = stream.behaviorHints ? stream.behaviorHints : {};
+    const text = [stream.name, stream.description, stream.title, behaviorHints.filename]
+        .filter((value) => typeof value === 'string')
+        .join('\n');
+    return {
+        resolution: findFirst(RESOLUTIONS, text),
+        hdr: HDR_FORMATS.filter(([, pattern]) => pattern.test(text)).map(([format]) => format),
+        codec: findFirst(CODECS, text),
+        audioChannels: parseAudioChannels(text),
+        size: typeof behaviorHints.videoSize === 'number' ? behaviorHints.videoSize : parseSize(text),
+        seeders: parseSeeders(text),
+        source: findFirst(SOURCES, text),
+        ...parseLanguages(text),
+    };
+};
+
+module.exports = parseStreamDescriptor;
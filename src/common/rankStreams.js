@@ -0,0 +1,115 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const parseStreamDescriptor = require('./parseStreamDescriptor');
+
+const RESOLUTIONS = [2160, 1440, 1080, 720, 576, 480, 360];
+const LOW_QUALITY_SOURCES = ['CAM', 'TS', 'SCR'];
+
+const DEFAULT_STREAM_PREFERENCES = {
+    resolution: null,
+    maxSize: null,
+    addons: [],
+    language: null,
+    codecBlacklist: [],
+};
+
+const getResolutionScore = (resolution, preferred) => {
+    if (resolution === null) {
+        return 0;
+    }
+
+    if (preferred === null) {
+        return RESOLUTIONS.length - RESOLUTIONS.indexOf(resolution);
+    }
+
+    // The closer to the preferred resolution the better, the higher one first at equal distance
+    const distance = RESOLUTIONS.indexOf(preferred) - RESOLUTIONS.indexOf(resolution);
+    return RESOLUTIONS.length - 2 * Math.abs(distance) - (distance < 0 ? 1 : 0);
+};
+
+const getScore = ({ descriptor, transportUrl, stream }, preferences, bingeGroup) => {
+    let score = 10 * getResolutionScore(descriptor.resolution, preferences.resolution);
+    if (typeof bingeGroup === 'string' && stream.behaviorHints && stream.behaviorHints.bingeGroup === bingeGroup) {
+        score += 1000;
+    }
+    if (preferences.addons.includes(transportUrl)) {
+        score += 200;
+    }
+    if (preferences.language !== null) {
+        if (descriptor.languages.includes(preferences.language)) {
+            score += 100;
+        } else if (descriptor.languages.length > 0) {
+            score -= 100;
+        }
+    }
+    if (LOW_QUALITY_SOURCES.includes(descriptor.source)) {
+        score -= 500;
+    }
+    if (descriptor.seeders !== null) {
+        score += Math.min(Math.log10(descriptor.seeders + 1), 5);
+    }
+
+    return score;
+};
+
+const isAllowed = ({ descriptor, stream }, preferences) => {
+    return !!(stream.deepLinks && typeof stream.deepLinks.player === 'string') &&
+        !preferences.codecBlacklist.includes(descriptor.codec) &&
+        (preferences.maxSize === null || descriptor.size === null || descriptor.size <= preferences.maxSize);
+};
+
+/**
+ * Lists the streams of the addons that answered as candidates for ranking.
+ * @param {Array<Object>} streams - Streams grouped by addon as in the meta details model
+ * @returns {Array<Object>} Stream, transport url of its addon and parsed descriptor
+ */
+const getStreamCandidates = (streams) => {
+    return streams
+        .filter(({ content }) => content.type === 'Ready')
+        .flatMap(({ addon, content }) => content.content.map((stream) => ({
+            stream,
+            transportUrl: addon.transportUrl,
+            descriptor: parseStreamDescriptor(stream),
+        })));
+};
+
+/**
+ * Orders the candidates from the best to the worst one according to the
+ * preferences, leaving out the ones that can't be played or are excluded by
+ * the codec blacklist or the max size. Streams of the given binge group are
+ * ranked first, so that series are continued with the same release.
+ * @param {Array<Object>} candidates - Candidates returned by getStreamCandidates
+ * @param {Object} preferences - Stream preferences
+ * @param {string} [bingeGroup] - Binge group of the previously played stream
+ * @returns {Array<Object>} Allowed candidates, in addons order when equally ranked
+ */
+const rankStreams = (candidates, preferences, bingeGroup) => {
+    const options = { ...DEFAULT_STREAM_PREFERENCES, ...preferences };
+    return candidates
+        .filter((candidate) => isAllowed(candidate, options))
+        .map((candidate) => ({ candidate, score: getScore(candidate, options, bingeGroup) }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ candidate }) => candidate);
+};
+
+/**
+ * Builds a link to the streams of a video that plays the best ranked one as soon as they are loaded.
+ * @param {string} metaDetailsStreams - Deep link to the streams of the video
+ * @param {string|null} [bingeGroup] - Binge group of the previously played stream
+ * @returns {string} Deep link with the play best query
+ */
+const getPlayBestLink = (metaDetailsStreams, bingeGroup) => {
+    const query = new URLSearchParams({ playBest: 'true' });
+    if (typeof bingeGroup === 'string') {
+        query.set('bingeGroup', bingeGroup);
+    }
+
+    return `${metaDetailsStreams}${metaDetailsStreams.includes('?') ? '&' : '?'}${query}`;
+};
+
+module.exports = {
+    DEFAULT_STREAM_PREFERENCES,
+    getStreamCandidates,
+    rankStreams,
+    getPlayBestLink,
+};
@@ -17,14 +17,22 @@ const routesRegexp = {
         regexp: /^\/library(?:\/([^/]*))?$/,
         urlParamsNames: ['type']
     },
+    collection: {
+        regexp: /^\/library\/collection\/([^/]+)$/,
+        urlParamsNames: ['id']
+    },
     calendar: {
-        regexp: /^\/calendar(?:\/([^/]*)\/([^/]*))?$/,
-        urlParamsNames: ['year', 'month']
+        regexp: /^\/calendar(?:\/(week|agenda))?(?:\/([^/]*)\/([^/]*))?$/,
+        urlParamsNames: ['view', 'year', 'period']
     },
     continuewatching: {
         regexp: /^\/continuewatching(?:\/([^/]*))?$/,
         urlParamsNames: ['type']
     },
+    downloads: {
+        regexp: /^\/downloads$/,
+        urlParamsNames: []
+    },
     search: {
         regexp: /^\/search$/,
         urlParamsNames: []
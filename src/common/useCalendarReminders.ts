@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useServices } from 'stremio/services';
+
+/**
+ * Follows whether reminders are shown on the air day of new episodes.
+ */
+const useCalendarReminders = () => {
+    const { calendarReminders } = useServices();
+    const [state, setState] = useState<{ supported: boolean, permission: NotificationPermission, enabled: boolean }>(() => ({
+        supported: calendarReminders.supported,
+        permission: calendarReminders.permission,
+        enabled: calendarReminders.enabled,
+    }));
+
+    const setEnabled = useCallback((enabled: boolean) => {
+        calendarReminders.setEnabled(enabled)
+            .catch((error: Error) => console.error('Calendar reminders', error));
+    }, []);
+
+    useEffect(() => {
+        const onStateChanged = () => setState({
+            supported: calendarReminders.supported,
+            permission: calendarReminders.permission,
+            enabled: calendarReminders.enabled,
+        });
+        calendarReminders.on('stateChanged', onStateChanged);
+        return () => calendarReminders.off('stateChanged', onStateChanged);
+    }, []);
+
+    return {
+        ...state,
+        setEnabled,
+    };
+};
+
+export default useCalendarReminders;
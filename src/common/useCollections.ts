@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useServices } from 'stremio/services';
+
+export type CollectionItem = {
+    id: string,
+    type: string,
+    name: string,
+    poster: string | null,
+    posterShape: 'poster' | 'landscape' | 'square',
+};
+
+export type Collection = {
+    id: string,
+    name: string,
+    board: boolean,
+    items: CollectionItem[],
+};
+
+// Library items and meta item previews can both be added to a collection
+type Item = {
+    _id?: string,
+    id?: string,
+    type: string,
+    name: string,
+    poster?: string | null,
+    posterShape?: string,
+};
+
+/**
+ * Follows the user collections and the tags of the items.
+ */
+const useCollections = () => {
+    const { collections } = useServices();
+    const [state, setState] = useState<{ collections: Collection[], tags: Record<string, string[]> }>(() => ({
+        collections: collections.collections,
+        tags: collections.tags,
+    }));
+
+    const create = useCallback((name: string): string => {
+        return collections.create(name);
+    }, []);
+
+    const rename = useCallback((id: string, name: string) => {
+        collections.rename(id, name);
+    }, []);
+
+    const remove = useCallback((id: string) => {
+        collections.remove(id);
+    }, []);
+
+    const setOnBoard = useCallback((id: string, board: boolean) => {
+        collections.setOnBoard(id, board);
+    }, []);
+
+    const addItems = useCallback((id: string, items: Item[]) => {
+        collections.addItems(id, items);
+    }, []);
+
+    const removeItems = useCallback((id: string, itemIds: string[]) => {
+        collections.removeItems(id, itemIds);
+    }, []);
+
+    const moveItem = useCallback((id: string, itemId: string, index: number) => {
+        collections.moveItem(id, itemId, index);
+    }, []);
+
+    const setItemCollections = useCallback((item: Item, ids: string[]) => {
+        collections.setItemCollections(item, ids);
+    }, []);
+
+    const setItemTags = useCallback((itemId: string, tags: string[]) => {
+        collections.setItemTags(itemId, tags);
+    }, []);
+
+    useEffect(() => {
+        const onCollectionsChanged = () => setState({
+            collections: collections.collections,
+            tags: collections.tags,
+        });
+        collections.on('collectionsChanged', onCollectionsChanged);
+        return () => collections.off('collectionsChanged', onCollectionsChanged);
+    }, []);
+
+    return {
+        ...state,
+        create,
+        rename,
+        remove,
+        setOnBoard,
+        addItems,
+        removeItems,
+        moveItem,
+        setItemCollections,
+        setItemTags,
+    };
+};
+
+export default useCollections;
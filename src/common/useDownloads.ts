@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useServices } from 'stremio/services';
+
+type DownloadStatus = 'queued' | 'downloading' | 'paused' | 'completed' | 'error';
+
+export type DownloadItem = {
+    id: string,
+    metaId: string | null,
+    title: string,
+    fileName: string,
+    url: string,
+    destination: 'cache' | 'folder',
+    cacheSize: number | null,
+    deepLinks: {
+        player: string | null,
+        metaDetailsStreams: string | null,
+    },
+    size: number | null,
+    downloaded: number,
+    status: DownloadStatus,
+    error: string | null,
+    added: number,
+};
+
+/**
+ * Follows the downloads queue and the folder files are saved to.
+ */
+const useDownloads = () => {
+    const { downloads } = useServices();
+    const [items, setItems] = useState<DownloadItem[]>(() => downloads.items);
+    const [folder, setFolder] = useState<string | null>(() => downloads.folder);
+    const [folderPermission, setFolderPermission] = useState<PermissionState | null>(() => downloads.folderPermission);
+
+    const add = useCallback((item: Omit<DownloadItem, 'size' | 'downloaded' | 'status' | 'error' | 'added'>): boolean => {
+        return downloads.add(item);
+    }, []);
+
+    const pause = useCallback((id: string) => {
+        downloads.pause(id);
+    }, []);
+
+    const resume = useCallback((id: string) => {
+        downloads.resume(id);
+    }, []);
+
+    const remove = useCallback((id: string) => {
+        downloads.remove(id);
+    }, []);
+
+    const move = useCallback((id: string, offset: number) => {
+        downloads.move(id, offset);
+    }, []);
+
+    const chooseFolder = useCallback((): Promise<void> => {
+        return downloads.chooseFolder();
+    }, []);
+
+    const requestFolderPermission = useCallback((): Promise<void> => {
+        return downloads.requestFolderPermission();
+    }, []);
+
+    const clearFolder = useCallback(() => {
+        downloads.clearFolder();
+    }, []);
+
+    useEffect(() => {
+        const onItemsChanged = () => setItems(downloads.items);
+        const onFolderChanged = () => {
+            setFolder(downloads.folder);
+            setFolderPermission(downloads.folderPermission);
+        };
+        downloads.on('itemsChanged', onItemsChanged);
+        downloads.on('folderChanged', onFolderChanged);
+        return () => {
+            downloads.off('itemsChanged', onItemsChanged);
+            downloads.off('folderChanged', onFolderChanged);
+        };
+    }, []);
+
+    return {
+        items,
+        folder,
+        folderPermission,
+        folderSupported: downloads.folderSupported as boolean,
+        add,
+        pause,
+        resume,
+        remove,
+        move,
+        chooseFolder,
+        requestFolderPermission,
+        clearFolder,
+    };
+};
+
+export default useDownloads;
@@ -3,6 +3,7 @@
 import { useCallback, useEffect, useState } from 'react';
 import useShell, { type WindowVisibility } from './useShell';
 import useSettings from './useSettings';
+import { onShortcut } from './Shortcuts';
 
 const useFullscreen = () => {
     const shell = useShell();
@@ -46,24 +47,6 @@ const useFullscreen = () => {
         };
 
         const onKeyDown = (event: KeyboardEvent) => {
-
-            const activeElement = document.activeElement as HTMLElement;
-
-            const inputFocused =
-                activeElement &&
-                (activeElement.tagName === 'INPUT' ||
-                 activeElement.tagName === 'TEXTAREA' ||
-                 activeElement.tagName === 'SELECT' ||
-                 activeElement.isContentEditable);
-
-            if (event.code === 'Escape' && settings.escExitFullscreen) {
-                exitFullscreen();
-            }
-
-            if (event.code === 'KeyF' && !inputFocused) {
-                toggleFullscreen();
-            }
-
             if (event.code === 'F11' && shell.active) {
                 toggleFullscreen();
             }
@@ -78,7 +61,17 @@ const useFullscreen = () => {
             document.removeEventListener('keydown', onKeyDown);
             document.removeEventListener('fullscreenchange', onFullscreenChange);
         };
-    }, [settings.escExitFullscreen, toggleFullscreen]);
+    }, [toggleFullscreen]);
+
+    onShortcut('fullscreen', () => {
+        toggleFullscreen();
+    }, [toggleFullscreen]);
+
+    onShortcut('exit', () => {
+        if (settings.escExitFullscreen) {
+            exitFullscreen();
+        }
+    }, [settings.escExitFullscreen]);
 
     return [fullscreen, requestFullscreen, exitFullscreen, toggleFullscreen];
 };
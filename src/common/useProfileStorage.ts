@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useServices } from 'stremio/services';
+
+/**
+ * Follows a value kept with the profile, read is given what was stored and
+ * fills in what is missing.
+ */
+const useProfileStorage = <T>(key: string, read: (value: unknown) => T): [T, (value: T) => void] => {
+    const { profileStorage } = useServices();
+    const [value, setValue] = useState<T>(() => read(profileStorage.get(key)));
+
+    const update = useCallback((value: T) => {
+        profileStorage.set(key, value);
+    }, [key]);
+
+    useEffect(() => {
+        const onValueChanged = (changed: string) => {
+            if (changed === key) {
+                setValue(read(profileStorage.get(key)));
+            }
+        };
+
+        setValue(read(profileStorage.get(key)));
+        profileStorage.on('valueChanged', onValueChanged);
+        return () => profileStorage.off('valueChanged', onValueChanged);
+    }, [key]);
+
+    return [value, update];
+};
+
+export default useProfileStorage;
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useServices } from 'stremio/services';
+import { NAVIGATION_ACTIONS, getInputLabel } from 'stremio/services/RemoteControl/inputs';
+import { useShortcuts } from './Shortcuts';
+
+type RemoteControlAction = {
+    action: string,
+    label: string,
+    inputs: string[],
+};
+
+const toUpperSnakeCase = (name: string) => {
+    return name.replace(/([A-Z])/g, '_$1').toUpperCase();
+};
+
+/**
+ * Lists the actions that gamepad buttons and remote keys can be mapped to,
+ * together with the inputs currently mapped to each of them.
+ */
+const useRemoteControl = () => {
+    const { t } = useTranslation();
+    const { remoteControl } = useServices();
+    const { grouped } = useShortcuts();
+    const [mapping, setMapping] = useState<Record<string, string>>(() => remoteControl.mapping);
+
+    const actions = useMemo<RemoteControlAction[]>(() => {
+        const getInputs = (action: string) => {
+            return Object.keys(mapping).filter((input) => mapping[input] === action);
+        };
+
+        const navigation = NAVIGATION_ACTIONS.map((action: string) => ({
+            action,
+            label: t(`REMOTE_CONTROL_${toUpperSnakeCase(action)}`),
+            inputs: getInputs(action),
+        }));
+
+        const shortcuts = grouped
+            .flatMap(({ shortcuts }) => shortcuts)
+            .flatMap(({ name, label, combos }) => combos.map((combo, index) => ({
+                action: `shortcut:${name}:${index}`,
+                label: combos.length > 1 ? `${t(label)} (${combo})` : t(label),
+                inputs: getInputs(`shortcut:${name}:${index}`),
+            })));
+
+        return [...navigation, ...shortcuts];
+    }, [grouped, mapping, t]);
+
+    const bind = useCallback((input: string, action: string) => {
+        remoteControl.bind(input, action);
+    }, []);
+
+    const unbind = useCallback((input: string) => {
+        remoteControl.unbind(input);
+    }, []);
+
+    const reset = useCallback(() => {
+        remoteControl.resetMapping();
+    }, []);
+
+    const capture = useCallback((callback: (input: string) => void): () => void => {
+        return remoteControl.captureInput(callback);
+    }, []);
+
+    useEffect(() => {
+        const onMappingChanged = () => {
+            setMapping(remoteControl.mapping);
+        };
+
+        remoteControl.on('mappingChanged', onMappingChanged);
+        return () => remoteControl.off('mappingChanged', onMappingChanged);
+    }, []);
+
+    return {
+        actions,
+        bind,
+        unbind,
+        reset,
+        capture,
+        getInputLabel: getInputLabel as (input: string) => string,
+    };
+};
+
+export default useRemoteControl;
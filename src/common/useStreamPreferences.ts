@@ -0,0 +1,25 @@
+import { useCallback } from 'react';
+import { DEFAULT_STREAM_PREFERENCES } from './rankStreams';
+import useProfileStorage from './useProfileStorage';
+
+const read = (preferences: unknown): StreamPreferences => {
+    return preferences !== null && typeof preferences === 'object' ?
+        { ...DEFAULT_STREAM_PREFERENCES, ...preferences }
+        :
+        DEFAULT_STREAM_PREFERENCES;
+};
+
+/**
+ * Follows the preferences streams are ranked with, kept with the profile.
+ */
+const useStreamPreferences = (): [StreamPreferences, (update: Partial<StreamPreferences>) => void] => {
+    const [preferences, setPreferences] = useProfileStorage('streamPreferences', read);
+
+    const updatePreferences = useCallback((update: Partial<StreamPreferences>) => {
+        setPreferences({ ...preferences, ...update });
+    }, [preferences, setPreferences]);
+
+    return [preferences, updatePreferences];
+};
+
+export default useStreamPreferences;
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useServices } from 'stremio/services';
+
+type TraktSyncStatus = 'idle' | 'syncing' | 'error';
+
+export type TraktConflict = {
+    id: string,
+    name: string,
+    kept: 'trakt' | 'library',
+};
+
+export type TraktSyncSummary = {
+    imported: number,
+    addedToLibrary: number,
+    removedFromLibrary: number,
+    addedToTrakt: number,
+    removedFromTrakt: number,
+    conflicts: TraktConflict[],
+};
+
+export type TraktRating = {
+    type: string,
+    rating: number,
+    time: number,
+};
+
+export type TraktLocalRating = {
+    type: string,
+    status: Rating,
+    time: number,
+};
+
+type TraktState = {
+    configured: boolean,
+    status: TraktSyncStatus,
+    error: string | null,
+    lastSync: number | null,
+    summary: TraktSyncSummary | null,
+    scrobbleEnabled: boolean,
+    history: Record<string, string[]>,
+    ratings: Record<string, TraktRating>,
+    localRatings: Record<string, TraktLocalRating>,
+};
+
+/**
+ * Follows the Trakt sync, its result and what was imported from Trakt.
+ */
+const useTrakt = () => {
+    const { trakt } = useServices();
+    const getState = useCallback((): TraktState => ({
+        configured: trakt.configured,
+        status: trakt.status,
+        error: trakt.error,
+        lastSync: trakt.lastSync,
+        summary: trakt.summary,
+        scrobbleEnabled: trakt.scrobbleEnabled,
+        history: trakt.history,
+        ratings: trakt.ratings,
+        localRatings: trakt.localRatings,
+    }), []);
+    const [state, setState] = useState<TraktState>(getState);
+
+    const sync = useCallback((library: LibraryItem[]): Promise<void> => {
+        return trakt.sync(library);
+    }, []);
+
+    const rate = useCallback((item: { type: string, id: string }, status: Rating) => {
+        trakt.rate(item, status);
+    }, []);
+
+    const markImported = useCallback((id: string, videoIds: string[]) => {
+        trakt.markImported(id, videoIds);
+    }, []);
+
+    const setScrobbleEnabled = useCallback((enabled: boolean) => {
+        trakt.setScrobbleEnabled(enabled);
+    }, []);
+
+    const reset = useCallback(() => {
+        trakt.reset();
+    }, []);
+
+    useEffect(() => {
+        const onSyncChanged = () => setState(getState());
+        trakt.on('syncChanged', onSyncChanged);
+        return () => {
+            trakt.off('syncChanged', onSyncChanged);
+        };
+    }, []);
+
+    return {
+        ...state,
+        sync,
+        rate,
+        markImported,
+        setScrobbleEnabled,
+        reset,
+    };
+};
+
+export default useTrakt;
@@ -0,0 +1,130 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback, useMemo, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useCollections } from 'stremio/common';
+import { parseTags } from 'stremio/services/Collections/collections';
+import Checkbox from '../Checkbox';
+import ModalDialog from 'stremio/components/ModalDialog';
+import TextInput from '../TextInput';
+import styles from './CollectionsDialog.less';
+
+type Item = {
+    _id?: string,
+    id?: string,
+    type: string,
+    name: string,
+    poster?: string | null,
+    posterShape?: string,
+};
+
+type OptionProps = {
+    id: string,
+    name: string,
+    checked: boolean,
+    onToggle: (id: string, checked: boolean) => void,
+};
+
+const CollectionOption = ({ id, name, checked, onToggle }: OptionProps) => {
+    const onChange = useCallback(({ checked }: { checked: boolean }) => {
+        onToggle(id, checked);
+    }, [id, onToggle]);
+
+    return (
+        <Checkbox className={styles['option']} name={`collection-${id}`} label={name} checked={checked} onChange={onChange} />
+    );
+};
+
+type Props = {
+    item: Item,
+    onCloseRequest: () => void,
+};
+
+const CollectionsDialog = ({ item, onCloseRequest }: Props) => {
+    const { t } = useTranslation();
+    const collections = useCollections();
+    const nameRef = useRef<HTMLInputElement>(null);
+    const tagsRef = useRef<HTMLInputElement>(null);
+    const itemId = (item._id ?? item.id) as string;
+
+    const selected = useMemo(() => {
+        return collections.collections
+            .filter(({ items }) => items.some(({ id }) => id === itemId))
+            .map(({ id }) => id);
+    }, [collections.collections, itemId]);
+
+    const onToggle = useCallback((id: string, checked: boolean) => {
+        collections.setItemCollections(item, checked ? selected.concat(id) : selected.filter((selectedId) => selectedId !== id));
+    }, [item, selected]);
+
+    const onCreate = useCallback(() => {
+        const name = nameRef.current !== null ? nameRef.current.value.trim() : '';
+        if (name.length > 0) {
+            const id = collections.create(name);
+            collections.addItems(id, [item]);
+            nameRef.current!.value = '';
+        }
+    }, [item]);
+
+    const onDone = useCallback(() => {
+        if (tagsRef.current !== null) {
+            collections.setItemTags(itemId, parseTags(tagsRef.current.value));
+        }
+
+        onCloseRequest();
+    }, [itemId, onCloseRequest]);
+
+    const buttons = useMemo(() => [
+        {
+            label: t('BUTTON_DONE'),
+            props: {
+                onClick: onDone,
+            },
+        },
+    ], [onDone]);
+
+    return (
+        <ModalDialog className={styles['collections-dialog']} title={t('COLLECTIONS_ADD_TO', { name: item.name })} buttons={buttons} onCloseRequest={onCloseRequest}>
+            <div className={styles['section']}>
+                {
+                    collections.collections.length > 0 ?
+                        collections.collections.map(({ id, name }) => (
+                            <CollectionOption
+                                key={id}
+                                id={id}
+                                name={name}
+                                checked={selected.includes(id)}
+                                onToggle={onToggle}
+                            />
+                        ))
+                        :
+                        <div className={styles['label']}>
+                            {t('COLLECTIONS_EMPTY')}
+                        </div>
+                }
+            </div>
+            <div className={styles['section']}>
+                <TextInput
+                    ref={nameRef}
+                    className={styles['text-input']}
+                    placeholder={t('COLLECTIONS_NEW')}
+                    onSubmit={onCreate}
+                />
+            </div>
+            <div className={styles['section']}>
+                <div className={styles['label']}>
+                    {t('COLLECTIONS_TAGS')}
+                </div>
+                <TextInput
+                    ref={tagsRef}
+                    className={styles['text-input']}
+                    placeholder={t('COLLECTIONS_TAGS_PLACEHOLDER')}
+                    defaultValue={(collections.tags[itemId] ?? []).join(', ')}
+                    onSubmit={onDone}
+                />
+            </div>
+        </ModalDialog>
+    );
+};
+
+export default CollectionsDialog;
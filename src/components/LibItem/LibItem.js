@@ -21,6 +21,7 @@ const LibItem = ({ _id, removable, notifications, watched, ...props }) => {
             { label: 'LIBRARY_DETAILS', value: 'details' },
             { label: 'LIBRARY_RESUME_DISMISS', value: 'dismiss' },
             { label: watched ? 'CTX_MARK_UNWATCHED' : 'CTX_MARK_WATCHED', value: 'watched' },
+            { label: 'COLLECTIONS_EDIT', value: 'collections' },
             { label: 'LIBRARY_REMOVE', value: 'remove' },
         ].filter(({ value }) => {
             switch (value) {
@@ -32,6 +33,8 @@ const LibItem = ({ _id, removable, notifications, watched, ...props }) => {
                     return props.deepLinks && (typeof props.deepLinks.metaDetailsVideos === 'string' || typeof props.deepLinks.metaDetailsStreams === 'string');
                 case 'dismiss':
                     return typeof _id === 'string' && props.progress !== null && !isNaN(props.progress) && props.progress > 0;
+                case 'collections':
+                    return typeof _id === 'string' && typeof props.onCollectionsSelect === 'function';
                 case 'remove':
                     return typeof _id === 'string' && removable;
             }
@@ -39,7 +42,13 @@ const LibItem = ({ _id, removable, notifications, watched, ...props }) => {
             ...option,
             label: t(option.label)
         }));
-    }, [_id, removable, props.progress, props.deepLinks, watched]);
+    }, [_id, removable, props.progress, props.deepLinks, props.onCollectionsSelect, watched]);
+
+    const onLongPress = React.useCallback(() => {
+        if (typeof props.onLongPress === 'function') {
+            props.onLongPress(_id);
+        }
+    }, [_id, props.onLongPress]);
 
     const optionOnSelect = React.useCallback((event) => {
         if (typeof props.optionOnSelect === 'function') {
@@ -102,6 +111,13 @@ const LibItem = ({ _id, removable, notifications, watched, ...props }) => {
 
                     break;
                 }
+                case 'collections': {
+                    if (typeof _id === 'string' && typeof props.onCollectionsSelect === 'function') {
+                        props.onCollectionsSelect(_id);
+                    }
+
+                    break;
+                }
                 case 'remove': {
                     if (typeof _id === 'string') {
                         core.transport.dispatch({
@@ -117,7 +133,7 @@ const LibItem = ({ _id, removable, notifications, watched, ...props }) => {
                 }
             }
         }
-    }, [_id, props.deepLinks, props.optionOnSelect]);
+    }, [_id, props.deepLinks, props.optionOnSelect, props.onCollectionsSelect]);
 
     return (
         <MetaItem
@@ -126,6 +142,7 @@ const LibItem = ({ _id, removable, notifications, watched, ...props }) => {
             newVideos={newVideos}
             options={options}
             optionOnSelect={optionOnSelect}
+            onLongPress={typeof props.onLongPress === 'function' ? onLongPress : null}
         />
     );
 };
@@ -141,7 +158,9 @@ LibItem.propTypes = {
         metaDetailsStreams: PropTypes.string,
         player: PropTypes.string
     }),
-    optionOnSelect: PropTypes.func
+    optionOnSelect: PropTypes.func,
+    onCollectionsSelect: PropTypes.func,
+    onLongPress: PropTypes.func
 };
 
 module.exports = LibItem;
@@ -25,7 +25,7 @@ const ALLOWED_LINK_REDIRECTS = [
     routesRegexp.metadetails.regexp
 ];
 
-const MetaPreview = React.forwardRef(({ className, compact, name, logo, background, runtime, releaseInfo, released, description, deepLinks, links, trailerStreams, inLibrary, toggleInLibrary, ratingInfo }, ref) => {
+const MetaPreview = React.forwardRef(({ className, compact, name, logo, background, runtime, releaseInfo, released, description, deepLinks, links, trailerStreams, inLibrary, toggleInLibrary, ratingInfo, playBestPending, onPlayBest }, ref) => {
     const { t } = useTranslation();
     const [shareModalOpen, openShareModal, closeShareModal] = useBinaryState(false);
     const linksGroups = React.useMemo(() => {
@@ -195,6 +195,20 @@ const MetaPreview = React.forwardRef(({ className, compact, name, logo, backgrou
                 }
             </div>
             <div className={styles['action-buttons-container']}>
+                {
+                    typeof onPlayBest === 'function' ?
+                        <ActionButton
+                            className={classnames(styles['action-button'], styles['play-best-button'])}
+                            icon={'play'}
+                            label={playBestPending ? t('PLAY_BEST_RESOLVING') : t('PLAY_BEST')}
+                            tooltip={compact}
+                            tabIndex={compact ? -1 : 0}
+                            disabled={playBestPending}
+                            onClick={onPlayBest}
+                        />
+                        :
+                        null
+                }
                 {
                     typeof toggleInLibrary === 'function' ?
                         <ActionButton
@@ -299,6 +313,8 @@ MetaPreview.propTypes = {
     inLibrary: PropTypes.bool,
     toggleInLibrary: PropTypes.func,
     ratingInfo: PropTypes.object,
+    playBestPending: PropTypes.bool,
+    onPlayBest: PropTypes.func,
 };
 
 module.exports = MetaPreview;
@@ -1,21 +1,79 @@
-import React from 'react';
+import React, { Fragment, useMemo } from 'react';
+import classNames from 'classnames';
 import { useTranslation } from 'react-i18next';
+import { splitCombo } from 'stremio/common/Shortcuts/keyBindings';
+import { Button } from 'stremio/components';
 import Keys from './Keys';
 import styles from './Combos.less';
 
 type Props = {
-    combos: string[][],
+    combos: string[],
+    recording?: number | null,
+    recorded?: string,
+    onSelect?: (index: number) => void,
 };
 
-const Combos = ({ combos }: Props) => {
+const Combos = ({ combos, recording, recorded, onSelect }: Props) => {
     const { t } = useTranslation();
 
+    // Single digits bound in order, like the navigation shortcut, are shown as a range
+    const range = useMemo(() => {
+        return typeof onSelect !== 'function' && combos.length > 2 && combos.every((combo, index) => {
+            return /^\d$/.test(combo) && (index === 0 || parseInt(combo) === parseInt(combos[index - 1]) + 1);
+        });
+    }, [combos, onSelect]);
+
+    const renderSteps = (combo: string) => (
+        splitCombo(combo).map((keys, index, steps) => (
+            <Fragment key={index}>
+                <Keys keys={keys} />
+                {
+                    index < (steps.length - 1) && (
+                        <div className={styles['separator']}>
+                            { t('SETTINGS_SHORTCUT_THEN') }
+                        </div>
+                    )
+                }
+            </Fragment>
+        ))
+    );
+
+    if (range) {
+        return (
+            <div className={styles['combos']}>
+                <div className={styles['combo']}>
+                    <Keys keys={[combos[0], combos[combos.length - 1]]} />
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className={styles['combos']}>
             {
-                combos.map((keys, index) => (
+                combos.map((combo, index) => (
                     <div className={styles['combo']} key={index}>
-                        <Keys keys={keys} />
+                        {
+                            typeof onSelect === 'function' ?
+                                <Button
+                                    className={classNames(styles['combo-button'], { [styles['recording']]: recording === index })}
+                                    onClick={() => onSelect(index)}
+                                >
+                                    {
+                                        recording === index ?
+                                            recorded ?
+                                                renderSteps(recorded)
+                                                :
+                                                <div className={styles['placeholder']}>
+                                                    { t('SETTINGS_SHORTCUT_PRESS_KEYS') }
+                                                </div>
+                                            :
+                                            renderSteps(combo)
+                                    }
+                                </Button>
+                                :
+                                renderSteps(combo)
+                        }
                         {
                             index < (combos.length - 1) && (
                                 <div className={styles['separator']}>
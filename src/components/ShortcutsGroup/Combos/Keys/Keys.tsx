@@ -13,6 +13,8 @@ const Keys = ({ keys }: Props) => {
         'Shift': `⇧ ${t('SETTINGS_SHORTCUT_SHIFT')}`,
         'Space': t('SETTINGS_SHORTCUT_SPACE'),
         'Ctrl': t('SETTINGS_SHORTCUT_CTRL'),
+        'Alt': `⌥ ${t('SETTINGS_SHORTCUT_ALT')}`,
+        'Meta': `⌘ ${t('SETTINGS_SHORTCUT_META')}`,
         'Escape': t('SETTINGS_SHORTCUT_ESC'),
         'ArrowUp': '↑',
         'ArrowDown': '↓',
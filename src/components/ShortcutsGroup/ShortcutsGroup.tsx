@@ -8,9 +8,12 @@ type Props = {
     className?: string,
     label: string,
     shortcuts: Shortcut[],
+    recording?: { name: string, index: number } | null,
+    recorded?: string,
+    onComboSelect?: (name: string, index: number) => void,
 };
 
-const ShortcutsGroup = ({ className, label, shortcuts }: Props) => {
+const ShortcutsGroup = ({ className, label, shortcuts, recording, recorded, onComboSelect }: Props) => {
     const { t } = useTranslation();
 
     return (
@@ -26,7 +29,12 @@ const ShortcutsGroup = ({ className, label, shortcuts }: Props) => {
                             <div className={styles['label']}>
                                 {t(label)}
                             </div>
-                            <Combos combos={combos} />
+                            <Combos
+                                combos={combos}
+                                recording={recording?.name === name ? recording.index : null}
+                                recorded={recorded}
+                                onSelect={onComboSelect ? (index) => onComboSelect(name, index) : undefined}
+                            />
                         </div>
                     ))
                 }
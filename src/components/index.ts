@@ -3,6 +3,7 @@ import BottomSheet from './BottomSheet';
 import Button from './Button';
 import Checkbox from './Checkbox';
 import Chips from './Chips';
+import CollectionsDialog from './CollectionsDialog';
 import ColorInput from './ColorInput';
 import ContextMenu from './ContextMenu';
 import ContinueWatchingItem from './ContinueWatchingItem';
@@ -37,6 +38,7 @@ export {
     Button,
     Checkbox,
     Chips,
+    CollectionsDialog,
     ColorInput,
     ContextMenu,
     ContinueWatchingItem,
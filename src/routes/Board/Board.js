@@ -4,7 +4,8 @@ const React = require('react');
 const classnames = require('classnames');
 const debounce = require('lodash.debounce');
 const useTranslate = require('stremio/common/useTranslate');
-const { useStreamingServer, useNotifications, withCoreSuspender, getVisibleChildrenRange, useProfile } = require('stremio/common');
+const { useStreamingServer, useNotifications, useCollections, withCoreSuspender, getVisibleChildrenRange, useProfile } = require('stremio/common');
+const { getDeepLinks } = require('stremio/services/Collections/collections');
 const { ContinueWatchingItem, EventModal, MainNavBars, MetaItem, MetaRow } = require('stremio/components');
 const useBoard = require('./useBoard');
 const useContinueWatchingPreview = require('./useContinueWatchingPreview');
@@ -20,7 +21,20 @@ const Board = () => {
     const [board, loadBoardRows] = useBoard();
     const notifications = useNotifications();
     const profile = useProfile();
-    const boardCatalogsOffset = continueWatchingPreview.items.length > 0 ? 1 : 0;
+    const { collections } = useCollections();
+    const boardCollections = React.useMemo(() => {
+        return collections
+            .filter(({ board, items }) => board && items.length > 0)
+            .map(({ id, name, items }) => ({
+                id,
+                name,
+                items: items.map((item) => ({ ...item, deepLinks: getDeepLinks(item) })),
+                deepLinks: {
+                    library: `#/library/collection/${encodeURIComponent(id)}`
+                }
+            }));
+    }, [collections]);
+    const boardCatalogsOffset = (continueWatchingPreview.items.length > 0 ? 1 : 0) + boardCollections.length;
     const scrollContainerRef = React.useRef();
     const showStreamingServerWarning = React.useMemo(() => {
         return streamingServer.settings !== null && streamingServer.settings.type === 'Err' && (
@@ -62,6 +76,15 @@ const Board = () => {
                             :
                             null
                     }
+                    {boardCollections.map((collection) => (
+                        <MetaRow
+                            key={collection.id}
+                            className={classnames(styles['board-row'], styles['board-row-poster'], 'animation-fade-in')}
+                            title={collection.name}
+                            catalog={collection}
+                            itemComponent={MetaItem}
+                        />
+                    ))}
                     {board.catalogs.map((catalog, index) => {
                         switch (catalog.content?.type) {
                             case 'Ready': {
@@ -0,0 +1,66 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { useCalendarReminders } from 'stremio/common';
+import { Button, Toggle } from 'stremio/components';
+import styles from './Actions.less';
+
+type Props = {
+    view: string,
+    exporting: boolean,
+    disabled: boolean,
+    onExportVisible: () => void,
+    onExportRange: () => void,
+    onFeedToggle: () => void,
+};
+
+const Actions = ({ view, exporting, disabled, onExportVisible, onExportRange, onFeedToggle }: Props) => {
+    const { t } = useTranslation();
+    const reminders = useCalendarReminders();
+
+    const exportVisibleLabel = view === 'week' ? t('CALENDAR_EXPORT_WEEK') : t('CALENDAR_EXPORT_MONTH');
+
+    const remindersToggle = useMemo(() => ({
+        checked: reminders.enabled,
+        disabled: reminders.permission === 'denied',
+        onClick: () => reminders.setEnabled(!reminders.enabled),
+    }), [reminders.enabled, reminders.permission]);
+
+    return (
+        <div className={styles['actions']}>
+            <Button className={styles['button']} title={exportVisibleLabel} disabled={exporting || disabled} onClick={onExportVisible}>
+                <Icon className={styles['icon']} name={'download'} />
+                <div className={styles['label']}>
+                    {exportVisibleLabel}
+                </div>
+            </Button>
+            <Button className={styles['button']} title={t('CALENDAR_EXPORT_RANGE')} disabled={exporting || disabled} onClick={onExportRange}>
+                <Icon className={styles['icon']} name={'download'} />
+                <div className={styles['label']}>
+                    {exporting ? t('CALENDAR_EXPORTING') : t('CALENDAR_EXPORT_RANGE')}
+                </div>
+            </Button>
+            <Button className={styles['button']} title={t('CALENDAR_FEED')} onClick={onFeedToggle}>
+                <Icon className={styles['icon']} name={'link'} />
+                <div className={styles['label']}>
+                    {t('CALENDAR_FEED')}
+                </div>
+            </Button>
+            {
+                reminders.supported ?
+                    <div className={styles['option']} title={reminders.permission === 'denied' ? t('CALENDAR_REMINDERS_BLOCKED') : t('CALENDAR_REMINDERS_DESCRIPTION')}>
+                        <div className={styles['label']}>
+                            {t('CALENDAR_REMINDERS')}
+                        </div>
+                        <Toggle tabIndex={-1} {...remindersToggle} />
+                    </div>
+                    :
+                    null
+            }
+        </div>
+    );
+};
+
+export default Actions;
@@ -0,0 +1,86 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useMemo } from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button, Image } from 'stremio/components';
+import MarkWatched, { MarkWatchedOptions } from '../MarkWatched';
+import useCalendarDate from '../useCalendarDate';
+import { isSameDate } from '../calendarViews';
+import styles from './Agenda.less';
+
+type Props = {
+    items: CalendarItem[],
+    selected: CalendarDate | null,
+    today: CalendarDate,
+    profile: Profile,
+    markWatched: MarkWatchedOptions,
+    onChange: (date: CalendarDate) => void,
+};
+
+const Agenda = ({ items, selected, today, profile, markWatched, onChange }: Props) => {
+    const { t } = useTranslation();
+    const { toDayMonth } = useCalendarDate(profile);
+
+    const days = useMemo(() => {
+        return items.filter(({ items }) => items.length > 0);
+    }, [items]);
+
+    return (
+        <div className={styles['agenda']}>
+            {
+                days.map(({ date, items }) => (
+                    <div
+                        key={date.day}
+                        className={classNames(styles['day'], {
+                            [styles['active']]: isSameDate(date, selected),
+                            [styles['today']]: isSameDate(date, today),
+                        })}
+                        onClick={() => onChange(date)}
+                    >
+                        <div className={styles['heading']}>
+                            <div className={styles['date']}>
+                                {toDayMonth(date)}
+                            </div>
+                            <MarkWatched date={date} {...markWatched} />
+                        </div>
+                        {
+                            items.map(({ id, name, poster, title, season, episode, deepLinks }) => (
+                                <Button className={styles['video']} key={id} href={deepLinks.metaDetailsStreams}>
+                                    <Image
+                                        className={styles['poster']}
+                                        src={poster}
+                                        alt={name}
+                                    />
+                                    <div className={styles['text']}>
+                                        <div className={styles['name']}>
+                                            {name}
+                                        </div>
+                                        <div className={styles['title']}>
+                                            {title}
+                                        </div>
+                                    </div>
+                                    <div className={styles['info']}>
+                                        S{season}E{episode}
+                                    </div>
+                                    <Icon className={styles['icon']} name={'play'} />
+                                </Button>
+                            ))
+                        }
+                    </div>
+                ))
+            }
+            {
+                days.length === 0 ?
+                    <div className={styles['placeholder']}>
+                        {t('CALENDAR_NO_NEW_EPISODES')}
+                    </div>
+                    :
+                    null
+            }
+        </div>
+    );
+};
+
+export default Agenda;
@@ -1,32 +1,202 @@
 // Copyright (C) 2017-2024 Smart code 203358507
 
-import React, { useMemo, useState } from 'react';
-import { useProfile, withCoreSuspender } from 'stremio/common';
-import { MainNavBars, BottomSheet } from 'stremio/components';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { onShortcut, useCollections, useProfile, useToast, withCoreSuspender } from 'stremio/common';
+import { MainNavBars, BottomSheet, Chips } from 'stremio/components';
+import Actions from './Actions';
+import Feed from './Feed';
+import Filters, { CalendarFilters } from './Filters';
 import Selector from './Selector';
 import Table from './Table';
 import List from './List';
+import Week from './Week';
+import Agenda from './Agenda';
 import Details from './Details';
 import Placeholder from './Placeholder';
 import useCalendar from './useCalendar';
+import useCalendarWeek from './useCalendarWeek';
+import useCalendarLibrary from './useCalendarLibrary';
+import useCalendarExport from './useCalendarExport';
+import useCalendarFeed from './useCalendarFeed';
 import useCalendarDate from './useCalendarDate';
+import useMarkAsWatched from './useMarkAsWatched';
+import {
+    CALENDAR_VIEWS,
+    compareDates,
+    filterCalendarItems,
+    getCalendarHref,
+    getToday,
+    getTypes,
+    getWeek,
+    getWeekDays,
+    isSamePeriod,
+    isVideoWatched,
+    parseWeek,
+    shiftDate,
+} from './calendarViews';
 import styles from './Calendar.less';
 import classNames from 'classnames';
 
+const DEFAULT_FILTERS: CalendarFilters = {
+    collection: null,
+    type: null,
+    hideWatched: false,
+};
+
 type Props = {
     urlParams: UrlParams,
 };
 
 const Calendar = ({ urlParams }: Props) => {
-    const calendar = useCalendar(urlParams);
+    const { t } = useTranslation();
     const profile = useProfile();
+    const { collections } = useCollections();
+    const today = useMemo(() => getToday() as CalendarDate, []);
+
+    const view = CALENDAR_VIEWS.includes(urlParams.view) ? urlParams.view : 'month';
+    const week = useMemo(() => {
+        return view === 'week' ? parseWeek(urlParams.year, urlParams.period) ?? getWeek(today) : null;
+    }, [view, urlParams.year, urlParams.period]);
 
-    const { toDayMonth } = useCalendarDate(profile);
+    const model = useCalendar(urlParams);
+    const calendarWeek = useCalendarWeek(week);
+    const library = useCalendarLibrary();
+    const { watched, marking, markAsWatched } = useMarkAsWatched();
+    const { calendar, exporting, exportVisible, exportRange, publishRange } = useCalendarExport(model);
+    const feed = useCalendarFeed();
+    const toast = useToast();
+
+    const { toMonth, toDayMonth } = useCalendarDate(profile);
 
     const [selected, setSelected] = useState<CalendarDate | null>(null);
+    const [filters, setFilters] = useState<CalendarFilters>(DEFAULT_FILTERS);
+    const [feedOpen, setFeedOpen] = useState(false);
+    const feedRefreshedRef = useRef(false);
 
     const detailsTitle = useMemo(() => toDayMonth(selected), [selected, toDayMonth]);
 
+    const visibleItems = week !== null ? calendarWeek.items : calendar.items;
+
+    const items = useMemo(() => {
+        const collection = collections.find(({ id }) => id === filters.collection);
+        return filterCalendarItems(visibleItems, {
+            collection: collection ? collection.items.map(({ id }) => id) : null,
+            type: filters.type,
+            hideWatched: filters.hideWatched,
+        }, library, watched) as CalendarItem[];
+    }, [visibleItems, collections, filters, library, watched]);
+
+    const types = useMemo(() => getTypes(visibleItems) as string[], [visibleItems]);
+
+    // The first day of the period, or today when it is in it
+    const anchor = useMemo((): CalendarDate => {
+        if (week !== null) {
+            const days = getWeekDays(week) as CalendarDate[];
+            return isSamePeriod('week', days[0], today) ? today : days[0];
+        }
+
+        return calendar.selected !== null && !isSamePeriod('month', calendar.selected, today) ?
+            { ...calendar.selected, day: 1 }
+            :
+            today;
+    }, [week, calendar.selected]);
+
+    const selector = useMemo(() => {
+        if (week !== null) {
+            const prev = getWeek(shiftDate(anchor, -7));
+            const next = getWeek(shiftDate(anchor, 7));
+            return {
+                year: week.year,
+                title: t('CALENDAR_WEEK', { week: week.week }),
+                prev: { label: t('CALENDAR_WEEK_SHORT', { week: prev.week }), href: getCalendarHref('week', shiftDate(anchor, -7)) },
+                next: { label: t('CALENDAR_WEEK_SHORT', { week: next.week }), href: getCalendarHref('week', shiftDate(anchor, 7)) },
+            };
+        }
+
+        const { prev, next } = calendar.selectable;
+        return {
+            year: calendar.selected?.year ?? null,
+            title: toMonth(calendar.selected, 'long'),
+            prev: { label: toMonth(prev, 'short'), href: getCalendarHref(view, { ...prev, day: 1 }) },
+            next: { label: toMonth(next, 'short'), href: getCalendarHref(view, { ...next, day: 1 }) },
+        };
+    }, [view, week, anchor, calendar.selected, calendar.selectable, toMonth]);
+
+    const viewChips = useMemo(() => ({
+        options: CALENDAR_VIEWS.map((value) => ({
+            label: t(`CALENDAR_VIEW_${value.toUpperCase()}`),
+            value,
+        })),
+        selected: [view],
+        onSelect: (value: string) => {
+            window.location.href = getCalendarHref(value, selected ?? anchor);
+        },
+    }), [view, selected, anchor]);
+
+    const unwatchedItems = useCallback((date: CalendarDate) => {
+        return (items.find((item) => compareDates(item.date, date) === 0)?.items ?? [])
+            .filter((item) => !isVideoWatched(item, library, watched));
+    }, [items, library, watched]);
+
+    const markWatched = useMemo(() => ({
+        markable: (date: CalendarDate) => compareDates(date, today) <= 0 && unwatchedItems(date).length > 0,
+        marking,
+        onMark: (date: CalendarDate) => {
+            markAsWatched(date, unwatchedItems(date));
+        },
+    }), [unwatchedItems, marking]);
+
+    const onExportVisible = useCallback(() => {
+        const filename = week !== null ?
+            `stremio-calendar-${week.year}-W${String(week.week).padStart(2, '0')}.ics`
+            :
+            `stremio-calendar-${anchor.year}-${String(anchor.month).padStart(2, '0')}.ics`;
+        exportVisible(items, filename);
+    }, [week, anchor, items, exportVisible]);
+
+    const onFeedToggle = useCallback(() => {
+        setFeedOpen((open) => !open);
+    }, []);
+
+    const onPublishFeed = useCallback((serverUrl: string) => {
+        publishRange((content) => feed.publish(serverUrl, content))
+            .catch((error) => {
+                console.error('Calendar feed', error);
+                toast.show({
+                    type: 'error',
+                    title: t('CALENDAR_FEED_ERROR'),
+                    timeout: 4000,
+                });
+            });
+    }, [publishRange, feed.publish]);
+
+    // Feed apps only ever see what was published, so it is published again when it gets outdated
+    useEffect(() => {
+        if (feed.outdated && !feedRefreshedRef.current && model.selected !== null) {
+            feedRefreshedRef.current = true;
+            publishRange((content) => feed.publish(feed.serverUrl, content))
+                .catch((error) => console.error('Calendar feed', error));
+        }
+    }, [model.selected]);
+
+    // Moving out of the period goes to the period of the newly selected day
+    const moveSelected = (days: number) => {
+        const date = shiftDate(selected ?? anchor, days) as CalendarDate;
+        setSelected(date);
+        if (!isSamePeriod(view, date, anchor)) {
+            window.location.href = getCalendarHref(view, date);
+        }
+    };
+
+    onShortcut('calendarDay', (combo) => {
+        moveSelected(combo === 0 ? -1 : 1);
+    }, [view, selected, anchor]);
+
+    onShortcut('calendarWeek', (combo) => {
+        moveSelected(combo === 0 ? -7 : 7);
+    }, [view, selected, anchor]);
+
     const onDetailsClose = () => {
         setSelected(null);
     };
@@ -37,29 +207,83 @@ const Calendar = ({ urlParams }: Props) => {
                 profile.auth !== null ?
                     <div className={classNames(styles['content'], 'animation-fade-in')}>
                         <div className={styles['main']}>
-                            <Selector
-                                selected={calendar.selected}
-                                selectable={calendar.selectable}
-                                profile={profile}
+                            <Selector {...selector} />
+                            <div className={styles['views']}>
+                                <Chips {...viewChips} />
+                            </div>
+                            <Filters
+                                filters={filters}
+                                collections={collections}
+                                types={types}
+                                onChange={setFilters}
                             />
-                            <Table
-                                items={calendar.items}
-                                selected={selected}
-                                monthInfo={calendar.monthInfo}
-                                onChange={setSelected}
+                            <Actions
+                                view={view}
+                                exporting={exporting}
+                                disabled={calendarWeek.loading}
+                                onExportVisible={onExportVisible}
+                                onExportRange={exportRange}
+                                onFeedToggle={onFeedToggle}
                             />
+                            {
+                                feedOpen ?
+                                    <Feed
+                                        serverUrl={feed.serverUrl}
+                                        url={feed.url}
+                                        publishing={exporting}
+                                        disabled={calendarWeek.loading}
+                                        onPublish={onPublishFeed}
+                                    />
+                                    :
+                                    null
+                            }
+                            {
+                                view === 'week' ?
+                                    <Week
+                                        items={items}
+                                        selected={selected}
+                                        today={today}
+                                        profile={profile}
+                                        markWatched={markWatched}
+                                        onChange={setSelected}
+                                    />
+                                    :
+                                    view === 'agenda' ?
+                                        <Agenda
+                                            items={items}
+                                            selected={selected}
+                                            today={today}
+                                            profile={profile}
+                                            markWatched={markWatched}
+                                            onChange={setSelected}
+                                        />
+                                        :
+                                        <Table
+                                            items={items}
+                                            selected={selected}
+                                            monthInfo={calendar.monthInfo}
+                                            onChange={setSelected}
+                                        />
+                            }
                         </div>
-                        <List
-                            items={calendar.items}
-                            selected={selected}
-                            monthInfo={calendar.monthInfo}
-                            profile={profile}
-                            onChange={setSelected}
-                        />
+                        {
+                            view === 'month' ?
+                                <List
+                                    items={items}
+                                    selected={selected}
+                                    monthInfo={calendar.monthInfo}
+                                    profile={profile}
+                                    markWatched={markWatched}
+                                    onChange={setSelected}
+                                />
+                                :
+                                null
+                        }
                         <BottomSheet title={detailsTitle} show={!!selected} onClose={onDetailsClose}>
                             <Details
                                 selected={selected}
-                                items={calendar.items}
+                                items={items}
+                                markWatched={markWatched}
                             />
                         </BottomSheet>
                     </div>
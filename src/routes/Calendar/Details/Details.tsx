@@ -4,21 +4,32 @@ import React, { useMemo } from 'react';
 import { useTranslation } from 'react-i18next';
 import Icon from '@stremio/stremio-icons/react';
 import { Button } from 'stremio/components';
+import MarkWatched, { MarkWatchedOptions } from '../MarkWatched';
+import { isSameDate } from '../calendarViews';
 import styles from './Details.less';
 
 type Props = {
     selected: CalendarDate | null,
     items: CalendarItem[],
+    markWatched: MarkWatchedOptions,
 };
 
-const Details = ({ selected, items }: Props) => {
+const Details = ({ selected, items, markWatched }: Props) => {
     const { t } = useTranslation();
     const videos = useMemo(() => {
-        return items.find(({ date }) => date.day === selected?.day)?.items ?? [];
+        return items.find(({ date }) => isSameDate(date, selected))?.items ?? [];
     }, [selected, items]);
 
     return (
         <div className={styles['details']}>
+            {
+                selected !== null && videos.length > 0 ?
+                    <div className={styles['actions']}>
+                        <MarkWatched date={selected} {...markWatched} />
+                    </div>
+                    :
+                    null
+            }
             {
                 videos.map(({ id, name, season, episode, deepLinks }) => (
                     <Button className={styles['video']} key={id} href={deepLinks.metaDetailsStreams}>
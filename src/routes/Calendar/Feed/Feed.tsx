@@ -0,0 +1,80 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { useToast } from 'stremio/common';
+import { Button, TextInput } from 'stremio/components';
+import styles from './Feed.less';
+
+type Props = {
+    serverUrl: string,
+    url: string | null,
+    publishing: boolean,
+    disabled: boolean,
+    onPublish: (serverUrl: string) => void,
+};
+
+const Feed = ({ serverUrl, url, publishing, disabled, onPublish }: Props) => {
+    const { t } = useTranslation();
+    const toast = useToast();
+    const [server, setServer] = useState(serverUrl);
+
+    const onServerInput = useCallback((event: React.ChangeEvent<HTMLInputElement>) => {
+        setServer(event.target.value);
+    }, []);
+
+    const onPublishClick = useCallback(() => {
+        server.trim().length > 0 && onPublish(server.trim());
+    }, [server, onPublish]);
+
+    const onCopyClick = useCallback(() => {
+        url !== null && navigator.clipboard.writeText(url)
+            .then(() => {
+                toast.show({
+                    type: 'success',
+                    title: t('CALENDAR_FEED_COPIED'),
+                    timeout: 2500,
+                });
+            })
+            .catch((error) => console.error('Calendar feed', error));
+    }, [url]);
+
+    return (
+        <div className={styles['feed']}>
+            <div className={styles['description']}>
+                {t('CALENDAR_FEED_DESCRIPTION')}
+            </div>
+            <div className={styles['row']}>
+                <TextInput
+                    className={styles['input']}
+                    placeholder={t('CALENDAR_FEED_SERVER_PLACEHOLDER')}
+                    value={server}
+                    onChange={onServerInput}
+                    onSubmit={onPublishClick}
+                />
+                <Button className={styles['button']} title={t('CALENDAR_FEED_PUBLISH')} disabled={publishing || disabled || server.trim().length === 0} onClick={onPublishClick}>
+                    <div className={styles['label']}>
+                        {publishing ? t('CALENDAR_EXPORTING') : t('CALENDAR_FEED_PUBLISH')}
+                    </div>
+                </Button>
+            </div>
+            {
+                url !== null ?
+                    <div className={styles['row']}>
+                        <TextInput className={styles['input']} value={url} readOnly={true} />
+                        <Button className={styles['button']} title={t('CALENDAR_FEED_COPY')} onClick={onCopyClick}>
+                            <Icon className={styles['icon']} name={'link'} />
+                            <div className={styles['label']}>
+                                {t('CALENDAR_FEED_COPY')}
+                            </div>
+                        </Button>
+                    </div>
+                    :
+                    null
+            }
+        </div>
+    );
+};
+
+export default Feed;
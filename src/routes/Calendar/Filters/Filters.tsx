@@ -0,0 +1,67 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useTranslate } from 'stremio/common';
+import { MultiselectMenu, Toggle } from 'stremio/components';
+import type { Collection } from 'stremio/common/useCollections';
+import styles from './Filters.less';
+
+export type CalendarFilters = {
+    collection: string | null,
+    type: string | null,
+    hideWatched: boolean,
+};
+
+type Props = {
+    filters: CalendarFilters,
+    collections: Collection[],
+    types: string[],
+    onChange: (filters: CalendarFilters) => void,
+};
+
+const Filters = ({ filters, collections, types, onChange }: Props) => {
+    const { t } = useTranslation();
+    const { stringWithPrefix } = useTranslate();
+
+    const collectionSelect = useMemo(() => ({
+        title: t('CALENDAR_FILTER_COLLECTION'),
+        options: [{ label: t('CALENDAR_FILTER_ALL_COLLECTIONS'), value: '' }]
+            .concat(collections.map(({ id, name }) => ({ label: name, value: id }))),
+        value: filters.collection ?? '',
+        onSelect: (value: string) => onChange({ ...filters, collection: value.length > 0 ? value : null }),
+    }), [collections, filters, onChange]);
+
+    const typeSelect = useMemo(() => ({
+        title: t('CALENDAR_FILTER_TYPE'),
+        options: [{ label: t('CALENDAR_FILTER_ALL_TYPES'), value: '' }]
+            .concat(types.map((type) => ({ label: stringWithPrefix(type, 'TYPE_'), value: type }))),
+        value: filters.type ?? '',
+        onSelect: (value: string) => onChange({ ...filters, type: value.length > 0 ? value : null }),
+    }), [types, filters, onChange]);
+
+    const hideWatchedToggle = useMemo(() => ({
+        checked: filters.hideWatched,
+        onClick: () => onChange({ ...filters, hideWatched: !filters.hideWatched }),
+    }), [filters, onChange]);
+
+    return (
+        <div className={styles['filters']}>
+            {
+                collections.length > 0 ?
+                    <MultiselectMenu className={styles['select']} {...collectionSelect} />
+                    :
+                    null
+            }
+            <MultiselectMenu className={styles['select']} {...typeSelect} />
+            <div className={styles['option']}>
+                <div className={styles['label']}>
+                    {t('CALENDAR_FILTER_HIDE_WATCHED')}
+                </div>
+                <Toggle tabIndex={-1} {...hideWatchedToggle} />
+            </div>
+        </div>
+    );
+};
+
+export default Filters;
@@ -4,7 +4,9 @@ import React, { useEffect, useMemo, useRef } from 'react';
 import Icon from '@stremio/stremio-icons/react';
 import classNames from 'classnames';
 import { Button } from 'stremio/components';
+import MarkWatched, { MarkWatchedOptions } from '../../MarkWatched';
 import useCalendarDate from '../../useCalendarDate';
+import { isSameDate } from '../../calendarViews';
 import styles from './Item.less';
 
 type Props = {
@@ -13,15 +15,16 @@ type Props = {
     date: CalendarDate,
     items: CalendarContentItem[],
     profile: Profile,
+    markWatched: MarkWatchedOptions,
     onClick: (date: CalendarDate) => void,
 };
 
-const Item = ({ selected, monthInfo, date, items, profile, onClick }: Props) => {
+const Item = ({ selected, monthInfo, date, items, profile, markWatched, onClick }: Props) => {
     const ref = useRef<HTMLDivElement>(null);
     const { toDayMonth } = useCalendarDate(profile);
 
     const [active, today] = useMemo(() => [
-        date.day === selected?.day,
+        isSameDate(date, selected),
         date.day === monthInfo.today,
     ], [selected, monthInfo, date]);
 
@@ -44,7 +47,10 @@ const Item = ({ selected, monthInfo, date, items, profile, onClick }: Props) =>
             onClick={onItemClick}
         >
             <div className={styles['heading']}>
-                {toDayMonth(date)}
+                <div className={styles['date']}>
+                    {toDayMonth(date)}
+                </div>
+                <MarkWatched date={date} {...markWatched} />
             </div>
             <div className={styles['body']}>
                 {
@@ -2,6 +2,7 @@
 
 import React, { useMemo } from 'react';
 import { Item, ItemPlaceholder } from './Item';
+import type { MarkWatchedOptions } from '../MarkWatched';
 import styles from './List.less';
 
 type Props = {
@@ -9,10 +10,11 @@ type Props = {
     selected: CalendarDate | null,
     monthInfo: CalendarMonthInfo,
     profile: Profile,
+    markWatched: MarkWatchedOptions,
     onChange: (date: CalendarDate) => void,
 };
 
-const List = ({ items, selected, monthInfo, profile, onChange }: Props) => {
+const List = ({ items, selected, monthInfo, profile, markWatched, onChange }: Props) => {
     const filteredItems = useMemo(() => {
         return items.filter(({ items }) => items.length);
     }, [items]);
@@ -32,6 +34,7 @@ const List = ({ items, selected, monthInfo, profile, onChange }: Props) => {
                             selected={selected}
                             monthInfo={monthInfo}
                             profile={profile}
+                            markWatched={markWatched}
                             onClick={onChange}
                         />
                     ))
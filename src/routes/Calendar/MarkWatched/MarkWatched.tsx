@@ -0,0 +1,44 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback } from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button } from 'stremio/components';
+import { isSameDate } from '../calendarViews';
+import styles from './MarkWatched.less';
+
+export type MarkWatchedOptions = {
+    markable: (date: CalendarDate) => boolean,
+    marking: CalendarDate | null,
+    onMark: (date: CalendarDate) => void,
+};
+
+type Props = MarkWatchedOptions & {
+    className?: string,
+    date: CalendarDate,
+};
+
+const MarkWatched = ({ className, date, markable, marking, onMark }: Props) => {
+    const { t } = useTranslation();
+
+    const onClick = useCallback((event: React.MouseEvent) => {
+        event.stopPropagation();
+        onMark(date);
+    }, [date, onMark]);
+
+    return markable(date) ?
+        <Button
+            className={classNames(className, styles['mark-watched'])}
+            title={t('CALENDAR_MARK_AIRED_WATCHED')}
+            loading={isSameDate(date, marking)}
+            disabled={marking !== null}
+            onClick={onClick}
+        >
+            <Icon className={styles['icon']} name={'checkmark'} />
+        </Button>
+        :
+        null;
+};
+
+export default MarkWatched;
@@ -1,54 +1,45 @@
 // Copyright (C) 2017-2024 Smart code 203358507
 
-import React, { useCallback, useMemo } from 'react';
+import React from 'react';
 import Icon from '@stremio/stremio-icons/react';
 import { Button } from 'stremio/components';
-import useCalendarDate from '../useCalendarDate';
 import styles from './Selector.less';
 
-type Props = {
-    selected: CalendarSelected,
-    selectable: CalendarSelectable,
-    profile: Profile,
+type Period = {
+    label: string,
+    href: string,
 };
 
-const Selector = ({ selected, selectable, profile }: Props) => {
-    const { toMonth } = useCalendarDate(profile);
-
-    const [prev, next] = useMemo(() => (
-        [selectable.prev, selectable.next]
-    ), [selectable]);
-
-    const onPrev = useCallback(() => {
-        window.location.href = prev.deepLinks.calendar;
-    }, [prev]);
-
-    const onNext = useCallback(() => {
-        window.location.href = next.deepLinks.calendar;
-    }, [next]);
+type Props = {
+    year: number | null,
+    title: string,
+    prev: Period | null,
+    next: Period | null,
+};
 
+const Selector = ({ year, title, prev, next }: Props) => {
     return (
         <div className={styles['selector']}>
-            <Button className={styles['prev']} onClick={onPrev}>
+            <Button className={styles['prev']} href={prev?.href}>
                 <Icon
                     className={styles['icon']}
                     name={'chevron-back'}
                 />
                 <div className={styles['label']}>
-                    {toMonth(prev, 'short')}
+                    {prev?.label}
                 </div>
             </Button>
             <div className={styles['selected']}>
                 <div className={styles['year']}>
-                    {selected?.year}
+                    {year}
                 </div>
                 <div className={styles['month']}>
-                    {toMonth(selected, 'long')}
+                    {title}
                 </div>
             </div>
-            <Button className={styles['next']} onClick={onNext}>
+            <Button className={styles['next']} href={next?.href}>
                 <div className={styles['label']}>
-                    {toMonth(next, 'short')}
+                    {next?.label}
                 </div>
                 <Icon
                     className={styles['icon']}
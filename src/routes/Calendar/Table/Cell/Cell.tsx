@@ -4,6 +4,7 @@ import React, { useCallback, useMemo, MouseEvent } from 'react';
 import Icon from '@stremio/stremio-icons/react';
 import classNames from 'classnames';
 import { Button, HorizontalScroll, Image } from 'stremio/components';
+import { isSameDate } from '../../calendarViews';
 import styles from './Cell.less';
 
 type Props = {
@@ -16,7 +17,7 @@ type Props = {
 
 const Cell = ({ selected, monthInfo, date, items, onClick }: Props) => {
     const [active, today] = useMemo(() => [
-        date.day === selected?.day,
+        isSameDate(date, selected),
         date.day === monthInfo.today,
     ], [selected, monthInfo, date]);
 
@@ -0,0 +1,74 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import { Button, Image } from 'stremio/components';
+import MarkWatched, { MarkWatchedOptions } from '../MarkWatched';
+import useCalendarDate from '../useCalendarDate';
+import { isSameDate } from '../calendarViews';
+import styles from './Week.less';
+
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+type Props = {
+    items: CalendarItem[],
+    selected: CalendarDate | null,
+    today: CalendarDate,
+    profile: Profile,
+    markWatched: MarkWatchedOptions,
+    onChange: (date: CalendarDate) => void,
+};
+
+const Week = ({ items, selected, today, profile, markWatched, onChange }: Props) => {
+    const { t } = useTranslation();
+    const { toDayMonth } = useCalendarDate(profile);
+
+    return (
+        <div className={styles['week']}>
+            {
+                items.map(({ date, items }, index) => (
+                    <div
+                        key={`${date.month}-${date.day}`}
+                        className={classNames(styles['day'], {
+                            [styles['active']]: isSameDate(date, selected),
+                            [styles['today']]: isSameDate(date, today),
+                        })}
+                        onClick={() => onChange(date)}
+                    >
+                        <div className={styles['heading']}>
+                            <div className={styles['weekday']}>
+                                {t(WEEK_DAYS[index])}
+                            </div>
+                            <div className={styles['date']}>
+                                {toDayMonth(date)}
+                            </div>
+                            <MarkWatched date={date} {...markWatched} />
+                        </div>
+                        <div className={styles['videos']}>
+                            {
+                                items.map(({ id, name, poster, season, episode, deepLinks }) => (
+                                    <Button className={styles['video']} key={id} title={name} href={deepLinks.metaDetailsStreams}>
+                                        <Image
+                                            className={styles['poster']}
+                                            src={poster}
+                                            alt={name}
+                                        />
+                                        <div className={styles['name']}>
+                                            {name}
+                                        </div>
+                                        <div className={styles['info']}>
+                                            S{season}E{episode}
+                                        </div>
+                                    </Button>
+                                ))
+                            }
+                        </div>
+                    </div>
+                ))
+            }
+        </div>
+    );
+};
+
+export default Week;
@@ -0,0 +1,4 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import Week from './Week';
+export default Week;
@@ -0,0 +1,193 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const CALENDAR_VIEWS = ['month', 'week', 'agenda'];
+
+const DAY_DURATION = 24 * 60 * 60 * 1000;
+
+const toTime = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+const shiftDate = ({ year, month, day }, days) => {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const getToday = (now = new Date()) => ({
+    year: now.getFullYear(),
+    month: now.getMonth() + 1,
+    day: now.getDate(),
+});
+
+const compareDates = (a, b) => {
+    return toTime(a) - toTime(b);
+};
+
+const isSameDate = (a, b) => {
+    return a !== null && b !== null && a.year === b.year && a.month === b.month && a.day === b.day;
+};
+
+// Days of the week start on monday, as in the month table
+const getWeekday = (date) => {
+    return (new Date(toTime(date)).getUTCDay() + 6) % 7;
+};
+
+/**
+ * Finds the ISO 8601 week of a date, the week having the thursday of the date
+ * belongs to the year of that thursday.
+ * @param {{ year: number, month: number, day: number }} date
+ * @returns {{ year: number, week: number }}
+ */
+const getWeek = (date) => {
+    const thursday = shiftDate(date, 3 - getWeekday(date));
+    return {
+        year: thursday.year,
+        week: Math.floor((toTime(thursday) - toTime({ year: thursday.year, month: 1, day: 1 })) / DAY_DURATION / 7) + 1,
+    };
+};
+
+/**
+ * Lists the days of an ISO 8601 week.
+ * @param {{ year: number, week: number }} week
+ * @returns {Array<{ year: number, month: number, day: number }>} Days from monday to sunday
+ */
+const getWeekDays = ({ year, week }) => {
+    // The 4th of january is always in the first week
+    const january = { year, month: 1, day: 4 };
+    const monday = shiftDate(january, (week - 1) * 7 - getWeekday(january));
+    return Array.from(Array(7).keys()).map((index) => shiftDate(monday, index));
+};
+
+/**
+ * Reads a week from the url params, weeks out of range are not valid.
+ * @param {string|null} year
+ * @param {string|null} week
+ * @returns {{ year: number, week: number }|null}
+ */
+const parseWeek = (year, week) => {
+    const parsed = { year: parseInt(year, 10), week: parseInt(week, 10) };
+    return Number.isInteger(parsed.year) && Number.isInteger(parsed.week) && parsed.week >= 1 && getWeek(getWeekDays(parsed)[0]).week === parsed.week ?
+        parsed
+        :
+        null;
+};
+
+const getMonths = (dates) => {
+    return dates
+        .map(({ year, month }) => ({ year, month }))
+        .filter((date, index, dates) => dates.findIndex(({ year, month }) => year === date.year && month === date.month) === index);
+};
+
+/**
+ * Links to the period of a view a date belongs to.
+ * @param {string} view - Calendar view
+ * @param {{ year: number, month: number, day: number }} date
+ * @returns {string}
+ */
+const getCalendarHref = (view, date) => {
+    if (view === 'week') {
+        const { year, week } = getWeek(date);
+        return `#/calendar/week/${year}/${week}`;
+    }
+
+    return view === 'agenda' ?
+        `#/calendar/agenda/${date.year}/${date.month}`
+        :
+        `#/calendar/${date.year}/${date.month}`;
+};
+
+/**
+ * Tells whether two dates are in the same period of a view.
+ */
+const isSamePeriod = (view, a, b) => {
+    if (view === 'week') {
+        const weekA = getWeek(a);
+        const weekB = getWeek(b);
+        return weekA.year === weekB.year && weekA.week === weekB.week;
+    }
+
+    return a.year === b.year && a.month === b.month;
+};
+
+// Calendar items link to the streams of their video, like "#/detail/series/tt0944947/tt0944947%3A1%3A5"
+const getVideo = ({ deepLinks }) => {
+    const match = deepLinks.metaDetailsStreams.match(/^#\/detail\/([^/]*)\/([^/]*)\/([^/]*)$/);
+    return match !== null ?
+        { type: decodeURIComponent(match[1]), metaId: decodeURIComponent(match[2]), videoId: decodeURIComponent(match[3]) }
+        :
+        null;
+};
+
+const parseEpisode = (videoId) => {
+    const match = typeof videoId === 'string' ? videoId.match(/:(\d+):(\d+)$/) : null;
+    return match !== null ? { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) } : null;
+};
+
+/**
+ * Tells whether a video of a calendar item is watched. Episodes up to the last
+ * watched one are taken as watched, the watched flags of each video are only
+ * known to the meta details.
+ * @param {Object} item - Calendar content item
+ * @param {Object} library - Library items by id
+ * @param {Array<string>} watched - Ids of the videos marked as watched from the calendar
+ * @returns {boolean}
+ */
+const isVideoWatched = (item, library, watched) => {
+    const video = getVideo(item);
+    if (video === null) {
+        return false;
+    }
+
+    const libraryItem = library[video.metaId];
+    if (watched.includes(video.videoId) || (libraryItem && libraryItem.watched)) {
+        return true;
+    }
+
+    const last = libraryItem ? parseEpisode(libraryItem.state.video_id) : null;
+    return last !== null && typeof item.season === 'number' && typeof item.episode === 'number' &&
+        (item.season < last.season || (item.season === last.season && item.episode <= last.episode));
+};
+
+const getTypes = (items) => {
+    return Array.from(new Set(items.flatMap(({ items }) => items.map(getVideo)).filter((video) => video !== null).map(({ type }) => type)))
+        .sort();
+};
+
+/**
+ * Filters the videos of every day of the calendar, the days are kept.
+ * @param {Array<Object>} items - Calendar items
+ * @param {Object} filters
+ * @param {Array<string>|null} filters.collection - Ids of the items of the selected collection
+ * @param {string|null} filters.type - Selected type
+ * @param {boolean} filters.hideWatched - Whether watched videos are hidden
+ * @param {Object} library - Library items by id
+ * @param {Array<string>} watched - Ids of the videos marked as watched from the calendar
+ * @returns {Array<Object>}
+ */
+const filterCalendarItems = (items, { collection, type, hideWatched }, library, watched) => {
+    return items.map(({ date, items }) => ({
+        date,
+        items: items.filter((item) => {
+            const video = getVideo(item);
+            return (collection === null || (video !== null && collection.includes(video.metaId))) &&
+                (type === null || (video !== null && video.type === type)) &&
+                (!hideWatched || !isVideoWatched(item, library, watched));
+        }),
+    }));
+};
+
+module.exports = {
+    CALENDAR_VIEWS,
+    shiftDate,
+    getToday,
+    compareDates,
+    isSameDate,
+    getWeek,
+    getWeekDays,
+    parseWeek,
+    getMonths,
+    getCalendarHref,
+    isSamePeriod,
+    getVideo,
+    isVideoWatched,
+    getTypes,
+    filterCalendarItems,
+};
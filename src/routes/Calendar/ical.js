@@ -0,0 +1,137 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Builds iCalendar (RFC 5545) files out of the calendar model items.
+
+const PRODUCT_ID = '-//Stremio//Calendar//EN';
+const MAX_LINE_LENGTH = 75;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const escapeText = (text) => {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+// Lines longer than 75 octets are continued on the next line after a space
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let length = 0;
+    for (const char of line) {
+        const charLength = encoder.encode(char).length;
+        if (length + charLength > MAX_LINE_LENGTH) {
+            lines.push(current);
+            current = ' ';
+            length = 1;
+        }
+
+        current += char;
+        length += charLength;
+    }
+
+    return lines.concat(current).join('\r\n');
+};
+
+const formatDate = ({ year, month, day }) => {
+    return `${pad(year, 4)}${pad(month)}${pad(day)}`;
+};
+
+const formatDateTime = (date) => {
+    return `${formatDate({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() })}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+const getNextDate = ({ year, month, day }) => {
+    const date = new Date(Date.UTC(year, month - 1, day + 1));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const compareDates = (a, b) => {
+    return a.year - b.year || a.month - b.month || a.day - b.day;
+};
+
+/**
+ * Lists the months, in order, a range of days starting at the given date spans.
+ * @param {{ year: number, month: number, day: number }} from - First day of the range
+ * @param {number} days - Length of the range
+ * @returns {Array<{ year: number, month: number }>}
+ */
+const getRangeMonths = (from, days) => {
+    const months = [];
+    const date = new Date(Date.UTC(from.year, from.month - 1, 1));
+    const last = new Date(Date.UTC(from.year, from.month - 1, from.day + days - 1));
+    while (date <= last) {
+        months.push({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 });
+        date.setUTCMonth(date.getUTCMonth() + 1);
+    }
+
+    return months;
+};
+
+/**
+ * Keeps the calendar items of a range of days.
+ * @param {Array<Object>} items - Calendar items
+ * @param {{ year: number, month: number, day: number }} from - First day of the range
+ * @param {number} days - Length of the range
+ * @returns {Array<Object>}
+ */
+const getRangeItems = (items, from, days) => {
+    const date = new Date(Date.UTC(from.year, from.month - 1, from.day + days - 1));
+    const to = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    return items.filter(({ date }) => compareDates(date, from) >= 0 && compareDates(date, to) <= 0);
+};
+
+const getEpisodeLabel = ({ season, episode }) => {
+    return typeof season === 'number' && typeof episode === 'number' ? `S${pad(season)}E${pad(episode)}` : null;
+};
+
+/**
+ * Builds an iCalendar file with an all day event for every video of the calendar items.
+ * @param {Array<Object>} items - Calendar items
+ * @param {Object} options
+ * @param {string} options.name - Name of the calendar
+ * @param {Date} options.stamp - When the file is built
+ * @param {string} options.baseUrl - Url the deep links of the videos are relative to
+ * @returns {string}
+ */
+const toICalendar = (items, { name, stamp, baseUrl }) => {
+    const events = items.flatMap(({ date, items }) => items.map((item) => {
+        const episode = getEpisodeLabel(item);
+        const url = `${baseUrl}${item.deepLinks.metaDetailsStreams}`;
+        return [
+            'BEGIN:VEVENT',
+            `UID:${[item.id, item.season, item.episode, formatDate(date)].filter((part) => part !== undefined && part !== null).join('-')}@stremio`,
+            `DTSTAMP:${formatDateTime(stamp)}`,
+            `DTSTART;VALUE=DATE:${formatDate(date)}`,
+            `DTEND;VALUE=DATE:${formatDate(getNextDate(date))}`,
+            `SUMMARY:${escapeText(episode !== null ? `${item.name} ${episode}` : item.name)}`,
+            `DESCRIPTION:${escapeText(item.title ? `${item.title}\n${url}` : url)}`,
+            `URL:${url}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT',
+        ];
+    }));
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flat(),
+        'END:VCALENDAR',
+    ]
+        .map(foldLine)
+        .join('\r\n')
+        .concat('\r\n');
+};
+
+module.exports = {
+    getRangeMonths,
+    getRangeItems,
+    toICalendar,
+};
@@ -0,0 +1,96 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// A month is loaded once the calendar model stops changing for a while
+const SETTLE_DELAY = 1000;
+const LOAD_TIMEOUT = 15000;
+
+type MonthArgs = {
+    year: number,
+    month: number,
+    day: number | null,
+};
+
+/**
+ * Loads a month in the calendar model and resolves with its items once they
+ * stop changing, the current month is loaded when no month is given.
+ */
+const loadCalendarMonth = (core: Core, args: MonthArgs | null) => {
+    return new Promise<CalendarItem[]>((resolve) => {
+        let settleTimeout: ReturnType<typeof setTimeout> | null = null;
+        const onLoaded = () => {
+            clearTimeout(loadTimeout);
+            if (settleTimeout !== null) {
+                clearTimeout(settleTimeout);
+            }
+
+            core.transport.off('NewState', onNewState);
+            core.transport.getState('calendar')
+                .then((state) => resolve((state as Calendar).items))
+                .catch(() => resolve([]));
+        };
+        const onNewState = (models: string[]) => {
+            if (models.includes('calendar')) {
+                if (settleTimeout !== null) {
+                    clearTimeout(settleTimeout);
+                }
+
+                settleTimeout = setTimeout(onLoaded, SETTLE_DELAY);
+            }
+        };
+        const loadTimeout = setTimeout(onLoaded, LOAD_TIMEOUT);
+        core.transport.on('NewState', onNewState);
+        core.transport.dispatch({
+            action: 'Load',
+            args: {
+                model: 'Calendar',
+                args,
+            },
+        }, 'calendar');
+    });
+};
+
+/**
+ * Loads a meta item in the meta details model and resolves once it is loaded,
+ * videos can only be marked as watched from there.
+ */
+const loadMetaDetails = (core: Core, type: string, id: string) => {
+    return new Promise<boolean>((resolve) => {
+        const onLoaded = (loaded: boolean) => {
+            clearTimeout(loadTimeout);
+            core.transport.off('NewState', onNewState);
+            resolve(loaded);
+        };
+        const onNewState = async (models: string[]) => {
+            if (!models.includes('meta_details')) {
+                return;
+            }
+
+            const { metaItem } = await core.transport.getState('meta_details') as MetaDetails;
+            if (metaItem !== null && metaItem.content.type !== 'Loading') {
+                onLoaded(metaItem.content.type === 'Ready' && (metaItem.content.content as MetaItemMetaDetails).id === id);
+            }
+        };
+        const loadTimeout = setTimeout(() => onLoaded(false), LOAD_TIMEOUT);
+        core.transport.on('NewState', onNewState);
+        core.transport.dispatch({
+            action: 'Load',
+            args: {
+                model: 'MetaDetails',
+                args: {
+                    metaPath: {
+                        resource: 'meta',
+                        type,
+                        id,
+                        extra: [],
+                    },
+                    streamPath: null,
+                },
+            },
+        }, 'meta_details');
+    });
+};
+
+export {
+    loadCalendarMonth,
+    loadMetaDetails,
+};
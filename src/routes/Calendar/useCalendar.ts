@@ -5,9 +5,14 @@ import { useModelState } from 'stremio/common';
 
 const useCalendar = (urlParams: UrlParams) => {
     const action = React.useMemo(() => {
-        const args = urlParams.year && urlParams.month ? {
+        // The months of a week are loaded by useCalendarWeek
+        if (urlParams.view === 'week') {
+            return null;
+        }
+
+        const args = urlParams.year && urlParams.period ? {
             year: parseInt(urlParams.year),
-            month: parseInt(urlParams.month),
+            month: parseInt(urlParams.period),
             day: urlParams.day ? parseInt(urlParams.day) : null,
         } : null;
 
@@ -0,0 +1,79 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import { useCallback, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useServices } from 'stremio/services';
+import { getRangeItems, getRangeMonths, toICalendar } from './ical';
+import { loadCalendarMonth } from './loadModels';
+
+const RANGE_DAYS = 90;
+
+const download = (content: string, filename: string) => {
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+};
+
+/**
+ * Exports calendar items as iCalendar files, either the visible days or the
+ * next 90 days, which can be published as a feed as well. The months of the
+ * range are loaded one after the other in the calendar model, which is then
+ * loaded back with the visible month.
+ * @param calendar - Calendar model
+ */
+const useCalendarExport = (calendar: Calendar) => {
+    const { t } = useTranslation();
+    const { core } = useServices();
+    // The calendar shown while the months of the range are loaded
+    const [snapshot, setSnapshot] = useState<Calendar | null>(null);
+
+    const build = useCallback((items: CalendarItem[], stamp: Date) => {
+        return toICalendar(items, {
+            name: t('CALENDAR_EXPORT_NAME'),
+            stamp,
+            baseUrl: `${window.location.origin}${window.location.pathname}`,
+        });
+    }, []);
+
+    const exportVisible = useCallback((items: CalendarItem[], filename: string) => {
+        download(build(items, new Date()), filename);
+    }, []);
+
+    const buildRange = useCallback(async () => {
+        const now = new Date();
+        const today = { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+        setSnapshot(calendar);
+        try {
+            const items: CalendarItem[] = [];
+            for (const { year, month } of getRangeMonths(today, RANGE_DAYS)) {
+                items.push(...await loadCalendarMonth(core, { year, month, day: null }));
+            }
+
+            return build(getRangeItems(items, today, RANGE_DAYS) as CalendarItem[], now);
+        } finally {
+            await loadCalendarMonth(core, calendar.selected);
+            setSnapshot(null);
+        }
+    }, [calendar]);
+
+    const exportRange = useCallback(async () => {
+        download(await buildRange(), 'stremio-calendar.ics');
+    }, [buildRange]);
+
+    const publishRange = useCallback(async (publish: (content: string) => Promise<void>) => {
+        await publish(await buildRange());
+    }, [buildRange]);
+
+    return {
+        calendar: snapshot ?? calendar,
+        exporting: snapshot !== null,
+        exportVisible,
+        exportRange,
+        publishRange,
+    };
+};
+
+export default useCalendarExport;
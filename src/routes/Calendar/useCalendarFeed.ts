@@ -0,0 +1,88 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import { useCallback, useState } from 'react';
+
+const STORAGE_KEY = 'calendarFeed';
+const REFRESH_INTERVAL = 12 * 60 * 60 * 1000;
+
+type Feed = {
+    serverUrl: string,
+    id: string,
+    token: string,
+    published: number | null,
+};
+
+const createSecret = (length: number) => {
+    return Array.from(window.crypto.getRandomValues(new Uint8Array(length)))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+};
+
+const createFeed = (serverUrl: string): Feed => ({
+    serverUrl,
+    id: createSecret(16),
+    token: createSecret(32),
+    published: null,
+});
+
+const readFeed = (): Feed => {
+    try {
+        const feed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) as string);
+        if (feed !== null && typeof feed.serverUrl === 'string' && typeof feed.id === 'string' && typeof feed.token === 'string') {
+            return { ...feed, published: typeof feed.published === 'number' ? feed.published : null };
+        }
+    } catch (_error) {
+        // Nothing was published yet
+    }
+
+    return createFeed(process.env.CALENDAR_FEED_URL || '');
+};
+
+const writeFeed = (feed: Feed) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(feed));
+    } catch (error) {
+        console.error('Calendar feed', error);
+    }
+};
+
+const getFeedUrl = ({ serverUrl, id }: Feed) => {
+    return `${serverUrl.replace(/\/+$/, '')}/feeds/${id}.ics`;
+};
+
+/**
+ * Publishes the calendar to a feed server, which calendar apps can subscribe to.
+ * The feed is only kept up to date by publishing it again, which is due every 12 hours.
+ */
+const useCalendarFeed = () => {
+    const [feed, setFeed] = useState<Feed>(readFeed);
+
+    const publish = useCallback(async (serverUrl: string, content: string) => {
+        // Another server gets a feed of its own, as the token of the previous one means nothing to it
+        const next = serverUrl === feed.serverUrl ? feed : createFeed(serverUrl);
+        const response = await fetch(getFeedUrl(next), {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${next.token}`,
+                'Content-Type': 'text/calendar',
+            },
+            body: content,
+        });
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}`);
+        }
+
+        const published = { ...next, published: Date.now() };
+        writeFeed(published);
+        setFeed(published);
+    }, [feed]);
+
+    return {
+        serverUrl: feed.serverUrl,
+        url: feed.published !== null ? getFeedUrl(feed) : null,
+        outdated: feed.published !== null && Date.now() - feed.published >= REFRESH_INTERVAL,
+        publish,
+    };
+};
+
+export default useCalendarFeed;
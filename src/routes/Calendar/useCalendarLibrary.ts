@@ -0,0 +1,48 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import { useEffect, useMemo, useRef } from 'react';
+import { useServices } from 'stremio/services';
+import { useModelState } from 'stremio/common';
+
+const LOAD_ACTION = {
+    action: 'Load',
+    args: {
+        model: 'LibraryWithFilters',
+        args: {
+            request: {
+                type: null,
+            }
+        }
+    }
+};
+
+/**
+ * Loads every page of the library, the calendar tells watched videos apart with it.
+ * @returns Library items by id
+ */
+const useCalendarLibrary = () => {
+    const { core } = useServices();
+    const library = useModelState({ model: 'library', action: LOAD_ACTION }) as Library;
+    const requestedPage = useRef<number | null>(null);
+
+    useEffect(() => {
+        if (library.selected !== null && library.selectable.nextPage !== null && requestedPage.current !== library.selected.request.page) {
+            requestedPage.current = library.selected.request.page;
+            core.transport.dispatch({
+                action: 'LibraryWithFilters',
+                args: {
+                    action: 'LoadNextPage',
+                }
+            }, 'library');
+        }
+    }, [library]);
+
+    return useMemo(() => {
+        return library.catalog.reduce<Record<string, LibraryItemLibrary>>((items, item) => {
+            items[item._id] = item;
+            return items;
+        }, {});
+    }, [library.catalog]);
+};
+
+export default useCalendarLibrary;
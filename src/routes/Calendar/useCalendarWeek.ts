@@ -0,0 +1,56 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import { useEffect, useState } from 'react';
+import { useServices } from 'stremio/services';
+import { getMonths, getWeekDays, isSameDate } from './calendarViews';
+import { loadCalendarMonth } from './loadModels';
+
+type Week = {
+    year: number,
+    week: number,
+};
+
+/**
+ * Loads the items of a week, a week can span two months of the calendar model.
+ */
+const useCalendarWeek = (week: Week | null) => {
+    const { core } = useServices();
+    const [items, setItems] = useState<CalendarItem[]>([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (week === null) {
+            return;
+        }
+
+        let cancelled = false;
+        const days = getWeekDays(week) as CalendarDate[];
+        const load = async () => {
+            const loaded: CalendarItem[] = [];
+            for (const { year, month } of getMonths(days)) {
+                loaded.push(...await loadCalendarMonth(core, { year, month, day: null }));
+                if (cancelled) {
+                    return;
+                }
+
+                setItems(days.map((date) => ({
+                    date,
+                    items: loaded.find((item) => isSameDate(item.date, date))?.items ?? [],
+                })));
+            }
+
+            setLoading(false);
+        };
+
+        setItems([]);
+        setLoading(true);
+        load().catch((error) => console.error('Calendar', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [week?.year, week?.week]);
+
+    return { items, loading };
+};
+
+export default useCalendarWeek;
@@ -0,0 +1,46 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import { useCallback, useState } from 'react';
+import { useServices } from 'stremio/services';
+import { getVideo } from './calendarViews';
+import { loadMetaDetails } from './loadModels';
+
+/**
+ * Marks the videos of a day as watched, one meta item after the other as they
+ * are marked from the meta details model.
+ */
+const useMarkAsWatched = () => {
+    const { core } = useServices();
+    // Videos marked in this session, the library only tells the last watched one
+    const [watched, setWatched] = useState<string[]>([]);
+    const [marking, setMarking] = useState<CalendarDate | null>(null);
+
+    const markAsWatched = useCallback(async (date: CalendarDate, items: CalendarContentItem[]) => {
+        setMarking(date);
+        const released = new Date(Date.UTC(date.year, date.month - 1, date.day)).toISOString();
+        try {
+            for (const item of items) {
+                const video = getVideo(item);
+                if (video === null || !await loadMetaDetails(core, video.type, video.metaId)) {
+                    continue;
+                }
+
+                await core.transport.dispatch({
+                    action: 'MetaDetails',
+                    args: {
+                        action: 'MarkVideoAsWatched',
+                        args: [{ id: video.videoId, released }, true],
+                    },
+                });
+                setWatched((watched) => watched.concat(video.videoId));
+            }
+        } finally {
+            core.transport.dispatch({ action: 'Unload' }, 'meta_details');
+            setMarking(null);
+        }
+    }, []);
+
+    return { watched, marking, markAsWatched };
+};
+
+export default useMarkAsWatched;
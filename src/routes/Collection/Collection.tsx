@@ -0,0 +1,218 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback, useMemo, useRef, useState } from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { useCollections } from 'stremio/common';
+import { Button, Chips, CollectionsDialog, Image, MainNavBars, MetaItem, TextInput, Toggle } from 'stremio/components';
+import { filterItemsByTags, getDeepLinks, getTags } from 'stremio/services/Collections/collections';
+import type { CollectionItem } from 'stremio/common/useCollections';
+import styles from './Collection.less';
+
+type Props = {
+    urlParams: UrlParams,
+};
+
+type OptionSelectEvent = {
+    value: string,
+    dataset: { id: string },
+};
+
+const Collection = ({ urlParams }: Props) => {
+    const { t } = useTranslation();
+    const { collections, tags, rename, remove, setOnBoard, removeItems, moveItem } = useCollections();
+    const [selectedTags, setSelectedTags] = useState<string[]>([]);
+    const [dialogItem, setDialogItem] = useState<CollectionItem | null>(null);
+    const [dropIndex, setDropIndex] = useState<number | null>(null);
+    const dragged = useRef<string | null>(null);
+
+    const collection = useMemo(() => {
+        return collections.find(({ id }) => id === urlParams.id) ?? null;
+    }, [collections, urlParams.id]);
+
+    const items = useMemo(() => {
+        return collection !== null ? filterItemsByTags(collection.items, tags, selectedTags) as CollectionItem[] : [];
+    }, [collection, tags, selectedTags]);
+
+    const tagChips = useMemo(() => {
+        const options = collection !== null ?
+            getTags(tags, collection.items.map(({ id }) => id)).map((tag) => ({ label: tag, value: tag }))
+            :
+            [];
+        return {
+            options,
+            selected: selectedTags,
+            onSelect: (tag: string) => setSelectedTags((selected) => selected.includes(tag) ?
+                selected.filter((selectedTag) => selectedTag !== tag)
+                :
+                selected.concat(tag)
+            ),
+        };
+    }, [collection, tags, selectedTags]);
+
+    const options = useMemo(() => [
+        { label: t('COLLECTIONS_EDIT'), value: 'collections' },
+        { label: t('COLLECTION_REMOVE_ITEM'), value: 'remove' },
+    ], []);
+
+    const boardToggle = useMemo(() => ({
+        checked: collection !== null && collection.board,
+        onClick: () => collection !== null && setOnBoard(collection.id, !collection.board),
+    }), [collection]);
+
+    const onRename = useCallback((event: React.SyntheticEvent<HTMLInputElement>) => {
+        const name = event.currentTarget.value.trim();
+        if (collection !== null && name.length > 0 && name !== collection.name) {
+            rename(collection.id, name);
+        }
+    }, [collection]);
+
+    const onRemove = useCallback(() => {
+        if (collection !== null) {
+            remove(collection.id);
+            window.location.replace('#/library');
+        }
+    }, [collection]);
+
+    const onOptionSelect = useCallback(({ value, dataset }: OptionSelectEvent) => {
+        if (collection === null) {
+            return;
+        }
+
+        switch (value) {
+            case 'collections': {
+                setDialogItem(collection.items.find(({ id }) => id === dataset.id) ?? null);
+                break;
+            }
+            case 'remove': {
+                removeItems(collection.id, [dataset.id]);
+                break;
+            }
+        }
+    }, [collection]);
+
+    const onDialogClose = useCallback(() => {
+        setDialogItem(null);
+    }, []);
+
+    const getMetaItemProps = useCallback((item: CollectionItem) => ({
+        ...item,
+        deepLinks: getDeepLinks(item),
+        options,
+        dataset: { id: item.id },
+        optionOnSelect: onOptionSelect,
+    }), [options, onOptionSelect]);
+
+    const onDragStart = useCallback((event: React.DragEvent<HTMLDivElement>) => {
+        dragged.current = event.currentTarget.dataset.id ?? null;
+        event.dataTransfer.effectAllowed = 'move';
+    }, []);
+
+    const onDragOver = useCallback((event: React.DragEvent<HTMLDivElement>) => {
+        if (dragged.current !== null) {
+            event.preventDefault();
+            setDropIndex(Number(event.currentTarget.dataset.index));
+        }
+    }, []);
+
+    const onDragEnd = useCallback(() => {
+        dragged.current = null;
+        setDropIndex(null);
+    }, []);
+
+    // Items are dropped at the place of the item under them in the whole collection, even when filtered by tags
+    const onDrop = useCallback((event: React.DragEvent<HTMLDivElement>) => {
+        event.preventDefault();
+        const target = event.currentTarget.dataset.id;
+        if (collection !== null && dragged.current !== null && target !== undefined) {
+            moveItem(collection.id, dragged.current, collection.items.findIndex(({ id }) => id === target));
+        }
+
+        onDragEnd();
+    }, [collection]);
+
+    return (
+        <MainNavBars className={styles['collection']} route={'library'}>
+            {
+                collection !== null ?
+                    <div className={classNames(styles['content'], 'animation-fade-in')}>
+                        <div className={styles['header']}>
+                            <TextInput
+                                key={collection.id}
+                                className={styles['name-input']}
+                                defaultValue={collection.name}
+                                title={t('COLLECTION_RENAME')}
+                                onBlur={onRename}
+                                onSubmit={onRename}
+                            />
+                            <div className={styles['option']}>
+                                <div className={styles['label']}>
+                                    {t('COLLECTION_SHOW_ON_BOARD')}
+                                </div>
+                                <Toggle tabIndex={-1} {...boardToggle} />
+                            </div>
+                            <Button className={styles['button']} title={t('COLLECTION_REMOVE')} onClick={onRemove}>
+                                <Icon className={styles['icon']} name={'bin'} />
+                                <div className={styles['label']}>
+                                    {t('COLLECTION_REMOVE')}
+                                </div>
+                            </Button>
+                        </div>
+                        {
+                            tagChips.options.length > 0 &&
+                                <Chips {...tagChips} />
+                        }
+                        {
+                            items.length === 0 ?
+                                <div className={styles['message-container']}>
+                                    <Image className={styles['image']} src={require('/images/empty.png')} alt={' '} />
+                                    <div className={styles['label']}>
+                                        {t(collection.items.length === 0 ? 'COLLECTION_EMPTY' : 'COLLECTION_NO_TAGGED_ITEMS')}
+                                    </div>
+                                </div>
+                                :
+                                <div className={styles['meta-items-container']}>
+                                    {
+                                        items.map((item, index) => (
+                                            <div
+                                                key={item.id}
+                                                className={classNames(styles['meta-item'], { [styles['drop-target']]: dropIndex === index })}
+                                                draggable={true}
+                                                data-id={item.id}
+                                                data-index={index}
+                                                onDragStart={onDragStart}
+                                                onDragOver={onDragOver}
+                                                onDragEnd={onDragEnd}
+                                                onDrop={onDrop}
+                                            >
+                                                <MetaItem {...getMetaItemProps(item)} />
+                                                {
+                                                    Array.isArray(tags[item.id]) &&
+                                                        <div className={styles['tags']} title={tags[item.id].join(', ')}>
+                                                            {tags[item.id].join(', ')}
+                                                        </div>
+                                                }
+                                            </div>
+                                        ))
+                                    }
+                                </div>
+                        }
+                    </div>
+                    :
+                    <div className={styles['message-container']}>
+                        <Image className={styles['image']} src={require('/images/empty.png')} alt={' '} />
+                        <div className={styles['label']}>
+                            {t('COLLECTION_NOT_FOUND')}
+                        </div>
+                    </div>
+            }
+            {
+                dialogItem !== null &&
+                    <CollectionsDialog item={dialogItem} onCloseRequest={onDialogClose} />
+            }
+        </MainNavBars>
+    );
+};
+
+export default Collection;
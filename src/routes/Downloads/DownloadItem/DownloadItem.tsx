@@ -0,0 +1,91 @@
+import React, { useCallback } from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button } from 'stremio/components';
+import { type DownloadItem as Item } from 'stremio/common/useDownloads';
+import formatSize from '../formatSize';
+import styles from './DownloadItem.less';
+
+type Props = {
+    item: Item,
+    first: boolean,
+    last: boolean,
+    onPause: (id: string) => void,
+    onResume: (id: string) => void,
+    onRemove: (id: string) => void,
+    onMove: (id: string, offset: number) => void,
+};
+
+const DownloadItem = ({ item, first, last, onPause, onResume, onRemove, onMove }: Props) => {
+    const { t } = useTranslation();
+
+    const progress = item.size !== null && item.size > 0 ?
+        Math.min(item.downloaded / item.size, 1)
+        :
+        item.status === 'completed' ? 1 : 0;
+
+    const pausable = item.status === 'queued' || item.status === 'downloading';
+    const resumable = item.status === 'paused' || item.status === 'error';
+
+    const onPauseClick = useCallback(() => onPause(item.id), [item.id, onPause]);
+    const onResumeClick = useCallback(() => onResume(item.id), [item.id, onResume]);
+    const onRemoveClick = useCallback(() => onRemove(item.id), [item.id, onRemove]);
+    const onMoveUpClick = useCallback(() => onMove(item.id, -1), [item.id, onMove]);
+    const onMoveDownClick = useCallback(() => onMove(item.id, 1), [item.id, onMove]);
+
+    return (
+        <div className={classNames(styles['download-item'], styles[item.status])}>
+            <div className={styles['info']}>
+                <div className={styles['title']} title={item.title}>
+                    {item.title || item.fileName}
+                </div>
+                <div className={styles['file-name']} title={item.fileName}>
+                    {item.destination === 'folder' ? item.fileName : t('DOWNLOADS_DESTINATION_CACHE')}
+                </div>
+                <div className={styles['progress-bar-container']}>
+                    <div className={styles['progress-bar']} style={{ width: `${progress * 100}%` }} />
+                </div>
+                <div className={styles['details']}>
+                    <div className={styles['status']}>
+                        {item.status === 'error' && item.error !== null ? t(item.error) : t(`DOWNLOADS_STATUS_${item.status.toUpperCase()}`)}
+                    </div>
+                    <div className={styles['size']}>
+                        {item.size !== null ? `${formatSize(item.downloaded)} / ${formatSize(item.size)}` : formatSize(item.downloaded)}
+                    </div>
+                </div>
+            </div>
+            <div className={styles['actions']}>
+                {
+                    item.status === 'completed' && item.deepLinks.player !== null &&
+                        <Button className={styles['action']} title={t('CTX_PLAY')} href={item.deepLinks.player}>
+                            <Icon className={styles['icon']} name={'play'} />
+                        </Button>
+                }
+                {
+                    pausable &&
+                        <Button className={styles['action']} title={t('DOWNLOADS_PAUSE')} onClick={onPauseClick}>
+                            <Icon className={styles['icon']} name={'pause'} />
+                        </Button>
+                }
+                {
+                    resumable &&
+                        <Button className={styles['action']} title={t('DOWNLOADS_RESUME')} onClick={onResumeClick}>
+                            <Icon className={styles['icon']} name={'download'} />
+                        </Button>
+                }
+                <Button className={styles['action']} title={t('DOWNLOADS_MOVE_UP')} disabled={first} onClick={onMoveUpClick}>
+                    <Icon className={classNames(styles['icon'], styles['up'])} name={'caret-down'} />
+                </Button>
+                <Button className={styles['action']} title={t('DOWNLOADS_MOVE_DOWN')} disabled={last} onClick={onMoveDownClick}>
+                    <Icon className={styles['icon']} name={'caret-down'} />
+                </Button>
+                <Button className={styles['action']} title={t('DOWNLOADS_REMOVE')} onClick={onRemoveClick}>
+                    <Icon className={styles['icon']} name={'bin'} />
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+export default DownloadItem;
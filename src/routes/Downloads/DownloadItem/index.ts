@@ -0,0 +1,3 @@
+import DownloadItem from './DownloadItem';
+
+export default DownloadItem;
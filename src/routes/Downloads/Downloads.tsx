@@ -0,0 +1,142 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback, useMemo } from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { useDownloads, useStreamingServer, useToast, withCoreSuspender } from 'stremio/common';
+import { Button, Image, MainNavBars } from 'stremio/components';
+import DownloadItem from './DownloadItem';
+import formatSize from './formatSize';
+import styles from './Downloads.less';
+
+const Downloads = () => {
+    const { t } = useTranslation();
+    const toast = useToast();
+    const streamingServer = useStreamingServer();
+    const { items, folder, folderPermission, folderSupported, pause, resume, remove, move, chooseFolder, requestFolderPermission, clearFolder } = useDownloads();
+
+    const cacheSize = useMemo(() => {
+        return streamingServer.settings?.type === 'Ready' ?
+            (streamingServer.settings.content as StreamingServerSettings).cacheSize
+            :
+            undefined;
+    }, [streamingServer.settings]);
+
+    const cacheUsage = useMemo(() => {
+        return items
+            .filter(({ destination }) => destination === 'cache')
+            .reduce((usage, { size, downloaded }) => usage + (size ?? downloaded), 0);
+    }, [items]);
+
+    const storageLabel = useMemo(() => {
+        return cacheSize === undefined ?
+            t('DOWNLOADS_SERVER_UNAVAILABLE')
+            :
+            cacheSize === 0 ?
+                t('DOWNLOADS_CACHE_DISABLED')
+                :
+                cacheSize === null ?
+                    t('DOWNLOADS_STORAGE_UNLIMITED', { used: formatSize(cacheUsage) })
+                    :
+                    t('DOWNLOADS_STORAGE', { used: formatSize(cacheUsage), limit: formatSize(cacheSize) });
+    }, [cacheSize, cacheUsage]);
+
+    const onChooseFolder = useCallback(() => {
+        chooseFolder().catch((error: Error) => {
+            if (error.name !== 'AbortError') {
+                toast.show({
+                    type: 'error',
+                    title: t('DOWNLOADS_FOLDER_ERROR'),
+                    timeout: 4000,
+                });
+            }
+        });
+    }, [chooseFolder]);
+
+    const onRequestFolderPermission = useCallback(() => {
+        requestFolderPermission().catch((error: Error) => {
+            console.error('Downloads', error);
+            toast.show({
+                type: 'error',
+                title: t('DOWNLOADS_FOLDER_ERROR'),
+                timeout: 4000,
+            });
+        });
+    }, [requestFolderPermission]);
+
+    return (
+        <MainNavBars className={styles['downloads']} route={'downloads'}>
+            <div className={classNames(styles['content'], 'animation-fade-in')}>
+                <div className={styles['storage']}>
+                    <div className={styles['usage']}>
+                        <div className={styles['label']}>
+                            {storageLabel}
+                        </div>
+                        {
+                            typeof cacheSize === 'number' && cacheSize > 0 &&
+                                <div className={styles['usage-bar-container']}>
+                                    <div className={styles['usage-bar']} style={{ width: `${Math.min(cacheUsage / cacheSize, 1) * 100}%` }} />
+                                </div>
+                        }
+                    </div>
+                    <div className={styles['destination']}>
+                        <div className={styles['label']}>
+                            {t('DOWNLOADS_DESTINATION', { destination: folder ?? t('DOWNLOADS_DESTINATION_CACHE') })}
+                        </div>
+                        {
+                            folderSupported &&
+                                <Button className={styles['button']} title={t('DOWNLOADS_CHOOSE_FOLDER')} onClick={onChooseFolder}>
+                                    <Icon className={styles['icon']} name={'download'} />
+                                    <div className={styles['label']}>{t('DOWNLOADS_CHOOSE_FOLDER')}</div>
+                                </Button>
+                        }
+                        {
+                            folder !== null && folderPermission !== 'granted' &&
+                                <Button className={styles['button']} title={t('DOWNLOADS_FOLDER_PERMISSION')} onClick={onRequestFolderPermission}>
+                                    <Icon className={styles['icon']} name={'warning'} />
+                                    <div className={styles['label']}>{t('DOWNLOADS_ALLOW_FOLDER')}</div>
+                                </Button>
+                        }
+                        {
+                            folder !== null &&
+                                <Button className={styles['button']} title={t('DOWNLOADS_USE_CACHE')} onClick={clearFolder}>
+                                    <div className={styles['label']}>{t('DOWNLOADS_USE_CACHE')}</div>
+                                </Button>
+                        }
+                    </div>
+                </div>
+                {
+                    items.length === 0 ?
+                        <div className={styles['message-container']}>
+                            <Image className={styles['image']} src={require('/images/empty.png')} alt={' '} />
+                            <div className={styles['label']}>{t('DOWNLOADS_EMPTY')}</div>
+                        </div>
+                        :
+                        <div className={styles['items']}>
+                            {
+                                items.map((item, index) => (
+                                    <DownloadItem
+                                        key={item.id}
+                                        item={item}
+                                        first={index === 0}
+                                        last={index === items.length - 1}
+                                        onPause={pause}
+                                        onResume={resume}
+                                        onRemove={remove}
+                                        onMove={move}
+                                    />
+                                ))
+                            }
+                        </div>
+                }
+            </div>
+        </MainNavBars>
+    );
+};
+
+const DownloadsFallback = () => (
+    <MainNavBars className={styles['downloads']} route={'downloads'} />
+);
+
+export default withCoreSuspender(Downloads, DownloadsFallback);
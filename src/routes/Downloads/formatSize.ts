@@ -0,0 +1,11 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+const formatSize = (bytes: number) => {
+    const exponent = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), UNITS.length - 1) : 0;
+    const value = bytes / Math.pow(1024, exponent);
+    return `${exponent > 0 ? value.toFixed(value < 10 ? 2 : 1) : value} ${UNITS[exponent]}`;
+};
+
+export default formatSize;
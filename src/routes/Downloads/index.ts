@@ -0,0 +1,5 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import Downloads from './Downloads';
+
+export default Downloads;
@@ -0,0 +1,119 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button } from 'stremio/components';
+import styles from './BulkActionBar.less';
+
+const ICONS: Record<string, string> = {
+    remove: 'bin',
+    watched: 'checkmark',
+    unwatched: 'eye',
+    dismiss: 'reset',
+    notifications: 'megaphone',
+};
+
+type Progress = {
+    done: number,
+    total: number,
+};
+
+type Operation = {
+    bulkAction: string,
+    count: number,
+    undo: object[] | null,
+};
+
+type Props = {
+    count: number,
+    actions: string[],
+    progress: Progress | null,
+    lastOperation: Operation | null,
+    onAction: (bulkAction: string) => void,
+    onSelectAll: () => void,
+    onClear: () => void,
+    onUndo: () => void,
+    onDismiss: () => void,
+};
+
+const BulkActionBar = ({ count, actions, progress, lastOperation, onAction, onSelectAll, onClear, onUndo, onDismiss }: Props) => {
+    const { t } = useTranslation();
+
+    const onActionClick = useCallback((event: React.MouseEvent<HTMLDivElement>) => {
+        const { action } = event.currentTarget.dataset;
+        if (typeof action === 'string') {
+            onAction(action);
+        }
+    }, [onAction]);
+
+    return (
+        <div className={styles['bulk-action-bar']}>
+            {
+                progress !== null ?
+                    <div className={styles['progress']}>
+                        <div className={styles['label']}>
+                            {t('LIBRARY_BULK_PROGRESS', { done: progress.done, total: progress.total })}
+                        </div>
+                        <div className={styles['progress-bar']}>
+                            <div className={styles['progress-bar-value']} style={{ width: `${progress.total > 0 ? progress.done / progress.total * 100 : 0}%` }} />
+                        </div>
+                    </div>
+                    :
+                    lastOperation !== null && count === 0 ?
+                        <React.Fragment>
+                            <div className={styles['label']}>
+                                {t(`LIBRARY_BULK_DONE_${lastOperation.bulkAction.toUpperCase()}`, { count: lastOperation.count })}
+                            </div>
+                            {
+                                lastOperation.undo !== null &&
+                                    <Button className={styles['button']} title={t('LIBRARY_BULK_UNDO')} onClick={onUndo}>
+                                        <Icon className={styles['icon']} name={'reset'} />
+                                        <div className={styles['label']}>
+                                            {t('LIBRARY_BULK_UNDO')}
+                                        </div>
+                                    </Button>
+                            }
+                            <Button className={styles['button']} title={t('BUTTON_CLOSE')} onClick={onDismiss}>
+                                <Icon className={styles['icon']} name={'close'} />
+                            </Button>
+                        </React.Fragment>
+                        :
+                        <React.Fragment>
+                            <div className={styles['label']}>
+                                {t('LIBRARY_SELECTED', { count })}
+                            </div>
+                            <Button className={styles['button']} title={t('LIBRARY_SELECT_ALL')} onClick={onSelectAll}>
+                                <div className={styles['label']}>
+                                    {t('LIBRARY_SELECT_ALL')}
+                                </div>
+                            </Button>
+                            <div className={styles['actions']}>
+                                {
+                                    actions.map((action) => (
+                                        <Button
+                                            key={action}
+                                            className={styles['button']}
+                                            title={t(`LIBRARY_BULK_${action.toUpperCase()}`)}
+                                            disabled={count === 0}
+                                            data-action={action}
+                                            onClick={onActionClick}
+                                        >
+                                            <Icon className={styles['icon']} name={ICONS[action]} />
+                                            <div className={styles['label']}>
+                                                {t(`LIBRARY_BULK_${action.toUpperCase()}`)}
+                                            </div>
+                                        </Button>
+                                    ))
+                                }
+                            </div>
+                            <Button className={styles['button']} title={t('LIBRARY_SELECT_CANCEL')} onClick={onClear}>
+                                <Icon className={styles['icon']} name={'close'} />
+                            </Button>
+                        </React.Fragment>
+            }
+        </div>
+    );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,48 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { useCollections } from 'stremio/common';
+import { Button, HorizontalScroll, TextInput } from 'stremio/components';
+import styles from './CollectionsBar.less';
+
+const CollectionsBar = () => {
+    const { t } = useTranslation();
+    const { collections, create } = useCollections();
+
+    const onCreate = useCallback((event: React.KeyboardEvent<HTMLInputElement>) => {
+        const name = event.currentTarget.value.trim();
+        if (name.length > 0) {
+            create(name);
+            event.currentTarget.value = '';
+        }
+    }, []);
+
+    return (
+        <HorizontalScroll className={styles['collections-bar']}>
+            {
+                collections.map(({ id, name, items }) => (
+                    <Button key={id} className={styles['collection']} title={name} href={`#/library/collection/${encodeURIComponent(id)}`}>
+                        <div className={styles['name']}>
+                            {name}
+                        </div>
+                        <div className={styles['count']}>
+                            {items.length}
+                        </div>
+                    </Button>
+                ))
+            }
+            <div className={styles['new-collection']}>
+                <Icon className={styles['icon']} name={'add'} />
+                <TextInput
+                    className={styles['text-input']}
+                    placeholder={t('COLLECTIONS_NEW')}
+                    onSubmit={onCreate}
+                />
+            </div>
+        </HorizontalScroll>
+    );
+};
+
+export default CollectionsBar;
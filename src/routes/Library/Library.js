@@ -5,11 +5,20 @@ const { useTranslation } = require('react-i18next');
 const PropTypes = require('prop-types');
 const classnames = require('classnames');
 const NotFound = require('stremio/routes/NotFound');
-const { useProfile, useNotifications, routesRegexp, useOnScrollToBottom, withCoreSuspender } = require('stremio/common');
-const { DelayedRenderer, Chips, Image, MainNavBars, LibItem, MultiselectMenu } = require('stremio/components');
+const { useProfile, useNotifications, useDownloads, useBinaryState, routesRegexp, useOnScrollToBottom, withCoreSuspender, CONSTANTS } = require('stremio/common');
+const { Button, DelayedRenderer, Chips, CollectionsDialog, Image, MainNavBars, LibItem, MultiselectMenu } = require('stremio/components');
 const { default: Placeholder } = require('./Placeholder');
+const { default: BulkActionBar } = require('./BulkActionBar');
+const { default: CollectionsBar } = require('./CollectionsBar');
+const { default: LibraryFilters } = require('./LibraryFilters');
+const { default: LibraryStats } = require('./LibraryStats');
+const { DEFAULT_FILTERS, isFiltering, filterLibraryItems, getGenres, getLibraryStats } = require('./libraryFilters');
+const { BULK_ACTIONS } = require('./bulkActions');
 const useLibrary = require('./useLibrary');
 const useSelectableInputs = require('./useSelectableInputs');
+const useSelection = require('./useSelection');
+const useBulkActions = require('./useBulkActions');
+const useLibraryMeta = require('./useLibraryMeta');
 const styles = require('./styles');
 
 const SCROLL_TO_BOTTOM_TRESHOLD = 400;
@@ -53,18 +62,86 @@ const Library = ({ model, urlParams, queryParams }) => {
     const notifications = useNotifications();
     const [library, loadNextPage] = useLibrary(model, urlParams, queryParams);
     const [typeSelect, sortChips, hasNextPage] = useSelectableInputs(library);
+    const { items: downloads } = useDownloads();
+    // Items kept in the streaming server cache play without network, so they are preferred over the last watched stream
+    const downloadedPlayers = React.useMemo(() => {
+        return downloads
+            .filter(({ status, metaId, deepLinks }) => status === 'completed' && metaId !== null && deepLinks.player !== null)
+            .reduce((players, { metaId, deepLinks }) => ({ ...players, [metaId]: deepLinks.player }), {});
+    }, [downloads]);
+    const [filters, setFilters] = React.useState(DEFAULT_FILTERS);
+    const [filtersOpen, , , toggleFiltersOpen] = useBinaryState(false);
+    const filtering = React.useMemo(() => {
+        return isFiltering(filters);
+    }, [filters]);
+    // Year and genres are only fetched once every page is loaded and they can be filtered on
+    const libraryMeta = useLibraryMeta(library.catalog, (filtersOpen || filtering) && !hasNextPage);
+    const genres = React.useMemo(() => {
+        return getGenres(library.catalog, libraryMeta.meta);
+    }, [library.catalog, libraryMeta.meta]);
+    const stats = React.useMemo(() => {
+        return getLibraryStats(library.catalog);
+    }, [library.catalog]);
+    const items = React.useMemo(() => {
+        return filtering ?
+            filterLibraryItems(library.catalog, filters, notifications.items, libraryMeta.meta)
+            :
+            library.catalog;
+    }, [library.catalog, filters, filtering, notifications.items, libraryMeta.meta]);
+    // Every page is loaded for the search, filters and stats, items are rendered a page at a time
+    const [limit, setLimit] = React.useState(CONSTANTS.CATALOG_PAGE_SIZE);
+    const visibleItems = React.useMemo(() => {
+        return items.slice(0, limit);
+    }, [items, limit]);
+    const ids = React.useMemo(() => {
+        return items.map(({ _id }) => _id);
+    }, [items]);
+    const selection = useSelection(ids);
+    const bulkActions = useBulkActions();
+    const selectedItems = React.useMemo(() => {
+        return library.catalog.filter(({ _id }) => selection.selected.includes(_id));
+    }, [library.catalog, selection.selected]);
+    // Only items in the library can be removed from it
+    const availableBulkActions = React.useMemo(() => {
+        return BULK_ACTIONS.filter((bulkAction) => bulkAction !== 'remove' || model === 'library');
+    }, [model]);
+    const onBulkAction = React.useCallback(async (bulkAction) => {
+        await bulkActions.apply(bulkAction, selectedItems);
+        selection.clear();
+    }, [bulkActions.apply, selectedItems]);
+    const [collectionsItem, setCollectionsItem] = React.useState(null);
+    const onCollectionsSelect = React.useCallback((id) => {
+        setCollectionsItem(library.catalog.find(({ _id }) => _id === id) || null);
+    }, [library.catalog]);
+    const onCollectionsDialogClose = React.useCallback(() => {
+        setCollectionsItem(null);
+    }, []);
     const scrollContainerRef = React.useRef(null);
     const onScrollToBottom = React.useCallback(() => {
-        if (hasNextPage) {
+        if (limit < items.length) {
+            setLimit(limit + CONSTANTS.CATALOG_PAGE_SIZE);
+        }
+    }, [limit, items.length]);
+    const requestedPage = React.useRef(null);
+    React.useEffect(() => {
+        if (library.selected !== null && hasNextPage && requestedPage.current !== library.selected.request.page) {
+            requestedPage.current = library.selected.request.page;
             loadNextPage();
         }
-    }, [hasNextPage, loadNextPage]);
+    }, [library.selected, hasNextPage]);
     const onScroll = useOnScrollToBottom(onScrollToBottom, SCROLL_TO_BOTTOM_TRESHOLD);
     React.useLayoutEffect(() => {
         if (scrollContainerRef.current !== null && library.selected && library.selected.request.page === 1 && library.catalog.length !== 0) {
             scrollContainerRef.current.scrollTop = 0;
         }
     }, [profile.auth, library.selected]);
+    React.useEffect(() => {
+        selection.clear();
+        requestedPage.current = null;
+    }, [urlParams, queryParams]);
+    React.useEffect(() => {
+        setLimit(CONSTANTS.CATALOG_PAGE_SIZE);
+    }, [urlParams, queryParams, filters]);
     React.useEffect(() => {
         if (!library.selected?.type && typeSelect.value) {
             window.location = typeSelect.value;
@@ -78,7 +155,54 @@ const Library = ({ model, urlParams, queryParams }) => {
                         <div className={styles['selectable-inputs-container']}>
                             <MultiselectMenu {...typeSelect} className={styles['select-input-container']} />
                             <Chips {...sortChips} className={styles['select-input-container']} />
+                            {
+                                library.catalog.length > 0 ?
+                                    <Button className={styles['select-button']} title={selection.selecting ? t('LIBRARY_SELECT_CANCEL') : t('LIBRARY_SELECT')} onClick={selection.toggleSelecting}>
+                                        {selection.selecting ? t('LIBRARY_SELECT_CANCEL') : t('LIBRARY_SELECT')}
+                                    </Button>
+                                    :
+                                    null
+                            }
                         </div>
+                        {
+                            library.selected !== null && library.catalog.length > 0 ?
+                                <React.Fragment>
+                                    <LibraryStats stats={stats} loading={!!hasNextPage} />
+                                    <LibraryFilters
+                                        filters={filters}
+                                        genres={genres}
+                                        open={filtersOpen}
+                                        loading={!!hasNextPage || libraryMeta.loading}
+                                        count={filtering ? items.length : null}
+                                        onChange={setFilters}
+                                        onToggle={toggleFiltersOpen}
+                                    />
+                                </React.Fragment>
+                                :
+                                null
+                        }
+                        {
+                            model === 'library' ?
+                                <CollectionsBar />
+                                :
+                                null
+                        }
+                        {
+                            selection.selecting || bulkActions.progress !== null || bulkActions.lastOperation !== null ?
+                                <BulkActionBar
+                                    count={selectedItems.length}
+                                    actions={availableBulkActions}
+                                    progress={bulkActions.progress}
+                                    lastOperation={bulkActions.lastOperation}
+                                    onAction={onBulkAction}
+                                    onSelectAll={selection.selectAll}
+                                    onClear={selection.clear}
+                                    onUndo={bulkActions.undo}
+                                    onDismiss={bulkActions.dismiss}
+                                />
+                                :
+                                null
+                        }
                         {
                             library.selected === null ?
                                 <DelayedRenderer delay={500}>
@@ -102,18 +226,45 @@ const Library = ({ model, urlParams, queryParams }) => {
                                         <div className={styles['message-label']}>{model === 'library' ? t('LIBRARY_EMPTY') : t('BOARD_CONTINUE_WATCHING_EMPTY')}</div>
                                     </div>
                                     :
-                                    <div ref={scrollContainerRef} className={classnames(styles['meta-items-container'], 'animation-fade-in')} onScroll={onScroll}>
-                                        {
-                                            library.catalog.map((libItem, index) => (
-                                                <LibItem {...libItem} notifications={notifications} removable={model === 'library'} key={index} />
-                                            ))
-                                        }
-                                    </div>
+                                    items.length === 0 ?
+                                        <div className={styles['message-container']}>
+                                            <div className={styles['message-label']}>{hasNextPage ? t('LIBRARY_FILTER_LOADING') : t('LIBRARY_FILTER_NO_RESULTS')}</div>
+                                        </div>
+                                        :
+                                        <div ref={scrollContainerRef} className={classnames(styles['meta-items-container'], 'animation-fade-in')} onScroll={onScroll}>
+                                            {
+                                                visibleItems.map((libItem, index) => (
+                                                    <LibItem
+                                                        {...libItem}
+                                                        deepLinks={
+                                                            downloadedPlayers[libItem._id] ?
+                                                                { ...libItem.deepLinks, player: downloadedPlayers[libItem._id] }
+                                                                :
+                                                                libItem.deepLinks
+                                                        }
+                                                        notifications={notifications}
+                                                        removable={model === 'library'}
+                                                        checked={selection.selecting ? selection.selected.includes(libItem._id) : undefined}
+                                                        data-index={index}
+                                                        onClick={selection.onItemClick}
+                                                        onLongPress={selection.onItemLongPress}
+                                                        onCollectionsSelect={onCollectionsSelect}
+                                                        key={index}
+                                                    />
+                                                ))
+                                            }
+                                        </div>
                         }
                     </div>
                     :
                     <Placeholder />
             }
+            {
+                collectionsItem !== null ?
+                    <CollectionsDialog item={collectionsItem} onCloseRequest={onCollectionsDialogClose} />
+                    :
+                    null
+            }
         </MainNavBars>
     );
 };
@@ -0,0 +1,138 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback, useMemo } from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button, Chips, MultiselectMenu, TextInput } from 'stremio/components';
+import { DEFAULT_FILTERS, PROGRESS_FILTERS } from '../libraryFilters';
+import styles from './LibraryFilters.less';
+
+type Filters = {
+    search: string,
+    progress: string[],
+    yearFrom: number | null,
+    yearTo: number | null,
+    genre: string | null,
+};
+
+type Props = {
+    filters: Filters,
+    genres: string[],
+    open: boolean,
+    loading: boolean,
+    count: number | null,
+    onChange: (filters: Filters) => void,
+    onToggle: () => void,
+};
+
+const parseYearInput = (value: string) => {
+    const year = parseInt(value, 10);
+    return isNaN(year) ? null : year;
+};
+
+const LibraryFilters = ({ filters, genres, open, loading, count, onChange, onToggle }: Props) => {
+    const { t } = useTranslation();
+
+    const onSearchChange = useCallback((event: React.ChangeEvent<HTMLInputElement>) => {
+        onChange({ ...filters, search: event.currentTarget.value });
+    }, [filters, onChange]);
+
+    const onYearFromChange = useCallback((event: React.ChangeEvent<HTMLInputElement>) => {
+        onChange({ ...filters, yearFrom: parseYearInput(event.currentTarget.value) });
+    }, [filters, onChange]);
+
+    const onYearToChange = useCallback((event: React.ChangeEvent<HTMLInputElement>) => {
+        onChange({ ...filters, yearTo: parseYearInput(event.currentTarget.value) });
+    }, [filters, onChange]);
+
+    const onClear = useCallback(() => {
+        onChange(DEFAULT_FILTERS);
+    }, [onChange]);
+
+    const progressChips = useMemo(() => ({
+        options: PROGRESS_FILTERS.map((value) => ({
+            label: t(`LIBRARY_FILTER_${value.toUpperCase()}`),
+            value,
+        })),
+        selected: filters.progress,
+        onSelect: (value: string) => onChange({
+            ...filters,
+            progress: filters.progress.includes(value) ?
+                filters.progress.filter((selected) => selected !== value)
+                :
+                filters.progress.concat(value),
+        }),
+    }), [filters, onChange]);
+
+    const genreSelect = useMemo(() => ({
+        title: t('LIBRARY_FILTER_GENRE'),
+        options: [{ label: t('LIBRARY_FILTER_ALL_GENRES'), value: '' }]
+            .concat(genres.map((genre) => ({ label: genre, value: genre }))),
+        value: filters.genre ?? '',
+        onSelect: (value: string) => onChange({ ...filters, genre: value.length > 0 ? value : null }),
+    }), [genres, filters, onChange]);
+
+    return (
+        <div className={styles['library-filters']}>
+            <div className={styles['search-row']}>
+                <div className={styles['search-bar']}>
+                    <Icon className={styles['icon']} name={'search'} />
+                    <TextInput
+                        className={styles['search-input']}
+                        type={'search'}
+                        placeholder={t('LIBRARY_SEARCH')}
+                        value={filters.search}
+                        onChange={onSearchChange}
+                    />
+                </div>
+                <Button className={classNames(styles['button'], { 'active': open })} title={t('LIBRARY_FILTERS')} onClick={onToggle}>
+                    <Icon className={styles['icon']} name={'filters'} />
+                    <div className={styles['label']}>
+                        {t('LIBRARY_FILTERS')}
+                    </div>
+                </Button>
+                {
+                    count !== null &&
+                        <div className={styles['count']}>
+                            {loading ? t('LIBRARY_FILTER_LOADING') : t('LIBRARY_FILTER_RESULTS', { count })}
+                        </div>
+                }
+                {
+                    count !== null &&
+                        <Button className={styles['button']} title={t('LIBRARY_FILTER_CLEAR')} onClick={onClear}>
+                            <Icon className={styles['icon']} name={'close'} />
+                        </Button>
+                }
+            </div>
+            {
+                open &&
+                    <div className={styles['facets']}>
+                        <Chips {...progressChips} />
+                        <div className={styles['years']}>
+                            <div className={styles['label']}>
+                                {t('LIBRARY_FILTER_YEAR')}
+                            </div>
+                            <TextInput
+                                className={styles['year-input']}
+                                type={'number'}
+                                placeholder={t('LIBRARY_FILTER_YEAR_FROM')}
+                                value={filters.yearFrom ?? ''}
+                                onChange={onYearFromChange}
+                            />
+                            <TextInput
+                                className={styles['year-input']}
+                                type={'number'}
+                                placeholder={t('LIBRARY_FILTER_YEAR_TO')}
+                                value={filters.yearTo ?? ''}
+                                onChange={onYearToChange}
+                            />
+                        </div>
+                        <MultiselectMenu className={styles['genre-select']} {...genreSelect} />
+                    </div>
+            }
+        </div>
+    );
+};
+
+export default LibraryFilters;
@@ -0,0 +1,65 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { useTranslate } from 'stremio/common';
+import styles from './LibraryStats.less';
+
+type TypeStats = {
+    type: string,
+    total: number,
+    watched: number,
+    completion: number,
+};
+
+type Props = {
+    stats: {
+        total: number,
+        hoursWatched: number,
+        types: TypeStats[],
+    },
+    loading: boolean,
+};
+
+const LibraryStats = ({ stats, loading }: Props) => {
+    const { t } = useTranslation();
+    const { stringWithPrefix } = useTranslate();
+
+    return (
+        <div className={styles['library-stats']}>
+            <div className={styles['stat']}>
+                <div className={styles['value']}>
+                    {stats.total}
+                </div>
+                <div className={styles['label']}>
+                    {loading ? t('LIBRARY_STATS_LOADING') : t('LIBRARY_STATS_TOTAL')}
+                </div>
+            </div>
+            <div className={styles['stat']}>
+                <div className={styles['value']}>
+                    {stats.hoursWatched}
+                </div>
+                <div className={styles['label']}>
+                    {t('LIBRARY_STATS_HOURS_WATCHED')}
+                </div>
+            </div>
+            {
+                stats.types.map(({ type, total, watched, completion }) => (
+                    <div key={type} className={styles['stat']} title={t('LIBRARY_STATS_WATCHED', { watched, total })}>
+                        <div className={styles['value']}>
+                            {`${completion}%`}
+                        </div>
+                        <div className={styles['label']}>
+                            {stringWithPrefix(type, 'TYPE_')}
+                        </div>
+                        <div className={styles['completion-bar']}>
+                            <div className={styles['completion']} style={{ width: `${completion}%` }} />
+                        </div>
+                    </div>
+                ))
+            }
+        </div>
+    );
+};
+
+export default LibraryStats;
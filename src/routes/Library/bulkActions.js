@@ -0,0 +1,81 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const BULK_ACTIONS = ['remove', 'watched', 'unwatched', 'dismiss', 'notifications'];
+
+const ctx = (action, args) => ({
+    action: 'Ctx',
+    args: { action, args }
+});
+
+/**
+ * Ids between the anchor and the clicked item, both included, in the order
+ * the items are shown.
+ * @param {Array<string>} ids - Ids of the items in view
+ * @param {string|null} anchor - Id of the item the range starts from
+ * @param {string} id - Id of the clicked item
+ * @returns {Array<string>}
+ */
+const getSelectionRange = (ids, anchor, id) => {
+    const start = anchor !== null ? ids.indexOf(anchor) : -1;
+    const end = ids.indexOf(id);
+    if (start === -1 || end === -1) {
+        return end !== -1 ? [id] : [];
+    }
+
+    return ids.slice(Math.min(start, end), Math.max(start, end) + 1);
+};
+
+/**
+ * Lists the core actions performing a bulk action on library items, one per
+ * item, and the ones undoing it. Items the action doesn't apply to are left out.
+ * @param {string} bulkAction - One of BULK_ACTIONS
+ * @param {Array<Object>} items - Selected library items
+ * @returns {{ actions: Array<Object>, undo: Array<Object>|null }} Undo is null when the action can't be undone
+ */
+const getBulkActions = (bulkAction, items) => {
+    switch (bulkAction) {
+        case 'remove': {
+            return {
+                actions: items.map(({ _id }) => ctx('RemoveFromLibrary', _id)),
+                // Adding a removed item back keeps its state
+                undo: items.map(({ _id, type, name, poster, posterShape }) => ctx('AddToLibrary', { id: _id, type, name, poster, posterShape })),
+            };
+        }
+        case 'watched':
+        case 'unwatched': {
+            const watched = bulkAction === 'watched';
+            const changed = items.filter((item) => item.watched !== watched);
+            return {
+                actions: changed.map(({ _id }) => ctx('LibraryItemMarkAsWatched', { id: _id, is_watched: watched })),
+                undo: changed.map(({ _id }) => ctx('LibraryItemMarkAsWatched', { id: _id, is_watched: !watched })),
+            };
+        }
+        case 'dismiss': {
+            // The core can rewind an item but not restore its progress
+            return {
+                actions: items
+                    .filter(({ progress }) => typeof progress === 'number' && progress > 0)
+                    .flatMap(({ _id }) => [ctx('RewindLibraryItem', _id), ctx('DismissNotificationItem', _id)]),
+                undo: null,
+            };
+        }
+        case 'notifications': {
+            // Notifications are turned off unless they are off for all the items
+            const noNotif = items.some(({ state }) => !state.noNotif);
+            const changed = items.filter(({ state }) => state.noNotif !== noNotif);
+            return {
+                actions: changed.map(({ _id }) => ctx('ToggleLibraryItemNotifications', [_id, noNotif])),
+                undo: changed.map(({ _id }) => ctx('ToggleLibraryItemNotifications', [_id, !noNotif])),
+            };
+        }
+        default: {
+            return { actions: [], undo: null };
+        }
+    }
+};
+
+module.exports = {
+    BULK_ACTIONS,
+    getSelectionRange,
+    getBulkActions,
+};
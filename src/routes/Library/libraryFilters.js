@@ -0,0 +1,142 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const PROGRESS_FILTERS = ['watched', 'in_progress', 'not_started', 'new_videos'];
+
+const DEFAULT_FILTERS = {
+    search: '',
+    progress: [],
+    yearFrom: null,
+    yearTo: null,
+    genre: null,
+};
+
+const normalizeText = (text) => {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+};
+
+/**
+ * Reads the first year of a release info like "2010" or "2010–2015".
+ * @param {string|null|undefined} releaseInfo - Release info of a meta item
+ * @returns {number|null}
+ */
+const parseYear = (releaseInfo) => {
+    const match = typeof releaseInfo === 'string' ? releaseInfo.match(/\d{4}/) : null;
+    return match !== null ? parseInt(match[0], 10) : null;
+};
+
+/**
+ * Tells how far the user got with a library item.
+ * @param {Object} item - Library item
+ * @returns {'watched'|'in_progress'|'not_started'}
+ */
+const getProgressState = (item) => {
+    if (item.watched) {
+        return 'watched';
+    }
+
+    return item.progress > 0 || item.state.timeWatched > 0 ? 'in_progress' : 'not_started';
+};
+
+const isFiltering = (filters) => {
+    return filters.search.trim().length > 0 ||
+        filters.progress.length > 0 ||
+        filters.yearFrom !== null ||
+        filters.yearTo !== null ||
+        filters.genre !== null;
+};
+
+/**
+ * Filters library items by title and facets. Progress facets match any of the
+ * selected ones, the other filters must all match.
+ * @param {Array<Object>} items - Library items
+ * @param {Object} filters - Search text and selected facets
+ * @param {Object} notifications - New videos by library item id
+ * @param {Object} meta - Year and genres by library item id, for the items they are known
+ * @returns {Array<Object>}
+ */
+const filterLibraryItems = (items, filters, notifications, meta) => {
+    const words = normalizeText(filters.search).split(/\s+/).filter((word) => word.length > 0);
+    return items.filter((item) => {
+        if (words.length > 0) {
+            const name = normalizeText(item.name);
+            if (!words.every((word) => name.includes(word))) {
+                return false;
+            }
+        }
+
+        if (filters.progress.length > 0) {
+            const newVideos = Array.isArray(notifications[item._id]) && notifications[item._id].length > 0;
+            const progress = getProgressState(item);
+            if (!filters.progress.some((filter) => filter === 'new_videos' ? newVideos : filter === progress)) {
+                return false;
+            }
+        }
+
+        if (filters.yearFrom !== null || filters.yearTo !== null) {
+            const year = meta[item._id] ? meta[item._id].year : null;
+            if (year === null || (filters.yearFrom !== null && year < filters.yearFrom) || (filters.yearTo !== null && year > filters.yearTo)) {
+                return false;
+            }
+        }
+
+        if (filters.genre !== null) {
+            const genres = meta[item._id] ? meta[item._id].genres : [];
+            if (!genres.includes(filters.genre)) {
+                return false;
+            }
+        }
+
+        return true;
+    });
+};
+
+/**
+ * Lists the genres of the library items.
+ * @param {Array<Object>} items - Library items
+ * @param {Object} meta - Year and genres by library item id
+ * @returns {Array<string>} Sorted genres
+ */
+const getGenres = (items, meta) => {
+    return Array.from(new Set(items.flatMap(({ _id }) => meta[_id] ? meta[_id].genres : [])))
+        .sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Counts the library items, the time spent watching them and how many of each
+ * type are watched.
+ * @param {Array<Object>} items - Library items
+ * @returns {{ total: number, hoursWatched: number, types: Array<{ type: string, total: number, watched: number, completion: number }> }}
+ */
+const getLibraryStats = (items) => {
+    const types = items.reduce((types, item) => {
+        const stats = types.get(item.type) || { type: item.type, total: 0, watched: 0 };
+        types.set(item.type, {
+            ...stats,
+            total: stats.total + 1,
+            watched: stats.watched + (item.watched ? 1 : 0),
+        });
+        return types;
+    }, new Map());
+    const timeWatched = items.reduce((time, { state }) => time + (state.overallTimeWatched || 0), 0);
+    return {
+        total: items.length,
+        hoursWatched: Math.round(timeWatched / 3600000),
+        types: Array.from(types.values())
+            .map((stats) => ({ ...stats, completion: Math.round(stats.watched / stats.total * 100) }))
+            .sort((a, b) => b.total - a.total),
+    };
+};
+
+module.exports = {
+    PROGRESS_FILTERS,
+    DEFAULT_FILTERS,
+    parseYear,
+    getProgressState,
+    isFiltering,
+    filterLibraryItems,
+    getGenres,
+    getLibraryStats,
+};
@@ -0,0 +1,61 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useServices } = require('stremio/services');
+const { getBulkActions } = require('./bulkActions');
+
+/**
+ * Runs a bulk action on library items, one core action at a time so the
+ * progress can be shown, and keeps what is needed to undo the last one.
+ */
+const useBulkActions = () => {
+    const { core } = useServices();
+    const [progress, setProgress] = React.useState(null);
+    const [lastOperation, setLastOperation] = React.useState(null);
+
+    const run = React.useCallback(async (actions) => {
+        setProgress({ done: 0, total: actions.length });
+        try {
+            for (let index = 0; index < actions.length; index++) {
+                await core.transport.dispatch(actions[index]);
+                setProgress({ done: index + 1, total: actions.length });
+            }
+        } finally {
+            setProgress(null);
+        }
+    }, []);
+
+    const apply = React.useCallback(async (bulkAction, items) => {
+        if (progress !== null || items.length === 0) {
+            return;
+        }
+
+        const { actions, undo } = getBulkActions(bulkAction, items);
+        setLastOperation(null);
+        await run(actions);
+        setLastOperation({ bulkAction, count: items.length, undo });
+    }, [progress]);
+
+    const undo = React.useCallback(async () => {
+        if (progress !== null || lastOperation === null || lastOperation.undo === null) {
+            return;
+        }
+
+        setLastOperation(null);
+        await run(lastOperation.undo);
+    }, [progress, lastOperation]);
+
+    const dismiss = React.useCallback(() => {
+        setLastOperation(null);
+    }, []);
+
+    return {
+        progress,
+        lastOperation,
+        apply,
+        undo,
+        dismiss,
+    };
+};
+
+module.exports = useBulkActions;
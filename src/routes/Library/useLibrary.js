@@ -12,8 +12,8 @@ const useLibrary = (model, urlParams, queryParams) => {
             args: {
                 action: 'LoadNextPage',
             }
-        }, 'library');
-    }, []);
+        }, model);
+    }, [model]);
     const action = React.useMemo(() => ({
         action: 'Load',
         args: {
@@ -0,0 +1,98 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useProfile } = require('stremio/common');
+const { parseYear } = require('./libraryFilters');
+
+const CACHE_KEY = 'libraryMeta';
+const CINEMETA_ID = 'com.linvo.cinemeta';
+const CONCURRENCY = 4;
+
+const readCache = () => {
+    try {
+        const cache = JSON.parse(window.localStorage.getItem(CACHE_KEY));
+        return cache !== null && typeof cache === 'object' ? cache : {};
+    } catch (_error) {
+        return {};
+    }
+};
+
+const writeCache = (cache) => {
+    try {
+        window.localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.error('LibraryMeta', error);
+    }
+};
+
+/**
+ * Library items don't have a year or genres, they are read from the meta items
+ * of the installed Cinemeta addon and kept on this device.
+ * @param {Array<Object>} items - Library items
+ * @param {boolean} enabled - Whether missing meta items are fetched
+ * @returns {{ meta: Object, loading: boolean }} Year and genres by library item id
+ */
+const useLibraryMeta = (items, enabled) => {
+    const profile = useProfile();
+    const [meta, setMeta] = React.useState(readCache);
+    const [loading, setLoading] = React.useState(false);
+
+    const baseUrl = React.useMemo(() => {
+        const addon = profile.addons.find(({ manifest }) => manifest.id === CINEMETA_ID);
+        return addon ? addon.transportUrl.replace(/\/manifest\.json$/, '') : null;
+    }, [profile.addons]);
+
+    React.useEffect(() => {
+        const missing = items.filter(({ _id, type }) => !meta[_id] && _id.startsWith('tt') && (type === 'movie' || type === 'series'));
+        if (!enabled || baseUrl === null || missing.length === 0) {
+            return;
+        }
+
+        let cancelled = false;
+        const fetched = {};
+        const fetchMeta = async ({ _id, type }) => {
+            try {
+                const response = await fetch(`${baseUrl}/meta/${encodeURIComponent(type)}/${encodeURIComponent(_id)}.json`);
+                const { meta } = response.ok ? await response.json() : {};
+                fetched[_id] = {
+                    year: meta ? parseYear(meta.releaseInfo || meta.year) : null,
+                    genres: meta && Array.isArray(meta.genres) ? meta.genres : [],
+                };
+            } catch (error) {
+                console.error('LibraryMeta', error);
+            }
+        };
+        const next = async () => {
+            while (!cancelled && missing.length > 0) {
+                await fetchMeta(missing.shift());
+            }
+        };
+
+        // What was fetched is kept even when the items change before all are fetched
+        const save = () => {
+            setMeta((meta) => {
+                const cache = { ...meta, ...fetched };
+                writeCache(cache);
+                return cache;
+            });
+        };
+
+        setLoading(true);
+        Promise.all(Array(CONCURRENCY).fill(null).map(next)).then(() => {
+            if (!cancelled) {
+                setLoading(false);
+                save();
+            }
+        });
+
+        return () => {
+            cancelled = true;
+            setLoading(false);
+            save();
+        };
+    }, [items, enabled, baseUrl]);
+
+    return { meta, loading };
+};
+
+module.exports = useLibraryMeta;
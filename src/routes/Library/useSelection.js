@@ -0,0 +1,90 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { getSelectionRange } = require('./bulkActions');
+
+/**
+ * Multi-select of the items in view. Once selecting, clicks select items
+ * instead of opening them. Shift-click selects a range, ctrl-click and long
+ * press start selecting from any item.
+ * @param {Array<string>} ids - Ids of the items in view, in the order they are shown
+ */
+const useSelection = (ids) => {
+    const [selecting, setSelecting] = React.useState(false);
+    const [selected, setSelected] = React.useState([]);
+    const anchor = React.useRef(null);
+    // The click following a long press on the same item is swallowed
+    const longPressed = React.useRef(null);
+
+    const toggle = React.useCallback((id) => {
+        anchor.current = id;
+        setSelected((selected) => selected.includes(id) ?
+            selected.filter((selectedId) => selectedId !== id)
+            :
+            selected.concat(id)
+        );
+    }, []);
+
+    const clear = React.useCallback(() => {
+        anchor.current = null;
+        longPressed.current = null;
+        setSelecting(false);
+        setSelected([]);
+    }, []);
+
+    const toggleSelecting = React.useCallback(() => {
+        if (selecting) {
+            clear();
+        } else {
+            setSelecting(true);
+        }
+    }, [selecting]);
+
+    const selectAll = React.useCallback(() => {
+        setSelecting(true);
+        setSelected(ids);
+    }, [ids]);
+
+    const onItemClick = React.useCallback((event) => {
+        const id = ids[event.currentTarget.dataset.index];
+        if (typeof id !== 'string') {
+            return;
+        }
+
+        if (longPressed.current === id) {
+            longPressed.current = null;
+            event.preventDefault();
+            return;
+        }
+
+        if (event.shiftKey) {
+            event.preventDefault();
+            const range = getSelectionRange(ids, anchor.current, id);
+            anchor.current = id;
+            setSelecting(true);
+            setSelected((selected) => selected.concat(range.filter((rangeId) => !selected.includes(rangeId))));
+        } else if (selecting || event.ctrlKey || event.metaKey) {
+            event.preventDefault();
+            setSelecting(true);
+            toggle(id);
+        }
+    }, [ids, selecting]);
+
+    const onItemLongPress = React.useCallback((id) => {
+        longPressed.current = id;
+        setSelecting(true);
+        toggle(id);
+    }, []);
+
+    return {
+        selecting,
+        selected,
+        toggleSelecting,
+        selectAll,
+        clear,
+        onItemClick,
+        onItemLongPress,
+    };
+};
+
+module.exports = useSelection;
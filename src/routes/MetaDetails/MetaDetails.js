@@ -5,27 +5,38 @@ const { useTranslation } = require('react-i18next');
 const PropTypes = require('prop-types');
 const classnames = require('classnames');
 const { useServices } = require('stremio/services');
-const { withCoreSuspender } = require('stremio/common');
+const { withCoreSuspender, useToast, useStreamPreferences } = require('stremio/common');
 const { VerticalNavBar, HorizontalNavBar, DelayedRenderer, Image, MetaPreview, ModalDialog } = require('stremio/components');
 const StreamsList = require('./StreamsList');
 const VideosList = require('./VideosList');
 const useMetaDetails = require('./useMetaDetails');
 const useSeason = require('./useSeason');
+const usePlayBest = require('./usePlayBest');
 const useMetaExtensionTabs = require('./useMetaExtensionTabs');
+const useTraktImport = require('./useTraktImport');
+const { parseInvite, storePendingInvite } = require('stremio/routes/Player/WatchParty/invite');
 const styles = require('./styles');
 
 const MetaDetails = ({ urlParams, queryParams }) => {
     const { t } = useTranslation();
     const { core } = useServices();
+    const toast = useToast();
+    const [streamPreferences] = useStreamPreferences();
     const metaDetails = useMetaDetails(urlParams);
     const [season, setSeason] = useSeason(urlParams, queryParams);
     const [tabs, metaExtension, clearMetaExtension] = useMetaExtensionTabs(metaDetails.metaExtensions);
+    useTraktImport(metaDetails);
     const [metaPath, streamPath] = React.useMemo(() => {
         return metaDetails.selected !== null ?
             [metaDetails.selected.metaPath, metaDetails.selected.streamPath]
             :
             [null, null];
     }, [metaDetails.selected]);
+    const [playBestPending, playBest] = usePlayBest(
+        metaDetails.streams,
+        streamPreferences,
+        streamPath !== null && streamPath.id === urlParams.videoId
+    );
     const video = React.useMemo(() => {
         return streamPath !== null && metaDetails.metaItem !== null && metaDetails.metaItem.content.type === 'Ready' ?
             metaDetails.metaItem.content.content.videos.reduce((result, video) => {
@@ -75,6 +86,9 @@ const MetaDetails = ({ urlParams, queryParams }) => {
             });
         }
     }, [metaDetails.libraryItem]);
+    const onPlayBest = React.useCallback(() => {
+        playBest();
+    }, [playBest]);
     const seasonOnSelect = React.useCallback((event) => {
         setSeason(event.value);
     }, [setSeason]);
@@ -85,6 +99,24 @@ const MetaDetails = ({ urlParams, queryParams }) => {
         window.location = searchVideoPath;
     }, [urlParams, window.location]);
 
+    React.useEffect(() => {
+        if (queryParams.get('playBest') === 'true') {
+            playBest(queryParams.get('bingeGroup'), true);
+        }
+    }, [urlParams.videoId]);
+
+    React.useEffect(() => {
+        const invite = parseInvite(queryParams);
+        if (invite !== null && typeof urlParams.videoId === 'string') {
+            storePendingInvite(invite, urlParams.videoId);
+            toast.show({
+                type: 'info',
+                title: t('WATCH_PARTY_PICK_STREAM'),
+                timeout: 8000
+            });
+        }
+    }, [urlParams.videoId]);
+
     const renderBackgroundImageFallback = React.useCallback(() => null, []);
     const renderBackground = React.useMemo(() => !!(
         metaPath &&
@@ -170,6 +202,8 @@ const MetaDetails = ({ urlParams, queryParams }) => {
                                             toggleInLibrary={metaDetails.metaItem.content.content.inLibrary ? removeFromLibrary : addToLibrary}
                                             metaId={metaDetails.metaItem.content.content.id}
                                             ratingInfo={metaDetails.ratingInfo}
+                                            playBestPending={playBestPending}
+                                            onPlayBest={streamPath !== null ? onPlayBest : null}
                                         />
                                     </React.Fragment>
                 }
@@ -181,6 +215,7 @@ const MetaDetails = ({ urlParams, queryParams }) => {
                             streams={metaDetails.streams}
                             video={video}
                             type={streamPath.type}
+                            metaName={metaDetails.metaItem !== null && metaDetails.metaItem.content.type === 'Ready' ? metaDetails.metaItem.content.content.name : null}
                             onEpisodeSearch={handleEpisodeSearch}
                         />
                         :
@@ -12,7 +12,31 @@ const { useRouteFocused } = require('stremio-router');
 const StreamPlaceholder = require('./StreamPlaceholder');
 const styles = require('./styles');
 
-const Stream = ({ className, videoId, videoReleased, addonName, name, description, thumbnail, progress, deepLinks, ...props }) => {
+const getLinkProps = (deepLinks, platformName) => {
+    const href = deepLinks && (deepLinks.player || deepLinks.externalPlayer) ?
+        deepLinks.externalPlayer ?
+            deepLinks.externalPlayer.web ?
+                deepLinks.externalPlayer.web
+                :
+                deepLinks.externalPlayer.openPlayer ?
+                    deepLinks.externalPlayer.openPlayer[platformName] ?
+                        deepLinks.externalPlayer.openPlayer[platformName]
+                        :
+                        deepLinks.externalPlayer.playlist
+                    :
+                    deepLinks.player
+            :
+            deepLinks.player
+        :
+        null;
+    return {
+        href,
+        target: href === deepLinks?.externalPlayer?.web ? '_blank' : null,
+        download: href === deepLinks?.externalPlayer?.playlist ? deepLinks.externalPlayer.fileName : null,
+    };
+};
+
+const Stream = ({ className, videoId, videoReleased, addonName, name, description, thumbnail, progress, deepLinks, origins, ...props }) => {
     const profile = useProfile();
     const toast = useToast();
     const platform = usePlatform();
@@ -20,6 +44,7 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
     const routeFocused = useRouteFocused();
 
     const [menuOpen, , closeMenu, toggleMenu] = useBinaryState(false);
+    const [originsOpen, , , toggleOrigins] = useBinaryState(false);
 
     const popupLabelOnMouseUp = React.useCallback((event) => {
         if (!event.nativeEvent.togglePopupPrevented) {
@@ -52,39 +77,10 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
         event.nativeEvent.buttonClickPrevented = true;
     }, []);
 
-    const href = React.useMemo(() => {
-        return deepLinks && (deepLinks.player || deepLinks.externalPlayer) ?
-            deepLinks.externalPlayer ?
-                deepLinks.externalPlayer.web ?
-                    deepLinks.externalPlayer.web
-                    :
-                    deepLinks.externalPlayer.openPlayer ?
-                        deepLinks.externalPlayer.openPlayer[platform.name] ?
-                            deepLinks.externalPlayer.openPlayer[platform.name]
-                            :
-                            deepLinks.externalPlayer.playlist
-                        :
-                        deepLinks.player
-                :
-                deepLinks.player
-            :
-            null;
+    const { href, target, download } = React.useMemo(() => {
+        return getLinkProps(deepLinks, platform.name);
     }, [deepLinks, platform.name]);
 
-    const download = React.useMemo(() => {
-        return href === deepLinks?.externalPlayer?.playlist ?
-            deepLinks.externalPlayer.fileName
-            :
-            null;
-    }, [href, deepLinks]);
-
-    const target = React.useMemo(() => {
-        return href === deepLinks?.externalPlayer?.web ?
-            '_blank'
-            :
-            null;
-    }, [href, deepLinks]);
-
     const streamLink = React.useMemo(() => {
         return deepLinks?.externalPlayer?.download;
     }, [deepLinks]);
@@ -101,7 +97,7 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
         }
     }, [videoId, videoReleased]);
 
-    const onClick = React.useCallback((event) => {
+    const onOpen = React.useCallback((event, onClick) => {
         if (profile.settings.playerType !== null) {
             markVideoAsWatched();
             toast.show({
@@ -111,10 +107,14 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
             });
         }
 
-        if (typeof props.onClick === 'function') {
-            props.onClick(event);
+        if (typeof onClick === 'function') {
+            onClick(event);
         }
-    }, [props.onClick, profile.settings, markVideoAsWatched]);
+    }, [profile.settings, markVideoAsWatched]);
+
+    const onClick = React.useCallback((event) => {
+        onOpen(event, props.onClick);
+    }, [props.onClick, onOpen]);
 
     const copyStreamLink = React.useCallback((event) => {
         event.preventDefault();
@@ -138,6 +138,22 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
         }
     }, [streamLink]);
 
+    const onDownload = React.useCallback((event) => {
+        event.preventDefault();
+        closeMenu();
+        if (typeof props.onDownload === 'function') {
+            props.onDownload();
+        }
+    }, [props.onDownload]);
+
+    const onDownloadToFolder = React.useCallback((event) => {
+        event.preventDefault();
+        closeMenu();
+        if (typeof props.onDownloadToFolder === 'function') {
+            props.onDownloadToFolder();
+        }
+    }, [props.onDownloadToFolder]);
+
     const renderThumbnailFallback = React.useCallback(() => (
         <Icon className={styles['placeholder-icon']} name={'ic_broken_link'} />
     ), []);
@@ -161,6 +177,14 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
                                 <div className={styles['addon-name']}>{name || addonName}</div>
                             </div>
                     }
+                    {
+                        Array.isArray(origins) && origins.length > 1 ?
+                            <div className={styles['origins-badge']} title={origins.map(({ addonName }) => addonName).join(', ')}>
+                                {t('STREAM_ADDONS_COUNT', { count: origins.length })}
+                            </div>
+                            :
+                            null
+                    }
                     {
                         progress !== null && !isNaN(progress) && progress > 0 ?
                             <div className={styles['progress-bar-container']}>
@@ -176,7 +200,7 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
                 {children}
             </Button>
         );
-    }, [thumbnail, progress, addonName, name, description, href, target, download, onClick]);
+    }, [thumbnail, progress, addonName, name, description, origins, href, target, download, onClick]);
 
     const renderMenu = React.useMemo(() => function renderMenu() {
         return (
@@ -195,9 +219,23 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
                             <div className={styles['context-menu-option-label']}>{t('CTX_COPY_STREAM_LINK')}</div>
                         </Button>
                 }
+                {
+                    typeof props.onDownload === 'function' &&
+                        <Button className={styles['context-menu-option-container']} title={t('CTX_DOWNLOAD')} onClick={onDownload}>
+                            <Icon className={styles['menu-icon']} name={'download'} />
+                            <div className={styles['context-menu-option-label']}>{t('CTX_DOWNLOAD')}</div>
+                        </Button>
+                }
+                {
+                    typeof props.onDownloadToFolder === 'function' &&
+                        <Button className={styles['context-menu-option-container']} title={t('CTX_DOWNLOAD_TO_FOLDER')} onClick={onDownloadToFolder}>
+                            <Icon className={styles['menu-icon']} name={'download'} />
+                            <div className={styles['context-menu-option-label']}>{t('CTX_DOWNLOAD_TO_FOLDER')}</div>
+                        </Button>
+                }
             </div>
         );
-    }, [copyStreamLink, onClick]);
+    }, [copyStreamLink, onDownload, onDownloadToFolder, onClick]);
 
     React.useEffect(() => {
         if (!routeFocused) {
@@ -206,16 +244,48 @@ const Stream = ({ className, videoId, videoReleased, addonName, name, descriptio
     }, [routeFocused]);
 
     return (
-        <Popup
-            className={className}
-            onMouseUp={popupLabelOnMouseUp}
-            onLongPress={popupLabelOnLongPress}
-            onContextMenu={popupLabelOnContextMenu}
-            open={menuOpen}
-            onCloseRequest={closeMenu}
-            renderLabel={renderLabel}
-            renderMenu={renderMenu}
-        />
+        <div className={className}>
+            <Popup
+                onMouseUp={popupLabelOnMouseUp}
+                onLongPress={popupLabelOnLongPress}
+                onContextMenu={popupLabelOnContextMenu}
+                open={menuOpen}
+                onCloseRequest={closeMenu}
+                renderLabel={renderLabel}
+                renderMenu={renderMenu}
+            />
+            {
+                Array.isArray(origins) && origins.length > 1 ?
+                    <React.Fragment>
+                        <Button className={styles['origins-button']} onClick={toggleOrigins}>
+                            <div className={styles['label']}>{t('STREAM_CHOOSE_ORIGIN')}</div>
+                            <Icon className={classnames(styles['icon'], { [styles['open']]: originsOpen })} name={'caret-down'} />
+                        </Button>
+                        {
+                            originsOpen ?
+                                <div className={styles['origins-container']}>
+                                    {origins.map((origin, index) => (
+                                        <Button
+                                            key={index}
+                                            className={styles['origin']}
+                                            title={origin.addonName}
+                                            {...getLinkProps(origin.deepLinks, platform.name)}
+                                            onClick={(event) => onOpen(event, origin.onClick)}
+                                        >
+                                            <div className={styles['addon-name']}>{origin.addonName}</div>
+                                            <div className={styles['name']}>{origin.name}</div>
+                                            <Icon className={styles['icon']} name={'play'} />
+                                        </Button>
+                                    ))}
+                                </div>
+                                :
+                                null
+                        }
+                    </React.Fragment>
+                    :
+                    null
+            }
+        </div>
     );
 };
 
@@ -247,7 +317,15 @@ Stream.propTypes = {
             })
         })
     }),
-    onClick: PropTypes.func
+    origins: PropTypes.arrayOf(PropTypes.shape({
+        addonName: PropTypes.string,
+        name: PropTypes.string,
+        deepLinks: PropTypes.object,
+        onClick: PropTypes.func
+    })),
+    onClick: PropTypes.func,
+    onDownload: PropTypes.func,
+    onDownloadToFolder: PropTypes.func
 };
 
 module.exports = Stream;
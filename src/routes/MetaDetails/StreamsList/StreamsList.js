@@ -5,22 +5,35 @@ const PropTypes = require('prop-types');
 const classnames = require('classnames');
 const { useTranslation } = require('react-i18next');
 const { default: Icon } = require('@stremio/stremio-icons/react');
-const { Button, Image, MultiselectMenu } = require('stremio/components');
+const { Button, Chips, Image, MultiselectMenu } = require('stremio/components');
 const { useServices } = require('stremio/services');
 const Stream = require('./Stream');
 const styles = require('./styles');
-const { usePlatform, useProfile } = require('stremio/common');
+const { usePlatform, useProfile, languages, parseStreamDescriptor } = require('stremio/common');
 const { default: SeasonEpisodePicker } = require('../EpisodePicker');
+const { SORTS, applyStreamsOptions } = require('./streamsOptions');
+const useStreamsOptions = require('./useStreamsOptions');
+const groupStreams = require('./groupStreams');
+const useStreamDownload = require('./useStreamDownload');
 
 const ALL_ADDONS_KEY = 'ALL';
 
-const StreamsList = ({ className, video, type, onEpisodeSearch, ...props }) => {
+const QUALITY_FILTERS = [
+    ['hideCam', 'STREAMS_FILTER_HIDE_CAM'],
+    ['minResolution:1080', 'STREAMS_FILTER_MIN_1080P'],
+    ['minResolution:2160', 'STREAMS_FILTER_4K'],
+    ['hdr', 'STREAMS_FILTER_HDR'],
+];
+
+const StreamsList = ({ className, video, type, metaName, onEpisodeSearch, ...props }) => {
     const { t } = useTranslation();
     const { core } = useServices();
     const platform = usePlatform();
     const profile = useProfile();
     const streamsContainerRef = React.useRef(null);
     const [selectedAddon, setSelectedAddon] = React.useState(ALL_ADDONS_KEY);
+    const [streamsOptions, toggleSort, toggleFilter] = useStreamsOptions(type);
+    const [downloadStream, downloadStreamToFolder] = useStreamDownload(metaName, video);
     const onAddonSelected = React.useCallback((value) => {
         streamsContainerRef.current.scrollTo({ top: 0, left: 0, behavior: platform.name === 'ios' ? 'smooth' : 'instant' });
         setSelectedAddon(value);
@@ -55,11 +68,13 @@ const StreamsList = ({ className, video, type, onEpisodeSearch, ...props }) => {
                             core.transport.analytics({
                                 event: 'StreamClicked',
                                 args: {
-                                    stream
+                                    stream,
+                                    origin: streams.addon.transportUrl
                                 }
                             });
                         },
-                        addonName: streams.addon.manifest.name
+                        addonName: streams.addon.manifest.name,
+                        descriptor: parseStreamDescriptor(stream)
                     }))
                 };
 
@@ -75,6 +90,51 @@ const StreamsList = ({ className, video, type, onEpisodeSearch, ...props }) => {
                 :
                 [];
     }, [streamsByAddon, selectedAddon]);
+    const visibleStreams = React.useMemo(() => {
+        const streams = applyStreamsOptions(filteredStreams, streamsOptions);
+        return selectedAddon === ALL_ADDONS_KEY ?
+            groupStreams(streams)
+            :
+            streams.map((stream) => ({ ...stream, origins: [stream] }));
+    }, [filteredStreams, streamsOptions, selectedAddon]);
+    const sortChips = React.useMemo(() => {
+        return {
+            options: Object.keys(SORTS).map((sort) => ({
+                value: sort,
+                label: t(`STREAMS_SORT_${sort.toUpperCase()}`)
+            })),
+            selected: streamsOptions.sort !== null ? [streamsOptions.sort] : [],
+            onSelect: toggleSort
+        };
+    }, [streamsOptions.sort, toggleSort]);
+    const filterChips = React.useMemo(() => {
+        // Language filters are offered for the languages found in the streams and for the ones already selected
+        const languageFilters = filteredStreams
+            .flatMap(({ descriptor }) => [
+                ...descriptor.languages.map((code) => `audio:${code}`),
+                ...descriptor.subtitles.map((code) => `subtitles:${code}`)
+            ])
+            .concat(streamsOptions.filters.filter((filter) => /^(audio|subtitles):/.test(filter)))
+            .filter((filter, index, filters) => filters.indexOf(filter) === index)
+            .sort();
+        return {
+            options: [
+                ...QUALITY_FILTERS.map(([value, label]) => ({
+                    value,
+                    label: t(label)
+                })),
+                ...languageFilters.map((filter) => {
+                    const [kind, code] = filter.split(':');
+                    return {
+                        value: filter,
+                        label: t(kind === 'audio' ? 'STREAMS_FILTER_AUDIO' : 'STREAMS_FILTER_SUBTITLES', { language: languages.label(code) })
+                    };
+                })
+            ],
+            selected: streamsOptions.filters,
+            onSelect: toggleFilter
+        };
+    }, [filteredStreams, streamsOptions.filters, toggleFilter]);
     const selectableOptions = React.useMemo(() => {
         return {
             options: [
@@ -124,6 +184,15 @@ const StreamsList = ({ className, video, type, onEpisodeSearch, ...props }) => {
                         null
                 }
             </div>
+            {
+                filteredStreams.length > 0 ?
+                    <div className={styles['streams-options-container']}>
+                        <Chips {...sortChips} />
+                        <Chips {...filterChips} />
+                    </div>
+                    :
+                    null
+            }
             {
                 props.streams.length === 0 ?
                     <div className={styles['message-container']}>
@@ -180,7 +249,15 @@ const StreamsList = ({ className, video, type, onEpisodeSearch, ...props }) => {
                                         null
                                 }
                                 <div className={styles['streams-container']} ref={streamsContainerRef}>
-                                    {filteredStreams.map((stream, index) => (
+                                    {
+                                        visibleStreams.length === 0 ?
+                                            <div className={styles['filtered-message']}>
+                                                {t('STREAMS_NO_MATCHING_FILTERS')}
+                                            </div>
+                                            :
+                                            null
+                                    }
+                                    {visibleStreams.map((stream, index) => (
                                         <Stream
                                             key={index}
                                             videoId={video?.id}
@@ -191,7 +268,20 @@ const StreamsList = ({ className, video, type, onEpisodeSearch, ...props }) => {
                                             thumbnail={stream.thumbnail}
                                             progress={stream.progress}
                                             deepLinks={stream.deepLinks}
+                                            origins={stream.origins}
                                             onClick={stream.onClick}
+                                            onDownload={
+                                                typeof stream.deepLinks?.externalPlayer?.streaming === 'string' ?
+                                                    () => downloadStream(stream)
+                                                    :
+                                                    null
+                                            }
+                                            onDownloadToFolder={
+                                                downloadStreamToFolder !== null && typeof stream.infoHash === 'string' && typeof stream.deepLinks?.externalPlayer?.streaming === 'string' ?
+                                                    () => downloadStreamToFolder(stream)
+                                                    :
+                                                    null
+                                            }
                                         />
                                     ))}
                                     {
@@ -215,6 +305,7 @@ StreamsList.propTypes = {
     streams: PropTypes.arrayOf(PropTypes.object).isRequired,
     video: PropTypes.object,
     type: PropTypes.string,
+    metaName: PropTypes.string,
     onEpisodeSearch: PropTypes.func
 };
 
@@ -0,0 +1,54 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Urls differing only by case of the host, a trailing slash or a hash point to the same stream
+const normalizeUrl = (url) => {
+    try {
+        const { protocol, host, pathname, search } = new URL(url);
+        return `${protocol}//${host}${pathname.replace(/\/+$/, '')}${search}`;
+    } catch (_error) {
+        return url;
+    }
+};
+
+const getStreamKey = (stream) => {
+    if (typeof stream.infoHash === 'string') {
+        return `infoHash:${stream.infoHash.toLowerCase()}:${typeof stream.fileIdx === 'number' ? stream.fileIdx : ''}`;
+    }
+
+    if (typeof stream.url === 'string') {
+        return `url:${normalizeUrl(stream.url)}`;
+    }
+
+    if (typeof stream.ytId === 'string') {
+        return `ytId:${stream.ytId}`;
+    }
+
+    return null;
+};
+
+/**
+ * Collapses the streams which point to the same torrent file or url into the
+ * first of them, keeping every stream it was offered as in its origins.
+ * @param {Array<Object>} streams - Streams of all the addons
+ * @returns {Array<Object>} Streams in their order, each with its origins
+ */
+const groupStreams = (streams) => {
+    const groups = new Map();
+    return streams.reduce((result, stream) => {
+        const key = getStreamKey(stream);
+        if (key !== null && groups.has(key)) {
+            groups.get(key).origins.push(stream);
+        } else {
+            const group = { ...stream, origins: [stream] };
+            if (key !== null) {
+                groups.set(key, group);
+            }
+
+            result.push(group);
+        }
+
+        return result;
+    }, []);
+};
+
+module.exports = groupStreams;
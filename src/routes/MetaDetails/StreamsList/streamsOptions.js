@@ -0,0 +1,55 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const LOW_QUALITY_SOURCES = ['CAM', 'TS', 'SCR'];
+
+// Streams with unknown values are kept after the known ones
+const descending = (a, b) => {
+    return a === null ? (b === null ? 0 : 1) : b === null ? -1 : b - a;
+};
+
+const SORTS = {
+    quality: (a, b) => {
+        return descending(a.resolution, b.resolution) ||
+            descending(a.hdr.length, b.hdr.length) ||
+            descending(a.size, b.size);
+    },
+    size: (a, b) => descending(a.size, b.size),
+    seeders: (a, b) => descending(a.seeders, b.seeders),
+};
+
+// Filters are written as <name> or <name>:<argument>, e.g. minResolution:1080 or subtitles:heb
+const FILTERS = {
+    hideCam: (descriptor) => !LOW_QUALITY_SOURCES.includes(descriptor.source),
+    minResolution: (descriptor, resolution) => descriptor.resolution !== null && descriptor.resolution >= parseInt(resolution, 10),
+    hdr: (descriptor) => descriptor.hdr.length > 0,
+    audio: (descriptor, language) => descriptor.languages.includes(language),
+    subtitles: (descriptor, language) => descriptor.subtitles.includes(language),
+};
+
+const matchesFilters = (descriptor, filters) => {
+    return filters.every((filter) => {
+        const [name, argument] = filter.split(':');
+        return typeof FILTERS[name] !== 'function' || FILTERS[name](descriptor, argument);
+    });
+};
+
+/**
+ * Filters and sorts streams by their parsed descriptors. Streams keep the
+ * order of the addons when they are equal or when no sort is selected.
+ * @param {Array<Object>} streams - Streams with a descriptor property
+ * @param {Object} options - Sort name and list of filters
+ * @returns {Array<Object>} Streams matching all the filters
+ */
+const applyStreamsOptions = (streams, { sort, filters }) => {
+    const filtered = streams.filter(({ descriptor }) => matchesFilters(descriptor, filters));
+    return typeof SORTS[sort] === 'function' ?
+        filtered.sort((a, b) => SORTS[sort](a.descriptor, b.descriptor))
+        :
+        filtered;
+};
+
+module.exports = {
+    SORTS,
+    FILTERS,
+    applyStreamsOptions,
+};
@@ -0,0 +1,112 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useTranslation } = require('react-i18next');
+const { useDownloads, useStreamingServer, useToast, routesRegexp } = require('stremio/common');
+
+const getMetaId = (player) => {
+    const match = typeof player === 'string' ? player.replace(/^#/, '').match(routesRegexp.player.regexp) : null;
+    return match !== null && typeof match[5] === 'string' ? decodeURIComponent(match[5]) : null;
+};
+
+// The player reads streams saved to the downloads folder from the file
+const getPlayerLink = (player, destination, id) => {
+    if (typeof player !== 'string') {
+        return null;
+    }
+
+    return destination === 'folder' ? `${player}?download=${encodeURIComponent(id)}` : player;
+};
+
+const getFileName = (stream, url, title) => {
+    const fileName = stream.behaviorHints && typeof stream.behaviorHints.filename === 'string' ?
+        stream.behaviorHints.filename
+        :
+        typeof stream.infoHash !== 'string' ?
+            decodeURIComponent(new URL(url).pathname.split('/').pop())
+            :
+            `${title} ${stream.infoHash.slice(0, 8)}`;
+    return fileName.replace(/[\\/:*?"<>|]/g, '_') || 'download';
+};
+
+/**
+ * Queues streams for offline viewing. Torrents are kept in the streaming server cache,
+ * unless they are saved to the downloads folder on purpose, which is required for other streams.
+ * Streams saved to the folder are played from the file they were saved to.
+ * @returns {[Function, Function|null]} Downloads a stream and saves a torrent to the downloads folder,
+ * which is null until a folder is chosen
+ */
+const useStreamDownload = (metaName, video) => {
+    const { t } = useTranslation();
+    const toast = useToast();
+    const downloads = useDownloads();
+    const streamingServer = useStreamingServer();
+
+    const title = React.useMemo(() => {
+        const name = typeof metaName === 'string' ? metaName : '';
+        return video && typeof video.season === 'number' ?
+            `${name} S${video.season}E${video.episode}`.trim()
+            :
+            name;
+    }, [metaName, video]);
+
+    const cacheSize = React.useMemo(() => {
+        return streamingServer.settings?.type === 'Ready' ?
+            streamingServer.settings.content.cacheSize
+            :
+            undefined;
+    }, [streamingServer.settings]);
+
+    const download = React.useCallback((stream, toFolder = false) => {
+        const url = stream.deepLinks && stream.deepLinks.externalPlayer ? stream.deepLinks.externalPlayer.streaming : null;
+        if (typeof url !== 'string') {
+            return;
+        }
+
+        const destination = toFolder || typeof stream.infoHash !== 'string' ? 'folder' : 'cache';
+        if (destination === 'folder' && downloads.folder === null) {
+            toast.show({
+                type: 'error',
+                title: t(downloads.folderSupported ? 'DOWNLOADS_FOLDER_REQUIRED' : 'DOWNLOADS_NOT_SUPPORTED'),
+                timeout: 4000
+            });
+            return;
+        }
+
+        if (destination === 'cache' && !cacheSize) {
+            toast.show({
+                type: 'error',
+                title: t(cacheSize === 0 ? 'DOWNLOADS_CACHE_DISABLED' : 'DOWNLOADS_NOT_SUPPORTED'),
+                timeout: 4000
+            });
+            return;
+        }
+
+        const added = downloads.add({
+            id: url,
+            metaId: getMetaId(stream.deepLinks.player),
+            title,
+            fileName: getFileName(stream, url, title),
+            url,
+            destination,
+            cacheSize: destination === 'cache' ? cacheSize : null,
+            deepLinks: {
+                player: getPlayerLink(stream.deepLinks.player, destination, url),
+                metaDetailsStreams: window.location.hash.split('?')[0]
+            }
+        });
+        toast.show({
+            type: added ? 'success' : 'info',
+            title: t(added ? 'DOWNLOADS_ADDED' : 'DOWNLOADS_ALREADY_ADDED'),
+            timeout: 4000
+        });
+    }, [title, cacheSize, downloads.folder, downloads.add]);
+
+    const downloadToFolder = React.useCallback((stream) => {
+        download(stream, true);
+    }, [download]);
+
+    return [download, downloads.folder !== null ? downloadToFolder : null];
+};
+
+module.exports = useStreamDownload;
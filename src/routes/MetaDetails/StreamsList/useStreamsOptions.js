@@ -0,0 +1,74 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+
+const STORAGE_KEY = 'streamsOptions';
+
+const DEFAULT_OPTIONS = {
+    sort: null,
+    filters: [],
+};
+
+const read = () => {
+    try {
+        const options = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return options !== null && typeof options === 'object' ? options : {};
+    } catch (_error) {
+        return {};
+    }
+};
+
+const write = (options) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+    } catch (error) {
+        console.error('Streams options', error);
+    }
+};
+
+const readType = (type) => {
+    const options = read()[type];
+    return options ?
+        {
+            sort: typeof options.sort === 'string' ? options.sort : null,
+            filters: Array.isArray(options.filters) ? options.filters.filter((filter) => typeof filter === 'string') : [],
+        }
+        :
+        DEFAULT_OPTIONS;
+};
+
+/**
+ * Remembers the sorting and the filters of the streams list for each meta type.
+ * @param {string} type - Meta type
+ * @returns {[Object, Function, Function]} Sort and filters, a function toggling a sort and a function toggling a filter
+ */
+const useStreamsOptions = (type) => {
+    const [options, setOptions] = React.useState(() => readType(type));
+
+    const update = React.useCallback((options) => {
+        write({ ...read(), [type]: options });
+        setOptions(options);
+    }, [type]);
+
+    const toggleSort = React.useCallback((sort) => {
+        update({ ...options, sort: options.sort === sort ? null : sort });
+    }, [options, update]);
+
+    const toggleFilter = React.useCallback((filter) => {
+        update({
+            ...options,
+            filters: options.filters.includes(filter) ?
+                options.filters.filter((value) => value !== filter)
+                :
+                options.filters.concat(filter),
+        });
+    }, [options, update]);
+
+    React.useEffect(() => {
+        setOptions(readType(type));
+    }, [type]);
+
+    return [options, toggleSort, toggleFilter];
+};
+
+module.exports = useStreamsOptions;
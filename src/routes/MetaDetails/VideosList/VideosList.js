@@ -5,8 +5,9 @@ const PropTypes = require('prop-types');
 const classnames = require('classnames');
 const { t } = require('i18next');
 const { useServices } = require('stremio/services');
-const { useProfile } = require('stremio/common');
-const { Image, SearchBar, Toggle, Video, DelayedRenderer } = require('stremio/components');
+const { useProfile, getPlayBestLink } = require('stremio/common');
+const { default: Icon } = require('@stremio/stremio-icons/react');
+const { Button, Image, SearchBar, Toggle, Video, DelayedRenderer } = require('stremio/components');
 const SeasonsBar = require('./SeasonsBar');
 const { default: EpisodePicker } = require('../EpisodePicker');
 const styles = require('./styles');
@@ -67,6 +68,16 @@ const VideosList = ({ className, metaItem, libraryItem, season, seasonOnSelect,
             });
     }, [videos, selectedSeason]);
 
+    // The video being watched or else the first one of the season which is not watched yet
+    const playBestVideo = React.useMemo(() => {
+        const current = videos.find((video) => video.id === libraryItem?.state?.video_id);
+        const video = current && !current.watched ?
+            current
+            :
+            videosForSeason.find((video) => !video.watched && !video.upcoming);
+        return video && typeof video.deepLinks?.metaDetailsStreams === 'string' ? video : null;
+    }, [videos, videosForSeason, libraryItem]);
+
     const seasonWatched = React.useMemo(() => {
         return videosForSeason.every((video) => video.watched);
     }, [videosForSeason]);
@@ -163,6 +174,21 @@ const VideosList = ({ className, metaItem, libraryItem, season, seasonOnSelect,
                                     :
                                     null
                             }
+                            {
+                                playBestVideo !== null ?
+                                    <Button
+                                        className={styles['play-best-button']}
+                                        title={t('PLAY_BEST')}
+                                        href={getPlayBestLink(playBestVideo.deepLinks.metaDetailsStreams)}
+                                    >
+                                        <Icon className={styles['icon']} name={'play'} />
+                                        <div className={styles['label']}>
+                                            {t('PLAY_BEST_EPISODE', { season: playBestVideo.season, episode: playBestVideo.episode })}
+                                        </div>
+                                    </Button>
+                                    :
+                                    null
+                            }
                             {
                                 seasons.length > 0 ?
                                     <SeasonsBar
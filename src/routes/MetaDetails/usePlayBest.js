@@ -0,0 +1,69 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useTranslation } = require('react-i18next');
+const { useToast, getStreamCandidates, rankStreams } = require('stremio/common');
+
+// Addons still loading after this long are not waited for
+const LOADING_TIMEOUT = 10000;
+
+/**
+ * Plays the best ranked of the streams once all the addons answered or the
+ * slow ones timed out, or as soon as a stream of the requested binge group is found.
+ * @param {Array<Object>} streams - Streams grouped by addon as in the meta details model
+ * @param {Object} preferences - Stream preferences
+ * @param {boolean} ready - Whether the streams belong to the selected video
+ * @returns {[boolean, Function]} Whether a stream is being resolved and a function requesting it
+ */
+const usePlayBest = (streams, preferences, ready) => {
+    const { t } = useTranslation();
+    const toast = useToast();
+    const [request, setRequest] = React.useState(null);
+
+    const playBest = React.useCallback((bingeGroup = null, replace = false) => {
+        setRequest({ bingeGroup, replace, timedOut: false });
+    }, []);
+
+    React.useEffect(() => {
+        if (request === null || request.timedOut || !ready) {
+            return;
+        }
+
+        const timeout = setTimeout(() => {
+            setRequest((current) => current === request ? { ...request, timedOut: true } : current);
+        }, LOADING_TIMEOUT);
+        return () => clearTimeout(timeout);
+    }, [request, ready]);
+
+    React.useEffect(() => {
+        if (request === null || !ready) {
+            return;
+        }
+
+        const [best] = rankStreams(getStreamCandidates(streams), preferences, request.bingeGroup);
+        const loading = streams.some(({ content }) => content.type === 'Loading');
+        const bingeGroupFound = best && typeof request.bingeGroup === 'string' && best.stream.behaviorHints && best.stream.behaviorHints.bingeGroup === request.bingeGroup;
+        if (loading && !bingeGroupFound && !request.timedOut) {
+            return;
+        }
+
+        setRequest(null);
+        if (best) {
+            if (request.replace) {
+                window.location.replace(best.stream.deepLinks.player);
+            } else {
+                window.location = best.stream.deepLinks.player;
+            }
+        } else {
+            toast.show({
+                type: 'info',
+                title: t('PLAY_BEST_NO_STREAM'),
+                timeout: 4000
+            });
+        }
+    }, [request, streams, preferences, ready]);
+
+    return [request !== null, playBest];
+};
+
+module.exports = usePlayBest;
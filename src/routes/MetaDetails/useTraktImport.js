@@ -0,0 +1,116 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useServices } = require('stremio/services');
+const { useProfile, useTrakt } = require('stremio/common');
+const { getRatingStatus, mergeRating } = require('stremio/services/Trakt/sync');
+
+/**
+ * Marks what was watched on Trakt as watched, and keeps the rating of the meta
+ * item the same on Stremio and Trakt. Both need the meta details model, so
+ * they are done when the meta item is opened rather than during the sync.
+ * @param {Object} metaDetails - Meta details model
+ */
+const useTraktImport = (metaDetails) => {
+    const { core } = useServices();
+    const profile = useProfile();
+    const trakt = useTrakt();
+    const rating = React.useRef(null);
+
+    const authenticated = React.useMemo(() => {
+        const auth = profile.auth !== null ? profile.auth.user.trakt : null;
+        return !!auth && Date.now() / 1000 < auth.created_at + auth.expires_in;
+    }, [profile.auth]);
+
+    const metaItem = metaDetails.metaItem !== null && metaDetails.metaItem.content.type === 'Ready' ?
+        metaDetails.metaItem.content.content
+        :
+        null;
+
+    const ratingInfo = metaDetails.ratingInfo !== null && metaDetails.ratingInfo.type === 'Ready' ?
+        metaDetails.ratingInfo.content
+        :
+        null;
+
+    // Only what is left to import is in the history, so each video is marked once
+    React.useEffect(() => {
+        const watched = metaItem !== null ? trakt.history[metaItem.id] : null;
+        if (!authenticated || !Array.isArray(watched)) {
+            return;
+        }
+
+        if (metaItem.type === 'movie') {
+            if (metaDetails.libraryItem === null) {
+                return;
+            }
+
+            if (!metaItem.watched) {
+                core.transport.dispatch({
+                    action: 'Ctx',
+                    args: {
+                        action: 'LibraryItemMarkAsWatched',
+                        args: { id: metaItem.id, is_watched: true }
+                    }
+                });
+            }
+
+            trakt.markImported(metaItem.id, [metaItem.id]);
+        } else {
+            const videos = metaItem.videos.filter((video) => watched.includes(video.id));
+            if (videos.length === 0) {
+                return;
+            }
+
+            videos
+                .filter((video) => !video.watched)
+                .forEach((video) => {
+                    core.transport.dispatch({
+                        action: 'MetaDetails',
+                        args: {
+                            action: 'MarkVideoAsWatched',
+                            args: [video, true]
+                        }
+                    });
+                });
+            trakt.markImported(metaItem.id, videos.map(({ id }) => id));
+        }
+    }, [authenticated, metaItem, metaDetails.libraryItem, trakt.history]);
+
+    React.useEffect(() => {
+        if (!authenticated || metaItem === null || ratingInfo === null || ratingInfo.metaId !== metaItem.id) {
+            return;
+        }
+
+        // The first rating seen is merged with the Trakt one, the following ones are made by the user
+        const previous = rating.current;
+        rating.current = { metaId: ratingInfo.metaId, status: ratingInfo.status };
+        if (previous !== null && previous.metaId === ratingInfo.metaId) {
+            if (previous.status !== ratingInfo.status) {
+                trakt.rate({ type: metaItem.type, id: metaItem.id }, ratingInfo.status);
+            }
+
+            return;
+        }
+
+        switch (mergeRating(ratingInfo.status, trakt.localRatings[metaItem.id], trakt.ratings[metaItem.id])) {
+            case 'pull': {
+                const status = getRatingStatus(trakt.ratings[metaItem.id].rating);
+                rating.current = { metaId: ratingInfo.metaId, status };
+                core.transport.dispatch({
+                    action: 'MetaDetails',
+                    args: {
+                        action: 'Rate',
+                        args: status
+                    }
+                });
+                break;
+            }
+            case 'push': {
+                trakt.rate({ type: metaItem.type, id: metaItem.id }, ratingInfo.status);
+                break;
+            }
+        }
+    }, [authenticated, metaItem, ratingInfo]);
+};
+
+module.exports = useTraktImport;
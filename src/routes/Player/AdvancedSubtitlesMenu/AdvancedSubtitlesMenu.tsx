@@ -1,7 +1,7 @@
 // Copyright (C) 2024 Stremio UI/UX Enhancement
 // Advanced Subtitles Menu with Intuitive Styling Interface
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import classNames from 'classnames';
 import { Button, ColorInput } from 'stremio/components';
@@ -12,10 +12,49 @@ import {
     SUBTITLE_SIZES, 
     SUBTITLE_COLORS,
     SUBTITLE_OUTLINE_SIZES,
-    SUBTITLE_FORMATS 
+    SUBTITLE_FORMATS,
+    SUBTITLE_ENCODINGS,
+    PERFORMANCE_SETTINGS
 } from 'stremio/common/ENHANCED_CONSTANTS';
 import styles from './AdvancedSubtitlesMenu.less';
 
+type SubtitlesCue = {
+    start: number,
+    end: number,
+    text: string
+};
+
+type SubtitlesEditor = {
+    status: 'idle' | 'loading' | 'ready' | 'failed',
+    trackId: string | null,
+    cues: SubtitlesCue[],
+    edited: boolean
+};
+
+const EXPORT_FORMATS = ['srt', 'vtt', 'ass'];
+
+// Cues shown before the one at the playback time, and in total
+const CUES_BEFORE = 3;
+const CUES_SHOWN = 12;
+
+const formatCueTime = (seconds: number) => {
+    const total = Math.round(seconds * 1000);
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const secs = Math.floor((total % 60000) / 1000);
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(total % 1000).padStart(3, '0')}`;
+};
+
+// Accepts H:MM:SS.mmm, MM:SS.mmm or SS.mmm, with a dot or a comma
+const parseCueTime = (value: string) => {
+    const parts = value.trim().replace(',', '.').split(':');
+    if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) {
+        return null;
+    }
+
+    return parts.reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+};
+
 type Props = {
     className?: string,
     subtitlesTracks: Array<{
@@ -52,6 +91,8 @@ type Props = {
         bitrate?: number
     }>,
     selectedAudioTrackId: string | null,
+    uploadedSubtitlesCharset: string | null,
+    uploadedSubtitlesCharsetConfidence: number | null,
     onSubtitlesTrackSelected: (id: string | null) => void,
     onExtraSubtitlesTrackSelected: (id: string | null) => void,
     onAudioTrackSelected: (id: string | null) => void,
@@ -71,8 +112,15 @@ type Props = {
     onExtraSubtitlesOffsetChanged: (offset: number) => void,
     onExtraSubtitlesDelayChanged: (delay: number) => void,
     onSubtitlesFileUpload: (file: File) => void,
+    onSubtitlesCharsetSelected: (charset: string) => void,
     onPresetSelected: (preset: string) => void,
-    onResetToDefaults: () => void
+    onResetToDefaults: () => void,
+    time?: number | null,
+    subtitlesEditor?: SubtitlesEditor,
+    onSubtitlesEditorOpened?: () => void,
+    onSubtitlesCueChanged?: (index: number, changes: Partial<SubtitlesCue>) => void,
+    onSubtitlesShiftedFrom?: (index: number, offset: number) => void,
+    onSubtitlesExported?: (format: string) => void
 };
 
 const AdvancedSubtitlesMenu = ({
@@ -98,6 +146,8 @@ const AdvancedSubtitlesMenu = ({
     extraSubtitlesDelay,
     audioTracks,
     selectedAudioTrackId,
+    uploadedSubtitlesCharset,
+    uploadedSubtitlesCharsetConfidence,
     onSubtitlesTrackSelected,
     onExtraSubtitlesTrackSelected,
     onAudioTrackSelected,
@@ -117,13 +167,21 @@ const AdvancedSubtitlesMenu = ({
     onExtraSubtitlesOffsetChanged,
     onExtraSubtitlesDelayChanged,
     onSubtitlesFileUpload,
+    onSubtitlesCharsetSelected,
     onPresetSelected,
-    onResetToDefaults
+    onResetToDefaults,
+    time,
+    subtitlesEditor,
+    onSubtitlesEditorOpened,
+    onSubtitlesCueChanged,
+    onSubtitlesShiftedFrom,
+    onSubtitlesExported
 }: Props) => {
     const { t } = useTranslation();
     const [activeTab, setActiveTab] = useState('styling');
     const [showColorPicker, setShowColorPicker] = useState<string | null>(null);
     const [uploadingFile, setUploadingFile] = useState(false);
+    const [shiftOffset, setShiftOffset] = useState(0);
     
     // Determine current track type
     const isEmbeddedSubtitles = selectedSubtitlesTrackId !== null;
@@ -147,6 +205,7 @@ const AdvancedSubtitlesMenu = ({
         activeTab === 'styling' ? 'Subtitle styling options' :
         activeTab === 'position' ? 'Subtitle position and timing options' :
         activeTab === 'audio' ? 'Audio track selection' :
+        activeTab === 'editor' ? 'Subtitle editor' :
         'Subtitle format and upload options',
         'polite',
         300
@@ -188,11 +247,58 @@ const AdvancedSubtitlesMenu = ({
           onSubtitlesBackgroundColorChanged, onExtraSubtitlesBackgroundColorChanged,
           onSubtitlesOutlineColorChanged, onExtraSubtitlesOutlineColorChanged]);
     
+    useEffect(() => {
+        if (activeTab === 'editor') {
+            onSubtitlesEditorOpened?.();
+        }
+    }, [activeTab, onSubtitlesEditorOpened]);
+
+    const currentTime = typeof time === 'number' ? time / 1000 : 0;
+
+    // Cues around the playback time, with their index in the track
+    const visibleCues = useMemo(() => {
+        const cues = subtitlesEditor ? subtitlesEditor.cues : [];
+        const current = cues.findIndex(({ end }) => end >= currentTime);
+        const from = Math.max(0, (current === -1 ? cues.length : current) - CUES_BEFORE);
+        return cues
+            .slice(from, from + CUES_SHOWN)
+            .map((cue, index) => ({ cue, index: from + index }));
+    }, [subtitlesEditor, currentTime]);
+
+    const handleCueTimeChange = useCallback((index: number, key: 'start' | 'end', event: React.FocusEvent<HTMLInputElement>) => {
+        const cue = subtitlesEditor?.cues[index];
+        const value = parseCueTime(event.target.value);
+        if (!cue || value === null) {
+            event.target.value = cue ? formatCueTime(cue[key]) : '';
+            return;
+        }
+
+        if (value !== cue[key]) {
+            onSubtitlesCueChanged?.(index, { [key]: value });
+        }
+    }, [subtitlesEditor, onSubtitlesCueChanged]);
+
+    const handleCueTextChange = useCallback((index: number, event: React.FocusEvent<HTMLTextAreaElement>) => {
+        const cue = subtitlesEditor?.cues[index];
+        if (cue && event.target.value !== cue.text) {
+            onSubtitlesCueChanged?.(index, { text: event.target.value });
+        }
+    }, [subtitlesEditor, onSubtitlesCueChanged]);
+
+    // Moves a cue to the playback time, keeping its duration
+    const handleCueRetime = useCallback((index: number) => {
+        const cue = subtitlesEditor?.cues[index];
+        if (cue) {
+            onSubtitlesCueChanged?.(index, { start: currentTime, end: currentTime + cue.end - cue.start });
+        }
+    }, [subtitlesEditor, currentTime, onSubtitlesCueChanged]);
+
     const tabs = useMemo(() => [
         { id: 'styling', label: t('SUBTITLE_STYLING'), icon: 'paint-brush' },
         { id: 'position', label: t('SUBTITLE_POSITION'), icon: 'move' },
         { id: 'audio', label: t('AUDIO_TRACKS'), icon: 'volume-up' },
-        { id: 'formats', label: t('SUBTITLE_FORMATS'), icon: 'file-text' }
+        { id: 'formats', label: t('SUBTITLE_FORMATS'), icon: 'file-text' },
+        { id: 'editor', label: t('SUBTITLE_EDITOR'), icon: 'edit' }
     ], [t]);
     
     return (
@@ -465,6 +571,36 @@ const AdvancedSubtitlesMenu = ({
                                     </label>
                                 </div>
                             </div>
+
+                            {uploadedSubtitlesCharset !== null && (
+                                <div className={styles['charset-section']}>
+                                    <h3 className={styles['section-title']}>{t('SUBTITLES_CHARSET')}</h3>
+                                    <p className={styles['charset-description']}>
+                                        {t('SUBTITLES_DETECTED_CHARSET', {
+                                            charset: uploadedSubtitlesCharset,
+                                            confidence: Math.round((uploadedSubtitlesCharsetConfidence || 0) * 100)
+                                        })}
+                                    </p>
+                                    {(uploadedSubtitlesCharsetConfidence || 0) < PERFORMANCE_SETTINGS.formatConversion.minCharsetConfidence && (
+                                        <div className={styles['charset-warning']} role="alert">
+                                            {t('SUBTITLES_CHARSET_UNCERTAIN')}
+                                        </div>
+                                    )}
+                                    <div className={styles['control-group']}>
+                                        <label className={styles['control-label']} htmlFor="subtitles-charset">{t('SUBTITLES_REDECODE_AS')}</label>
+                                        <select
+                                            id="subtitles-charset"
+                                            className={styles['font-select']}
+                                            value={uploadedSubtitlesCharset}
+                                            onChange={(e) => onSubtitlesCharsetSelected(e.target.value)}
+                                        >
+                                            {SUBTITLE_ENCODINGS.map((encoding) => (
+                                                <option key={encoding.value} value={encoding.value}>{encoding.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </div>
+                            )}
                             
                             <div className={styles['format-info']}>
                                 <h3 className={styles['section-title']}>{t('FORMAT_INFORMATION')}</h3>
@@ -489,6 +625,85 @@ const AdvancedSubtitlesMenu = ({
                         </div>
                     </div>
                 )}
+
+                {/* Editor Tab */}
+                {activeTab === 'editor' && (
+                    <div className={styles['tab-panel']} id="editor-panel" role="tabpanel">
+                        <div className={styles['editor-controls']}>
+                            {subtitlesEditor?.status !== 'ready' ? (
+                                <p className={styles['editor-description']}>
+                                    {
+                                        subtitlesEditor?.status === 'loading' ? t('SUBTITLE_EDITOR_LOADING') :
+                                            subtitlesEditor?.status === 'failed' ? t('SUBTITLE_EDITOR_FAILED') :
+                                                t('SUBTITLE_EDITOR_NO_TRACK')
+                                    }
+                                </p>
+                            ) : (
+                                <>
+                                    <div className={styles['control-group']}>
+                                        <label className={styles['control-label']} htmlFor="shift-offset">{t('SUBTITLE_EDITOR_SHIFT_OFFSET')}</label>
+                                        <input
+                                            id="shift-offset"
+                                            type="number"
+                                            step={0.1}
+                                            value={shiftOffset}
+                                            onChange={(e) => setShiftOffset(parseFloat(e.target.value) || 0)}
+                                            className={styles['time-input']}
+                                        />
+                                    </div>
+
+                                    <div className={styles['cue-list']}>
+                                        {visibleCues.map(({ cue, index }) => (
+                                            <div
+                                                key={`${index}-${cue.start}-${cue.end}-${cue.text}`}
+                                                className={classNames(styles['cue-row'], { [styles['current']]: currentTime >= cue.start && currentTime < cue.end })}
+                                            >
+                                                <div className={styles['cue-times']}>
+                                                    <span className={styles['cue-index']}>{index + 1}</span>
+                                                    <input
+                                                        className={styles['time-input']}
+                                                        defaultValue={formatCueTime(cue.start)}
+                                                        aria-label={t('SUBTITLE_EDITOR_CUE_START')}
+                                                        onBlur={(e) => handleCueTimeChange(index, 'start', e)}
+                                                    />
+                                                    <input
+                                                        className={styles['time-input']}
+                                                        defaultValue={formatCueTime(cue.end)}
+                                                        aria-label={t('SUBTITLE_EDITOR_CUE_END')}
+                                                        onBlur={(e) => handleCueTimeChange(index, 'end', e)}
+                                                    />
+                                                </div>
+                                                <textarea
+                                                    className={styles['cue-text']}
+                                                    defaultValue={cue.text}
+                                                    rows={2}
+                                                    aria-label={t('SUBTITLE_EDITOR_CUE_TEXT')}
+                                                    onBlur={(e) => handleCueTextChange(index, e)}
+                                                />
+                                                <div className={styles['cue-actions']}>
+                                                    <Button className={styles['editor-button']} title={t('SUBTITLE_EDITOR_RETIME')} onClick={() => handleCueRetime(index)}>
+                                                        {t('SUBTITLE_EDITOR_RETIME')}
+                                                    </Button>
+                                                    <Button className={styles['editor-button']} title={t('SUBTITLE_EDITOR_SHIFT_FROM_HERE')} disabled={shiftOffset === 0} onClick={() => onSubtitlesShiftedFrom?.(index, shiftOffset)}>
+                                                        {t('SUBTITLE_EDITOR_SHIFT_FROM_HERE')}
+                                                    </Button>
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+
+                                    <div className={styles['editor-actions']}>
+                                        {EXPORT_FORMATS.map((format) => (
+                                            <Button key={format} className={styles['editor-button']} title={t('SUBTITLE_EDITOR_EXPORT', { format: format.toUpperCase() })} onClick={() => onSubtitlesExported?.(format)}>
+                                                {t('SUBTITLE_EDITOR_EXPORT', { format: format.toUpperCase() })}
+                                            </Button>
+                                        ))}
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                )}
             </div>
             
             {/* Footer with action buttons */}
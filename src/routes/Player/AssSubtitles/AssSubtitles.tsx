@@ -0,0 +1,343 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import classNames from 'classnames';
+import styles from './AssSubtitles.less';
+
+type Colour = { r: number, g: number, b: number, a: number };
+
+type Style = {
+    fontName: string,
+    fontSize: number,
+    primaryColour: Colour,
+    secondaryColour: Colour,
+    outlineColour: Colour,
+    backColour: Colour,
+    bold: boolean,
+    italic: boolean,
+    underline: boolean,
+    strikeOut: boolean,
+    scaleX: number,
+    scaleY: number,
+    spacing: number,
+    angle: number,
+    borderStyle: number,
+    outline: number,
+    shadow: number,
+    blur: number,
+    alignment: number,
+    marginL: number,
+    marginR: number,
+    marginV: number,
+};
+
+type Karaoke = { type: 'k' | 'K' | 'ko', start: number, duration: number };
+
+type Segment = { text: string, style: Style, karaoke: Karaoke | null };
+
+type Fade =
+    { type: 'fad', fadeIn: number, fadeOut: number } |
+    { type: 'fade', a1: number, a2: number, a3: number, t1: number, t2: number, t3: number, t4: number };
+
+type Event = {
+    layer: number,
+    start: number,
+    end: number,
+    style: string,
+    marginL: number,
+    marginR: number,
+    marginV: number,
+    alignment: number,
+    position: { x: number, y: number } | null,
+    move: { x1: number, y1: number, x2: number, y2: number, t1: number, t2: number } | null,
+    fade: Fade | null,
+    segments: Segment[],
+    text: string,
+    animated: boolean,
+    supported: boolean,
+    drawing: boolean,
+};
+
+type Script = {
+    playResX: number,
+    playResY: number,
+    scaledBorderAndShadow: boolean,
+    styles: Record<string, Style>,
+    events: Event[],
+};
+
+type Rect = { x: number, y: number, width: number, height: number };
+
+type Props = {
+    className?: string,
+    script: Script,
+    videoElement: HTMLVideoElement | null,
+    delay: number,
+};
+
+const toColor = ({ r, g, b, a }: Colour) => {
+    return `rgba(${r}, ${g}, ${b}, ${(1 - a / 255).toFixed(3)})`;
+};
+
+// Area of the container covered by the picture of a video with object-fit: contain
+const contentRect = (videoElement: HTMLVideoElement): Rect => {
+    const width = videoElement.clientWidth;
+    const height = videoElement.clientHeight;
+    if (videoElement.videoWidth === 0 || videoElement.videoHeight === 0) {
+        return { x: 0, y: 0, width, height };
+    }
+
+    const scale = Math.min(width / videoElement.videoWidth, height / videoElement.videoHeight);
+    const contentWidth = videoElement.videoWidth * scale;
+    const contentHeight = videoElement.videoHeight * scale;
+    return { x: (width - contentWidth) / 2, y: (height - contentHeight) / 2, width: contentWidth, height: contentHeight };
+};
+
+const interpolate = (from: number, to: number, progress: number) => {
+    return from + (to - from) * Math.max(0, Math.min(1, progress));
+};
+
+const eventOpacity = (fade: Fade | null, elapsed: number, duration: number) => {
+    if (fade === null) {
+        return 1;
+    }
+
+    if (fade.type === 'fad') {
+        if (fade.fadeIn > 0 && elapsed < fade.fadeIn) {
+            return elapsed / fade.fadeIn;
+        }
+        if (fade.fadeOut > 0 && elapsed > duration - fade.fadeOut) {
+            return Math.max(0, (duration - elapsed) / fade.fadeOut);
+        }
+        return 1;
+    }
+
+    const { a1, a2, a3, t1, t2, t3, t4 } = fade;
+    const alpha = elapsed < t1 ? a1 :
+        elapsed < t2 ? interpolate(a1, a2, (elapsed - t1) / (t2 - t1)) :
+            elapsed < t3 ? a2 :
+                elapsed < t4 ? interpolate(a2, a3, (elapsed - t3) / (t4 - t3)) :
+                    a3;
+    return 1 - alpha / 255;
+};
+
+// Outlines are drawn as text shadows around every glyph, followed by the drop shadow
+const textShadow = (style: Style, borderScale: number, hideOutline: boolean) => {
+    const outline = style.outline * borderScale;
+    const shadow = style.shadow * borderScale;
+    const blur = style.blur * borderScale;
+    const shadows = [];
+    if (style.borderStyle !== 3 && outline > 0 && !hideOutline) {
+        const color = toColor(style.outlineColour);
+        for (let angle = 0; angle < 360; angle += 45) {
+            const radians = angle * Math.PI / 180;
+            shadows.push(`${(Math.cos(radians) * outline).toFixed(2)}px ${(Math.sin(radians) * outline).toFixed(2)}px ${blur}px ${color}`);
+        }
+    }
+    if (shadow > 0) {
+        shadows.push(`${shadow}px ${shadow}px ${blur}px ${toColor(style.backColour)}`);
+    }
+
+    return shadows.length > 0 ? shadows.join(', ') : 'none';
+};
+
+const segmentStyle = (style: Style, scale: number, borderScale: number, color: Colour, hideOutline = false): React.CSSProperties => {
+    const transformed = style.scaleX !== 100 || style.scaleY !== 100;
+    return {
+        fontFamily: `"${style.fontName}", sans-serif`,
+        fontSize: `${style.fontSize * scale}px`,
+        fontWeight: style.bold ? 'bold' : 'normal',
+        fontStyle: style.italic ? 'italic' : 'normal',
+        textDecoration: [style.underline && 'underline', style.strikeOut && 'line-through'].filter(Boolean).join(' ') || 'none',
+        letterSpacing: `${style.spacing * scale}px`,
+        color: toColor(color),
+        textShadow: textShadow(style, borderScale, hideOutline),
+        backgroundColor: style.borderStyle === 3 ? toColor(style.outlineColour) : 'transparent',
+        padding: style.borderStyle === 3 ? `0 ${style.outline * borderScale}px` : 0,
+        display: transformed ? 'inline-block' : 'inline',
+        transform: transformed ? `scale(${style.scaleX / 100}, ${style.scaleY / 100})` : 'none',
+    };
+};
+
+const renderSegment = (segment: Segment, index: number, elapsed: number, scale: number, borderScale: number) => {
+    const { text, style, karaoke } = segment;
+    if (karaoke === null) {
+        return <span key={index} style={segmentStyle(style, scale, borderScale, style.primaryColour)}>{text}</span>;
+    }
+
+    const progress = karaoke.duration > 0 ? (elapsed - karaoke.start) / karaoke.duration : elapsed >= karaoke.start ? 1 : 0;
+    if (karaoke.type === 'K' && progress > 0 && progress < 1) {
+        // Sweep the primary colour over the syllable from left to right
+        return (
+            <span key={index} className={styles['karaoke-sweep']}>
+                <span style={segmentStyle(style, scale, borderScale, style.secondaryColour)}>{text}</span>
+                <span className={styles['karaoke-fill']} style={{ ...segmentStyle(style, scale, borderScale, style.primaryColour), clipPath: `inset(0 ${((1 - progress) * 100).toFixed(2)}% 0 0)` }}>{text}</span>
+            </span>
+        );
+    }
+
+    const highlighted = karaoke.type === 'K' ? progress >= 1 : elapsed >= karaoke.start;
+    return (
+        <span key={index} style={segmentStyle(style, scale, borderScale, highlighted ? style.primaryColour : style.secondaryColour, karaoke.type === 'ko' && !highlighted)}>
+            {text}
+        </span>
+    );
+};
+
+// Horizontal and vertical anchors of the numpad alignments, in percents of the text box
+const anchor = (alignment: number) => {
+    return {
+        x: ((alignment - 1) % 3) * 50,
+        y: alignment >= 7 ? 0 : alignment >= 4 ? 50 : 100,
+    };
+};
+
+const AssSubtitles = ({ className, script, videoElement, delay }: Props) => {
+    const [time, setTime] = useState(0);
+    const [rect, setRect] = useState<Rect | null>(null);
+
+    useEffect(() => {
+        if (videoElement === null) {
+            return;
+        }
+
+        let frame: number;
+        let current = '';
+        const update = () => {
+            const time = videoElement.currentTime - delay / 1000;
+            const active = script.events.filter(({ start, end }) => time >= start && time < end);
+            const key = active.map(({ start, end }) => `${start}-${end}`).join(',');
+            // Only re-render every frame while an animated line is shown
+            if (key !== current || active.some(({ animated }) => animated)) {
+                current = key;
+                setTime(time);
+            }
+            frame = requestAnimationFrame(update);
+        };
+        frame = requestAnimationFrame(update);
+        return () => {
+            cancelAnimationFrame(frame);
+        };
+    }, [script, videoElement, delay]);
+
+    useEffect(() => {
+        if (videoElement === null) {
+            return;
+        }
+
+        const onResize = () => setRect(contentRect(videoElement));
+        const observer = new ResizeObserver(onResize);
+        observer.observe(videoElement);
+        videoElement.addEventListener('loadedmetadata', onResize);
+        onResize();
+        return () => {
+            observer.disconnect();
+            videoElement.removeEventListener('loadedmetadata', onResize);
+        };
+    }, [videoElement]);
+
+    const events = useMemo(() => {
+        return script.events
+            .filter(({ start, end, text }) => time >= start && time < end && text.trim().length > 0)
+            .sort((a, b) => a.layer - b.layer);
+    }, [script, time]);
+
+    if (rect === null || events.length === 0) {
+        return null;
+    }
+
+    const scaleX = rect.width / script.playResX;
+    const scaleY = rect.height / script.playResY;
+    const borderScale = script.scaledBorderAndShadow ? scaleY : 1;
+
+    const renderEvent = (event: Event, index: number) => {
+        const elapsed = (time - event.start) * 1000;
+        const duration = (event.end - event.start) * 1000;
+        const opacity = eventOpacity(event.fade, elapsed, duration);
+        const baseStyle = script.styles[event.style] || event.segments[0]?.style;
+        const segments: Segment[] = event.supported ?
+            event.segments
+            :
+            // Effects that can't be reproduced are dropped and the line is shown as plain text
+            [{ text: event.text, style: baseStyle, karaoke: null }];
+        const content = segments.map((segment, segmentIndex) => renderSegment(segment, segmentIndex, elapsed, scaleY, borderScale));
+        const angle = event.supported ? segments[0].style.angle : 0;
+
+        let point = event.supported ? event.position : null;
+        if (event.supported && event.move !== null) {
+            const { x1, y1, x2, y2, t1, t2 } = event.move;
+            const [from, to] = t1 === 0 && t2 === 0 ? [0, duration] : [t1, t2];
+            const progress = to > from ? (elapsed - from) / (to - from) : 1;
+            point = { x: interpolate(x1, x2, progress), y: interpolate(y1, y2, progress) };
+        }
+
+        if (point !== null) {
+            const { x, y } = anchor(event.alignment);
+            return (
+                <div
+                    key={index}
+                    className={styles['positioned-event']}
+                    style={{
+                        left: rect.x + point.x * scaleX,
+                        top: rect.y + point.y * scaleY,
+                        opacity,
+                        textAlign: x === 0 ? 'left' : x === 50 ? 'center' : 'right',
+                        transform: `translate(${-x}%, ${-y}%)${angle !== 0 ? ` rotate(${-angle}deg)` : ''}`,
+                        transformOrigin: `${x}% ${y}%`,
+                    }}>
+                    {content}
+                </div>
+            );
+        }
+
+        return (
+            <div key={index} className={styles['event']} style={{ opacity, transform: angle !== 0 ? `rotate(${-angle}deg)` : undefined }}>
+                {content}
+            </div>
+        );
+    };
+
+    // Lines without a position are stacked by alignment and margins, the first
+    // one closest to the edge of the screen
+    const groups = new Map<string, { alignment: number, marginL: number, marginR: number, marginV: number, events: React.ReactNode[] }>();
+    const positioned: React.ReactNode[] = [];
+    events.forEach((event, index) => {
+        if (event.supported && (event.position !== null || event.move !== null)) {
+            positioned.push(renderEvent(event, index));
+            return;
+        }
+
+        const alignment = event.supported ? event.alignment : (script.styles[event.style]?.alignment ?? 2);
+        const key = `${alignment}:${event.marginL}:${event.marginR}:${event.marginV}`;
+        const group = groups.get(key) || { alignment, marginL: event.marginL, marginR: event.marginR, marginV: event.marginV, events: [] };
+        group.events.push(renderEvent(event, index));
+        groups.set(key, group);
+    });
+
+    return (
+        <div className={classNames(className, styles['ass-subtitles'])}>
+            {
+                Array.from(groups.entries()).map(([key, { alignment, marginL, marginR, marginV, events }]) => {
+                    const { x, y } = anchor(alignment);
+                    return (
+                        <div
+                            key={key}
+                            className={classNames(styles['stack'], { [styles['bottom']]: y === 100 })}
+                            style={{
+                                left: rect.x + marginL * scaleX,
+                                width: rect.width - (marginL + marginR) * scaleX,
+                                top: rect.y + (y === 50 ? 0 : marginV * scaleY),
+                                height: rect.height - (y === 50 ? 0 : marginV * 2 * scaleY),
+                                justifyContent: y === 50 ? 'center' : 'flex-start',
+                                alignItems: x === 0 ? 'flex-start' : x === 50 ? 'center' : 'flex-end',
+                                textAlign: x === 0 ? 'left' : x === 50 ? 'center' : 'right',
+                            }}>
+                            {events}
+                        </div>
+                    );
+                })
+            }
+            {positioned}
+        </div>
+    );
+};
+
+export default AssSubtitles;
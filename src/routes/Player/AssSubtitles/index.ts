@@ -0,0 +1,2 @@
+import AssSubtitles from './AssSubtitles';
+export default AssSubtitles;
@@ -3,6 +3,7 @@ import { useTranslation } from 'react-i18next';
 import classNames from 'classnames';
 import { languages } from 'stremio/common';
 import { Button } from 'stremio/components';
+import Equalizer from './Equalizer';
 import styles from './AudioMenu.less';
 
 type Props = {
@@ -10,9 +11,16 @@ type Props = {
     selectedAudioTrackId: string | null,
     audioTracks: AudioTrack[],
     onAudioTrackSelected: (id: string) => void,
+    audioProcessing: AudioProcessing | null,
+    audioProcessingUnsupportedReason: string | null,
+    onAudioProcessingChanged: (changes: Partial<AudioProcessing>) => void,
+    onEqualizerPresetSelected: (preset: string) => void,
+    onEqualizerBandChanged: (index: number, gain: number) => void,
+    onEqualizerPresetSaved: (name: string) => void,
+    onEqualizerPresetDeleted: (name: string) => void,
 };
 
-const AudioMenu = ({ className, selectedAudioTrackId, audioTracks, onAudioTrackSelected }: Props) => {
+const AudioMenu = ({ className, selectedAudioTrackId, audioTracks, onAudioTrackSelected, audioProcessing, audioProcessingUnsupportedReason, ...props }: Props) => {
     const { t } = useTranslation();
 
     const onAudioTrackClick = useCallback(({ currentTarget }: MouseEvent) => {
@@ -60,6 +68,31 @@ const AudioMenu = ({ className, selectedAudioTrackId, audioTracks, onAudioTrackS
                     }
                 </div>
             </div>
+            <div className={styles['container']}>
+                <div className={styles['header']}>
+                    { t('AUDIO_EFFECTS') }
+                </div>
+                {
+                    audioProcessing !== null ?
+                        <Equalizer
+                            options={audioProcessing}
+                            onChange={props.onAudioProcessingChanged}
+                            onPresetSelected={props.onEqualizerPresetSelected}
+                            onBandChanged={props.onEqualizerBandChanged}
+                            onPresetSaved={props.onEqualizerPresetSaved}
+                            onPresetDeleted={props.onEqualizerPresetDeleted}
+                        />
+                        :
+                        <div className={styles['message']}>
+                            {
+                                audioProcessingUnsupportedReason === 'crossOrigin' ?
+                                    t('AUDIO_EFFECTS_CROSS_ORIGIN')
+                                    :
+                                    t('AUDIO_EFFECTS_UNSUPPORTED')
+                            }
+                        </div>
+                }
+            </div>
         </div>
     );
 };
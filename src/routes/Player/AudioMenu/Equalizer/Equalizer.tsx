@@ -0,0 +1,164 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button, Chips, Slider, TextInput, Toggle } from 'stremio/components';
+import { EQUALIZER_BANDS, EQUALIZER_PRESETS, MAX_BAND_GAIN } from '../../AudioProcessing';
+import styles from './Equalizer.less';
+
+type BandProps = {
+    index: number,
+    frequency: number,
+    gain: number,
+    onChange: (index: number, gain: number) => void,
+};
+
+const Band = ({ index, frequency, gain, onChange }: BandProps) => {
+    const { t } = useTranslation();
+    const [slidingGain, setSlidingGain] = useState<number | null>(null);
+
+    // The slider goes from 0, gains from -MAX_BAND_GAIN
+    const onSlide = useCallback((value: number) => {
+        setSlidingGain(Math.round(value) - MAX_BAND_GAIN);
+    }, []);
+
+    const onComplete = useCallback((value: number) => {
+        setSlidingGain(null);
+        onChange(index, Math.round(value) - MAX_BAND_GAIN);
+    }, [index, onChange]);
+
+    const value = slidingGain !== null ? slidingGain : gain;
+
+    return (
+        <div className={styles['band']}>
+            <div className={styles['frequency']}>
+                {
+                    frequency >= 1000 ?
+                        t('AUDIO_EQUALIZER_KHZ', { frequency: frequency / 1000 })
+                        :
+                        t('AUDIO_EQUALIZER_HZ', { frequency })
+                }
+            </div>
+            <Slider
+                className={styles['slider']}
+                value={value + MAX_BAND_GAIN}
+                minimumValue={0}
+                maximumValue={2 * MAX_BAND_GAIN}
+                onSlide={onSlide}
+                onComplete={onComplete}
+            />
+            <div className={styles['gain']}>
+                {t('AUDIO_EQUALIZER_DB', { gain: value > 0 ? `+${value}` : value })}
+            </div>
+        </div>
+    );
+};
+
+type Props = {
+    options: AudioProcessing,
+    onChange: (changes: Partial<AudioProcessing>) => void,
+    onPresetSelected: (preset: string) => void,
+    onBandChanged: (index: number, gain: number) => void,
+    onPresetSaved: (name: string) => void,
+    onPresetDeleted: (name: string) => void,
+};
+
+const Equalizer = ({ options, onChange, onPresetSelected, onBandChanged, onPresetSaved, onPresetDeleted }: Props) => {
+    const { t } = useTranslation();
+    const [presetName, setPresetName] = useState('');
+
+    const presetOptions = useMemo(() => [
+        ...Object.keys(EQUALIZER_PRESETS).map((preset) => ({
+            value: preset,
+            label: t(`AUDIO_EQUALIZER_PRESET_${preset.toUpperCase()}`),
+        })),
+        ...Object.keys(options.presets).map((preset) => ({
+            value: preset,
+            label: preset,
+        })),
+    ], [options.presets]);
+
+    const savedPresetSelected = options.preset !== null && Object.prototype.hasOwnProperty.call(options.presets, options.preset);
+
+    const nightModeToggle = useMemo(() => ({
+        checked: options.nightMode,
+        onClick: () => onChange({ nightMode: !options.nightMode }),
+    }), [options.nightMode, onChange]);
+
+    const normalizationToggle = useMemo(() => ({
+        checked: options.normalization,
+        onClick: () => onChange({ normalization: !options.normalization }),
+    }), [options.normalization, onChange]);
+
+    const onPresetNameChange = useCallback((event: React.ChangeEvent<HTMLInputElement>) => {
+        setPresetName(event.target.value);
+    }, []);
+
+    const onSavePreset = useCallback(() => {
+        const name = presetName.trim();
+        if (name.length > 0 && !Object.prototype.hasOwnProperty.call(EQUALIZER_PRESETS, name)) {
+            onPresetSaved(name);
+            setPresetName('');
+        }
+    }, [presetName, onPresetSaved]);
+
+    const onDeletePreset = useCallback(() => {
+        options.preset !== null && onPresetDeleted(options.preset);
+    }, [options.preset, onPresetDeleted]);
+
+    return (
+        <div className={styles['equalizer']}>
+            <div className={styles['option']}>
+                <div className={styles['label']}>
+                    {t('AUDIO_NIGHT_MODE')}
+                </div>
+                <Toggle tabIndex={-1} {...nightModeToggle} />
+            </div>
+            <div className={styles['option']}>
+                <div className={styles['label']}>
+                    {t('AUDIO_NORMALIZATION')}
+                </div>
+                <Toggle tabIndex={-1} {...normalizationToggle} />
+            </div>
+            <Chips
+                options={presetOptions}
+                selected={options.preset !== null ? [options.preset] : []}
+                onSelect={onPresetSelected}
+            />
+            <div className={styles['bands']}>
+                {
+                    EQUALIZER_BANDS.map((frequency, index) => (
+                        <Band
+                            key={frequency}
+                            index={index}
+                            frequency={frequency}
+                            gain={options.gains[index]}
+                            onChange={onBandChanged}
+                        />
+                    ))
+                }
+            </div>
+            <div className={styles['presets']}>
+                <TextInput
+                    className={styles['preset-name']}
+                    value={presetName}
+                    placeholder={t('AUDIO_EQUALIZER_PRESET_NAME')}
+                    onChange={onPresetNameChange}
+                    onSubmit={onSavePreset}
+                />
+                <Button className={styles['button']} title={t('AUDIO_EQUALIZER_SAVE_PRESET')} disabled={presetName.trim().length === 0} onClick={onSavePreset}>
+                    <Icon className={styles['icon']} name={'checkmark'} />
+                </Button>
+                {
+                    savedPresetSelected ?
+                        <Button className={styles['button']} title={t('AUDIO_EQUALIZER_DELETE_PRESET')} onClick={onDeletePreset}>
+                            <Icon className={styles['icon']} name={'bin'} />
+                        </Button>
+                        :
+                        null
+                }
+            </div>
+        </div>
+    );
+};
+
+export default Equalizer;
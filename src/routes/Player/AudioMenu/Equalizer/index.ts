@@ -0,0 +1,2 @@
+import Equalizer from './Equalizer';
+export default Equalizer;
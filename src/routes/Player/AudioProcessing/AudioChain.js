@@ -0,0 +1,131 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const getMediaElementSource = require('./mediaElementSource');
+const { EQUALIZER_BANDS, getNormalizationGain } = require('./audioProcessing');
+
+const MEASURE_INTERVAL = 250;
+// Time constant of the parameter changes in seconds, short enough to feel instant without clicks
+const RAMP_TIME = 0.05;
+
+const COMPRESSOR_BYPASS = { threshold: 0, knee: 0, ratio: 1, attack: 0.003, release: 0.25 };
+const COMPRESSOR_NORMALIZATION = { threshold: -24, knee: 30, ratio: 3, attack: 0.01, release: 0.5 };
+const COMPRESSOR_NIGHT_MODE = { threshold: -45, knee: 20, ratio: 12, attack: 0.003, release: 0.25 };
+
+const createAudioContext = () => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    return new AudioContext();
+};
+
+/**
+ * Why the audio of a media element can't be processed, if it can't. The Web
+ * Audio API outputs silence for media loaded from another origin without CORS,
+ * so the audio of such streams is left as it is.
+ * @param {HTMLMediaElement} videoElement
+ * @returns {string|null} 'unsupported', 'crossOrigin' or null when it can be processed
+ */
+const getUnsupportedReason = (videoElement) => {
+    if (!(window.AudioContext || window.webkitAudioContext) || typeof videoElement.currentSrc !== 'string' || videoElement.currentSrc.length === 0) {
+        return 'unsupported';
+    }
+
+    const { protocol, origin } = new URL(videoElement.currentSrc, window.location.href);
+    return protocol === 'blob:' || origin === window.location.origin || videoElement.crossOrigin !== null ?
+        null
+        :
+        'crossOrigin';
+};
+
+/**
+ * Routes the audio of a media element through an equalizer, a compressor for
+ * night mode and normalization, a normalization gain and a volume gain.
+ */
+class AudioChain {
+    constructor(videoElement) {
+        const { context, source } = getMediaElementSource(videoElement, createAudioContext);
+        this.context = context;
+        this.source = source;
+        this.filters = EQUALIZER_BANDS.map((frequency, index) => {
+            const filter = context.createBiquadFilter();
+            filter.type = index === 0 ? 'lowshelf' : index === EQUALIZER_BANDS.length - 1 ? 'highshelf' : 'peaking';
+            filter.frequency.value = frequency;
+            filter.Q.value = 1.4;
+            return filter;
+        });
+        this.compressor = context.createDynamicsCompressor();
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.normalizationGain = context.createGain();
+        this.volumeGain = context.createGain();
+        this.normalization = null;
+
+        try {
+            source.disconnect(context.destination);
+        } catch (error) {
+            console.warn('Audio processing', error);
+        }
+
+        // The level is measured before the normalization gain, so that it doesn't chase itself
+        [source, ...this.filters, this.compressor, this.normalizationGain, this.volumeGain, context.destination]
+            .reduce((previous, node) => {
+                previous.connect(node);
+                return node;
+            });
+        this.compressor.connect(this.analyser);
+    }
+
+    setParam(param, value) {
+        param.setTargetAtTime(value, this.context.currentTime, RAMP_TIME);
+    }
+
+    /**
+     * @param {Object} options - Audio processing from getAudioProcessing
+     * @param {number} volumeGain - Gain for the volume above 100%
+     */
+    configure({ nightMode, normalization, gains }, volumeGain) {
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch((error) => console.warn('Audio processing', error));
+        }
+
+        this.filters.forEach((filter, index) => this.setParam(filter.gain, gains[index]));
+        const compressor = nightMode ? COMPRESSOR_NIGHT_MODE : normalization ? COMPRESSOR_NORMALIZATION : COMPRESSOR_BYPASS;
+        Object.keys(compressor).forEach((name) => this.setParam(this.compressor[name], compressor[name]));
+        this.setParam(this.volumeGain.gain, volumeGain);
+
+        if (normalization && this.normalization === null) {
+            this.normalization = setInterval(() => this.measure(), MEASURE_INTERVAL);
+        } else if (!normalization && this.normalization !== null) {
+            clearInterval(this.normalization);
+            this.normalization = null;
+            this.setParam(this.normalizationGain.gain, 1);
+        }
+    }
+
+    measure() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        const power = this.samples.reduce((sum, sample) => sum + sample * sample, 0) / this.samples.length;
+        const level = 10 * Math.log10(power);
+        this.setParam(this.normalizationGain.gain, getNormalizationGain(level, this.normalizationGain.gain.value));
+    }
+
+    // Plays the element straight to the destination again
+    destroy() {
+        if (this.normalization !== null) {
+            clearInterval(this.normalization);
+        }
+
+        // Only the chain is disconnected from the source, others may still be listening to it
+        try {
+            this.source.disconnect(this.filters[0]);
+            [...this.filters, this.compressor, this.normalizationGain, this.volumeGain].forEach((node) => node.disconnect());
+        } catch (error) {
+            console.warn('Audio processing', error);
+        }
+        this.source.connect(this.context.destination);
+    }
+}
+
+module.exports = {
+    AudioChain,
+    getUnsupportedReason,
+};
@@ -0,0 +1,110 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Center frequencies of the equalizer bands in Hz
+const EQUALIZER_BANDS = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const MAX_BAND_GAIN = 12;
+
+// Gains of the bands in dB
+const EQUALIZER_PRESETS = {
+    flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    dialogue: [-6, -4, -2, 0, 2, 4, 5, 4, 1, -1],
+    bass: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    treble: [0, 0, 0, 0, 0, 0, 2, 4, 5, 6],
+};
+
+const DEFAULT_AUDIO_PROCESSING = {
+    nightMode: false,
+    normalization: false,
+    preset: 'flat',
+    gains: EQUALIZER_PRESETS.flat,
+    presets: {},
+};
+
+// Level quiet passages and episodes are brought to, in dBFS
+const NORMALIZATION_TARGET = -20;
+const NORMALIZATION_SILENCE = -60;
+const NORMALIZATION_MIN_GAIN = 0.25;
+const NORMALIZATION_MAX_GAIN = 4;
+const NORMALIZATION_SMOOTHING = 0.05;
+
+/**
+ * Fills in the defaults of the saved audio processing.
+ * @param {Object} [audioProcessing] - Saved audio processing
+ * @returns {Object}
+ */
+const getAudioProcessing = (audioProcessing) => {
+    const options = { ...DEFAULT_AUDIO_PROCESSING, ...audioProcessing };
+    return {
+        ...options,
+        gains: Array.isArray(options.gains) && options.gains.length === EQUALIZER_BANDS.length ?
+            options.gains.map((gain) => Math.max(-MAX_BAND_GAIN, Math.min(MAX_BAND_GAIN, gain)))
+            :
+            EQUALIZER_PRESETS.flat,
+    };
+};
+
+// Reads the audio processing kept with the profile, whatever was stored
+const normalizeAudioProcessing = (audioProcessing) => {
+    return getAudioProcessing(audioProcessing !== null && typeof audioProcessing === 'object' ? audioProcessing : undefined);
+};
+
+// Whether the audio has to go through the processing chain at all
+const isProcessingEnabled = ({ nightMode, normalization, gains }) => {
+    return nightMode || normalization || gains.some((gain) => gain !== 0);
+};
+
+/**
+ * Gains of a built in or saved preset.
+ * @param {string} preset - Name of the preset
+ * @param {Object} presets - Presets saved by the user
+ * @returns {Array<number>|null}
+ */
+const getPresetGains = (preset, presets) => {
+    if (Object.prototype.hasOwnProperty.call(EQUALIZER_PRESETS, preset)) {
+        return EQUALIZER_PRESETS[preset];
+    }
+
+    return Object.prototype.hasOwnProperty.call(presets, preset) ? presets[preset] : null;
+};
+
+/**
+ * Splits a volume into what the media element plays, which can't go above
+ * 100, and the gain applied on top of it.
+ * @param {number} volume - Volume from 0 to 200
+ * @returns {{ volume: number, gain: number }}
+ */
+const splitVolume = (volume) => {
+    return volume > 100 ?
+        { volume: 100, gain: volume / 100 }
+        :
+        { volume, gain: 1 };
+};
+
+/**
+ * Moves the normalization gain towards the one bringing the measured level to
+ * the target, slowly so that it is not heard. Silence leaves it unchanged.
+ * @param {number} level - Level measured before the gain, in dBFS
+ * @param {number} gain - Current normalization gain
+ * @returns {number} Next normalization gain
+ */
+const getNormalizationGain = (level, gain) => {
+    if (!isFinite(level) || level < NORMALIZATION_SILENCE) {
+        return gain;
+    }
+
+    const target = Math.max(NORMALIZATION_MIN_GAIN, Math.min(NORMALIZATION_MAX_GAIN, Math.pow(10, (NORMALIZATION_TARGET - level) / 20)));
+    return gain + (target - gain) * NORMALIZATION_SMOOTHING;
+};
+
+module.exports = {
+    EQUALIZER_BANDS,
+    EQUALIZER_PRESETS,
+    MAX_BAND_GAIN,
+    DEFAULT_AUDIO_PROCESSING,
+    getAudioProcessing,
+    normalizeAudioProcessing,
+    isProcessingEnabled,
+    getPresetGains,
+    splitVolume,
+    getNormalizationGain,
+};
@@ -0,0 +1,10 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { AudioChain, getUnsupportedReason } = require('./AudioChain');
+const audioProcessing = require('./audioProcessing');
+
+module.exports = {
+    AudioChain,
+    getUnsupportedReason,
+    ...audioProcessing,
+};
@@ -0,0 +1,26 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// A media element can be routed into the Web Audio graph only once, so its
+// source node is shared by everything that taps or processes its audio.
+// Until something processes it, the source plays straight to the destination.
+const mediaElementSources = new WeakMap();
+
+/**
+ * @param {HTMLMediaElement} videoElement - Media element to take the audio of
+ * @param {Function} createContext - Returns the audio context to use when the element has no source yet
+ * @returns {{ context: AudioContext, source: MediaElementAudioSourceNode }}
+ */
+const getMediaElementSource = (videoElement, createContext) => {
+    let entry = mediaElementSources.get(videoElement);
+    if (!entry) {
+        const context = createContext();
+        const source = context.createMediaElementSource(videoElement);
+        source.connect(context.destination);
+        entry = { context, source };
+        mediaElementSources.set(videoElement, entry);
+    }
+
+    return entry;
+};
+
+module.exports = getMediaElementSource;
@@ -2,7 +2,8 @@
 // Advanced Audio Track Manager with Multi-Method Detection Algorithms
 
 const EventEmitter = require('eventemitter3');
-const { AUDIO_DETECTION_SETTINGS, AUDIO_CODECS, ERROR_MESSAGES, STATUS_INDICATORS } = require('../../../common/ENHANCED_CONSTANTS');
+const { AUDIO_DETECTION_SETTINGS, AUDIO_CODECS, ERROR_MESSAGES, STATUS_INDICATORS, SPEECH_CAPTURE_SETTINGS } = require('../../../common/ENHANCED_CONSTANTS');
+const getMediaElementSource = require('../AudioProcessing/mediaElementSource');
 
 class AudioTrackManager extends EventEmitter {
     constructor() {
@@ -17,6 +18,7 @@ class AudioTrackManager extends EventEmitter {
         this.retryCount = 0;
         this.detectionTimeout = null;
         this.isDetecting = false;
+        this.speechCapture = null;
         
         // Initialize audio context
         this.initializeAudioContext();
@@ -187,10 +189,8 @@ class AudioTrackManager extends EventEmitter {
         }
 
         try {
-            // Create media element source
-            const source = this.audioContext.createMediaElementSource(videoElement);
-            source.connect(this.analyser);
-            this.analyser.connect(this.audioContext.destination);
+            // Tap the media element audio
+            this.connectMediaElement(videoElement);
 
             // Analyze audio characteristics
             const frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
@@ -247,6 +247,94 @@ class AudioTrackManager extends EventEmitter {
         return enhancedTracks;
     }
 
+    /**
+     * Route a media element through the Web Audio graph and tap it with the analyser
+     * @param {HTMLMediaElement} videoElement - The media element to tap
+     * @returns {{ source: MediaElementAudioSourceNode, analyser: AnalyserNode }} Element source and the analyser connected to it
+     */
+    connectMediaElement(videoElement) {
+        const entry = getMediaElementSource(videoElement, () => this.audioContext);
+
+        if (entry.context !== this.audioContext) {
+            this.analyser = entry.context.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.8;
+        }
+
+        entry.source.connect(this.analyser);
+        return { source: entry.source, analyser: this.analyser };
+    }
+
+    /**
+     * Start sampling the voice band energy of a playing media element
+     * @param {HTMLMediaElement} videoElement - The media element to listen to
+     * @returns {Promise<void>}
+     */
+    async startSpeechCapture(videoElement) {
+        if (!this.audioContext || !this.analyser) {
+            throw new Error(ERROR_MESSAGES.audioDetection.WEB_AUDIO_UNAVAILABLE);
+        }
+
+        this.stopSpeechCapture();
+
+        const { source, analyser } = this.connectMediaElement(videoElement);
+        if (analyser.context.state === 'suspended') {
+            await analyser.context.resume();
+        }
+
+        const spectrum = new Float32Array(analyser.frequencyBinCount);
+        const binWidth = analyser.context.sampleRate / analyser.fftSize;
+        const [low, high] = SPEECH_CAPTURE_SETTINGS.voiceBand;
+        const frames = [];
+        const interval = setInterval(() => {
+            if (videoElement.paused || videoElement.seeking || videoElement.readyState < 3) {
+                return;
+            }
+
+            analyser.getFloatFrequencyData(spectrum);
+            let voicePower = 0;
+            let totalPower = 0;
+            for (let i = 1; i < spectrum.length; i++) {
+                const power = Math.pow(10, spectrum[i] / 10);
+                const frequency = i * binWidth;
+                totalPower += power;
+                if (frequency >= low && frequency <= high) {
+                    voicePower += power;
+                }
+            }
+
+            frames.push({
+                time: videoElement.currentTime,
+                energy: 10 * Math.log10(voicePower + Number.EPSILON),
+                ratio: totalPower > 0 ? voicePower / totalPower : 0
+            });
+            this.emit('speechCaptureProgress', frames.length * SPEECH_CAPTURE_SETTINGS.interval / 1000);
+        }, SPEECH_CAPTURE_SETTINGS.interval);
+
+        this.speechCapture = { source, analyser, frames, interval };
+    }
+
+    /**
+     * Stop sampling the media element
+     * @returns {Array} Captured frames
+     */
+    stopSpeechCapture() {
+        if (this.speechCapture === null) {
+            return [];
+        }
+
+        const { source, analyser, frames, interval } = this.speechCapture;
+        clearInterval(interval);
+        try {
+            source.disconnect(analyser);
+        } catch (_error) {
+            // Ignore cleanup errors
+        }
+
+        this.speechCapture = null;
+        return frames;
+    }
+
     /**
      * Analyze frequency data to determine audio properties
      * @param {Uint8Array} frequencyData - Frequency data from analyser
@@ -633,6 +721,7 @@ class AudioTrackManager extends EventEmitter {
      * Destroy the audio track manager
      */
     destroy() {
+        this.stopSpeechCapture();
         this.reset();
         this.removeAllListeners();
         
@@ -0,0 +1,77 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const PropTypes = require('prop-types');
+const classnames = require('classnames');
+const { useTranslation } = require('react-i18next');
+const { Button, Toggle } = require('stremio/components');
+const formatTime = require('../ControlBar/SeekBar/formatTime');
+const styles = require('./styles');
+
+const ChaptersMenu = ({ className, time, chapters, autoSkip, onChapterSelected, onAutoSkipToggled }) => {
+    const { t } = useTranslation();
+    const onMouseDown = React.useCallback((event) => {
+        event.nativeEvent.chaptersMenuClosePrevented = true;
+    }, []);
+    const onChapterClick = React.useCallback((event) => {
+        if (typeof onChapterSelected === 'function') {
+            onChapterSelected(parseInt(event.currentTarget.dataset.start, 10));
+        }
+    }, [onChapterSelected]);
+    return (
+        <div className={classnames(className, styles['chapters-menu-container'])} onMouseDown={onMouseDown}>
+            <div className={styles['title']}>
+                {t('PLAYER_CHAPTERS')}
+            </div>
+            <div className={styles['chapters-container']}>
+                {
+                    chapters.map((chapter, index) => (
+                        <Button
+                            key={chapter.start}
+                            className={classnames(styles['chapter'], { 'selected': time !== null && chapter.start <= time && time < chapter.end })}
+                            title={chapter.title !== null ? chapter.title : t('PLAYER_CHAPTER', { number: index + 1 })}
+                            data-start={chapter.start}
+                            onClick={onChapterClick}
+                        >
+                            <div className={styles['label']}>
+                                {chapter.title !== null ? chapter.title : t('PLAYER_CHAPTER', { number: index + 1 })}
+                            </div>
+                            {
+                                chapter.type !== null ?
+                                    <div className={styles['segment-type']}>{t(`PLAYER_SEGMENT_${chapter.type.toUpperCase()}`)}</div>
+                                    :
+                                    null
+                            }
+                            <div className={styles['time']}>{formatTime(chapter.start)}</div>
+                        </Button>
+                    ))
+                }
+            </div>
+            {
+                typeof autoSkip === 'boolean' ?
+                    <div className={styles['auto-skip-container']}>
+                        <div className={styles['label']}>{t('PLAYER_AUTO_SKIP_SERIES')}</div>
+                        <Toggle className={styles['toggle']} checked={autoSkip} tabIndex={-1} onClick={onAutoSkipToggled} />
+                    </div>
+                    :
+                    null
+            }
+        </div>
+    );
+};
+
+ChaptersMenu.propTypes = {
+    className: PropTypes.string,
+    time: PropTypes.number,
+    chapters: PropTypes.arrayOf(PropTypes.shape({
+        title: PropTypes.string,
+        start: PropTypes.number,
+        end: PropTypes.number,
+        type: PropTypes.string,
+    })).isRequired,
+    autoSkip: PropTypes.bool,
+    onChapterSelected: PropTypes.func,
+    onAutoSkipToggled: PropTypes.func,
+};
+
+module.exports = ChaptersMenu;
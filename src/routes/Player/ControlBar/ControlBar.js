@@ -18,15 +18,18 @@ const ControlBar = ({
     time,
     duration,
     buffered,
+    chapters,
+    getThumbnail,
     volume,
     muted,
     playbackSpeed,
     subtitlesTracks,
     audioTracks,
+    audioProcessing,
     metaItem,
     nextVideo,
     stream,
-    statistics,
+    pictureInPicture,
     onPlayRequested,
     onPauseRequested,
     onNextVideoRequested,
@@ -34,12 +37,16 @@ const ControlBar = ({
     onUnmuteRequested,
     onVolumeChangeRequested,
     onSeekRequested,
+    onThumbnailRequested,
     onToggleSubtitlesMenu,
     onToggleAudioMenu,
     onToggleSpeedMenu,
+    onToggleChaptersMenu,
     onToggleSideDrawer,
     onToggleOptionsMenu,
     onToggleStatisticsMenu,
+    onTogglePictureInPicture,
+    onMiniPlayerRequested,
     onTouchEnd,
     ...props
 }) => {
@@ -56,6 +63,9 @@ const ControlBar = ({
     const onSpeedButtonMouseDown = React.useCallback((event) => {
         event.nativeEvent.speedMenuClosePrevented = true;
     }, []);
+    const onChaptersButtonMouseDown = React.useCallback((event) => {
+        event.nativeEvent.chaptersMenuClosePrevented = true;
+    }, []);
     const onVideosButtonMouseDown = React.useCallback((event) => {
         event.nativeEvent.videosMenuClosePrevented = true;
     }, []);
@@ -111,7 +121,10 @@ const ControlBar = ({
                 time={time}
                 duration={duration}
                 buffered={buffered}
+                chapters={chapters}
+                getThumbnail={getThumbnail}
                 onSeekRequested={onSeekRequested}
+                onThumbnailRequested={onThumbnailRequested}
             />
             <div className={styles['control-bar-buttons-container']}>
                 <Button className={classnames(styles['control-bar-button'], { 'disabled': typeof paused !== 'boolean' })} title={paused ? t('PLAYER_PLAY') : t('PLAYER_PAUSE')} tabIndex={-1} onClick={onPlayPauseButtonClick}>
@@ -144,6 +157,7 @@ const ControlBar = ({
                             className={styles['volume-slider']}
                             volume={volume}
                             muted={muted}
+                            audioBoost={audioProcessing}
                             onVolumeChangeRequested={onVolumeChangeRequested}
                         />
                         : null
@@ -153,19 +167,22 @@ const ControlBar = ({
                     <Icon className={styles['icon']} name={'more-vertical'} />
                 </Button>
                 <div className={classnames(styles['control-bar-buttons-menu-container'], { 'open': buttonsMenuOpen })}>
-                    <Button className={classnames(styles['control-bar-button'], { 'disabled': statistics === null || statistics.type === 'Err' || stream === null || typeof stream.infoHash !== 'string' || typeof stream.fileIdx !== 'number' })} tabIndex={-1} onMouseDown={onStatisticsButtonMouseDown} onClick={onToggleStatisticsMenu}>
+                    <Button className={classnames(styles['control-bar-button'], { 'disabled': !stream })} tabIndex={-1} onMouseDown={onStatisticsButtonMouseDown} onClick={onToggleStatisticsMenu}>
                         <Icon className={styles['icon']} name={'network'} />
                     </Button>
                     <Button className={classnames(styles['control-bar-button'], { 'disabled': playbackSpeed === null })} tabIndex={-1} onMouseDown={onSpeedButtonMouseDown} onClick={onToggleSpeedMenu}>
                         <Icon className={styles['icon']} name={'speed'} />
                     </Button>
+                    <Button className={classnames(styles['control-bar-button'], { 'disabled': !Array.isArray(chapters) || chapters.length === 0 })} title={t('PLAYER_CHAPTERS')} tabIndex={-1} onMouseDown={onChaptersButtonMouseDown} onClick={onToggleChaptersMenu}>
+                        <Icon className={styles['icon']} name={'filters'} />
+                    </Button>
                     <Button className={classnames(styles['control-bar-button'], { 'disabled': !chromecastServiceActive })} tabIndex={-1} onClick={onChromecastButtonClick}>
                         <Icon className={styles['icon']} name={'cast'} />
                     </Button>
                     <Button className={classnames(styles['control-bar-button'], { 'disabled': !Array.isArray(subtitlesTracks) || subtitlesTracks.length === 0 })} tabIndex={-1} onMouseDown={onSubtitlesButtonMouseDown} onClick={onToggleSubtitlesMenu}>
                         <Icon className={styles['icon']} name={'subtitles'} />
                     </Button>
-                    <Button className={classnames(styles['control-bar-button'], { 'disabled': !Array.isArray(audioTracks) || audioTracks.length === 0 })} tabIndex={-1} onMouseDown={onAudioButtonMouseDown} onClick={onToggleAudioMenu}>
+                    <Button className={classnames(styles['control-bar-button'], { 'disabled': !audioProcessing && (!Array.isArray(audioTracks) || audioTracks.length === 0) })} tabIndex={-1} onMouseDown={onAudioButtonMouseDown} onClick={onToggleAudioMenu}>
                         <Icon className={styles['icon']} name={'audio-tracks'} />
                     </Button>
                     {
@@ -176,6 +193,22 @@ const ControlBar = ({
                             :
                             null
                     }
+                    {
+                        pictureInPicture !== null ?
+                            <Button className={classnames(styles['control-bar-button'], { 'active': pictureInPicture })} title={t('PLAYER_PICTURE_IN_PICTURE')} tabIndex={-1} onClick={onTogglePictureInPicture}>
+                                <Icon className={styles['icon']} name={'minimize'} />
+                            </Button>
+                            :
+                            null
+                    }
+                    {
+                        stream && typeof onMiniPlayerRequested === 'function' ?
+                            <Button className={styles['control-bar-button']} title={t('PLAYER_MINI_PLAYER')} tabIndex={-1} onClick={onMiniPlayerRequested}>
+                                <Icon className={styles['icon']} name={'caret-down'} />
+                            </Button>
+                            :
+                            null
+                    }
                     <Button className={classnames(styles['control-bar-button'], { 'disabled': !stream })} tabIndex={-1} onMouseDown={onOptionsButtonMouseDown} onClick={onToggleOptionsMenu}>
                         <Icon className={styles['icon']} name={'more-horizontal'} />
                     </Button>
@@ -191,15 +224,18 @@ ControlBar.propTypes = {
     time: PropTypes.number,
     duration: PropTypes.number,
     buffered: PropTypes.number,
+    chapters: PropTypes.array,
+    getThumbnail: PropTypes.func,
     volume: PropTypes.number,
     muted: PropTypes.bool,
     playbackSpeed: PropTypes.number,
     subtitlesTracks: PropTypes.array,
     audioTracks: PropTypes.array,
+    audioProcessing: PropTypes.bool,
     metaItem: PropTypes.object,
     nextVideo: PropTypes.object,
     stream: PropTypes.object,
-    statistics: PropTypes.object,
+    pictureInPicture: PropTypes.bool,
     onPlayRequested: PropTypes.func,
     onPauseRequested: PropTypes.func,
     onNextVideoRequested: PropTypes.func,
@@ -207,12 +243,16 @@ ControlBar.propTypes = {
     onUnmuteRequested: PropTypes.func,
     onVolumeChangeRequested: PropTypes.func,
     onSeekRequested: PropTypes.func,
+    onThumbnailRequested: PropTypes.func,
     onToggleSubtitlesMenu: PropTypes.func,
     onToggleAudioMenu: PropTypes.func,
     onToggleSpeedMenu: PropTypes.func,
+    onToggleChaptersMenu: PropTypes.func,
     onToggleSideDrawer: PropTypes.func,
     onToggleOptionsMenu: PropTypes.func,
     onToggleStatisticsMenu: PropTypes.func,
+    onTogglePictureInPicture: PropTypes.func,
+    onMiniPlayerRequested: PropTypes.func,
     onMouseOver: PropTypes.func,
     onMouseMove: PropTypes.func,
     onTouchEnd: PropTypes.func,
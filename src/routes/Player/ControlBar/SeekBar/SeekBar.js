@@ -10,10 +10,28 @@ const { Button, Slider } = require('stremio/components');
 const formatTime = require('./formatTime');
 const styles = require('./styles');
 
-const SeekBar = ({ className, time, duration, buffered, onSeekRequested }) => {
+const findChapter = (chapters, time) => {
+    for (let index = chapters.length - 1; index >= 0; index--) {
+        if (chapters[index].start <= time) {
+            return time < chapters[index].end ? chapters[index] : null;
+        }
+    }
+
+    return null;
+};
+
+const SeekBar = ({ className, time, duration, buffered, chapters, getThumbnail, onSeekRequested, onThumbnailRequested }) => {
     const disabled = time === null || isNaN(time) || duration === null || isNaN(duration);
     const routeFocused = useRouteFocused();
     const [seekTime, setSeekTime] = React.useState(null);
+    const [hoverTime, setHoverTime] = React.useState(null);
+    const [sliding, setSliding] = React.useState(false);
+    const previewTime = !disabled ?
+        sliding ? seekTime : hoverTime
+        :
+        null;
+    const thumbnail = previewTime !== null && typeof getThumbnail === 'function' ? getThumbnail(previewTime) : null;
+    const chapter = previewTime !== null && Array.isArray(chapters) ? findChapter(chapters, previewTime) : null;
 
     const [remainingTimeMode,,, toggleRemainingTimeMode] = useBinaryState(false);
     const resetTimeDebounced = React.useCallback(debounce(() => {
@@ -22,20 +40,36 @@ const SeekBar = ({ className, time, duration, buffered, onSeekRequested }) => {
     const onSlide = React.useCallback((time) => {
         resetTimeDebounced.cancel();
         setSeekTime(time);
+        setSliding(true);
     }, []);
     const onComplete = React.useCallback((time) => {
         resetTimeDebounced();
         setSeekTime(time);
+        setSliding(false);
         if (typeof onSeekRequested === 'function') {
             onSeekRequested(time);
         }
     }, [onSeekRequested]);
+    const onSliderMouseMove = React.useCallback((event) => {
+        const { x, width } = event.currentTarget.getBoundingClientRect();
+        setHoverTime(Math.min(Math.max(event.clientX - x, 0), width) / width * duration);
+    }, [duration]);
+    const onSliderMouseLeave = React.useCallback(() => {
+        setHoverTime(null);
+    }, []);
     React.useLayoutEffect(() => {
         if (!routeFocused || disabled) {
             resetTimeDebounced.cancel();
             setSeekTime(null);
+            setHoverTime(null);
+            setSliding(false);
         }
     }, [routeFocused, disabled]);
+    React.useEffect(() => {
+        if (previewTime !== null && typeof onThumbnailRequested === 'function') {
+            onThumbnailRequested(previewTime);
+        }
+    }, [previewTime]);
     React.useEffect(() => {
         return () => {
             resetTimeDebounced.cancel();
@@ -44,21 +78,62 @@ const SeekBar = ({ className, time, duration, buffered, onSeekRequested }) => {
     return (
         <div className={classnames(className, styles['seek-bar-container'], { 'active': seekTime !== null })}>
             <div className={styles['label']}>{formatTime(seekTime !== null ? seekTime : time)}</div>
-            <Slider
-                className={classnames(styles['slider'], { 'active': seekTime !== null })}
-                value={
-                    !disabled ?
-                        seekTime !== null ? seekTime : time
+            <div className={styles['slider-container']} onMouseMove={onSliderMouseMove} onMouseLeave={onSliderMouseLeave}>
+                {
+                    !disabled && Array.isArray(chapters) ?
+                        chapters
+                            .filter(({ start }) => start > 0 && start < duration)
+                            .map(({ start }) => (
+                                <div key={start} className={styles['chapter-tick']} style={{ left: `${(start / duration * 100).toFixed(3)}%` }} />
+                            ))
+                        :
+                        null
+                }
+                {
+                    previewTime !== null ?
+                        <div className={styles['preview-container']} style={{ left: `${(previewTime / duration * 100).toFixed(3)}%` }}>
+                            {
+                                thumbnail !== null ?
+                                    <div
+                                        className={styles['thumbnail']}
+                                        style={{
+                                            width: thumbnail.width !== null ? `${thumbnail.width}px` : null,
+                                            height: thumbnail.height !== null ? `${thumbnail.height}px` : null,
+                                            backgroundImage: `url('${thumbnail.url}')`,
+                                            backgroundPosition: thumbnail.width !== null ? `-${thumbnail.x}px -${thumbnail.y}px` : null,
+                                            backgroundSize: thumbnail.width !== null ? 'auto' : 'cover',
+                                        }}
+                                    />
+                                    :
+                                    null
+                            }
+                            {
+                                chapter !== null && chapter.title !== null ?
+                                    <div className={styles['chapter']}>{chapter.title}</div>
+                                    :
+                                    null
+                            }
+                            <div className={styles['time']}>{formatTime(previewTime)}</div>
+                        </div>
                         :
-                        0
+                        null
                 }
-                buffered={buffered}
-                minimumValue={0}
-                maximumValue={duration}
-                disabled={disabled}
-                onSlide={onSlide}
-                onComplete={onComplete}
-            />
+                <Slider
+                    className={classnames(styles['slider'], { 'active': seekTime !== null })}
+                    value={
+                        !disabled ?
+                            seekTime !== null ? seekTime : time
+                            :
+                            0
+                    }
+                    buffered={buffered}
+                    minimumValue={0}
+                    maximumValue={duration}
+                    disabled={disabled}
+                    onSlide={onSlide}
+                    onComplete={onComplete}
+                />
+            </div>
             <Button onClick={toggleRemainingTimeMode} tabIndex={-1}>
                 <div className={styles['label']}>
                     {remainingTimeMode && duration !== null && !isNaN(duration)
@@ -75,7 +150,15 @@ SeekBar.propTypes = {
     time: PropTypes.number,
     duration: PropTypes.number,
     buffered: PropTypes.number,
-    onSeekRequested: PropTypes.func
+    chapters: PropTypes.arrayOf(PropTypes.shape({
+        title: PropTypes.string,
+        start: PropTypes.number,
+        end: PropTypes.number,
+        type: PropTypes.string,
+    })),
+    getThumbnail: PropTypes.func,
+    onSeekRequested: PropTypes.func,
+    onThumbnailRequested: PropTypes.func
 };
 
 module.exports = SeekBar;
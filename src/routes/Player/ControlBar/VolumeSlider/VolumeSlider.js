@@ -9,12 +9,13 @@ const { useServices } = require('stremio/services');
 const { Slider } = require('stremio/components');
 const styles = require('./styles');
 
-const VolumeSlider = ({ className, volume, onVolumeChangeRequested, muted }) => {
+const VolumeSlider = ({ className, volume, onVolumeChangeRequested, muted, audioBoost }) => {
     const { shell } = useServices();
     const disabled = volume === null || isNaN(volume);
     const routeFocused = useRouteFocused();
     const [slidingVolume, setSlidingVolume] = React.useState(null);
-    const maxVolume = shell.active ? 200: 100;
+    const boostSupported = !!shell.active || !!audioBoost;
+    const maxVolume = boostSupported ? 200: 100;
     const resetVolumeDebounced = React.useCallback(debounce(() => {
         setSlidingVolume(null);
     }, 100), []);
@@ -59,7 +60,7 @@ const VolumeSlider = ({ className, volume, onVolumeChangeRequested, muted }) =>
             disabled={disabled}
             onSlide={onSlide}
             onComplete={onComplete}
-            audioBoost={!!shell.active}
+            audioBoost={boostSupported}
         />
     );
 };
@@ -69,6 +70,7 @@ VolumeSlider.propTypes = {
     volume: PropTypes.number,
     onVolumeChangeRequested: PropTypes.func,
     muted: PropTypes.bool,
+    audioBoost: PropTypes.bool,
 };
 
 module.exports = VolumeSlider;
@@ -37,7 +37,14 @@ type Props = {
     onExtraSubtitlesBackgroundColorChanged?: (color: string) => void,
     onExtraSubtitlesOutlineColorChanged?: (color: string) => void,
     onExtraSubtitlesOffsetChanged?: (offset: number) => void,
-    onExtraSubtitlesDelayChanged?: (delay: number) => void
+    onExtraSubtitlesDelayChanged?: (delay: number) => void,
+    // Subtitles editor of the selected extra track
+    time?: number | null,
+    subtitlesEditor?: any,
+    onSubtitlesEditorOpened?: () => void,
+    onSubtitlesCueChanged?: (index: number, changes: any) => void,
+    onSubtitlesShiftedFrom?: (index: number, offset: number) => void,
+    onSubtitlesExported?: (format: string) => void
 };
 
 const EnhancedPlayerIntegration = ({
@@ -65,7 +72,13 @@ const EnhancedPlayerIntegration = ({
     onExtraSubtitlesBackgroundColorChanged,
     onExtraSubtitlesOutlineColorChanged,
     onExtraSubtitlesOffsetChanged,
-    onExtraSubtitlesDelayChanged
+    onExtraSubtitlesDelayChanged,
+    time,
+    subtitlesEditor,
+    onSubtitlesEditorOpened,
+    onSubtitlesCueChanged,
+    onSubtitlesShiftedFrom,
+    onSubtitlesExported
 }: Props) => {
     const { t } = useTranslation();
     const [isAdvancedMenuOpen, setIsAdvancedMenuOpen] = useState(false);
@@ -84,35 +97,30 @@ const EnhancedPlayerIntegration = ({
     );
     
     /**
-     * Handle subtitle file upload
+     * Add a processed subtitle file as an extra subtitles track
      */
-    const handleSubtitleFileUpload = useCallback(async (file: File) => {
-        try {
-            const result = await enhancedPlayer.uploadSubtitleFile(file);
-            
-            if (result.success) {
-                // Process successful upload
-                console.log('Subtitle file uploaded successfully:', result);
-                
-                // Add to extra subtitles tracks if needed
-                if (result.subtitles && result.subtitles.length > 0) {
-                    const newTrack = {
-                        id: `uploaded-${Date.now()}`,
-                        label: result.metadata.fileName,
-                        lang: 'und',
-                        origin: 'UPLOADED',
-                        embedded: false,
-                        subtitles: result.subtitles,
-                        format: result.format
-                    };
-                    
-                    // Add to extra subtitles tracks
-                    enhancedPlayer.state.extraSubtitlesTracks = [
-                        ...enhancedPlayer.state.extraSubtitlesTracks,
-                        newTrack
-                    ];
-                    
-                    // Auto-select the uploaded track
+    const handleSubtitleFileProcessed = useCallback((result: any) => {
+        if (result.success) {
+            // Add to extra subtitles tracks if needed
+            if (result.subtitles && result.subtitles.length > 0) {
+                const newTrack = {
+                    id: `uploaded-${Date.now()}`,
+                    label: result.metadata.fileName,
+                    lang: 'und',
+                    origin: 'UPLOADED',
+                    embedded: false,
+                    subtitles: result.subtitles,
+                    format: result.format,
+                    charset: result.metadata.charset
+                };
+
+                // Add to extra subtitles tracks, replacing a previous decoding of the same file
+                enhancedPlayer.state.extraSubtitlesTracks = [
+                    ...enhancedPlayer.state.extraSubtitlesTracks.filter(({ label }) => label !== newTrack.label),
+                    newTrack
+                ];
+
+                // Auto-select the uploaded track
                 if (onExtraSubtitlesTrackSelected) {
                     onExtraSubtitlesTrackSelected(newTrack.id);
                 }
@@ -130,7 +138,15 @@ const EnhancedPlayerIntegration = ({
                 'assertive'
             );
         }
-            
+    }, [enhancedPlayer, onExtraSubtitlesTrackSelected, t]);
+
+    /**
+     * Handle subtitle file upload
+     */
+    const handleSubtitleFileUpload = useCallback(async (file: File) => {
+        try {
+            const result = await enhancedPlayer.uploadSubtitleFile(file);
+            handleSubtitleFileProcessed(result);
             return result;
         } catch (error) {
             console.error('Error uploading subtitle file:', error);
@@ -142,7 +158,30 @@ const EnhancedPlayerIntegration = ({
             
             return { success: false, error: error.message };
         }
-    }, [enhancedPlayer, onExtraSubtitlesTrackSelected, t]);
+    }, [enhancedPlayer, handleSubtitleFileProcessed, t]);
+
+    /**
+     * Handle manual charset override for the uploaded subtitle file
+     */
+    const handleSubtitlesCharsetSelected = useCallback(async (charset: string) => {
+        try {
+            const result = await enhancedPlayer.redecodeSubtitleFile(charset);
+            if (result) {
+                handleSubtitleFileProcessed(result);
+            }
+            return result;
+        } catch (error) {
+            console.error('Error decoding subtitle file:', error);
+            const message = error instanceof Error ? error.message : String(error);
+
+            screenReader.announce(
+                t('SUBTITLE_FILE_UPLOAD_ERROR', { error: message }),
+                'assertive'
+            );
+
+            return { success: false, error: message };
+        }
+    }, [enhancedPlayer, handleSubtitleFileProcessed, t]);
     
     /**
      * Handle preset selection
@@ -443,9 +482,18 @@ const EnhancedPlayerIntegration = ({
                         onExtraSubtitlesOutlineColorChanged={handleExtraSubtitlesOutlineColorChanged}
                         onExtraSubtitlesOffsetChanged={handleExtraSubtitlesOffsetChanged}
                         onExtraSubtitlesDelayChanged={handleExtraSubtitlesDelayChanged}
+                        uploadedSubtitlesCharset={enhancedPlayer.state.uploadedSubtitlesCharset}
+                        uploadedSubtitlesCharsetConfidence={enhancedPlayer.state.uploadedSubtitlesCharsetConfidence}
                         onSubtitlesFileUpload={handleSubtitleFileUpload}
+                        onSubtitlesCharsetSelected={handleSubtitlesCharsetSelected}
                         onPresetSelected={handlePresetSelected}
                         onResetToDefaults={handleResetToDefaults}
+                        time={time}
+                        subtitlesEditor={subtitlesEditor}
+                        onSubtitlesEditorOpened={onSubtitlesEditorOpened}
+                        onSubtitlesCueChanged={onSubtitlesCueChanged}
+                        onSubtitlesShiftedFrom={onSubtitlesShiftedFrom}
+                        onSubtitlesExported={onSubtitlesExported}
                     />
                 </div>
             )}
@@ -9,7 +9,7 @@ const { useServices } = require('stremio/services');
 const Option = require('./Option');
 const styles = require('./styles');
 
-const OptionsMenu = ({ className, stream, playbackDevices, extraSubtitlesTracks, selectedExtraSubtitlesTrackId }) => {
+const OptionsMenu = ({ className, stream, playbackDevices, extraSubtitlesTracks, selectedExtraSubtitlesTrackId, onWatchPartyRequested }) => {
     const { t } = useTranslation();
     const { core } = useServices();
     const platform = usePlatform();
@@ -128,6 +128,16 @@ const OptionsMenu = ({ className, stream, playbackDevices, extraSubtitlesTracks,
                     />
                 ))
             }
+            {
+                typeof onWatchPartyRequested === 'function' ?
+                    <Option
+                        icon={'person-outline'}
+                        label={t('WATCH_PARTY')}
+                        onClick={onWatchPartyRequested}
+                    />
+                    :
+                    null
+            }
         </div>
     );
 };
@@ -138,6 +148,7 @@ OptionsMenu.propTypes = {
     playbackDevices: PropTypes.array,
     extraSubtitlesTracks: PropTypes.array,
     selectedExtraSubtitlesTrackId: PropTypes.string,
+    onWatchPartyRequested: PropTypes.func,
 };
 
 module.exports = OptionsMenu;
@@ -8,7 +8,7 @@ const langs = require('langs');
 const { useTranslation } = require('react-i18next');
 const { useRouteFocused } = require('stremio-router');
 const { useServices } = require('stremio/services');
-const { onFileDrop, useSettings, useProfile, useFullscreen, useBinaryState, useToast, useStreamingServer, withCoreSuspender, CONSTANTS, useShell, usePlatform, onShortcut } = require('stremio/common');
+const { onFileDrop, useSettings, useProfile, useFullscreen, useBinaryState, useToast, useStreamingServer, withCoreSuspender, CONSTANTS, useShell, usePlatform, onShortcut, getPlayBestLink } = require('stremio/common');
 const { HorizontalNavBar, Transition, ContextMenu } = require('stremio/components');
 const BufferingLoader = require('./BufferingLoader');
 const VolumeChangeIndicator = require('./VolumeChangeIndicator');
@@ -17,18 +17,41 @@ const ControlBar = require('./ControlBar');
 const NextVideoPopup = require('./NextVideoPopup');
 const StatisticsMenu = require('./StatisticsMenu');
 const OptionsMenu = require('./OptionsMenu');
+const WatchPartyMenu = require('./WatchPartyMenu');
 const SubtitlesMenu = require('./SubtitlesMenu');
 const { default: AudioMenu } = require('./AudioMenu');
 const SpeedMenu = require('./SpeedMenu');
+const ChaptersMenu = require('./ChaptersMenu');
 const { default: SideDrawerButton } = require('./SideDrawerButton');
 const { default: SideDrawer } = require('./SideDrawer');
 const { default: EnhancedPlayerIntegration } = require('./EnhancedPlayerIntegration/EnhancedPlayerIntegration');
 const usePlayer = require('./usePlayer');
 const useStatistics = require('./useStatistics');
+const usePlaybackStatistics = require('./usePlaybackStatistics');
+const { useWatchParty, getInviteLink, parseInvite, takePendingInvite } = require('./WatchParty');
 const useVideo = require('./useVideo');
+const usePictureInPicture = require('./usePictureInPicture');
+const useAudioProcessing = require('./useAudioProcessing');
+const useSubtitlesSync = require('./useSubtitlesSync');
+const usePlaybackMemory = require('./usePlaybackMemory');
+const useAssSubtitles = require('./useAssSubtitles');
+const useSecondarySubtitles = require('./useSecondarySubtitles');
+const useSubtitlesEditor = require('./useSubtitlesEditor');
+const useTrickplay = require('./useTrickplay');
+const useChapters = require('./useChapters');
+const useAutoSkip = require('./useAutoSkip');
+const useDownloadedFile = require('./useDownloadedFile');
 const styles = require('./styles');
 const Video = require('./Video');
 const { default: Indicator } = require('./Indicator/Indicator');
+const { default: AssSubtitles } = require('./AssSubtitles');
+const { default: SecondarySubtitles } = require('./SecondarySubtitles');
+const { default: SkipSegmentButton } = require('./SkipSegmentButton');
+
+// Hides the native rendering of a track drawn by the ASS renderer
+const TRANSPARENT_COLOR = 'rgba(0, 0, 0, 0)';
+// The skip button is hidden during the last moments of a segment, as skipping would not save any time
+const SKIP_SEGMENT_END_MARGIN = 1000;
 
 const Player = ({ urlParams, queryParams }) => {
     const { t } = useTranslation();
@@ -37,15 +60,33 @@ const Player = ({ urlParams, queryParams }) => {
     const forceTranscoding = React.useMemo(() => {
         return queryParams.has('forceTranscoding');
     }, [queryParams]);
+    const downloadedFile = useDownloadedFile(queryParams.get('download'));
     const profile = useProfile();
-    const [player, videoParamsChanged, timeChanged, seek, pausedChanged, ended, nextVideo] = usePlayer(urlParams);
+    const [player, videoParamsChanged, timeChanged, seek, pausedChanged, ended, nextVideo, playerSession] = usePlayer(urlParams);
     const [settings, updateSettings] = useSettings();
     const streamingServer = useStreamingServer();
     const statistics = useStatistics(player, streamingServer);
-    const video = useVideo();
+    const miniPlayer = React.useMemo(() => ({
+        title: player.title !== null ? player.title : '',
+        href: window.location.hash,
+        session: playerSession
+    }), [player.title, playerSession]);
+    const video = useVideo(miniPlayer);
+    // The video taken over from the mini player is already playing the stream
+    const videoRestoredRef = React.useRef(video.restored);
+    const [pictureInPicture, togglePictureInPicture] = usePictureInPicture(video);
+    const audio = useAudioProcessing(video);
+    const assScript = useAssSubtitles(video);
+    const [secondarySubtitles, selectSecondarySubtitlesTrack, setSecondarySubtitlesDelay, updateSecondarySubtitlesStyle] = useSecondarySubtitles(video);
+    const streamingServerURL = streamingServer.baseUrl ? streamingServer.selected.transportUrl : null;
+    const [getSeekThumbnail, requestSeekThumbnail] = useTrickplay(video, streamingServerURL);
+    const [chapters, skipSegments] = useChapters(video, streamingServerURL, urlParams);
+    const [autoSkip, toggleAutoSkip] = useAutoSkip(urlParams.type === 'series' ? urlParams.id : null);
+    const [playbackRemembered, recallPlayback, rememberPlayback, forgetPlayback] = usePlaybackMemory(urlParams.id, urlParams.streamTransportUrl);
     const routeFocused = useRouteFocused();
     const platform = usePlatform();
     const toast = useToast();
+    const watchParty = useWatchParty(video);
 
     const [seeking, setSeeking] = React.useState(false);
 
@@ -65,30 +106,52 @@ const Player = ({ urlParams, queryParams }) => {
     const [subtitlesMenuOpen, , closeSubtitlesMenu, toggleSubtitlesMenu] = useBinaryState(false);
     const [audioMenuOpen, , closeAudioMenu, toggleAudioMenu] = useBinaryState(false);
     const [speedMenuOpen, , closeSpeedMenu, toggleSpeedMenu] = useBinaryState(false);
+    const [chaptersMenuOpen, , closeChaptersMenu, toggleChaptersMenu] = useBinaryState(false);
     const [statisticsMenuOpen, , closeStatisticsMenu, toggleStatisticsMenu] = useBinaryState(false);
+    const [watchPartyMenuOpen, openWatchPartyMenu, closeWatchPartyMenu] = useBinaryState(false);
     const [nextVideoPopupOpen, openNextVideoPopup, closeNextVideoPopup] = useBinaryState(false);
     const [sideDrawerOpen, , closeSideDrawer, toggleSideDrawer] = useBinaryState(false);
 
+    const playbackStatistics = usePlaybackStatistics(video, streamingServerURL, forceTranscoding || casting, statisticsMenuOpen);
+
     const menusOpen = React.useMemo(() => {
-        return optionsMenuOpen || subtitlesMenuOpen || audioMenuOpen || speedMenuOpen || statisticsMenuOpen || sideDrawerOpen;
-    }, [optionsMenuOpen, subtitlesMenuOpen, audioMenuOpen, speedMenuOpen, statisticsMenuOpen, sideDrawerOpen]);
+        return optionsMenuOpen || subtitlesMenuOpen || audioMenuOpen || speedMenuOpen || chaptersMenuOpen || statisticsMenuOpen || watchPartyMenuOpen || sideDrawerOpen;
+    }, [optionsMenuOpen, subtitlesMenuOpen, audioMenuOpen, speedMenuOpen, chaptersMenuOpen, statisticsMenuOpen, watchPartyMenuOpen, sideDrawerOpen]);
 
     const closeMenus = React.useCallback(() => {
         closeOptionsMenu();
         closeSubtitlesMenu();
         closeAudioMenu();
         closeSpeedMenu();
+        closeChaptersMenu();
         closeStatisticsMenu();
+        closeWatchPartyMenu();
         closeSideDrawer();
     }, []);
 
+    const currentSegment = React.useMemo(() => {
+        const time = video.state.time;
+        return time !== null && !isNaN(time) ?
+            skipSegments.find(({ start, end }) => start <= time && time < end - SKIP_SEGMENT_END_MARGIN) || null
+            :
+            null;
+    }, [skipSegments, video.state.time]);
+
+    const skippedSegments = React.useRef(new Set());
+
     const overlayHidden = React.useMemo(() => {
         return immersed && !casting && video.state.paused !== null && !video.state.paused && !menusOpen && !nextVideoPopupOpen;
     }, [immersed, casting, video.state.paused, menusOpen, nextVideoPopupOpen]);
 
     const nextVideoPopupDismissed = React.useRef(false);
+    const bingeGroup = React.useRef(null);
     const defaultSubtitlesSelected = React.useRef(false);
     const defaultAudioTrackSelected = React.useRef(false);
+    const defaultSecondarySubtitlesSelected = React.useRef(false);
+    const playbackMemory = React.useRef(null);
+    // Only choices made in the menus are remembered, not the tracks picked from the settings
+    const subtitlesChosen = React.useRef(false);
+    const pendingSubtitlesDelay = React.useRef(null);
     const [error, setError] = React.useState(null);
 
     const isNavigating = React.useRef(false);
@@ -104,31 +167,32 @@ const Player = ({ urlParams, queryParams }) => {
         video.setProp('subtitlesOutlineSize', settings.subtitlesOutlineSize);
         video.setProp('extraSubtitlesSize', settings.subtitlesSize);
         video.setProp('extraSubtitlesOffset', settings.subtitlesOffset);
-        video.setProp('extraSubtitlesTextColor', settings.subtitlesTextColor);
-        video.setProp('extraSubtitlesBackgroundColor', settings.subtitlesBackgroundColor);
-        video.setProp('extraSubtitlesOutlineColor', settings.subtitlesOutlineColor);
-    }, [settings.subtitlesSize, settings.subtitlesFont, settings.subtitlesOffset, settings.subtitlesTextColor, settings.subtitlesBackgroundColor, settings.subtitlesBackgroundOpacity, settings.subtitlesOutlineColor, settings.subtitlesOutlineSize]);
+        video.setProp('extraSubtitlesTextColor', assScript !== null ? TRANSPARENT_COLOR : settings.subtitlesTextColor);
+        video.setProp('extraSubtitlesBackgroundColor', assScript !== null ? TRANSPARENT_COLOR : settings.subtitlesBackgroundColor);
+        video.setProp('extraSubtitlesOutlineColor', assScript !== null ? TRANSPARENT_COLOR : settings.subtitlesOutlineColor);
+    }, [settings.subtitlesSize, settings.subtitlesFont, settings.subtitlesOffset, settings.subtitlesTextColor, settings.subtitlesBackgroundColor, settings.subtitlesBackgroundOpacity, settings.subtitlesOutlineColor, settings.subtitlesOutlineSize, assScript]);
 
+    // The stream of the next video is picked by the streams ranking, preferring the binge group of the current one
     const handleNextVideoNavigation = React.useCallback((deepLinks, bingeWatching, ended) => {
         if (ended) {
             if (bingeWatching) {
-                if (deepLinks.player) {
+                if (deepLinks.metaDetailsStreams) {
                     isNavigating.current = true;
-                    window.location.replace(deepLinks.player);
-                } else if (deepLinks.metaDetailsStreams) {
+                    window.location.replace(getPlayBestLink(deepLinks.metaDetailsStreams, bingeGroup.current));
+                } else if (deepLinks.player) {
                     isNavigating.current = true;
-                    window.location.replace(deepLinks.metaDetailsStreams);
+                    window.location.replace(deepLinks.player);
                 }
             } else {
                 window.history.back();
             }
         } else {
-            if (deepLinks.player) {
+            if (deepLinks.metaDetailsStreams) {
                 isNavigating.current = true;
-                window.location.replace(deepLinks.player);
-            } else if (deepLinks.metaDetailsStreams) {
+                window.location.replace(getPlayBestLink(deepLinks.metaDetailsStreams, bingeGroup.current));
+            } else if (deepLinks.player) {
                 isNavigating.current = true;
-                window.location.replace(deepLinks.metaDetailsStreams);
+                window.location.replace(deepLinks.player);
             }
         }
     }, []);
@@ -195,6 +259,7 @@ const Player = ({ urlParams, queryParams }) => {
 
     const onPlayRequested = React.useCallback(() => {
         video.setProp('paused', false);
+        watchParty.broadcast({ paused: false });
         setSeeking(false);
     }, []);
 
@@ -202,9 +267,15 @@ const Player = ({ urlParams, queryParams }) => {
 
     const onPauseRequested = React.useCallback(() => {
         video.setProp('paused', true);
+        watchParty.broadcast({ paused: true });
     }, []);
 
     const onPauseRequestedDebounced = React.useCallback(debounce(onPauseRequested, 200), []);
+
+    const onMiniPlayerRequested = React.useCallback(() => {
+        video.requestMiniPlayer();
+        window.history.back();
+    }, []);
     const onMuteRequested = React.useCallback(() => {
         video.setProp('muted', true);
     }, []);
@@ -214,35 +285,85 @@ const Player = ({ urlParams, queryParams }) => {
     }, []);
 
     const onVolumeChangeRequested = React.useCallback((volume) => {
-        video.setProp('volume', volume);
-    }, []);
+        audio.setVolume(volume);
+    }, [audio.setVolume]);
 
     const onSeekRequested = React.useCallback((time) => {
         video.setProp('time', time);
+        watchParty.broadcast({ time });
         seek(time, video.state.duration, video.state.manifest?.name);
     }, [video.state.duration, video.state.manifest]);
 
+    const onSkipSegment = React.useCallback((segment) => {
+        onSeekRequested(segment.end);
+    }, [onSeekRequested]);
+
+    const onChapterSelected = React.useCallback((start) => {
+        closeChaptersMenu();
+        onSeekRequested(start);
+    }, [onSeekRequested]);
+
     const onPlaybackSpeedChanged = React.useCallback((rate) => {
         video.setProp('playbackSpeed', rate);
+        watchParty.broadcast({ playbackSpeed: rate });
     }, []);
 
+    // A track chosen before the default one shows up must not be replaced by it
     const onSubtitlesTrackSelected = React.useCallback((id) => {
+        defaultSubtitlesSelected.current = true;
+        subtitlesChosen.current = true;
         video.setSubtitlesTrack(id);
     }, []);
 
     const onExtraSubtitlesTrackSelected = React.useCallback((id) => {
+        defaultSubtitlesSelected.current = true;
+        subtitlesChosen.current = true;
         video.setExtraSubtitlesTrack(id);
     }, []);
 
+    const onSecondarySubtitlesTrackSelected = React.useCallback((id) => {
+        defaultSecondarySubtitlesSelected.current = true;
+        selectSecondarySubtitlesTrack(id);
+    }, []);
+
+    const onSecondarySubtitlesDelayChanged = React.useCallback((delay) => {
+        setSecondarySubtitlesDelay(delay);
+    }, []);
+
+    const onSecondarySubtitlesSizeChanged = React.useCallback((size) => {
+        updateSecondarySubtitlesStyle({ size });
+    }, []);
+
+    const onSecondarySubtitlesOffsetChanged = React.useCallback((offset) => {
+        updateSecondarySubtitlesStyle({ offset });
+    }, []);
+
+    const onSecondarySubtitlesTextColorChanged = React.useCallback((textColor) => {
+        updateSecondarySubtitlesStyle({ textColor });
+    }, []);
+
     const onAudioTrackSelected = React.useCallback((id) => {
+        defaultAudioTrackSelected.current = true;
         video.setProp('selectedAudioTrackId', id);
     }, []);
 
     const onExtraSubtitlesDelayChanged = React.useCallback((delay) => {
+        subtitlesChosen.current = true;
         video.setProp('extraSubtitlesDelay', delay);
     }, []);
 
+    // The subtitles editor re-adds its track after each edit, only the latest one is listed
+    const extraSubtitlesTracks = React.useMemo(() => {
+        return video.state.extraSubtitlesTracks.filter((track, index, tracks) => {
+            return !track.local || !tracks.slice(index + 1).some(({ local, label }) => local && label === track.label);
+        });
+    }, [video.state.extraSubtitlesTracks]);
+
+    const [subtitlesSync, startSubtitlesSync, cancelSubtitlesSync, undoSubtitlesSync] = useSubtitlesSync(video, onExtraSubtitlesDelayChanged);
+    const [subtitlesEditor, loadSubtitlesEditor, changeSubtitlesCue, shiftSubtitlesFrom, exportSubtitles] = useSubtitlesEditor(video);
+
     const onSubtitlesDelayChanged = React.useCallback((delay) => {
+        subtitlesChosen.current = true;
         video.setProp('subtitlesDelay', delay);
     }, []);
 
@@ -324,6 +445,36 @@ const Player = ({ urlParams, queryParams }) => {
         toggleFullscreen();
     }, [toggleFullscreen]);
 
+    const onWatchPartyRequested = React.useCallback(() => {
+        closeMenus();
+        openWatchPartyMenu();
+    }, []);
+
+    const onCopyWatchPartyInvite = React.useCallback(() => {
+        if (watchParty.session === null) {
+            return;
+        }
+
+        const link = getInviteLink({ sessionId: watchParty.session.id, signallingUrl: watchParty.session.signallingUrl, urlParams });
+        navigator.clipboard.writeText(link)
+            .then(() => {
+                toast.show({
+                    type: 'success',
+                    title: t('WATCH_PARTY_INVITE_COPIED'),
+                    timeout: 3000
+                });
+            })
+            .catch((error) => {
+                console.error(error);
+                toast.show({
+                    type: 'error',
+                    title: t('WATCH_PARTY_INVITE_COPY_ERROR'),
+                    message: link,
+                    timeout: 10000
+                });
+            });
+    }, [watchParty.session, urlParams]);
+
     const onContainerMouseDown = React.useCallback((event) => {
         if (!event.nativeEvent.optionsMenuClosePrevented) {
             closeOptionsMenu();
@@ -337,9 +488,15 @@ const Player = ({ urlParams, queryParams }) => {
         if (!event.nativeEvent.speedMenuClosePrevented) {
             closeSpeedMenu();
         }
+        if (!event.nativeEvent.chaptersMenuClosePrevented) {
+            closeChaptersMenu();
+        }
         if (!event.nativeEvent.statisticsMenuClosePrevented) {
             closeStatisticsMenu();
         }
+        if (!event.nativeEvent.watchPartyMenuClosePrevented) {
+            closeWatchPartyMenu();
+        }
 
         closeSideDrawer();
     }, []);
@@ -367,13 +524,23 @@ const Player = ({ urlParams, queryParams }) => {
     });
 
     React.useEffect(() => {
+        const ready = player.selected && player.stream?.type === 'Ready' && streamingServer.settings?.type !== 'Loading' && downloadedFile !== undefined;
+        if (videoRestoredRef.current) {
+            videoRestoredRef.current = !ready;
+            return;
+        }
+
         setError(null);
         video.unload();
 
-        if (player.selected && player.stream?.type === 'Ready' && streamingServer.settings?.type !== 'Loading') {
+        if (ready) {
             video.load({
                 stream: {
-                    ...player.stream.content,
+                    // Downloads saved to a folder play from the file instead of where they were downloaded from
+                    ...downloadedFile !== null ?
+                        { url: downloadedFile, behaviorHints: player.stream.content.behaviorHints }
+                        :
+                        player.stream.content,
                     subtitles: Array.isArray(player.selected.stream.subtitles) ?
                         player.selected.stream.subtitles.map((subtitles) => ({
                             ...subtitles,
@@ -408,7 +575,7 @@ const Player = ({ urlParams, queryParams }) => {
                 shellTransport: services.shell.active ? services.shell.transport : null,
             });
         }
-    }, [streamingServer.baseUrl, player.selected, player.stream, forceTranscoding, casting]);
+    }, [streamingServer.baseUrl, player.selected, player.stream, downloadedFile, forceTranscoding, casting]);
     React.useEffect(() => {
         if (video.state.stream !== null) {
             const tracks = player.subtitles.map((subtitles) => ({
@@ -419,6 +586,24 @@ const Player = ({ urlParams, queryParams }) => {
         }
     }, [player.subtitles, video.state.stream]);
 
+    React.useEffect(() => {
+        if (subtitlesSync.status === 'synced') {
+            toast.show({
+                type: 'success',
+                title: t('PLAYER_SUBTITLES_SYNC'),
+                message: t('PLAYER_SUBTITLES_SYNC_APPLIED', { delay: subtitlesSync.result.delay.toFixed(2) }),
+                timeout: 3000
+            });
+        } else if (subtitlesSync.status === 'failed') {
+            toast.show({
+                type: 'error',
+                title: t('PLAYER_SUBTITLES_SYNC'),
+                message: t(subtitlesSync.error),
+                timeout: 3000
+            });
+        }
+    }, [subtitlesSync.status]);
+
     React.useEffect(() => {
         video.setProp('subtitlesSize', settings.subtitlesSize);
         video.setProp('extraSubtitlesSize', settings.subtitlesSize);
@@ -431,18 +616,18 @@ const Player = ({ urlParams, queryParams }) => {
 
     React.useEffect(() => {
         video.setProp('subtitlesTextColor', settings.subtitlesTextColor);
-        video.setProp('extraSubtitlesTextColor', settings.subtitlesTextColor);
-    }, [settings.subtitlesTextColor]);
+        video.setProp('extraSubtitlesTextColor', assScript !== null ? TRANSPARENT_COLOR : settings.subtitlesTextColor);
+    }, [settings.subtitlesTextColor, assScript]);
 
     React.useEffect(() => {
         video.setProp('subtitlesBackgroundColor', settings.subtitlesBackgroundColor);
-        video.setProp('extraSubtitlesBackgroundColor', settings.subtitlesBackgroundColor);
-    }, [settings.subtitlesBackgroundColor]);
+        video.setProp('extraSubtitlesBackgroundColor', assScript !== null ? TRANSPARENT_COLOR : settings.subtitlesBackgroundColor);
+    }, [settings.subtitlesBackgroundColor, assScript]);
 
     React.useEffect(() => {
         video.setProp('subtitlesOutlineColor', settings.subtitlesOutlineColor);
-        video.setProp('extraSubtitlesOutlineColor', settings.subtitlesOutlineColor);
-    }, [settings.subtitlesOutlineColor]);
+        video.setProp('extraSubtitlesOutlineColor', assScript !== null ? TRANSPARENT_COLOR : settings.subtitlesOutlineColor);
+    }, [settings.subtitlesOutlineColor, assScript]);
 
     React.useEffect(() => {
         video.setProp('subtitlesFont', settings.subtitlesFont);
@@ -472,6 +657,13 @@ const Player = ({ urlParams, queryParams }) => {
         videoParamsChanged(video.state.videoParams);
     }, [video.state.videoParams]);
 
+    React.useEffect(() => {
+        // Kept after core unloads the stream, as the next video is navigated to when it ends
+        if (player.selected !== null) {
+            bingeGroup.current = player.selected.stream.behaviorHints?.bingeGroup ?? null;
+        }
+    }, [player.selected]);
+
     React.useEffect(() => {
         if (player.nextVideo !== null && !nextVideoPopupDismissed.current) {
             if (video.state.time !== null && video.state.duration !== null && video.state.time < video.state.duration && (video.state.duration - video.state.time) <= settings.nextVideoNotificationDuration) {
@@ -493,31 +685,88 @@ const Player = ({ urlParams, queryParams }) => {
     React.useEffect(() => {
         if (!defaultSubtitlesSelected.current) {
             const findTrackByLang = (tracks, lang) => tracks.find((track) => track.lang === lang || langs.where('1', track.lang)?.[2] === lang);
-
-            if (settings.subtitlesLanguage === null) {
-                onSubtitlesTrackSelected(null);
-                onExtraSubtitlesTrackSelected(null);
+            const remembered = playbackMemory.current !== null && playbackMemory.current.subtitles !== undefined ?
+                playbackMemory.current.subtitles
+                :
+                undefined;
+            const subtitlesLanguage = remembered !== undefined ?
+                remembered !== null ? remembered.lang : null
+                :
+                settings.subtitlesLanguage;
+
+            if (subtitlesLanguage === null) {
+                video.setSubtitlesTrack(null);
+                video.setExtraSubtitlesTrack(null);
                 defaultSubtitlesSelected.current = true;
                 return;
             }
 
-            const subtitlesTrack = findTrackByLang(video.state.subtitlesTracks, settings.subtitlesLanguage);
-            const extraSubtitlesTrack = findTrackByLang(video.state.extraSubtitlesTracks, settings.subtitlesLanguage);
+            if (remembered) {
+                const tracks = remembered.embedded ? video.state.subtitlesTracks : video.state.extraSubtitlesTracks;
+                const rememberedTrack = (playbackMemory.current.sameSource ? tracks.find(({ id }) => id === remembered.id) : null) ||
+                    tracks.find(({ lang, origin }) => lang === remembered.lang && origin === remembered.origin);
+                if (rememberedTrack) {
+                    const delay = remembered.embedded ? playbackMemory.current.subtitlesDelay : playbackMemory.current.extraSubtitlesDelay;
+                    if (playbackMemory.current.sameSource && typeof delay === 'number') {
+                        pendingSubtitlesDelay.current = {
+                            embedded: remembered.embedded,
+                            trackId: rememberedTrack.id,
+                            delay
+                        };
+                    }
+
+                    if (remembered.embedded) {
+                        video.setSubtitlesTrack(rememberedTrack.id);
+                    } else {
+                        video.setExtraSubtitlesTrack(rememberedTrack.id);
+                    }
+
+                    defaultSubtitlesSelected.current = true;
+                    return;
+                }
+            }
+
+            const subtitlesTrack = findTrackByLang(video.state.subtitlesTracks, subtitlesLanguage);
+            const extraSubtitlesTrack = findTrackByLang(video.state.extraSubtitlesTracks, subtitlesLanguage);
 
             if (subtitlesTrack && subtitlesTrack.id) {
-                onSubtitlesTrackSelected(subtitlesTrack.id);
+                video.setSubtitlesTrack(subtitlesTrack.id);
                 defaultSubtitlesSelected.current = true;
             } else if (extraSubtitlesTrack && extraSubtitlesTrack.id) {
-                onExtraSubtitlesTrackSelected(extraSubtitlesTrack.id);
+                video.setExtraSubtitlesTrack(extraSubtitlesTrack.id);
                 defaultSubtitlesSelected.current = true;
             }
         }
     }, [video.state.subtitlesTracks, video.state.extraSubtitlesTracks]);
 
+    React.useEffect(() => {
+        if (!defaultSecondarySubtitlesSelected.current) {
+            const findTrackByLang = (tracks, lang) => tracks.find((track) => track.lang === lang || langs.where('1', track.lang)?.[2] === lang);
+            if (settings.secondarySubtitlesLanguage === null || settings.secondarySubtitlesLanguage === settings.subtitlesLanguage) {
+                defaultSecondarySubtitlesSelected.current = true;
+                return;
+            }
+
+            const subtitlesTrack = findTrackByLang(video.state.subtitlesTracks, settings.secondarySubtitlesLanguage);
+            const extraSubtitlesTrack = findTrackByLang(video.state.extraSubtitlesTracks, settings.secondarySubtitlesLanguage);
+
+            if (subtitlesTrack && subtitlesTrack.id) {
+                onSecondarySubtitlesTrackSelected(subtitlesTrack.id);
+            } else if (extraSubtitlesTrack && extraSubtitlesTrack.id) {
+                onSecondarySubtitlesTrackSelected(extraSubtitlesTrack.id);
+            }
+        }
+    }, [video.state.subtitlesTracks, video.state.extraSubtitlesTracks]);
+
     React.useEffect(() => {
         if (!defaultAudioTrackSelected.current) {
             const findTrackByLang = (tracks, lang) => tracks.find((track) => track.lang === lang || langs.where('1', track.lang)?.[2] === lang);
-            const audioTrack = findTrackByLang(video.state.audioTracks, settings.audioLanguage);
+            const remembered = playbackMemory.current !== null && playbackMemory.current.audioTrack ?
+                playbackMemory.current.audioTrack
+                :
+                null;
+            const audioTrack = (remembered !== null && playbackMemory.current.sameSource ? video.state.audioTracks.find(({ id }) => id === remembered.id) : null) ||
+                findTrackByLang(video.state.audioTracks, remembered !== null ? remembered.lang : settings.audioLanguage);
 
             if (audioTrack && audioTrack.id) {
                 onAudioTrackSelected(audioTrack.id);
@@ -529,12 +778,58 @@ const Player = ({ urlParams, queryParams }) => {
     React.useEffect(() => {
         defaultSubtitlesSelected.current = false;
         defaultAudioTrackSelected.current = false;
+        defaultSecondarySubtitlesSelected.current = false;
+        playbackMemory.current = recallPlayback();
+        subtitlesChosen.current = false;
+        pendingSubtitlesDelay.current = null;
         nextVideoPopupDismissed.current = false;
         // we need a timeout here to make sure that previous page unloads and the new one loads
         // avoiding race conditions and flickering
         setTimeout(() => isNavigating.current = false, 1000);
     }, [video.state.stream]);
 
+    React.useEffect(() => {
+        const pending = pendingSubtitlesDelay.current;
+        if (pending !== null && pending.trackId === (pending.embedded ? video.state.selectedSubtitlesTrackId : video.state.selectedExtraSubtitlesTrackId)) {
+            video.setProp(pending.embedded ? 'subtitlesDelay' : 'extraSubtitlesDelay', pending.delay);
+            pendingSubtitlesDelay.current = null;
+        }
+    }, [video.state.selectedSubtitlesTrackId, video.state.selectedExtraSubtitlesTrackId]);
+
+    React.useEffect(() => {
+        if (video.state.stream !== null && subtitlesChosen.current && pendingSubtitlesDelay.current === null) {
+            const subtitlesTrack = video.state.subtitlesTracks.find(({ id }) => id === video.state.selectedSubtitlesTrackId) ||
+                video.state.extraSubtitlesTracks.find(({ id }) => id === video.state.selectedExtraSubtitlesTrackId);
+            rememberPlayback({
+                subtitles: subtitlesTrack ?
+                    {
+                        id: subtitlesTrack.id,
+                        lang: subtitlesTrack.lang,
+                        origin: subtitlesTrack.origin,
+                        embedded: subtitlesTrack.embedded === true
+                    }
+                    :
+                    null,
+                subtitlesDelay: video.state.subtitlesDelay,
+                extraSubtitlesDelay: video.state.extraSubtitlesDelay
+            });
+        }
+    }, [video.state.selectedSubtitlesTrackId, video.state.selectedExtraSubtitlesTrackId, video.state.subtitlesDelay, video.state.extraSubtitlesDelay]);
+
+    React.useEffect(() => {
+        if (video.state.stream !== null && defaultAudioTrackSelected.current) {
+            const audioTrack = video.state.audioTracks.find(({ id }) => id === video.state.selectedAudioTrackId);
+            if (audioTrack) {
+                rememberPlayback({
+                    audioTrack: {
+                        id: audioTrack.id,
+                        lang: audioTrack.lang
+                    }
+                });
+            }
+        }
+    }, [video.state.selectedAudioTrackId]);
+
     React.useEffect(() => {
         if ((!Array.isArray(video.state.subtitlesTracks) || video.state.subtitlesTracks.length === 0) &&
             (!Array.isArray(video.state.extraSubtitlesTracks) || video.state.extraSubtitlesTracks.length === 0)) {
@@ -554,6 +849,30 @@ const Player = ({ urlParams, queryParams }) => {
         }
     }, [video.state.playbackSpeed]);
 
+    React.useEffect(() => {
+        if (chapters.length === 0) {
+            closeChaptersMenu();
+        }
+    }, [chapters]);
+
+    React.useEffect(() => {
+        skippedSegments.current = new Set();
+    }, [video.state.stream]);
+
+    React.useEffect(() => {
+        if (!autoSkip || currentSegment === null || skippedSegments.current.has(currentSegment.start)) {
+            return;
+        }
+
+        skippedSegments.current.add(currentSegment.start);
+        onSkipSegment(currentSegment);
+        toast.show({
+            type: 'info',
+            title: t('PLAYER_SEGMENT_SKIPPED', { segment: t(`PLAYER_SEGMENT_${currentSegment.type.toUpperCase()}`) }),
+            timeout: 3000
+        });
+    }, [autoSkip, currentSegment]);
+
     React.useEffect(() => {
         const toastFilter = (item) => item?.dataset?.type === 'CoreEvent';
         toast.addFilter(toastFilter);
@@ -590,6 +909,25 @@ const Player = ({ urlParams, queryParams }) => {
         };
     }, []);
 
+    React.useEffect(() => {
+        const invite = parseInvite(queryParams) || takePendingInvite(urlParams.videoId);
+        if (invite !== null) {
+            watchParty.join(invite);
+        }
+    }, []);
+
+    React.useEffect(() => {
+        const message = watchParty.messages[watchParty.messages.length - 1];
+        if (!watchPartyMenuOpen && message && message.from !== watchParty.peerId) {
+            toast.show({
+                type: 'info',
+                title: message.name,
+                message: message.text,
+                timeout: 4000
+            });
+        }
+    }, [watchParty.messages]);
+
     React.useEffect(() => {
         if (settings.pauseOnMinimize && (shell.windowClosed || shell.windowHidden)) {
             onPauseRequested();
@@ -675,16 +1013,16 @@ const Player = ({ urlParams, queryParams }) => {
     }, [video.state.muted]);
 
     onShortcut('volumeUp', () => {
-        if (!menusOpen && !nextVideoPopupOpen && video.state.volume !== null) {
-            onVolumeChangeRequested(Math.min(video.state.volume + 5, 200));
+        if (!menusOpen && !nextVideoPopupOpen && audio.volume !== null) {
+            onVolumeChangeRequested(Math.min(audio.volume + 5, 200));
         }
-    }, [menusOpen, nextVideoPopupOpen, video.state.volume]);
+    }, [menusOpen, nextVideoPopupOpen, audio.volume, onVolumeChangeRequested]);
 
     onShortcut('volumeDown', () => {
-        if (!menusOpen && !nextVideoPopupOpen && video.state.volume !== null) {
-            onVolumeChangeRequested(Math.min(video.state.volume - 5, 200));
+        if (!menusOpen && !nextVideoPopupOpen && audio.volume !== null) {
+            onVolumeChangeRequested(Math.min(audio.volume - 5, 200));
         }
-    }, [menusOpen, nextVideoPopupOpen, video.state.volume]);
+    }, [menusOpen, nextVideoPopupOpen, audio.volume, onVolumeChangeRequested]);
 
     onShortcut('subtitlesDelay', (combo) => {
         combo === 1 ? onIncreaseSubtitlesDelay() : onDecreaseSubtitlesDelay();
@@ -703,10 +1041,10 @@ const Player = ({ urlParams, queryParams }) => {
 
     onShortcut('audioMenu', () => {
         closeMenus();
-        if (video.state?.audioTracks?.length > 0) {
+        if (video.state?.audioTracks?.length > 0 || audio.supported) {
             toggleAudioMenu();
         }
-    }, [video.state.audioTracks, toggleAudioMenu]);
+    }, [video.state.audioTracks, audio.supported, toggleAudioMenu]);
 
     onShortcut('infoMenu', () => {
         closeMenus();
@@ -724,11 +1062,10 @@ const Player = ({ urlParams, queryParams }) => {
 
     onShortcut('statisticsMenu', () => {
         closeMenus();
-        const stream = player.selected?.stream;
-        if (streamingServer?.statistics?.type !== 'Err' && typeof stream === 'string' && typeof stream === 'number') {
+        if (video.state.stream !== null) {
             toggleStatisticsMenu();
         }
-    }, [player.selected, streamingServer.statistics, toggleStatisticsMenu]);
+    }, [video.state.stream, toggleStatisticsMenu]);
 
     onShortcut('exit', () => {
         closeMenus();
@@ -742,13 +1079,13 @@ const Player = ({ urlParams, queryParams }) => {
             }
         };
         const onWheel = ({ deltaY }) => {
-            if (menusOpen || video.state.volume === null) return;
+            if (menusOpen || audio.volume === null) return;
 
             if (deltaY > 0) {
-                onVolumeChangeRequested(Math.max(video.state.volume - 5, 0));
+                onVolumeChangeRequested(Math.max(audio.volume - 5, 0));
             } else {
-                if (video.state.volume < 100) {
-                    onVolumeChangeRequested(Math.min(video.state.volume + 5, 100));
+                if (audio.volume < 100) {
+                    onVolumeChangeRequested(Math.min(audio.volume + 5, 100));
                 }
             }
         };
@@ -760,7 +1097,7 @@ const Player = ({ urlParams, queryParams }) => {
             window.removeEventListener('keyup', onKeyUp);
             window.removeEventListener('wheel', onWheel);
         };
-    }, [routeFocused, menusOpen, video.state.volume]);
+    }, [routeFocused, menusOpen, audio.volume, onVolumeChangeRequested]);
 
     React.useEffect(() => {
         video.events.on('error', onError);
@@ -800,6 +1137,31 @@ const Player = ({ urlParams, queryParams }) => {
                 onClick={onVideoClick}
                 onDoubleClick={onVideoDoubleClick}
             />
+            {
+                assScript !== null ?
+                    <AssSubtitles
+                        className={classnames(styles['layer'], styles['ass-subtitles-layer'])}
+                        script={assScript}
+                        videoElement={video.containerRef.current !== null ? video.containerRef.current.querySelector('video') : null}
+                        delay={video.state.extraSubtitlesDelay || 0}
+                    />
+                    :
+                    null
+            }
+            {
+                secondarySubtitles.cues !== null ?
+                    <SecondarySubtitles
+                        cues={secondarySubtitles.cues}
+                        videoElement={video.containerRef.current !== null ? video.containerRef.current.querySelector('video') : null}
+                        time={video.state.time}
+                        delay={secondarySubtitles.delay}
+                        size={secondarySubtitles.size}
+                        offset={secondarySubtitles.offset}
+                        textColor={secondarySubtitles.textColor}
+                    />
+                    :
+                    null
+            }
             {
                 !video.state.loaded ?
                     <div className={classnames(styles['layer'], styles['background-layer'])}>
@@ -839,7 +1201,7 @@ const Player = ({ urlParams, queryParams }) => {
                 video.state.volume !== null && overlayHidden ?
                     <VolumeChangeIndicator
                         muted={video.state.muted}
-                        volume={video.state.volume}
+                        volume={audio.volume}
                     />
                     :
                     null
@@ -851,6 +1213,7 @@ const Player = ({ urlParams, queryParams }) => {
                     playbackDevices={playbackDevices}
                     extraSubtitlesTracks={video.state.extraSubtitlesTracks}
                     selectedExtraSubtitlesTrackId={video.state.selectedExtraSubtitlesTrackId}
+                    onWatchPartyRequested={onWatchPartyRequested}
                 />
             </ContextMenu>
             <HorizontalNavBar
@@ -895,6 +1258,12 @@ const Player = ({ urlParams, queryParams }) => {
                 onExtraSubtitlesOutlineColorChanged={onSubtitlesOutlineColorChanged}
                 onExtraSubtitlesOffsetChanged={onSubtitlesOffsetChanged}
                 onExtraSubtitlesDelayChanged={onExtraSubtitlesDelayChanged}
+                time={video.state.time}
+                subtitlesEditor={subtitlesEditor}
+                onSubtitlesEditorOpened={loadSubtitlesEditor}
+                onSubtitlesCueChanged={changeSubtitlesCue}
+                onSubtitlesShiftedFrom={shiftSubtitlesFrom}
+                onSubtitlesExported={exportSubtitles}
             />
             <ControlBar
                 className={classnames(styles['layer'], styles['control-bar-layer'])}
@@ -902,15 +1271,17 @@ const Player = ({ urlParams, queryParams }) => {
                 time={video.state.time}
                 duration={video.state.duration}
                 buffered={video.state.buffered}
-                volume={video.state.volume}
+                chapters={chapters}
+                getThumbnail={getSeekThumbnail}
+                volume={audio.volume}
                 muted={video.state.muted}
                 playbackSpeed={video.state.playbackSpeed}
                 subtitlesTracks={video.state.subtitlesTracks.concat(video.state.extraSubtitlesTracks)}
                 audioTracks={video.state.audioTracks}
+                audioProcessing={audio.supported}
                 metaItem={player.metaItem}
                 nextVideo={player.nextVideo}
                 stream={player.selected !== null ? player.selected.stream : null}
-                statistics={statistics}
                 onPlayRequested={onPlayRequested}
                 onPauseRequested={onPauseRequested}
                 onNextVideoRequested={onNextVideoRequested}
@@ -918,16 +1289,31 @@ const Player = ({ urlParams, queryParams }) => {
                 onUnmuteRequested={onUnmuteRequested}
                 onVolumeChangeRequested={onVolumeChangeRequested}
                 onSeekRequested={onSeekRequested}
+                onThumbnailRequested={requestSeekThumbnail}
                 onToggleOptionsMenu={toggleOptionsMenu}
                 onToggleSubtitlesMenu={toggleSubtitlesMenu}
                 onToggleAudioMenu={toggleAudioMenu}
                 onToggleSpeedMenu={toggleSpeedMenu}
+                onToggleChaptersMenu={toggleChaptersMenu}
                 onToggleStatisticsMenu={toggleStatisticsMenu}
+                pictureInPicture={pictureInPicture}
+                onTogglePictureInPicture={togglePictureInPicture}
+                onMiniPlayerRequested={onMiniPlayerRequested}
                 onToggleSideDrawer={toggleSideDrawer}
                 onMouseMove={onBarMouseMove}
                 onMouseOver={onBarMouseMove}
                 onTouchEnd={onContainerMouseLeave}
             />
+            {
+                currentSegment !== null && !nextVideoPopupOpen ?
+                    <SkipSegmentButton
+                        className={classnames(styles['layer'], styles['skip-segment-layer'])}
+                        segment={currentSegment}
+                        onSkip={onSkipSegment}
+                    />
+                    :
+                    null
+            }
             <Indicator
                 className={classnames(styles['layer'], styles['indicator-layer'])}
                 videoState={video.state}
@@ -950,6 +1336,26 @@ const Player = ({ urlParams, queryParams }) => {
                     <StatisticsMenu
                         className={classnames(styles['layer'], styles['menu-layer'])}
                         {...statistics}
+                        playback={playbackStatistics}
+                    />
+                    :
+                    null
+            }
+            {
+                watchPartyMenuOpen ?
+                    <WatchPartyMenu
+                        className={classnames(styles['layer'], styles['menu-layer'])}
+                        session={watchParty.session}
+                        peerId={watchParty.peerId}
+                        participants={watchParty.participants}
+                        messages={watchParty.messages}
+                        error={watchParty.error}
+                        signallingUrl={watchParty.signallingUrl}
+                        onSignallingUrlChanged={watchParty.setSignallingUrl}
+                        onCreate={watchParty.create}
+                        onLeave={watchParty.leave}
+                        onCopyInvite={onCopyWatchPartyInvite}
+                        onSendMessage={watchParty.sendMessage}
                     />
                     :
                     null
@@ -961,6 +1367,8 @@ const Player = ({ urlParams, queryParams }) => {
                     seriesInfo={player.seriesInfo}
                     closeSideDrawer={closeSideDrawer}
                     selected={player.selected?.streamRequest?.path.id}
+                    playbackRemembered={playbackRemembered}
+                    onForgetPlayback={forgetPlayback}
                 />
             </Transition>
             {
@@ -971,7 +1379,7 @@ const Player = ({ urlParams, queryParams }) => {
                         selectedSubtitlesTrackId={video.state.selectedSubtitlesTrackId}
                         subtitlesOffset={video.state.subtitlesOffset}
                         subtitlesSize={video.state.subtitlesSize}
-                        extraSubtitlesTracks={video.state.extraSubtitlesTracks}
+                        extraSubtitlesTracks={extraSubtitlesTracks}
                         selectedExtraSubtitlesTrackId={video.state.selectedExtraSubtitlesTrackId}
                         extraSubtitlesOffset={video.state.extraSubtitlesOffset}
                         extraSubtitlesDelay={video.state.extraSubtitlesDelay}
@@ -983,6 +1391,34 @@ const Player = ({ urlParams, queryParams }) => {
                         onExtraSubtitlesOffsetChanged={onSubtitlesOffsetChanged}
                         onExtraSubtitlesDelayChanged={onExtraSubtitlesDelayChanged}
                         onExtraSubtitlesSizeChanged={onSubtitlesSizeChanged}
+                        subtitlesSync={subtitlesSync}
+                        onSubtitlesSyncRequested={startSubtitlesSync}
+                        onSubtitlesSyncCancelled={cancelSubtitlesSync}
+                        onSubtitlesSyncUndone={undoSubtitlesSync}
+                        secondarySubtitles={secondarySubtitles}
+                        onSecondarySubtitlesTrackSelected={onSecondarySubtitlesTrackSelected}
+                        onSecondarySubtitlesDelayChanged={onSecondarySubtitlesDelayChanged}
+                        onSecondarySubtitlesSizeChanged={onSecondarySubtitlesSizeChanged}
+                        onSecondarySubtitlesOffsetChanged={onSecondarySubtitlesOffsetChanged}
+                        onSecondarySubtitlesTextColorChanged={onSecondarySubtitlesTextColorChanged}
+                    />
+                    :
+                    null
+            }
+            {
+                audioMenuOpen ?
+                    <AudioMenu
+                        className={classnames(styles['layer'], styles['menu-layer'])}
+                        audioTracks={video.state.audioTracks}
+                        selectedAudioTrackId={video.state.selectedAudioTrackId}
+                        onAudioTrackSelected={onAudioTrackSelected}
+                        audioProcessing={audio.supported ? audio.options : null}
+                        audioProcessingUnsupportedReason={audio.unsupportedReason}
+                        onAudioProcessingChanged={audio.update}
+                        onEqualizerPresetSelected={audio.selectPreset}
+                        onEqualizerBandChanged={audio.setBandGain}
+                        onEqualizerPresetSaved={audio.savePreset}
+                        onEqualizerPresetDeleted={audio.deletePreset}
                     />
                     :
                     null
@@ -997,6 +1433,19 @@ const Player = ({ urlParams, queryParams }) => {
                     :
                     null
             }
+            {
+                chaptersMenuOpen ?
+                    <ChaptersMenu
+                        className={classnames(styles['layer'], styles['menu-layer'])}
+                        time={video.state.time}
+                        chapters={chapters}
+                        autoSkip={urlParams.type === 'series' ? autoSkip : null}
+                        onChapterSelected={onChapterSelected}
+                        onAutoSkipToggled={toggleAutoSkip}
+                    />
+                    :
+                    null
+            }
             {
                 optionsMenuOpen ?
                     <OptionsMenu
@@ -1005,6 +1454,7 @@ const Player = ({ urlParams, queryParams }) => {
                         playbackDevices={playbackDevices}
                         extraSubtitlesTracks={video.state.extraSubtitlesTracks}
                         selectedExtraSubtitlesTrackId={video.state.selectedExtraSubtitlesTrackId}
+                        onWatchPartyRequested={onWatchPartyRequested}
                     />
                     :
                     null
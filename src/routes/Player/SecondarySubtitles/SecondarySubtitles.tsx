@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import classNames from 'classnames';
+import styles from './SecondarySubtitles.less';
+
+type Cue = {
+    start: number,
+    end: number,
+    text: string,
+};
+
+type Props = {
+    className?: string,
+    cues: Cue[],
+    videoElement: HTMLVideoElement | null,
+    time: number | null,
+    delay: number,
+    size: number,
+    offset: number,
+    textColor: string,
+};
+
+// Strips the markup supported by the native renderer, which is shown as plain text here
+const plainText = (text: string) => {
+    return text.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '');
+};
+
+const activeTexts = (cues: Cue[], seconds: number, delay: number) => {
+    const cueTime = seconds - delay / 1000;
+    return cues
+        .filter(({ start, end }) => cueTime >= start && cueTime < end)
+        .map(({ text }) => plainText(text));
+};
+
+const SecondarySubtitles = ({ className, cues, videoElement, time, delay, size, offset, textColor }: Props) => {
+    const [texts, setTexts] = useState<string[]>([]);
+
+    useEffect(() => {
+        if (videoElement === null) {
+            setTexts(time !== null ? activeTexts(cues, time / 1000, delay) : []);
+            return;
+        }
+
+        let frame: number;
+        let current = '';
+        const update = () => {
+            const texts = activeTexts(cues, videoElement.currentTime, delay);
+            // Only re-render when the shown cues change
+            if (texts.join('\n') !== current) {
+                current = texts.join('\n');
+                setTexts(texts);
+            }
+            frame = requestAnimationFrame(update);
+        };
+        frame = requestAnimationFrame(update);
+        return () => {
+            cancelAnimationFrame(frame);
+        };
+    }, [cues, videoElement, videoElement === null ? time : null, delay]);
+
+    if (texts.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className={classNames(className, styles['secondary-subtitles'])} style={{ bottom: `${offset}%` }}>
+            {
+                texts.map((text, index) => (
+                    <div key={index} className={styles['cue']} style={{ fontSize: `calc(${size / 100} * var(--secondary-subtitles-font-size))`, color: textColor }}>
+                        {text}
+                    </div>
+                ))
+            }
+        </div>
+    );
+};
+
+export default SecondarySubtitles;
@@ -0,0 +1,2 @@
+import SecondarySubtitles from './SecondarySubtitles';
+export default SecondarySubtitles;
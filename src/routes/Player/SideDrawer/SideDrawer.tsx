@@ -2,10 +2,11 @@
 
 import React, { useMemo, useCallback, useState, forwardRef, memo } from 'react';
 import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
 import Icon from '@stremio/stremio-icons/react';
 import { useServices } from 'stremio/services';
 import { CONSTANTS } from 'stremio/common';
-import { MetaPreview, Video } from 'stremio/components';
+import { Button, MetaPreview, Video } from 'stremio/components';
 import SeasonsBar from 'stremio/routes/MetaDetails/VideosList/SeasonsBar';
 import styles from './SideDrawer.less';
 
@@ -16,9 +17,12 @@ type Props = {
     closeSideDrawer: () => void;
     selected: string;
     transitionEnded: boolean;
+    playbackRemembered?: boolean;
+    onForgetPlayback?: () => void;
 };
 
-const SideDrawer = memo(forwardRef<HTMLDivElement, Props>(({ seriesInfo, className, closeSideDrawer, selected, ...props }: Props, ref) => {
+const SideDrawer = memo(forwardRef<HTMLDivElement, Props>(({ seriesInfo, className, closeSideDrawer, selected, playbackRemembered, onForgetPlayback, ...props }: Props, ref) => {
+    const { t } = useTranslation();
     const { core } = useServices();
     const [season, setSeason] = useState<number>(seriesInfo?.season);
     const [selectedVideoId, setSelectedVideoId] = useState<string | null>(null);
@@ -101,6 +105,18 @@ const SideDrawer = memo(forwardRef<HTMLDivElement, Props>(({ seriesInfo, classNa
                     links={metaItem.links}
                 />
             </div>
+            {
+                playbackRemembered && typeof onForgetPlayback === 'function' ?
+                    <div className={styles['playback-memory']}>
+                        <div className={styles['label']}>{t('PLAYER_PLAYBACK_REMEMBERED')}</div>
+                        <Button className={styles['forget-button']} title={t('PLAYER_FORGET_PLAYBACK')} onClick={onForgetPlayback}>
+                            <Icon className={styles['icon']} name={'reset'} />
+                            <div className={styles['label']}>{t('PLAYER_FORGET_PLAYBACK')}</div>
+                        </Button>
+                    </div>
+                    :
+                    null
+            }
             {
                 seriesInfo ?
                     <div className={styles['series-content']}>
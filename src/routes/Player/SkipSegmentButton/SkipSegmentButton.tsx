@@ -0,0 +1,39 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+import React, { useCallback } from 'react';
+import classNames from 'classnames';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button } from 'stremio/components';
+import styles from './SkipSegmentButton.less';
+
+type Segment = {
+    type: 'intro' | 'recap' | 'credits',
+    start: number,
+    end: number,
+};
+
+type Props = {
+    className: string,
+    segment: Segment,
+    onSkip: (segment: Segment) => void,
+};
+
+const SkipSegmentButton = ({ className, segment, onSkip }: Props) => {
+    const { t } = useTranslation();
+
+    const onClick = useCallback(() => {
+        onSkip(segment);
+    }, [segment, onSkip]);
+
+    return (
+        <Button className={classNames(className, styles['skip-segment-button'])} tabIndex={-1} onClick={onClick}>
+            <div className={styles['label']}>
+                {t(`PLAYER_SKIP_${segment.type.toUpperCase()}`)}
+            </div>
+            <Icon name={'chevron-forward'} className={styles['icon']} />
+        </Button>
+    );
+};
+
+export default SkipSegmentButton;
@@ -0,0 +1,2 @@
+import SkipSegmentButton from './SkipSegmentButton';
+export default SkipSegmentButton;
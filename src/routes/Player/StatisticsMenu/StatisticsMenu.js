@@ -4,49 +4,129 @@ const React = require('react');
 const { useTranslation } = require('react-i18next');
 const classNames = require('classnames');
 const PropTypes = require('prop-types');
+const { default: Icon } = require('@stremio/stremio-icons/react');
+const { Button } = require('stremio/components');
+const { useToast } = require('stremio/common');
 const styles = require('./styles.less');
 
-const StatisticsMenu = ({ className, peers, speed, completed, infoHash }) => {
+const StatisticsMenu = ({ className, peers, speed, completed, infoHash, playback }) => {
     const { t } = useTranslation();
+    const toast = useToast();
+    const playbackStats = React.useMemo(() => {
+        return [
+            ['PLAYER_STATISTICS_IMPLEMENTATION', playback.implementation],
+            ['PLAYER_STATISTICS_RESOLUTION', playback.resolution],
+            ['PLAYER_STATISTICS_FRAMES', playback.decodedFrames !== null ?
+                t('PLAYER_STATISTICS_FRAMES_VALUE', { dropped: playback.droppedFrames, decoded: playback.decodedFrames })
+                :
+                null
+            ],
+            ['PLAYER_STATISTICS_BUFFER', playback.bufferHealth !== null ?
+                t('PLAYER_STATISTICS_SECONDS', { seconds: playback.bufferHealth.toFixed(1) })
+                :
+                null
+            ],
+            ['PLAYER_STATISTICS_BITRATE', playback.bitrate !== null ?
+                t('PLAYER_STATISTICS_KBPS', { bitrate: playback.bitrate })
+                :
+                null
+            ],
+            ['PLAYER_STATISTICS_CODECS', playback.codecs.length > 0 ? playback.codecs.join(', ') : null],
+            ['PLAYER_STATISTICS_TRANSCODING', t(`PLAYER_STATISTICS_TRANSCODING_${playback.transcoding.toUpperCase()}`)],
+        ];
+    }, [playback]);
+    const onCopyClick = React.useCallback(() => {
+        const diagnostics = JSON.stringify({
+            ...playback,
+            torrent: typeof infoHash === 'string' ? { infoHash, peers, speed, completed } : null,
+            userAgent: navigator.userAgent,
+            date: new Date().toISOString(),
+        }, null, 2);
+        navigator.clipboard.writeText(diagnostics)
+            .then(() => {
+                toast.show({
+                    type: 'success',
+                    title: t('PLAYER_STATISTICS_COPIED'),
+                    timeout: 3000
+                });
+            })
+            .catch((error) => {
+                console.error(error);
+                toast.show({
+                    type: 'error',
+                    title: t('PLAYER_STATISTICS_COPY_ERROR'),
+                    timeout: 3000
+                });
+            });
+    }, [playback, infoHash, peers, speed, completed]);
+    const onMouseDown = React.useCallback((event) => {
+        event.nativeEvent.statisticsMenuClosePrevented = true;
+    }, []);
     return (
-        <div className={classNames(className, styles['statistics-menu-container'])}>
-            <div className={styles['title']}>
-                {t('PLAYER_STATISTICS')}
-            </div>
-            <div className={styles['stats']}>
-                <div className={styles['stat']}>
-                    <div className={styles['label']}>
-                        {t('PLAYER_PEERS')}
-                    </div>
-                    <div className={styles['value']}>
-                        { peers }
-                    </div>
-                </div>
-                <div className={styles['stat']}>
-                    <div className={styles['label']}>
-                        {t('PLAYER_SPEED')}
-                    </div>
-                    <div className={styles['value']}>
-                        {`${speed} ${t('MB_S')}`}
-                    </div>
-                </div>
-                <div className={styles['stat']}>
-                    <div className={styles['label']}>
-                        {t('PLAYER_COMPLETED')}
-                    </div>
-                    <div className={styles['value']}>
-                        { Math.min(completed, 100) } %
-                    </div>
+        <div className={classNames(className, styles['statistics-menu-container'])} onMouseDown={onMouseDown}>
+            <div className={styles['header']}>
+                <div className={styles['title']}>
+                    {t('PLAYER_STATISTICS')}
                 </div>
+                <Button className={styles['copy-button']} title={t('PLAYER_STATISTICS_COPY')} onClick={onCopyClick}>
+                    <Icon className={styles['icon']} name={'link'} />
+                </Button>
             </div>
-            <div className={styles['info-hash']}>
-                <div className={styles['label']}>
-                    {t('PLAYER_INFO_HASH')}
-                </div>
-                <div className={styles['value']}>
-                    { infoHash }
-                </div>
+            <div className={styles['playback-stats']}>
+                {
+                    playbackStats.map(([label, value]) => (
+                        <div key={label} className={styles['stat']}>
+                            <div className={styles['label']}>
+                                {t(label)}
+                            </div>
+                            <div className={styles['value']}>
+                                {value !== null ? value : t('PLAYER_STATISTICS_UNAVAILABLE')}
+                            </div>
+                        </div>
+                    ))
+                }
             </div>
+            {
+                typeof infoHash === 'string' ?
+                    <React.Fragment>
+                        <div className={styles['stats']}>
+                            <div className={styles['stat']}>
+                                <div className={styles['label']}>
+                                    {t('PLAYER_PEERS')}
+                                </div>
+                                <div className={styles['value']}>
+                                    { peers }
+                                </div>
+                            </div>
+                            <div className={styles['stat']}>
+                                <div className={styles['label']}>
+                                    {t('PLAYER_SPEED')}
+                                </div>
+                                <div className={styles['value']}>
+                                    {`${speed} ${t('MB_S')}`}
+                                </div>
+                            </div>
+                            <div className={styles['stat']}>
+                                <div className={styles['label']}>
+                                    {t('PLAYER_COMPLETED')}
+                                </div>
+                                <div className={styles['value']}>
+                                    { Math.min(completed, 100) } %
+                                </div>
+                            </div>
+                        </div>
+                        <div className={styles['info-hash']}>
+                            <div className={styles['label']}>
+                                {t('PLAYER_INFO_HASH')}
+                            </div>
+                            <div className={styles['value']}>
+                                { infoHash }
+                            </div>
+                        </div>
+                    </React.Fragment>
+                    :
+                    null
+            }
         </div>
     );
 };
@@ -57,6 +137,16 @@ StatisticsMenu.propTypes = {
     speed: PropTypes.number,
     completed: PropTypes.number,
     infoHash: PropTypes.string,
+    playback: PropTypes.shape({
+        implementation: PropTypes.string,
+        resolution: PropTypes.string,
+        decodedFrames: PropTypes.number,
+        droppedFrames: PropTypes.number,
+        bufferHealth: PropTypes.number,
+        bitrate: PropTypes.number,
+        codecs: PropTypes.arrayOf(PropTypes.string),
+        transcoding: PropTypes.oneOf(['forced', 'active', 'none']),
+    }).isRequired,
 };
 
 module.exports = StatisticsMenu;
@@ -0,0 +1,65 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+/**
+ * Seconds of media buffered ahead of the playback position.
+ * @param {number|null} time - Playback time in milliseconds
+ * @param {number|null} buffered - End of the buffered range in milliseconds
+ * @returns {number|null}
+ */
+const getBufferHealth = (time, buffered) => {
+    return typeof time === 'number' && typeof buffered === 'number' && !isNaN(time) && !isNaN(buffered) ?
+        Math.max(buffered - time, 0) / 1000
+        :
+        null;
+};
+
+/**
+ * Estimates the bitrate from two samples of the bytes decoded so far.
+ * @param {{ time: number, bytes: number }|null} previous - Earlier sample, time in milliseconds
+ * @param {{ time: number, bytes: number }|null} current - Later sample
+ * @returns {number|null} Bitrate in kbps
+ */
+const getBitrate = (previous, current) => {
+    if (previous === null || current === null || current.time <= previous.time || current.bytes < previous.bytes) {
+        return null;
+    }
+
+    return Math.round((current.bytes - previous.bytes) * 8 / (current.time - previous.time));
+};
+
+/**
+ * Average bitrate of a file, used when the decoded bytes are not exposed.
+ * @param {number|null} size - Size of the file in bytes
+ * @param {number|null} duration - Duration in milliseconds
+ * @returns {number|null} Bitrate in kbps
+ */
+const getAverageBitrate = (size, duration) => {
+    return typeof size === 'number' && typeof duration === 'number' && size > 0 && duration > 0 ?
+        Math.round(size * 8 / duration)
+        :
+        null;
+};
+
+// Codecs of the video and audio tracks as reported by the probe of the streaming server
+const getCodecs = (probe) => {
+    if (probe === null || typeof probe !== 'object' || !Array.isArray(probe.streams)) {
+        return [];
+    }
+
+    return probe.streams
+        .filter(({ track, codec }) => (track === 'video' || track === 'audio') && typeof codec === 'string')
+        .map(({ track, codec, channels }) => track === 'audio' && typeof channels === 'number' ? `${codec} ${channels}ch` : codec);
+};
+
+// Transcoded streams are played from the HLS endpoint of the streaming server
+const isTranscoded = (resourceUrls) => {
+    return resourceUrls.some((url) => /\/hlsv2\/[^/?]+\/[^/?]+\.m3u8/.test(url));
+};
+
+module.exports = {
+    getBufferHealth,
+    getBitrate,
+    getAverageBitrate,
+    getCodecs,
+    isTranscoded,
+};
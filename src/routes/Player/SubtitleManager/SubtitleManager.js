@@ -3,6 +3,8 @@
 
 const EventEmitter = require('eventemitter3');
 const { SUBTITLE_FORMATS, PERFORMANCE_SETTINGS, ERROR_MESSAGES, STATUS_INDICATORS } = require('stremio/common/ENHANCED_CONSTANTS');
+const detectCharset = require('./detectCharset');
+const parseASSScript = require('./parseASSScript');
 
 class SubtitleManager extends EventEmitter {
     constructor() {
@@ -44,11 +46,13 @@ class SubtitleManager extends EventEmitter {
     }
 
     /**
-     * Process subtitle file with automatic format detection
+     * Process subtitle file with automatic format and charset detection
      * @param {File} file - Subtitle file
+     * @param {Object} [options] - Processing options
+     * @param {string} [options.charset] - Charset to decode with instead of the detected one
      * @returns {Promise<Object>} Processing result
      */
-    async processSubtitleFile(file) {
+    async processSubtitleFile(file, options = {}) {
         this.updateStatus(STATUS_INDICATORS.subtitleProcessing.PARSING);
         
         try {
@@ -57,8 +61,13 @@ class SubtitleManager extends EventEmitter {
                 throw new Error(ERROR_MESSAGES.subtitleProcessing.INVALID_FORMAT);
             }
 
-            // Read file content
-            const content = await this.readFileContent(file);
+            // Read raw file content and decode it
+            const buffer = await this.readFileContent(file);
+            const encoding = typeof options.charset === 'string' ?
+                { charset: options.charset, confidence: 1, bom: false, overridden: true }
+                :
+                { ...this.detectEncoding(buffer), overridden: false };
+            const content = this.decodeContent(buffer, encoding.charset);
             
             // Detect format
             const format = await this.detectSubtitleFormat(content);
@@ -89,6 +98,9 @@ class SubtitleManager extends EventEmitter {
                     fileName: file.name,
                     fileSize: file.size,
                     format: format,
+                    charset: encoding.charset,
+                    charsetConfidence: encoding.confidence,
+                    charsetOverridden: encoding.overridden,
                     cueCount: subtitles.length,
                     duration: this.calculateDuration(subtitles),
                     validation: validationResult
@@ -111,6 +123,39 @@ class SubtitleManager extends EventEmitter {
         }
     }
 
+    /**
+     * Fetch and decode a subtitles track from its URL
+     * @param {string} url - Subtitles URL
+     * @returns {Promise<Object>} Detected format, charset and decoded content
+     */
+    async fetchSubtitles(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${ERROR_MESSAGES.fileUpload.NETWORK_ERROR}: ${response.status}`);
+        }
+
+        const buffer = await response.arrayBuffer();
+        const { charset } = this.detectEncoding(buffer);
+        const content = this.decodeContent(buffer, charset);
+        const format = await this.detectSubtitleFormat(content);
+        if (!format) {
+            throw new Error(ERROR_MESSAGES.subtitleProcessing.INVALID_FORMAT);
+        }
+
+        return { format, charset, content };
+    }
+
+    /**
+     * Fetch and parse a subtitles track from its URL
+     * @param {string} url - Subtitles URL
+     * @returns {Promise<Object>} Detected format, charset and parsed subtitles
+     */
+    async loadSubtitlesFromUrl(url) {
+        const { format, charset, content } = await this.fetchSubtitles(url);
+        const subtitles = await this.parseSubtitles(content, format);
+        return { format, charset, subtitles };
+    }
+
     /**
      * Validate subtitle file
      * @param {File} file - File to validate
@@ -130,70 +175,47 @@ class SubtitleManager extends EventEmitter {
     }
 
     /**
-     * Read file content
+     * Read raw file content
      * @param {File} file - File to read
-     * @returns {Promise<string>} File content
+     * @returns {Promise<ArrayBuffer>} File content
      */
     async readFileContent(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (event) => {
-                try {
-                    const content = event.target.result;
-                    
-                    // Handle different encodings
-                    const encoding = this.detectEncoding(content);
-                    const decodedContent = this.decodeContent(content, encoding);
-                    
-                    resolve(decodedContent);
-                } catch (error) {
-                    reject(new Error(ERROR_MESSAGES.subtitleProcessing.ENCODING_ERROR));
-                }
+                resolve(event.target.result);
             };
             
             reader.onerror = () => {
                 reject(new Error('Failed to read file'));
             };
             
-            reader.readAsText(file, 'UTF-8');
+            reader.readAsArrayBuffer(file);
         });
     }
 
     /**
-     * Detect file encoding
-     * @param {string} content - File content
-     * @returns {string} Detected encoding
+     * Detect file encoding from the raw bytes
+     * @param {ArrayBuffer} buffer - Raw file content
+     * @returns {Object} Detected charset, confidence and whether a BOM was found
      */
-    detectEncoding(content) {
-        // Simple encoding detection
-        const encodings = PERFORMANCE_SETTINGS.formatConversion.supportedEncodings;
-        
-        for (const encoding of encodings) {
-            try {
-                // Test if content can be decoded with this encoding
-                new TextDecoder(encoding).decode(new TextEncoder().encode(content));
-                return encoding;
-            } catch (error) {
-                continue;
-            }
-        }
-        
-        return 'UTF-8'; // Default fallback
+    detectEncoding(buffer) {
+        return detectCharset(buffer);
     }
 
     /**
-     * Decode content with specified encoding
-     * @param {string} content - Content to decode
+     * Decode raw content with specified encoding
+     * @param {ArrayBuffer} buffer - Raw file content
      * @param {string} encoding - Encoding to use
      * @returns {string} Decoded content
      */
-    decodeContent(content, encoding) {
+    decodeContent(buffer, encoding) {
         try {
-            const decoder = new TextDecoder(encoding, { fatal: true });
-            return decoder.decode(new TextEncoder().encode(content));
+            const decoder = new TextDecoder(encoding);
+            return decoder.decode(buffer);
         } catch (error) {
-            return content; // Return original if decoding fails
+            throw new Error(`${ERROR_MESSAGES.subtitleProcessing.ENCODING_ERROR}: ${error.message}`);
         }
     }
 
@@ -371,45 +393,24 @@ class SubtitleManager extends EventEmitter {
      * @returns {Array} Parsed subtitles
      */
     parseASS(content) {
-        const subtitles = [];
-        const lines = content.split('\n');
-        
-        let inEventsSection = false;
-        let formatLine = null;
-
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            
-            if (trimmedLine === '[Events]') {
-                inEventsSection = true;
-                continue;
-            }
-            
-            if (inEventsSection) {
-                if (trimmedLine.startsWith('Format:')) {
-                    formatLine = trimmedLine;
-                    continue;
-                }
-                
-                if (trimmedLine.startsWith('Dialogue:')) {
-                    const dialogue = this.parseASSDialogue(trimmedLine, formatLine);
-                    if (dialogue) {
-                        subtitles.push({
-                            start: dialogue.start,
-                            end: dialogue.end,
-                            text: dialogue.text,
-                            format: 'ass',
-                            originalFormat: 'ass',
-                            styling: dialogue.styling,
-                            actor: dialogue.actor,
-                            effect: dialogue.effect
-                        });
-                    }
-                }
-            }
-        }
-
-        return subtitles;
+        const script = parseASSScript(content);
+        return script.events
+            .filter((event) => !event.drawing && event.text.trim().length > 0)
+            .map((event) => ({
+                start: event.start,
+                end: event.end,
+                text: event.text,
+                format: 'ass',
+                originalFormat: 'ass',
+                styling: {
+                    hasStyling: event.segments.length > 1 || event.position !== null || event.alignment !== 2,
+                    style: event.style,
+                    alignment: event.alignment,
+                    segments: event.segments
+                },
+                actor: event.actor,
+                effect: event.effect
+            }));
     }
 
     /**
@@ -485,52 +486,6 @@ class SubtitleManager extends EventEmitter {
         return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
     }
 
-    /**
-     * Parse ASS dialogue line
-     * @param {string} line - Dialogue line
-     * @param {string} formatLine - Format line
-     * @returns {Object} Parsed dialogue
-     */
-    parseASSDialogue(line, formatLine) {
-        const dialogueMatch = line.match(/^Dialogue:\s*(.*)$/);
-        if (!dialogueMatch) return null;
-
-        const parts = dialogueMatch[1].split(',');
-        
-        // Basic ASS parsing (simplified)
-        const startTime = this.parseASSTime(parts[1]);
-        const endTime = this.parseASSTime(parts[2]);
-        const actor = parts[4] || '';
-        const effect = parts[5] || '';
-        const text = parts.slice(9).join(',').replace(/\{[^}]*\}/g, ''); // Remove styling tags
-
-        return {
-            start: startTime,
-            end: endTime,
-            text: text,
-            actor: actor,
-            effect: effect,
-            styling: this.parseASSStyling(line)
-        };
-    }
-
-    /**
-     * Parse ASS time format
-     * @param {string} timeStr - Time string (H:MM:SS.cc)
-     * @returns {number} Time in seconds
-     */
-    parseASSTime(timeStr) {
-        const parts = timeStr.split(':');
-        const secondsParts = parts[2].split('.');
-        
-        const hours = parseInt(parts[0]);
-        const minutes = parseInt(parts[1]);
-        const seconds = parseInt(secondsParts[0]);
-        const centiseconds = parseInt(secondsParts[1]);
-        
-        return hours * 3600 + minutes * 60 + seconds + centiseconds / 100;
-    }
-
     /**
      * Parse VTT styling information
      * @param {Array} textLines - Text lines
@@ -552,24 +507,6 @@ class SubtitleManager extends EventEmitter {
         return styling;
     }
 
-    /**
-     * Parse ASS styling information
-     * @param {string} line - ASS line
-     * @returns {Object} Styling information
-     */
-    parseASSStyling(line) {
-        const styling = {};
-        
-        // Extract styling tags
-        const styleMatches = line.match(/\{([^}]+)\}/g);
-        if (styleMatches) {
-            styling.tags = styleMatches;
-            styling.hasStyling = true;
-        }
-        
-        return styling;
-    }
-
     /**
      * Validate subtitle timing
      * @param {Array} subtitles - Subtitle array
@@ -720,12 +657,40 @@ class SubtitleManager extends EventEmitter {
             id: index + 1,
             start: subtitle.start,
             end: subtitle.end,
-            text: subtitle.text,
+            text: this.convertASSTextToSRT(subtitle),
             format: 'srt',
             originalFormat: 'ass'
         }));
     }
 
+    /**
+     * Convert the styled segments of an ASS line to SRT markup
+     * @param {Object} subtitle - ASS subtitle
+     * @returns {string} SRT text
+     */
+    convertASSTextToSRT(subtitle) {
+        const { segments, alignment } = subtitle.styling || {};
+        if (!Array.isArray(segments)) {
+            return subtitle.text;
+        }
+
+        const text = segments.map(({ text, style }) => {
+            const { r, g, b } = style.primaryColour;
+            let markup = text;
+            if (r !== 255 || g !== 255 || b !== 255) {
+                const color = [r, g, b].map((value) => value.toString(16).padStart(2, '0')).join('');
+                markup = `<font color="#${color}">${markup}</font>`;
+            }
+            if (style.underline) markup = `<u>${markup}</u>`;
+            if (style.italic) markup = `<i>${markup}</i>`;
+            if (style.bold) markup = `<b>${markup}</b>`;
+            return markup;
+        }).join('');
+
+        // Most players honour the alignment override in SRT files as well
+        return typeof alignment === 'number' && alignment !== 2 ? `{\\an${alignment}}${text}` : text;
+    }
+
     /**
      * Convert SRT to ASS format
      * @param {Array} srtSubtitles - SRT subtitles
@@ -744,16 +709,97 @@ class SubtitleManager extends EventEmitter {
         }));
     }
 
+    /**
+     * Serialize subtitles as an SRT document
+     * @param {Array} subtitles - Subtitles with start and end times in seconds
+     * @returns {string} SRT content
+     */
+    serializeSRT(subtitles) {
+        return subtitles
+            .map((subtitle, index) => `${index + 1}\n${this.convertVTTTimeToSRT(subtitle.start)} --> ${this.convertVTTTimeToSRT(subtitle.end)}\n${subtitle.text}\n`)
+            .join('\n');
+    }
+
+    /**
+     * Serialize subtitles converted to VTT as a WebVTT document
+     * @param {Array} vttSubtitles - VTT subtitles with VTT timestamps
+     * @returns {string} VTT content
+     */
+    serializeVTT(vttSubtitles) {
+        return ['WEBVTT', '']
+            .concat(vttSubtitles.map((subtitle) => `${subtitle.start} --> ${subtitle.end}\n${subtitle.text}\n`))
+            .join('\n');
+    }
+
+    /**
+     * Serialize subtitles converted to ASS as an ASS script with a default style
+     * @param {Array} assSubtitles - ASS subtitles with start and end times in seconds
+     * @returns {string} ASS content
+     */
+    serializeASS(assSubtitles) {
+        const time = (seconds) => {
+            const total = Math.round(seconds * 100);
+            const hours = Math.floor(total / 360000);
+            const minutes = Math.floor((total % 360000) / 6000);
+            const secs = Math.floor((total % 6000) / 100);
+            return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(total % 100).padStart(2, '0')}`;
+        };
+
+        return [
+            '[Script Info]',
+            'ScriptType: v4.00+',
+            'PlayResX: 1920',
+            'PlayResY: 1080',
+            '',
+            '[V4+ Styles]',
+            'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+            'Style: Default,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,40,40,50,1',
+            '',
+            '[Events]',
+            'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+            ...assSubtitles.map((subtitle) => {
+                const text = subtitle.text
+                    .replace(/<\/?(b|i|u)>/g, (tag, name) => `{\\${name}${tag.startsWith('</') ? 0 : 1}}`)
+                    .replace(/<[^>]+>/g, '')
+                    .replace(/\r?\n/g, '\\N');
+                return `Dialogue: 0,${time(subtitle.start)},${time(subtitle.end)},Default,${subtitle.actor || ''},0,0,0,${subtitle.effect || ''},${text}`;
+            }),
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Serialize subtitles in the given format, converting them with the registered converters
+     * @param {Array} subtitles - SRT subtitles with start and end times in seconds
+     * @param {string} format - Target format: srt, vtt or ass
+     * @returns {Promise<string>} Subtitles content
+     */
+    async exportSubtitles(subtitles, format) {
+        const srtSubtitles = subtitles.map((subtitle) => ({ ...subtitle, format: 'srt' }));
+        switch (format) {
+            case 'srt':
+                return this.serializeSRT(srtSubtitles);
+            case 'vtt':
+                return this.serializeVTT(await this.convertSubtitles(srtSubtitles, 'vtt'));
+            case 'ass':
+                return this.serializeASS(await this.convertSubtitles(srtSubtitles, 'ass'));
+            default:
+                throw new Error(`${ERROR_MESSAGES.subtitleProcessing.CONVERSION_FAILED}: ${format}`);
+        }
+    }
+
     /**
      * Convert SRT time to VTT time format
      * @param {number} time - Time in seconds
      * @returns {string} VTT time string
      */
     convertSRTTimeToVTT(time) {
-        const hours = Math.floor(time / 3600);
-        const minutes = Math.floor((time % 3600) / 60);
-        const seconds = Math.floor(time % 60);
-        const milliseconds = Math.floor((time % 1) * 1000);
+        // Round to whole milliseconds first, 3.3 % 1 is 0.29999...
+        const total = Math.round(time * 1000);
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor((total % 3600000) / 60000);
+        const seconds = Math.floor((total % 60000) / 1000);
+        const milliseconds = total % 1000;
         
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
     }
@@ -764,10 +810,12 @@ class SubtitleManager extends EventEmitter {
      * @returns {string} SRT time string
      */
     convertVTTTimeToSRT(time) {
-        const hours = Math.floor(time / 3600);
-        const minutes = Math.floor((time % 3600) / 60);
-        const seconds = Math.floor(time % 60);
-        const milliseconds = Math.floor((time % 1) * 1000);
+        // Round to whole milliseconds first, 3.3 % 1 is 0.29999...
+        const total = Math.round(time * 1000);
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor((total % 3600000) / 60000);
+        const seconds = Math.floor((total % 60000) / 1000);
+        const milliseconds = total % 1000;
         
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')},${milliseconds.toString().padStart(3, '0')}`;
     }
@@ -0,0 +1,282 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Single-byte code pages are scored by decoding the bytes and checking how
+// plausible the resulting text is for the script the code page was made for.
+// Order matters: on equal scores the earlier candidate wins, so the Windows
+// code pages (supersets of their ISO counterparts) come first.
+const SINGLE_BYTE_CANDIDATES = [
+    { charset: 'windows-1252', script: 'latin' },
+    { charset: 'windows-1255', script: 'hebrew' },
+    { charset: 'windows-1256', script: 'arabic' },
+    { charset: 'windows-1251', script: 'cyrillic' },
+    { charset: 'windows-1253', script: 'greek' },
+    { charset: 'windows-1250', script: 'latin' },
+    { charset: 'windows-1254', script: 'latin' },
+    { charset: 'iso-8859-8', script: 'hebrew' },
+    { charset: 'iso-8859-6', script: 'arabic' },
+    { charset: 'iso-8859-5', script: 'cyrillic' },
+    { charset: 'iso-8859-7', script: 'greek' },
+    { charset: 'iso-8859-2', script: 'latin' },
+    { charset: 'iso-8859-1', script: 'latin' },
+];
+
+// Approximate letter frequencies (in percent) of the main language written in
+// each script. Decoding text with the wrong code page shuffles letters around,
+// which shows up as a distribution that no longer resembles the expected one.
+// Latin is left out as the Latin code pages differ only in a few letters.
+const SCRIPTS = {
+    latin: {
+        ranges: [[0x00C0, 0x00D6], [0x00D8, 0x00F6], [0x00F8, 0x024F]],
+        bicameral: true,
+        frequencies: null,
+    },
+    hebrew: {
+        ranges: [[0x0591, 0x05C7], [0x05D0, 0x05EA], [0x05F0, 0x05F4]],
+        bicameral: false,
+        frequencies: {
+            'י': 11.0, 'ו': 10.0, 'ה': 8.7, 'ל': 7.2, 'א': 6.3, 'ר': 5.6, 'ת': 5.3, 'ב': 4.7, 'מ': 4.5,
+            'ש': 4.2, 'נ': 3.7, 'ע': 3.2, 'ם': 2.9, 'כ': 2.7, 'ד': 2.6, 'ח': 2.3, 'ק': 1.9, 'פ': 1.6,
+            'ס': 1.5, 'ן': 1.4, 'ג': 1.3, 'ט': 1.2, 'צ': 1.2, 'ז': 0.9, 'ך': 0.6, 'ף': 0.3, 'ץ': 0.2,
+        },
+    },
+    arabic: {
+        ranges: [[0x0610, 0x061A], [0x0620, 0x065F], [0x066E, 0x06D3]],
+        bicameral: false,
+        frequencies: {
+            'ا': 15.7, 'ل': 11.0, 'ي': 7.9, 'م': 6.2, 'و': 6.0, 'ن': 5.8, 'ه': 4.9, 'ر': 4.7, 'ب': 3.9,
+            'ت': 3.7, 'ع': 3.6, 'د': 3.2, 'ة': 2.9, 'ف': 2.8, 'ك': 2.8, 'ق': 2.5, 'س': 2.4, 'ح': 1.9,
+            'ج': 1.2, 'ى': 1.1, 'ش': 1.1, 'خ': 0.9, 'ص': 0.8, 'ط': 0.8, 'ذ': 0.7, 'ث': 0.6, 'ض': 0.5,
+            'ز': 0.5, 'غ': 0.4, 'ظ': 0.2,
+        },
+    },
+    cyrillic: {
+        ranges: [[0x0400, 0x045F]],
+        bicameral: true,
+        frequencies: {
+            'о': 11.0, 'е': 8.5, 'а': 8.0, 'и': 7.4, 'н': 6.7, 'т': 6.3, 'с': 5.5, 'р': 4.7, 'в': 4.5,
+            'л': 4.4, 'к': 3.5, 'м': 3.2, 'д': 3.0, 'п': 2.8, 'у': 2.6, 'я': 2.0, 'ы': 1.9, 'ь': 1.7,
+            'г': 1.7, 'з': 1.7, 'б': 1.6, 'ч': 1.4, 'й': 1.2, 'х': 1.0, 'ж': 0.9, 'ш': 0.7, 'ю': 0.6,
+            'ц': 0.5, 'щ': 0.4, 'э': 0.3, 'ф': 0.3, 'ъ': 0.04,
+        },
+    },
+    greek: {
+        ranges: [[0x0386, 0x03CE]],
+        bicameral: true,
+        frequencies: {
+            'α': 12.0, 'ο': 9.8, 'ι': 8.0, 'ε': 8.0, 'τ': 8.0, 'σ': 7.5, 'ν': 6.5, 'η': 4.9, 'υ': 4.2,
+            'ρ': 4.2, 'π': 4.0, 'κ': 3.8, 'μ': 3.2, 'λ': 2.7, 'ω': 1.8, 'γ': 1.8, 'δ': 1.8, 'θ': 1.3,
+            'χ': 1.2, 'φ': 0.8, 'β': 0.8, 'ξ': 0.6, 'ζ': 0.5, 'ψ': 0.2,
+        },
+    },
+};
+
+const UTF16_SAMPLE_SIZE = 4096;
+const UNKNOWN_LETTER_FREQUENCY = 0.01;
+
+const isInScript = (code, script) => {
+    return SCRIPTS[script].ranges.some(([from, to]) => code >= from && code <= to);
+};
+
+const isUpperCase = (char) => {
+    return char !== char.toLowerCase();
+};
+
+// Folds case, accents and final forms so that letters can be looked up in the
+// frequency tables.
+const normalizeLetter = (char) => {
+    const letter = char.toLowerCase().normalize('NFD').charAt(0);
+    return letter === 'ς' ? 'σ' : letter;
+};
+
+// Compares the average information content of the observed letters with the
+// entropy of the expected distribution. Text in the right code page scores
+// close to 1, while misdecoded text is full of letters the language rarely
+// uses and scores much lower.
+const frequencySimilarity = (counts, frequencies) => {
+    const total = Object.values(frequencies).reduce((total, frequency) => total + frequency, 0);
+    const probability = (letter) => (frequencies[letter] || UNKNOWN_LETTER_FREQUENCY) / total;
+    const entropy = Object.keys(frequencies)
+        .reduce((entropy, letter) => entropy - probability(letter) * Math.log2(probability(letter)), 0);
+    let observed = 0;
+    let crossEntropy = 0;
+    for (const [letter, count] of counts) {
+        observed += count;
+        crossEntropy -= count * Math.log2(probability(letter));
+    }
+
+    return observed > 0 ? Math.min(1, Math.pow(2, entropy - crossEntropy / observed)) : 0;
+};
+
+const isAsciiLetter = (code) => {
+    return (code >= 0x41 && code <= 0x5A) || (code >= 0x61 && code <= 0x7A);
+};
+
+const detectBOM = (bytes) => {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return 'utf-8';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return 'utf-16le';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return 'utf-16be';
+    }
+
+    return null;
+};
+
+// Subtitles are mostly ASCII digits, punctuation and spaces, so UTF-16 without
+// a BOM shows up as a zero byte in every other position.
+const detectUTF16 = (bytes) => {
+    const length = Math.min(bytes.length, UTF16_SAMPLE_SIZE) & ~1;
+    if (length === 0) {
+        return null;
+    }
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        if (bytes[i] === 0) evenZeros++;
+        if (bytes[i + 1] === 0) oddZeros++;
+    }
+
+    const pairs = length / 2;
+    if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+        return { charset: 'utf-16le', confidence: Math.min(1, oddZeros / pairs + 0.4) };
+    }
+    if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+        return { charset: 'utf-16be', confidence: Math.min(1, evenZeros / pairs + 0.4) };
+    }
+
+    return null;
+};
+
+const isAscii = (bytes) => {
+    return bytes.every((byte) => byte < 0x80);
+};
+
+const isValidUTF8 = (bytes) => {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch (_error) {
+        return false;
+    }
+};
+
+// Rewards letters of the expected script, more so when they continue a word
+// of the same script, and penalizes C1 control characters and replacement
+// characters which real text never contains. Accented Latin letters are
+// expected next to ASCII letters, while runs of them are what other scripts
+// look like when decoded as Latin. The result is weighted by how much the
+// letter distribution resembles the language the script is used for.
+const scoreText = (text, script) => {
+    const { bicameral, frequencies } = SCRIPTS[script];
+    const counts = new Map();
+    let score = 0;
+    let highChars = 0;
+    let previous = null;
+    let previousUpperCase = false;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            previous = isAsciiLetter(code) ? 'ascii' : null;
+            previousUpperCase = isUpperCase(char);
+            continue;
+        }
+
+        highChars++;
+        if (isInScript(code, script)) {
+            score += previous === 'ascii' ?
+                script === 'latin' ? 2 : -1
+                :
+                previous === script ?
+                    script === 'latin' ? -1 : 2
+                    :
+                    1;
+            if (bicameral && previous === script && isUpperCase(char) && !previousUpperCase) {
+                score -= 2;
+            }
+
+            const letter = normalizeLetter(char);
+            counts.set(letter, (counts.get(letter) || 0) + 1);
+            previous = script;
+            previousUpperCase = isUpperCase(char);
+        } else if (code <= 0x9F || code === 0xFFFD) {
+            score -= 5;
+            previous = null;
+        } else {
+            score -= 1;
+            previous = null;
+        }
+    }
+
+    if (highChars === 0) {
+        return 0;
+    }
+
+    const similarity = frequencies !== null ? frequencySimilarity(counts, frequencies) : 1;
+    return Math.max(0, score / (highChars * 2)) * similarity;
+};
+
+const detectSingleByte = (bytes) => {
+    const scores = SINGLE_BYTE_CANDIDATES
+        .map(({ charset, script }) => {
+            try {
+                const text = new TextDecoder(charset).decode(bytes);
+                return { charset, script, score: scoreText(text, script) };
+            } catch (_error) {
+                return { charset, script, score: 0 };
+            }
+        })
+        .reduce((scores, candidate) => {
+            const best = scores.find(({ script }) => script === candidate.script);
+            if (!best) {
+                scores.push(candidate);
+            } else if (candidate.score > best.score) {
+                scores.splice(scores.indexOf(best), 1, candidate);
+            }
+
+            return scores;
+        }, [])
+        .sort((a, b) => b.score - a.score);
+
+    // A runner-up from another script that scores as well as the best one
+    // halves the confidence.
+    const [best, runnerUp] = scores;
+    return {
+        charset: best.charset,
+        confidence: best.score > 0 ? best.score * (1 - runnerUp.score / best.score / 2) : 0,
+    };
+};
+
+/**
+ * Detect the character set of a raw subtitle file
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw file content
+ * @returns {{ charset: string, confidence: number, bom: boolean }} Detected charset with a confidence between 0 and 1
+ */
+const detectCharset = (buffer) => {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    const bom = detectBOM(bytes);
+    if (bom !== null) {
+        return { charset: bom, confidence: 1, bom: true };
+    }
+
+    const utf16 = detectUTF16(bytes);
+    if (utf16 !== null) {
+        return { ...utf16, bom: false };
+    }
+
+    if (isAscii(bytes)) {
+        return { charset: 'utf-8', confidence: 1, bom: false };
+    }
+
+    if (isValidUTF8(bytes)) {
+        return { charset: 'utf-8', confidence: 0.99, bom: false };
+    }
+
+    return { ...detectSingleByte(bytes), bom: false };
+};
+
+module.exports = detectCharset;
@@ -0,0 +1,222 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Resolution of the speech activity timeline, in seconds.
+const ACTIVITY_RESOLUTION = 0.1;
+
+// Ratios between common frame rates. Subtitles timed for a release with a
+// different frame rate drift by one of these factors.
+const FRAMERATE_RATIOS = [
+    1,
+    25 / (24000 / 1001),
+    (24000 / 1001) / 25,
+    25 / 24,
+    24 / 25,
+];
+
+const DEFAULT_OPTIONS = {
+    maxOffset: 60,
+    coarseStep: 0.2,
+    fineStep: 0.02,
+    chunkDuration: 15,
+    maxChunkShift: 2,
+    snapTolerance: 0.004,
+    minDuration: 20,
+};
+
+const percentile = (values, fraction) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+};
+
+// Merges overlapping cues into sorted, disjoint intervals.
+const createTimeline = (cues) => {
+    return cues
+        .filter(({ start, end }) => Number.isFinite(start) && Number.isFinite(end) && end > start)
+        .map(({ start, end }) => [start, end])
+        .sort((a, b) => a[0] - b[0])
+        .reduce((timeline, interval) => {
+            const last = timeline[timeline.length - 1];
+            if (last && interval[0] <= last[1]) {
+                last[1] = Math.max(last[1], interval[1]);
+            } else {
+                timeline.push(interval);
+            }
+
+            return timeline;
+        }, []);
+};
+
+const isActive = (timeline, time) => {
+    let low = 0;
+    let high = timeline.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (time < timeline[middle][0]) {
+            high = middle - 1;
+        } else if (time >= timeline[middle][1]) {
+            low = middle + 1;
+        } else {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+// Correlation between speech and cues shown at `scale * start + delay`, with
+// both encoded as +1/-1. It is 1 when every sample agrees and -1 when none do.
+const correlate = (activity, timeline, delay, scale) => {
+    let sum = 0;
+    for (const { time, speech } of activity) {
+        sum += speech === isActive(timeline, (time - delay) / scale) ? 1 : -1;
+    }
+
+    return activity.length > 0 ? sum / activity.length : 0;
+};
+
+const searchDelay = (activity, timeline, scale, from, to, step) => {
+    let best = { delay: from, score: -Infinity };
+    for (let delay = from; delay <= to; delay += step) {
+        const score = correlate(activity, timeline, delay, scale);
+        if (score > best.score) {
+            best = { delay, score };
+        }
+    }
+
+    return best;
+};
+
+const linearRegression = (points) => {
+    const meanX = points.reduce((sum, { x }) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, { y }) => sum + y, 0) / points.length;
+    const covariance = points.reduce((sum, { x, y }) => sum + (x - meanX) * (y - meanY), 0);
+    const variance = points.reduce((sum, { x }) => sum + (x - meanX) * (x - meanX), 0);
+    const slope = variance > 0 ? covariance / variance : 0;
+    return { slope, intercept: meanY - slope * meanX };
+};
+
+/**
+ * Classify audio frames as speech or silence
+ *
+ * The threshold adapts to the loudness of the captured audio: a frame counts as
+ * speech when its voice band energy rises well above the noise floor and the
+ * voice band dominates the spectrum. Frames are binned into a uniform timeline
+ * and isolated blips are smoothed out.
+ * @param {Array<{ time: number, energy: number, ratio: number }>} frames - Voice band energy in dB and its share of the total power, by media time in seconds
+ * @returns {Array<{ time: number, speech: boolean }>} Speech activity timeline
+ */
+const detectSpeech = (frames) => {
+    if (frames.length === 0) {
+        return [];
+    }
+
+    const energies = frames.map(({ energy }) => energy).filter(Number.isFinite);
+    const floor = percentile(energies, 0.2);
+    const peak = percentile(energies, 0.95);
+    const threshold = floor + Math.max(6, (peak - floor) * 0.35);
+
+    const bins = new Map();
+    for (const { time, energy, ratio } of frames) {
+        const bin = Math.round(time / ACTIVITY_RESOLUTION);
+        const votes = bins.get(bin) || { speech: 0, total: 0 };
+        votes.speech += energy > threshold && ratio >= 0.4 ? 1 : 0;
+        votes.total += 1;
+        bins.set(bin, votes);
+    }
+
+    const activity = Array.from(bins.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([bin, { speech, total }]) => ({ bin, speech: speech * 2 >= total }));
+
+    return activity.map(({ bin, speech }, index) => {
+        const neighbours = activity
+            .slice(Math.max(0, index - 2), index + 3)
+            .filter((neighbour) => Math.abs(neighbour.bin - bin) <= 2);
+        const votes = neighbours.filter((neighbour) => neighbour.speech).length;
+        return {
+            time: bin * ACTIVITY_RESOLUTION,
+            speech: neighbours.length >= 3 ? votes * 2 > neighbours.length : speech,
+        };
+    });
+};
+
+/**
+ * Estimate the timing that lines subtitle cues up with speech
+ *
+ * Cues are expected to be shown at `scale * start + delay`. The delay is found
+ * by correlating the cue timeline with the speech activity for every common
+ * frame rate ratio, then the scale is fitted by a linear regression of the
+ * best local delay of consecutive chunks of the capture, which reveals the
+ * drift of subtitles timed for a release with a different frame rate.
+ * @param {Array<{ time: number, speech: boolean }>} activity - Speech activity timeline
+ * @param {Array<{ start: number, end: number }>} cues - Subtitle cues in seconds
+ * @param {Object} [options] - Search ranges and steps in seconds
+ * @returns {{ delay: number, scale: number, confidence: number } | null} Estimated timing, or null when there is not enough data
+ */
+const estimateSync = (activity, cues, options = {}) => {
+    const { maxOffset, coarseStep, fineStep, chunkDuration, maxChunkShift, snapTolerance, minDuration } = { ...DEFAULT_OPTIONS, ...options };
+    const timeline = createTimeline(cues);
+    if (timeline.length === 0 || activity.length < 2) {
+        return null;
+    }
+
+    const first = activity[0].time;
+    const last = activity[activity.length - 1].time;
+    if (last - first < minDuration || !activity.some(({ speech }) => speech)) {
+        return null;
+    }
+
+    const candidates = FRAMERATE_RATIOS.map((scale) => {
+        const scores = [];
+        let best = null;
+        for (let delay = -maxOffset; delay <= maxOffset; delay += coarseStep) {
+            const score = correlate(activity, timeline, delay, scale);
+            scores.push(score);
+            if (best === null || score > best.score) {
+                best = { scale, delay, score };
+            }
+        }
+
+        const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        const deviation = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) * (score - mean), 0) / scores.length);
+        return { ...best, significance: deviation > 0 ? (best.score - mean) / deviation : 0 };
+    });
+    const coarse = candidates.reduce((best, candidate) => candidate.score > best.score ? candidate : best);
+
+    // Drift shows up as a local delay that grows steadily along the capture
+    const points = [];
+    for (let from = first; from + chunkDuration / 2 <= last; from += chunkDuration) {
+        const chunk = activity.filter(({ time }) => time >= from && time < from + chunkDuration);
+        if (chunk.some(({ speech }) => speech)) {
+            const { delay } = searchDelay(chunk, timeline, coarse.scale, coarse.delay - maxChunkShift, coarse.delay + maxChunkShift, fineStep);
+            points.push({ x: (chunk[0].time + chunk[chunk.length - 1].time) / 2, y: delay - coarse.delay });
+        }
+    }
+
+    let scale = coarse.scale;
+    if (points.length >= 3) {
+        const { slope } = linearRegression(points);
+        const fitted = coarse.scale / (1 - slope);
+        const nearest = FRAMERATE_RATIOS.reduce((nearest, ratio) => Math.abs(ratio - fitted) < Math.abs(nearest - fitted) ? ratio : nearest);
+        if (Math.abs(fitted - coarse.scale) > snapTolerance && Math.abs(nearest - fitted) <= snapTolerance) {
+            scale = nearest;
+        }
+    }
+
+    // Keep the cue at the middle of the capture in place while changing the
+    // scale, then refine the delay around it.
+    const middle = (first + last) / 2;
+    const center = middle - scale * ((middle - coarse.delay) / coarse.scale);
+    const fine = searchDelay(activity, timeline, scale, center - coarseStep * 2, center + coarseStep * 2, fineStep);
+
+    return {
+        delay: fine.delay,
+        scale,
+        confidence: Math.max(0, Math.min(1, (coarse.significance - 3) / 5)),
+    };
+};
+
+module.exports = {
+    detectSpeech,
+    estimateSync,
+};
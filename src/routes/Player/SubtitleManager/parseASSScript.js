@@ -0,0 +1,403 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const DEFAULT_PLAY_RES = { x: 384, y: 288 };
+
+const DEFAULT_STYLE = {
+    name: 'Default',
+    fontName: 'Arial',
+    fontSize: 20,
+    primaryColour: { r: 255, g: 255, b: 255, a: 0 },
+    secondaryColour: { r: 255, g: 0, b: 0, a: 0 },
+    outlineColour: { r: 0, g: 0, b: 0, a: 0 },
+    backColour: { r: 0, g: 0, b: 0, a: 0 },
+    bold: false,
+    italic: false,
+    underline: false,
+    strikeOut: false,
+    scaleX: 100,
+    scaleY: 100,
+    spacing: 0,
+    angle: 0,
+    borderStyle: 1,
+    outline: 2,
+    shadow: 2,
+    blur: 0,
+    alignment: 2,
+    marginL: 10,
+    marginR: 10,
+    marginV: 10,
+};
+
+// Override tags, longest first so that a tag is never mistaken for its prefix
+const TAGS = [
+    'iclip', 'alpha', 'xbord', 'ybord', 'xshad', 'yshad',
+    'fscx', 'fscy', 'fade', 'move', 'bord', 'shad', 'blur', 'clip',
+    'fsp', 'frx', 'fry', 'frz', 'fax', 'fay', 'pos', 'org', 'fad', 'pbo',
+    'fs', 'fn', 'fe', 'fr', 'be', '1c', '2c', '3c', '4c', '1a', '2a', '3a', '4a', 'an', 'kf', 'ko',
+    'c', 'a', 'k', 'K', 't', 'p', 'q', 'r', 'b', 'i', 'u', 's',
+];
+
+// Tags the renderer can't reproduce. Lines using them are shown as plain text.
+const UNSUPPORTED_TAGS = ['t', 'clip', 'iclip', 'frx', 'fry', 'fax', 'fay', 'xbord', 'ybord', 'xshad', 'yshad'];
+
+// SSA numbers alignments 1-3 bottom, 5-7 top and 9-11 middle
+const LEGACY_ALIGNMENTS = { 1: 1, 2: 2, 3: 3, 5: 7, 6: 8, 7: 9, 9: 4, 10: 5, 11: 6 };
+
+const parseTime = (value) => {
+    const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/.exec(value.trim());
+    if (match === null) {
+        return NaN;
+    }
+
+    const fraction = match[4] !== undefined ? parseInt(match[4], 10) / Math.pow(10, match[4].length) : 0;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10) + fraction;
+};
+
+// Colours are stored as &HAABBGGRR, where an alpha of 0 is opaque. SSA files
+// may also store them as decimal numbers.
+const parseColour = (value, fallback) => {
+    const text = String(value).trim().replace(/&$/, '');
+    const number = /^&H/i.test(text) ? parseInt(text.slice(2), 16) : parseInt(text, 10);
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+
+    return {
+        r: number & 0xFF,
+        g: (number >>> 8) & 0xFF,
+        b: (number >>> 16) & 0xFF,
+        a: (number >>> 24) & 0xFF,
+    };
+};
+
+const parseAlpha = (value, fallback) => {
+    const number = parseInt(String(value).trim().replace(/^&H/i, '').replace(/&$/, ''), 16);
+    return Number.isFinite(number) ? number & 0xFF : fallback;
+};
+
+const parseNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+const parseFlag = (value) => {
+    return parseInt(value, 10) !== 0;
+};
+
+const parseArguments = (value) => {
+    return value.split(',').map((argument) => argument.trim());
+};
+
+const parseFormat = (line) => {
+    return line.slice(line.indexOf(':') + 1).split(',').map((field) => field.trim().toLowerCase());
+};
+
+// Splits a line into the fields of its section format. The last field may
+// contain commas.
+const parseFields = (line, format) => {
+    const values = line.slice(line.indexOf(':') + 1).split(',');
+    const fields = {};
+    format.forEach((name, index) => {
+        fields[name] = index === format.length - 1 ?
+            values.slice(index).join(',')
+            :
+            (values[index] || '').trim();
+    });
+
+    return fields;
+};
+
+const parseStyle = (fields, legacy) => {
+    const alignment = parseInt(fields.alignment, 10);
+    return {
+        ...DEFAULT_STYLE,
+        name: fields.name || DEFAULT_STYLE.name,
+        fontName: fields.fontname || DEFAULT_STYLE.fontName,
+        fontSize: parseNumber(fields.fontsize, DEFAULT_STYLE.fontSize),
+        primaryColour: parseColour(fields.primarycolour, DEFAULT_STYLE.primaryColour),
+        secondaryColour: parseColour(fields.secondarycolour, DEFAULT_STYLE.secondaryColour),
+        outlineColour: parseColour(fields.outlinecolour || fields.tertiarycolour, DEFAULT_STYLE.outlineColour),
+        backColour: parseColour(fields.backcolour, DEFAULT_STYLE.backColour),
+        bold: parseFlag(fields.bold),
+        italic: parseFlag(fields.italic),
+        underline: parseFlag(fields.underline),
+        strikeOut: parseFlag(fields.strikeout),
+        scaleX: parseNumber(fields.scalex, DEFAULT_STYLE.scaleX),
+        scaleY: parseNumber(fields.scaley, DEFAULT_STYLE.scaleY),
+        spacing: parseNumber(fields.spacing, DEFAULT_STYLE.spacing),
+        angle: parseNumber(fields.angle, DEFAULT_STYLE.angle),
+        borderStyle: parseNumber(fields.borderstyle, DEFAULT_STYLE.borderStyle),
+        outline: parseNumber(fields.outline, DEFAULT_STYLE.outline),
+        shadow: parseNumber(fields.shadow, DEFAULT_STYLE.shadow),
+        alignment: legacy ?
+            LEGACY_ALIGNMENTS[alignment] || DEFAULT_STYLE.alignment
+            :
+            alignment >= 1 && alignment <= 9 ? alignment : DEFAULT_STYLE.alignment,
+        marginL: parseNumber(fields.marginl, DEFAULT_STYLE.marginL),
+        marginR: parseNumber(fields.marginr, DEFAULT_STYLE.marginR),
+        marginV: parseNumber(fields.marginv, DEFAULT_STYLE.marginV),
+    };
+};
+
+const tokenizeOverrides = (block) => {
+    const tags = [];
+    let index = block.indexOf('\\');
+    while (index !== -1) {
+        const rest = block.slice(index + 1);
+        const name = TAGS.find((tag) => rest.startsWith(tag));
+        if (name === undefined) {
+            index = block.indexOf('\\', index + 1);
+            continue;
+        }
+
+        let value = '';
+        let end = index + 1 + name.length;
+        if (block[end] === '(') {
+            let depth = 0;
+            let close = end;
+            for (; close < block.length; close++) {
+                if (block[close] === '(') depth++;
+                if (block[close] === ')' && --depth === 0) break;
+            }
+            value = block.slice(end + 1, close);
+            end = close + 1;
+        } else {
+            const next = block.indexOf('\\', end);
+            value = block.slice(end, next === -1 ? block.length : next).trim();
+            end = next === -1 ? block.length : next;
+        }
+
+        tags.push({ name, value });
+        index = block.indexOf('\\', end);
+    }
+
+    return tags;
+};
+
+const applyOverride = (style, { name, value }, styles, baseStyle) => {
+    switch (name) {
+        case 'b': return { ...style, bold: value === '' ? baseStyle.bold : parseInt(value, 10) !== 0 };
+        case 'i': return { ...style, italic: value === '' ? baseStyle.italic : parseFlag(value) };
+        case 'u': return { ...style, underline: value === '' ? baseStyle.underline : parseFlag(value) };
+        case 's': return { ...style, strikeOut: value === '' ? baseStyle.strikeOut : parseFlag(value) };
+        case 'fn': return { ...style, fontName: value || baseStyle.fontName };
+        case 'fs': return { ...style, fontSize: parseNumber(value, baseStyle.fontSize) };
+        case 'fscx': return { ...style, scaleX: parseNumber(value, baseStyle.scaleX) };
+        case 'fscy': return { ...style, scaleY: parseNumber(value, baseStyle.scaleY) };
+        case 'fsp': return { ...style, spacing: parseNumber(value, baseStyle.spacing) };
+        case 'fr':
+        case 'frz': return { ...style, angle: parseNumber(value, baseStyle.angle) };
+        case 'bord': return { ...style, outline: parseNumber(value, baseStyle.outline) };
+        case 'shad': return { ...style, shadow: parseNumber(value, baseStyle.shadow) };
+        case 'be':
+        case 'blur': return { ...style, blur: parseNumber(value, 0) };
+        case 'c':
+        case '1c': return { ...style, primaryColour: { ...parseColour(value, baseStyle.primaryColour), a: style.primaryColour.a } };
+        case '2c': return { ...style, secondaryColour: { ...parseColour(value, baseStyle.secondaryColour), a: style.secondaryColour.a } };
+        case '3c': return { ...style, outlineColour: { ...parseColour(value, baseStyle.outlineColour), a: style.outlineColour.a } };
+        case '4c': return { ...style, backColour: { ...parseColour(value, baseStyle.backColour), a: style.backColour.a } };
+        case 'alpha': {
+            const a = parseAlpha(value, 0);
+            return {
+                ...style,
+                primaryColour: { ...style.primaryColour, a },
+                secondaryColour: { ...style.secondaryColour, a },
+                outlineColour: { ...style.outlineColour, a },
+                backColour: { ...style.backColour, a },
+            };
+        }
+        case '1a': return { ...style, primaryColour: { ...style.primaryColour, a: parseAlpha(value, baseStyle.primaryColour.a) } };
+        case '2a': return { ...style, secondaryColour: { ...style.secondaryColour, a: parseAlpha(value, baseStyle.secondaryColour.a) } };
+        case '3a': return { ...style, outlineColour: { ...style.outlineColour, a: parseAlpha(value, baseStyle.outlineColour.a) } };
+        case '4a': return { ...style, backColour: { ...style.backColour, a: parseAlpha(value, baseStyle.backColour.a) } };
+        case 'r': return value !== '' && styles[value] ? { ...styles[value] } : { ...baseStyle };
+        default: return style;
+    }
+};
+
+// \N is a hard line break, \n a soft one which only breaks with wrap style 2,
+// \h a non-breaking space.
+const unescapeText = (text, wrapStyle) => {
+    return text
+        .replace(/\\N/g, '\n')
+        .replace(/\\n/g, wrapStyle === 2 ? '\n' : ' ')
+        .replace(/\\h/g, ' ');
+};
+
+const parseDialogue = (fields, styles, wrapStyle) => {
+    const baseStyle = styles[fields.style] || styles[fields.style?.replace(/^\*/, '')] || styles.Default || DEFAULT_STYLE;
+    const event = {
+        layer: parseInt(fields.layer, 10) || 0,
+        start: parseTime(fields.start || ''),
+        end: parseTime(fields.end || ''),
+        style: baseStyle.name,
+        actor: fields.name || '',
+        effect: fields.effect || '',
+        marginL: parseNumber(fields.marginl, 0) || baseStyle.marginL,
+        marginR: parseNumber(fields.marginr, 0) || baseStyle.marginR,
+        marginV: parseNumber(fields.marginv, 0) || baseStyle.marginV,
+        alignment: baseStyle.alignment,
+        position: null,
+        move: null,
+        fade: null,
+        segments: [],
+        text: '',
+        animated: false,
+        supported: true,
+        drawing: false,
+    };
+
+    const text = fields.text || '';
+    let style = { ...baseStyle };
+    let karaokeTime = 0;
+    let karaoke = null;
+    const pattern = /\{([^}]*)\}|([^{]+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1] !== undefined) {
+            for (const tag of tokenizeOverrides(match[1])) {
+                if (UNSUPPORTED_TAGS.includes(tag.name)) {
+                    event.supported = false;
+                    continue;
+                }
+
+                switch (tag.name) {
+                    case 'an': {
+                        const alignment = parseInt(tag.value, 10);
+                        if (alignment >= 1 && alignment <= 9) {
+                            event.alignment = alignment;
+                        }
+                        break;
+                    }
+                    case 'a': {
+                        const alignment = LEGACY_ALIGNMENTS[parseInt(tag.value, 10)];
+                        if (alignment) {
+                            event.alignment = alignment;
+                        }
+                        break;
+                    }
+                    case 'pos': {
+                        const [x, y] = parseArguments(tag.value).map(parseFloat);
+                        if (Number.isFinite(x) && Number.isFinite(y) && event.position === null && event.move === null) {
+                            event.position = { x, y };
+                        }
+                        break;
+                    }
+                    case 'move': {
+                        const [x1, y1, x2, y2, t1, t2] = parseArguments(tag.value).map(parseFloat);
+                        if ([x1, y1, x2, y2].every(Number.isFinite) && event.position === null && event.move === null) {
+                            event.move = { x1, y1, x2, y2, t1: Number.isFinite(t1) ? t1 : 0, t2: Number.isFinite(t2) ? t2 : 0 };
+                            event.animated = true;
+                        }
+                        break;
+                    }
+                    case 'fad': {
+                        const [fadeIn, fadeOut] = parseArguments(tag.value).map(parseFloat);
+                        if (Number.isFinite(fadeIn) && Number.isFinite(fadeOut)) {
+                            event.fade = { type: 'fad', fadeIn, fadeOut };
+                            event.animated = true;
+                        }
+                        break;
+                    }
+                    case 'fade': {
+                        const [a1, a2, a3, t1, t2, t3, t4] = parseArguments(tag.value).map(parseFloat);
+                        if ([a1, a2, a3, t1, t2, t3, t4].every(Number.isFinite)) {
+                            event.fade = { type: 'fade', a1, a2, a3, t1, t2, t3, t4 };
+                            event.animated = true;
+                        }
+                        break;
+                    }
+                    case 'k':
+                    case 'K':
+                    case 'kf':
+                    case 'ko': {
+                        const duration = parseNumber(tag.value, 0) * 10;
+                        karaoke = { type: tag.name === 'kf' ? 'K' : tag.name, start: karaokeTime, duration };
+                        karaokeTime += duration;
+                        event.animated = true;
+                        break;
+                    }
+                    case 'p': {
+                        event.drawing = parseInt(tag.value, 10) > 0;
+                        break;
+                    }
+                    default: {
+                        style = applyOverride(style, tag, styles, baseStyle);
+                    }
+                }
+            }
+        } else if (!event.drawing) {
+            const segmentText = unescapeText(match[2], wrapStyle);
+            event.segments.push({ text: segmentText, style, karaoke });
+            event.text += segmentText;
+            karaoke = null;
+        }
+    }
+
+    return event;
+};
+
+/**
+ * Parse an ASS/SSA script, keeping its styles and the override tags of every line
+ * @param {string} content - Script content
+ * @returns {{ playResX: number, playResY: number, wrapStyle: number, scaledBorderAndShadow: boolean, styles: Object, events: Array }} Parsed script
+ */
+const parseASSScript = (content) => {
+    const info = {};
+    const styles = {};
+    const events = [];
+    let section = null;
+    let styleFormat = null;
+    let eventFormat = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.length === 0 || line.startsWith(';')) {
+            continue;
+        }
+
+        const sectionMatch = /^\[(.+)\]$/.exec(line);
+        if (sectionMatch !== null) {
+            section = sectionMatch[1].toLowerCase();
+            continue;
+        }
+
+        if (section === 'script info') {
+            const separator = line.indexOf(':');
+            if (separator !== -1) {
+                info[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+            }
+        } else if (section === 'v4+ styles' || section === 'v4 styles') {
+            if (line.startsWith('Format:')) {
+                styleFormat = parseFormat(line);
+            } else if (line.startsWith('Style:') && styleFormat !== null) {
+                const style = parseStyle(parseFields(line, styleFormat), section === 'v4 styles');
+                styles[style.name] = style;
+            }
+        } else if (section === 'events') {
+            if (line.startsWith('Format:')) {
+                eventFormat = parseFormat(line);
+            } else if (line.startsWith('Dialogue:') && eventFormat !== null) {
+                const wrapStyle = parseInt(info.wrapstyle, 10) || 0;
+                const event = parseDialogue(parseFields(rawLine.trimStart(), eventFormat), styles, wrapStyle);
+                if (Number.isFinite(event.start) && Number.isFinite(event.end) && event.end > event.start) {
+                    events.push(event);
+                }
+            }
+        }
+    }
+
+    const playResX = parseNumber(info.playresx, NaN);
+    const playResY = parseNumber(info.playresy, NaN);
+    return {
+        // A missing dimension is derived from the other one with a 4:3 ratio
+        playResX: Number.isFinite(playResX) ? playResX : Number.isFinite(playResY) ? playResY * 4 / 3 : DEFAULT_PLAY_RES.x,
+        playResY: Number.isFinite(playResY) ? playResY : Number.isFinite(playResX) ? playResX * 3 / 4 : DEFAULT_PLAY_RES.y,
+        wrapStyle: parseInt(info.wrapstyle, 10) || 0,
+        scaledBorderAndShadow: (info.scaledborderandshadow || 'yes').toLowerCase() === 'yes',
+        styles,
+        events: events.sort((a, b) => a.start - b.start || a.layer - b.layer),
+    };
+};
+
+module.exports = parseASSScript;
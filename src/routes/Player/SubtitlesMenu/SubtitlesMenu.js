@@ -19,8 +19,11 @@ const LANGUAGE_PRIORITIES = {
     'local': 2,
     'eng': 1,
 };
+const SECONDARY_SUBTITLES_COLORS = ['#FFFFFF', '#FFE082', '#80DEEA', '#A5D6A7', '#F48FB1'];
 
 const SubtitlesMenu = React.memo((props) => {
+    const [target, setTarget] = React.useState('primary');
+    const secondary = target === 'secondary' && props.secondarySubtitles !== null && typeof props.secondarySubtitles === 'object';
     const subtitlesLanguages = React.useMemo(() => {
         return (Array.isArray(props.subtitlesTracks) ? props.subtitlesTracks : [])
             .concat(Array.isArray(props.extraSubtitlesTracks) ? props.extraSubtitlesTracks : [])
@@ -34,6 +37,13 @@ const SubtitlesMenu = React.memo((props) => {
             .sort(comparatorWithPriorities(LANGUAGE_PRIORITIES));
     }, [props.subtitlesTracks, props.extraSubtitlesTracks]);
     const selectedSubtitlesLanguage = React.useMemo(() => {
+        if (secondary) {
+            const track = (Array.isArray(props.subtitlesTracks) ? props.subtitlesTracks : [])
+                .concat(Array.isArray(props.extraSubtitlesTracks) ? props.extraSubtitlesTracks : [])
+                .find(({ id }) => id === props.secondarySubtitles.trackId);
+            return track ? track.lang : null;
+        }
+
         return typeof props.selectedSubtitlesTrackId === 'string' ?
             (Array.isArray(props.subtitlesTracks) ? props.subtitlesTracks : [])
                 .reduce((selectedSubtitlesLanguage, { id, lang }) => {
@@ -55,23 +65,41 @@ const SubtitlesMenu = React.memo((props) => {
                     }, null)
                 :
                 null;
-    }, [props.subtitlesTracks, props.extraSubtitlesTracks, props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId]);
+    }, [secondary, props.secondarySubtitles, props.subtitlesTracks, props.extraSubtitlesTracks, props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId]);
     const subtitlesTracksForLanguage = React.useMemo(() => {
         return (Array.isArray(props.subtitlesTracks) ? props.subtitlesTracks : [])
             .concat(Array.isArray(props.extraSubtitlesTracks) ? props.extraSubtitlesTracks : [])
             .filter(({ lang }) => lang === selectedSubtitlesLanguage)
             .sort((t1, t2) => comparatorWithPriorities(ORIGIN_PRIORITIES)(t1.origin, t2.origin));
     }, [props.subtitlesTracks, props.extraSubtitlesTracks, selectedSubtitlesLanguage]);
+    const isTrackSelected = React.useCallback((track) => {
+        return secondary ?
+            props.secondarySubtitles.trackId === track.id
+            :
+            props.selectedSubtitlesTrackId === track.id || props.selectedExtraSubtitlesTrackId === track.id;
+    }, [secondary, props.secondarySubtitles, props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId]);
+    // The track shown as primary subtitles can't be shown again as secondary
+    const isTrackDisabled = React.useCallback((track) => {
+        return secondary && (props.selectedSubtitlesTrackId === track.id || props.selectedExtraSubtitlesTrackId === track.id);
+    }, [secondary, props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId]);
     const onMouseDown = React.useCallback((event) => {
         event.nativeEvent.subtitlesMenuClosePrevented = true;
     }, []);
+    const targetOnClick = React.useCallback((event) => {
+        setTarget(event.currentTarget.dataset.target);
+    }, []);
     const subtitlesLanguageOnClick = React.useCallback((event) => {
         const track = (Array.isArray(props.subtitlesTracks) ? props.subtitlesTracks : [])
             .concat(Array.isArray(props.extraSubtitlesTracks) ? props.extraSubtitlesTracks : [])
             .filter(({ lang }) => lang === event.currentTarget.dataset.lang)
+            .filter((track) => !isTrackDisabled(track))
             .sort((t1, t2) => comparatorWithPriorities(ORIGIN_PRIORITIES)(t1.origin, t2.origin))
             .shift();
-        if (!track) {
+        if (secondary) {
+            if (typeof props.onSecondarySubtitlesTrackSelected === 'function') {
+                props.onSecondarySubtitlesTrackSelected(track ? track.id : null);
+            }
+        } else if (!track) {
             if (typeof props.onSubtitlesTrackSelected === 'function') {
                 props.onSubtitlesTrackSelected(null);
             }
@@ -87,9 +115,13 @@ const SubtitlesMenu = React.memo((props) => {
                 props.onExtraSubtitlesTrackSelected(track.id);
             }
         }
-    }, [props.subtitlesTracks, props.extraSubtitlesTracks, props.onSubtitlesTrackSelected, props.onExtraSubtitlesTrackSelected]);
+    }, [secondary, isTrackDisabled, props.subtitlesTracks, props.extraSubtitlesTracks, props.onSubtitlesTrackSelected, props.onExtraSubtitlesTrackSelected, props.onSecondarySubtitlesTrackSelected]);
     const subtitlesTrackOnClick = React.useCallback((event) => {
-        if (event.currentTarget.dataset.embedded === 'true') {
+        if (secondary) {
+            if (typeof props.onSecondarySubtitlesTrackSelected === 'function') {
+                props.onSecondarySubtitlesTrackSelected(event.currentTarget.dataset.id);
+            }
+        } else if (event.currentTarget.dataset.embedded === 'true') {
             if (typeof props.onSubtitlesTrackSelected === 'function') {
                 props.onSubtitlesTrackSelected(event.currentTarget.dataset.id);
             }
@@ -98,18 +130,26 @@ const SubtitlesMenu = React.memo((props) => {
                 props.onExtraSubtitlesTrackSelected(event.currentTarget.dataset.id);
             }
         }
-    }, [props.onSubtitlesTrackSelected, props.onExtraSubtitlesTrackSelected]);
+    }, [secondary, props.onSubtitlesTrackSelected, props.onExtraSubtitlesTrackSelected, props.onSecondarySubtitlesTrackSelected]);
     const onSubtitlesDelayChanged = React.useCallback((value) => {
-        if (typeof props.selectedExtraSubtitlesTrackId === 'string') {
+        if (secondary) {
+            if (typeof props.onSecondarySubtitlesDelayChanged === 'function') {
+                props.onSecondarySubtitlesDelayChanged(value * 1000);
+            }
+        } else if (typeof props.selectedExtraSubtitlesTrackId === 'string') {
             if (props.extraSubtitlesDelay !== null && !isNaN(props.extraSubtitlesDelay)) {
                 if (typeof props.onExtraSubtitlesDelayChanged === 'function') {
                     props.onExtraSubtitlesDelayChanged(value * 1000);
                 }
             }
         }
-    }, [props.selectedExtraSubtitlesTrackId, props.extraSubtitlesDelay, props.onExtraSubtitlesDelayChanged]);
+    }, [secondary, props.selectedExtraSubtitlesTrackId, props.extraSubtitlesDelay, props.onExtraSubtitlesDelayChanged, props.onSecondarySubtitlesDelayChanged]);
     const onSubtitlesSizeChanged = React.useCallback((value) => {
-        if (typeof props.selectedSubtitlesTrackId === 'string') {
+        if (secondary) {
+            if (typeof props.onSecondarySubtitlesSizeChanged === 'function') {
+                props.onSecondarySubtitlesSizeChanged(value);
+            }
+        } else if (typeof props.selectedSubtitlesTrackId === 'string') {
             if (props.subtitlesSize !== null && !isNaN(props.subtitlesSize)) {
                 if (typeof props.onSubtitlesSizeChanged === 'function') {
                     props.onSubtitlesSizeChanged(value);
@@ -122,9 +162,13 @@ const SubtitlesMenu = React.memo((props) => {
                 }
             }
         }
-    }, [props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId, props.subtitlesSize, props.extraSubtitlesSize, props.onSubtitlesSizeChanged, props.onExtraSubtitlesSizeChanged]);
+    }, [secondary, props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId, props.subtitlesSize, props.extraSubtitlesSize, props.onSubtitlesSizeChanged, props.onExtraSubtitlesSizeChanged, props.onSecondarySubtitlesSizeChanged]);
     const onSubtitlesOffsetChanged = React.useCallback((value) => {
-        if (typeof props.selectedSubtitlesTrackId === 'string') {
+        if (secondary) {
+            if (typeof props.onSecondarySubtitlesOffsetChanged === 'function') {
+                props.onSecondarySubtitlesOffsetChanged(value);
+            }
+        } else if (typeof props.selectedSubtitlesTrackId === 'string') {
             if (props.subtitlesOffset !== null && !isNaN(props.subtitlesOffset)) {
                 if (typeof props.onSubtitlesOffsetChanged === 'function') {
                     props.onSubtitlesOffsetChanged(value);
@@ -137,9 +181,47 @@ const SubtitlesMenu = React.memo((props) => {
                 }
             }
         }
-    }, [props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId, props.subtitlesOffset, props.extraSubtitlesOffset, props.onSubtitlesOffsetChanged, props.onExtraSubtitlesOffsetChanged]);
+    }, [secondary, props.selectedSubtitlesTrackId, props.selectedExtraSubtitlesTrackId, props.subtitlesOffset, props.extraSubtitlesOffset, props.onSubtitlesOffsetChanged, props.onExtraSubtitlesOffsetChanged, props.onSecondarySubtitlesOffsetChanged]);
+    const secondarySubtitlesColorOnClick = React.useCallback((event) => {
+        if (typeof props.onSecondarySubtitlesTextColorChanged === 'function') {
+            props.onSecondarySubtitlesTextColorChanged(event.currentTarget.dataset.color);
+        }
+    }, [props.onSecondarySubtitlesTextColorChanged]);
+    const subtitlesSyncInProgress = React.useMemo(() => {
+        return props.subtitlesSync !== null && typeof props.subtitlesSync === 'object' &&
+            (props.subtitlesSync.status === 'listening' || props.subtitlesSync.status === 'analyzing');
+    }, [props.subtitlesSync]);
+    const onSubtitlesSyncClick = React.useCallback(() => {
+        if (subtitlesSyncInProgress) {
+            if (typeof props.onSubtitlesSyncCancelled === 'function') {
+                props.onSubtitlesSyncCancelled();
+            }
+        } else if (typeof props.selectedExtraSubtitlesTrackId === 'string') {
+            if (typeof props.onSubtitlesSyncRequested === 'function') {
+                props.onSubtitlesSyncRequested();
+            }
+        }
+    }, [subtitlesSyncInProgress, props.selectedExtraSubtitlesTrackId, props.onSubtitlesSyncRequested, props.onSubtitlesSyncCancelled]);
+    const onSubtitlesSyncUndoClick = React.useCallback(() => {
+        if (typeof props.onSubtitlesSyncUndone === 'function') {
+            props.onSubtitlesSyncUndone();
+        }
+    }, [props.onSubtitlesSyncUndone]);
     return (
         <div className={classnames(props.className, styles['subtitles-menu-container'])} onMouseDown={onMouseDown}>
+            {
+                props.secondarySubtitles ?
+                    <div className={styles['targets-container']}>
+                        <Button className={classnames(styles['target-option'], { 'selected': !secondary })} title={t('PLAYER_SUBTITLES_PRIMARY')} data-target={'primary'} onClick={targetOnClick}>
+                            {t('PLAYER_SUBTITLES_PRIMARY')}
+                        </Button>
+                        <Button className={classnames(styles['target-option'], { 'selected': secondary })} title={t('PLAYER_SUBTITLES_SECONDARY')} data-target={'secondary'} onClick={targetOnClick}>
+                            {t('PLAYER_SUBTITLES_SECONDARY')}
+                        </Button>
+                    </div>
+                    :
+                    null
+            }
             <div className={styles['languages-container']}>
                 <div className={styles['languages-header']}>{ t('PLAYER_SUBTITLES_LANGUAGES') }</div>
                 <div className={styles['languages-list']}>
@@ -175,7 +257,7 @@ const SubtitlesMenu = React.memo((props) => {
                     subtitlesTracksForLanguage.length > 0 ?
                         <div className={styles['variants-list']}>
                             {subtitlesTracksForLanguage.map((track, index) => (
-                                <Button key={index} title={track.label} className={classnames(styles['variant-option'], { 'selected': props.selectedSubtitlesTrackId === track.id || props.selectedExtraSubtitlesTrackId === track.id })} data-id={track.id} data-origin={track.origin} data-embedded={track.embedded} onClick={subtitlesTrackOnClick}>
+                                <Button key={index} title={track.label} className={classnames(styles['variant-option'], { 'selected': isTrackSelected(track) })} disabled={isTrackDisabled(track)} data-id={track.id} data-origin={track.origin} data-embedded={track.embedded} onClick={subtitlesTrackOnClick}>
                                     <div className={styles['info']}>
                                         <div className={styles['variant-label']}>
                                             {
@@ -187,7 +269,7 @@ const SubtitlesMenu = React.memo((props) => {
                                         </div>
                                     </div>
                                     {
-                                        props.selectedSubtitlesTrackId === track.id || props.selectedExtraSubtitlesTrackId === track.id ?
+                                        isTrackSelected(track) ?
                                             <div className={styles['icon']} />
                                             :
                                             null
@@ -209,34 +291,96 @@ const SubtitlesMenu = React.memo((props) => {
                     <Stepper
                         className={styles['stepper']}
                         label={'DELAY'}
-                        value={props.extraSubtitlesDelay / 1000}
+                        value={secondary ? props.secondarySubtitles.delay / 1000 : props.extraSubtitlesDelay / 1000}
                         unit={'s'}
                         step={0.25}
-                        disabled={props.extraSubtitlesDelay === null}
+                        disabled={secondary ? props.secondarySubtitles.trackId === null : props.extraSubtitlesDelay === null}
                         onChange={onSubtitlesDelayChanged}
                     />
                     <Stepper
                         className={styles['stepper']}
                         label={'SIZE'}
-                        value={props.selectedSubtitlesTrackId ? props.subtitlesSize : props.selectedExtraSubtitlesTrackId ? props.extraSubtitlesSize : null}
+                        value={secondary ? props.secondarySubtitles.size : props.selectedSubtitlesTrackId ? props.subtitlesSize : props.selectedExtraSubtitlesTrackId ? props.extraSubtitlesSize : null}
                         unit={'%'}
                         step={25}
                         min={SUBTITLES_SIZES[0]}
                         max={SUBTITLES_SIZES[SUBTITLES_SIZES.length - 1]}
-                        disabled={(props.selectedSubtitlesTrackId && props.subtitlesSize === null) || (props.selectedExtraSubtitlesTrackId && props.extraSubtitlesSize === null)}
+                        disabled={secondary ? props.secondarySubtitles.trackId === null : (props.selectedSubtitlesTrackId && props.subtitlesSize === null) || (props.selectedExtraSubtitlesTrackId && props.extraSubtitlesSize === null)}
                         onChange={onSubtitlesSizeChanged}
                     />
                     <Stepper
                         className={styles['stepper']}
                         label={'PLAYER_SUBTITLES_VERTICAL_POSITION'}
-                        value={props.selectedSubtitlesTrackId ? props.subtitlesOffset : props.selectedExtraSubtitlesTrackId ? props.extraSubtitlesOffset : null}
+                        value={secondary ? props.secondarySubtitles.offset : props.selectedSubtitlesTrackId ? props.subtitlesOffset : props.selectedExtraSubtitlesTrackId ? props.extraSubtitlesOffset : null}
                         unit={'%'}
                         step={1}
                         min={0}
                         max={100}
-                        disabled={(props.selectedSubtitlesTrackId && props.subtitlesOffset === null) || (props.selectedExtraSubtitlesTrackId && props.extraSubtitlesOffset === null)}
+                        disabled={secondary ? props.secondarySubtitles.trackId === null : (props.selectedSubtitlesTrackId && props.subtitlesOffset === null) || (props.selectedExtraSubtitlesTrackId && props.extraSubtitlesOffset === null)}
                         onChange={onSubtitlesOffsetChanged}
                     />
+                    {
+                        secondary ?
+                            <div className={styles['colors-container']}>
+                                <div className={styles['colors-header']}>{t('PLAYER_SUBTITLES_COLOR')}</div>
+                                <div className={styles['colors-list']}>
+                                    {SECONDARY_SUBTITLES_COLORS.map((color) => (
+                                        <Button
+                                            key={color}
+                                            className={classnames(styles['color-option'], { 'selected': props.secondarySubtitles.textColor === color })}
+                                            title={color}
+                                            style={{ backgroundColor: color }}
+                                            data-color={color}
+                                            onClick={secondarySubtitlesColorOnClick}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                            :
+                            null
+                    }
+                    {
+                        props.subtitlesSync && !secondary ?
+                            <div className={styles['sync-container']}>
+                                <div className={styles['sync-header']}>{t('PLAYER_SUBTITLES_SYNC')}</div>
+                                <div className={styles['sync-status']}>
+                                    {
+                                        props.subtitlesSync.status === 'listening' ?
+                                            t('PLAYER_SUBTITLES_SYNC_LISTENING', { progress: Math.round(props.subtitlesSync.progress * 100) })
+                                            :
+                                            props.subtitlesSync.status === 'analyzing' ?
+                                                t('PLAYER_SUBTITLES_SYNC_ANALYZING')
+                                                :
+                                                props.subtitlesSync.status === 'synced' ?
+                                                    t('PLAYER_SUBTITLES_SYNC_APPLIED', { delay: props.subtitlesSync.result.delay.toFixed(2) })
+                                                    :
+                                                    props.subtitlesSync.status === 'failed' ?
+                                                        t(props.subtitlesSync.error)
+                                                        :
+                                                        t('PLAYER_SUBTITLES_SYNC_DESCRIPTION')
+                                    }
+                                </div>
+                                <div className={styles['sync-actions']}>
+                                    <Button
+                                        className={styles['sync-button']}
+                                        title={subtitlesSyncInProgress ? t('BUTTON_CANCEL') : t('PLAYER_SUBTITLES_AUTO_SYNC')}
+                                        disabled={!subtitlesSyncInProgress && typeof props.selectedExtraSubtitlesTrackId !== 'string'}
+                                        onClick={onSubtitlesSyncClick}>
+                                        {subtitlesSyncInProgress ? t('BUTTON_CANCEL') : t('PLAYER_SUBTITLES_AUTO_SYNC')}
+                                    </Button>
+                                    {
+                                        props.subtitlesSync.undoable ?
+                                            <Button className={styles['sync-button']} title={t('PLAYER_SUBTITLES_SYNC_UNDO')} onClick={onSubtitlesSyncUndoClick}>
+                                                {t('PLAYER_SUBTITLES_SYNC_UNDO')}
+                                            </Button>
+                                            :
+                                            null
+                                    }
+                                </div>
+                            </div>
+                            :
+                            null
+                    }
                 </div>
             </div>
         </div>
@@ -271,7 +415,33 @@ SubtitlesMenu.propTypes = {
     onSubtitlesSizeChanged: PropTypes.func,
     onExtraSubtitlesOffsetChanged: PropTypes.func,
     onExtraSubtitlesDelayChanged: PropTypes.func,
-    onExtraSubtitlesSizeChanged: PropTypes.func
+    onExtraSubtitlesSizeChanged: PropTypes.func,
+    subtitlesSync: PropTypes.shape({
+        status: PropTypes.oneOf(['idle', 'listening', 'analyzing', 'synced', 'failed']).isRequired,
+        progress: PropTypes.number.isRequired,
+        result: PropTypes.shape({
+            delay: PropTypes.number.isRequired,
+            scale: PropTypes.number.isRequired,
+            confidence: PropTypes.number.isRequired
+        }),
+        error: PropTypes.string,
+        undoable: PropTypes.bool.isRequired
+    }),
+    onSubtitlesSyncRequested: PropTypes.func,
+    onSubtitlesSyncCancelled: PropTypes.func,
+    onSubtitlesSyncUndone: PropTypes.func,
+    secondarySubtitles: PropTypes.shape({
+        trackId: PropTypes.string,
+        delay: PropTypes.number.isRequired,
+        size: PropTypes.number.isRequired,
+        offset: PropTypes.number.isRequired,
+        textColor: PropTypes.string.isRequired
+    }),
+    onSecondarySubtitlesTrackSelected: PropTypes.func,
+    onSecondarySubtitlesDelayChanged: PropTypes.func,
+    onSecondarySubtitlesSizeChanged: PropTypes.func,
+    onSecondarySubtitlesOffsetChanged: PropTypes.func,
+    onSecondarySubtitlesTextColorChanged: PropTypes.func
 };
 
 module.exports = SubtitlesMenu;
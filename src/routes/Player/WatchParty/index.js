@@ -0,0 +1,12 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const useWatchParty = require('./useWatchParty');
+const { getInviteLink, parseInvite, storePendingInvite, takePendingInvite } = require('./invite');
+
+module.exports = {
+    useWatchParty,
+    getInviteLink,
+    parseInvite,
+    storePendingInvite,
+    takePendingInvite,
+};
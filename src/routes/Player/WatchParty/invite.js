@@ -0,0 +1,62 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const STORAGE_KEY = 'watchPartyInvite';
+
+/**
+ * Builds the link others join with. It leads to the streams of the video when
+ * known, so that everyone plays the stream they can resolve themselves.
+ * @param {Object} invite - Session id, signalling server url and player url params
+ * @returns {string} Invite link
+ */
+const getInviteLink = ({ sessionId, signallingUrl, urlParams }) => {
+    const query = new URLSearchParams({ watchParty: sessionId });
+    if (typeof signallingUrl === 'string' && signallingUrl.length > 0) {
+        query.set('signalling', signallingUrl);
+    }
+
+    const path = typeof urlParams.type === 'string' && typeof urlParams.id === 'string' && typeof urlParams.videoId === 'string' ?
+        `/detail/${encodeURIComponent(urlParams.type)}/${encodeURIComponent(urlParams.id)}/${encodeURIComponent(urlParams.videoId)}`
+        :
+        window.location.hash.slice(1).split('?')[0];
+    return `${window.location.origin}${window.location.pathname}#${path}?${query}`;
+};
+
+const parseInvite = (queryParams) => {
+    return queryParams.has('watchParty') ?
+        {
+            sessionId: queryParams.get('watchParty'),
+            signallingUrl: queryParams.get('signalling'),
+        }
+        :
+        null;
+};
+
+// Invites opened on the streams of a video are kept until one of them is played
+const storePendingInvite = (invite, videoId) => {
+    try {
+        window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ ...invite, videoId }));
+    } catch (error) {
+        console.error('Watch party', error);
+    }
+};
+
+const takePendingInvite = (videoId) => {
+    try {
+        const invite = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+        if (invite !== null && invite.videoId === videoId) {
+            window.sessionStorage.removeItem(STORAGE_KEY);
+            return { sessionId: invite.sessionId, signallingUrl: invite.signallingUrl };
+        }
+    } catch (error) {
+        console.error('Watch party', error);
+    }
+
+    return null;
+};
+
+module.exports = {
+    getInviteLink,
+    parseInvite,
+    storePendingInvite,
+    takePendingInvite,
+};
@@ -0,0 +1,73 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const SEEK_THRESHOLD = 2000;
+const DRIFT_THRESHOLD = 300;
+const CATCH_UP_RATE = 0.05;
+
+/**
+ * Estimates where the sender of a playback state is now.
+ * @param {Object} state - Received playback state, times in milliseconds
+ * @param {number} elapsed - Milliseconds since the state was received
+ * @returns {number} Expected playback time
+ */
+const getExpectedTime = ({ time, paused, playbackSpeed }, elapsed) => {
+    return paused ? time : time + elapsed * playbackSpeed;
+};
+
+/**
+ * Estimates the offset of the clock of a peer from a ping answered by it, the
+ * answer being taken as sent halfway through the round trip.
+ * @param {Object} pong - Time the ping was sent at, local clock, and received at, clock of the peer
+ * @param {number} now - Local time the answer was received at
+ * @returns {{ offset: number, latency: number }} Milliseconds the clock of the peer is ahead and one way latency
+ */
+const getClockOffset = ({ sentAt, receivedAt }, now) => {
+    const latency = Math.max(now - sentAt, 0) / 2;
+    return { offset: receivedAt - (sentAt + latency), latency };
+};
+
+/**
+ * Measures how long ago a message was sent.
+ * @param {Object} message - Time the message was sent at, clock of the sender, and received at, local clock
+ * @param {{ offset: number, latency: number }|null} clock - Clock of the sender, null when not yet known
+ * @param {number} now - Local time
+ * @returns {number} Elapsed milliseconds, without the latency when the clock of the sender is not known
+ */
+const getElapsed = ({ sentAt, receivedAt }, clock, now) => {
+    return Math.max(clock !== null ? now - (sentAt - clock.offset) : now - receivedAt, 0);
+};
+
+/**
+ * Decides how to catch up with the others. Small drifts are corrected by
+ * playing slightly faster or slower, so that nobody notices, larger ones by seeking.
+ * @param {number} time - Local playback time
+ * @param {number} expectedTime - Playback time of the others
+ * @param {number} playbackSpeed - Playback speed of the session
+ * @returns {{ time: number|null, playbackSpeed: number }} Time to seek to, if any, and speed to play at
+ */
+const getDriftCorrection = (time, expectedTime, playbackSpeed) => {
+    const drift = expectedTime - time;
+    if (Math.abs(drift) >= SEEK_THRESHOLD) {
+        return { time: expectedTime, playbackSpeed };
+    }
+
+    if (Math.abs(drift) >= DRIFT_THRESHOLD) {
+        return { time: null, playbackSpeed: playbackSpeed * (1 + Math.sign(drift) * CATCH_UP_RATE) };
+    }
+
+    return { time: null, playbackSpeed };
+};
+
+const createId = () => {
+    return Array.from(window.crypto.getRandomValues(new Uint8Array(6)))
+        .map((byte) => byte.toString(36).padStart(2, '0'))
+        .join('');
+};
+
+module.exports = {
+    getExpectedTime,
+    getClockOffset,
+    getElapsed,
+    getDriftCorrection,
+    createId,
+};
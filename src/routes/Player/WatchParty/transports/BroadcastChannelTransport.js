@@ -0,0 +1,72 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+
+// Connects the tabs of the same browser, used when no signalling server is configured
+function BroadcastChannelTransport({ sessionId, peerId }) {
+    const peers = new Set();
+    let channel = null;
+
+    const events = new EventEmitter();
+
+    function post(type, message = null) {
+        channel.postMessage({ type, from: peerId, message });
+    }
+    function onMessage({ data: { type, from, message } }) {
+        switch (type) {
+            case 'join':
+            case 'present': {
+                if (!peers.has(from)) {
+                    peers.add(from);
+                    events.emit('peerJoined', from);
+                }
+                if (type === 'join') {
+                    post('present');
+                }
+
+                break;
+            }
+            case 'leave': {
+                if (peers.delete(from)) {
+                    events.emit('peerLeft', from);
+                }
+
+                break;
+            }
+            case 'message': {
+                events.emit('message', from, message);
+                break;
+            }
+        }
+    }
+
+    this.connect = function() {
+        channel = new BroadcastChannel(`watchParty:${sessionId}`);
+        channel.addEventListener('message', onMessage);
+        post('join');
+    };
+    this.send = function(message) {
+        if (channel !== null) {
+            post('message', message);
+        }
+    };
+    this.close = function() {
+        if (channel !== null) {
+            post('leave');
+            channel.removeEventListener('message', onMessage);
+            channel.close();
+            channel = null;
+        }
+
+        peers.clear();
+        events.removeAllListeners();
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+module.exports = BroadcastChannelTransport;
@@ -0,0 +1,130 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+
+const ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// Peers find each other through the signalling server and then talk over data channels
+function WebRTCTransport({ signallingUrl, sessionId, peerId }) {
+    const sessionUrl = new URL(`sessions/${encodeURIComponent(sessionId)}/`, signallingUrl.endsWith('/') ? signallingUrl : `${signallingUrl}/`);
+    const peers = new Map();
+    let source = null;
+
+    const events = new EventEmitter();
+
+    function onError(error) {
+        events.emit('error', error);
+    }
+    function signal(to, data) {
+        fetch(new URL('signal', sessionUrl), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ from: peerId, to, data })
+        }).catch(onError);
+    }
+    function removePeer(remoteId) {
+        const peer = peers.get(remoteId);
+        if (peer) {
+            peers.delete(remoteId);
+            peer.connection.close();
+            events.emit('peerLeft', remoteId);
+        }
+    }
+    function setupChannel(remoteId, channel) {
+        peers.get(remoteId).channel = channel;
+        channel.onopen = () => {
+            events.emit('peerJoined', remoteId);
+        };
+        channel.onclose = () => {
+            removePeer(remoteId);
+        };
+        channel.onmessage = ({ data }) => {
+            try {
+                events.emit('message', remoteId, JSON.parse(data));
+            } catch (error) {
+                console.error('Watch party', error);
+            }
+        };
+    }
+    function createPeer(remoteId, initiator) {
+        const connection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+        peers.set(remoteId, { connection, channel: null });
+        connection.onicecandidate = ({ candidate }) => {
+            if (candidate) {
+                signal(remoteId, { candidate });
+            }
+        };
+        connection.onconnectionstatechange = () => {
+            if (connection.connectionState === 'failed') {
+                removePeer(remoteId);
+            }
+        };
+        if (initiator) {
+            setupChannel(remoteId, connection.createDataChannel('watchParty'));
+            connection.createOffer()
+                .then((offer) => connection.setLocalDescription(offer))
+                .then(() => signal(remoteId, { description: connection.localDescription }))
+                .catch(onError);
+        } else {
+            connection.ondatachannel = ({ channel }) => {
+                setupChannel(remoteId, channel);
+            };
+        }
+
+        return connection;
+    }
+    async function onSignal({ from, data }) {
+        const connection = peers.has(from) ? peers.get(from).connection : createPeer(from, false);
+        if (data.description) {
+            await connection.setRemoteDescription(data.description);
+            if (data.description.type === 'offer') {
+                await connection.setLocalDescription(await connection.createAnswer());
+                signal(from, { description: connection.localDescription });
+            }
+        } else if (data.candidate) {
+            await connection.addIceCandidate(data.candidate);
+        }
+    }
+
+    this.connect = function() {
+        source = new EventSource(new URL(`events?${new URLSearchParams({ peer: peerId })}`, sessionUrl));
+        // Those already in the session connect to the ones who join
+        source.addEventListener('joined', ({ data }) => {
+            createPeer(JSON.parse(data).peer, true);
+        });
+        source.addEventListener('left', ({ data }) => {
+            removePeer(JSON.parse(data).peer);
+        });
+        source.addEventListener('signal', ({ data }) => {
+            onSignal(JSON.parse(data)).catch(onError);
+        });
+        source.onerror = () => {
+            onError(new Error('Signalling server unreachable'));
+        };
+    };
+    this.send = function(message) {
+        const data = JSON.stringify(message);
+        peers.forEach(({ channel }) => {
+            if (channel !== null && channel.readyState === 'open') {
+                channel.send(data);
+            }
+        });
+    };
+    this.close = function() {
+        if (source !== null) {
+            source.close();
+            source = null;
+        }
+
+        Array.from(peers.keys()).forEach(removePeer);
+        events.removeAllListeners();
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+module.exports = WebRTCTransport;
@@ -0,0 +1,19 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const BroadcastChannelTransport = require('./BroadcastChannelTransport');
+const WebRTCTransport = require('./WebRTCTransport');
+
+/**
+ * Transports share the same interface: connect, send, close and the
+ * peerJoined, peerLeft, message and error events.
+ */
+const createTransport = ({ signallingUrl, sessionId, peerId }) => {
+    return typeof signallingUrl === 'string' && signallingUrl.length > 0 ?
+        new WebRTCTransport({ signallingUrl, sessionId, peerId })
+        :
+        new BroadcastChannelTransport({ sessionId, peerId });
+};
+
+module.exports = {
+    createTransport,
+};
@@ -0,0 +1,263 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useTranslation } = require('react-i18next');
+const { useLiveRef } = require('stremio/common');
+const { createTransport } = require('./transports');
+const { getExpectedTime, getClockOffset, getElapsed, getDriftCorrection, createId } = require('./sync');
+
+const HEARTBEAT_INTERVAL = 5000;
+const MAX_MESSAGES = 100;
+const SIGNALLING_URL_STORAGE_KEY = 'watchPartySignallingUrl';
+
+const readSignallingUrl = () => {
+    try {
+        const signallingUrl = window.localStorage.getItem(SIGNALLING_URL_STORAGE_KEY);
+        return signallingUrl !== null ? signallingUrl : process.env.WATCH_PARTY_SIGNALLING_URL || '';
+    } catch (_error) {
+        return '';
+    }
+};
+
+const writeSignallingUrl = (signallingUrl) => {
+    try {
+        window.localStorage.setItem(SIGNALLING_URL_STORAGE_KEY, signallingUrl);
+    } catch (error) {
+        console.error('Watch party', error);
+    }
+};
+
+/**
+ * Keeps the playback of everyone in a watch party together. Play, pause, seek and
+ * speed changes made locally are broadcast, the ones received are applied, and the
+ * host sends its position regularly so that the others can correct their drift.
+ * Participants go by a random handle, nothing of their account is shared.
+ */
+const useWatchParty = (video) => {
+    const { t } = useTranslation();
+    const [session, setSession] = React.useState(null);
+    const [participants, setParticipants] = React.useState([]);
+    const [messages, setMessages] = React.useState([]);
+    const [error, setError] = React.useState(null);
+    const [signallingUrl, setSignallingUrl] = React.useState(readSignallingUrl);
+    const transport = React.useRef(null);
+    const peerId = React.useMemo(() => createId(), []);
+    const name = React.useMemo(() => t('WATCH_PARTY_HANDLE', { handle: peerId.slice(0, 4).toUpperCase() }), [peerId]);
+    const videoStateRef = useLiveRef(video.state);
+    const sessionRef = useLiveRef(session);
+    const nameRef = useLiveRef(name);
+    // Clocks of the others, to tell how long ago their states were sent
+    const clocks = React.useRef(new Map());
+    // The last state received while the media was loading
+    const pendingState = React.useRef(null);
+    // Speed of the session, the local one differs from it while catching up
+    const playbackSpeed = React.useRef(1);
+
+    const getPlaybackState = React.useCallback((changes = {}) => {
+        const { paused, time } = videoStateRef.current;
+        return {
+            paused: paused !== null ? paused : true,
+            time: time !== null ? time : 0,
+            playbackSpeed: playbackSpeed.current,
+            ...changes,
+        };
+    }, []);
+
+    const send = React.useCallback((message) => {
+        if (transport.current !== null) {
+            transport.current.send(message);
+        }
+    }, []);
+
+    const sendState = React.useCallback((state, heartbeat) => {
+        send({ type: 'state', state, heartbeat, sentAt: Date.now() });
+    }, []);
+
+    const sendPing = React.useCallback(() => {
+        send({ type: 'ping', sentAt: Date.now() });
+    }, []);
+
+    const applyState = React.useCallback((remote) => {
+        const local = videoStateRef.current;
+        if (local.time === null) {
+            pendingState.current = remote;
+            return;
+        }
+
+        const { state, heartbeat } = remote;
+        if (local.paused !== state.paused) {
+            video.setProp('paused', state.paused);
+        }
+
+        const clock = clocks.current.has(remote.from) ? clocks.current.get(remote.from) : null;
+        const expectedTime = getExpectedTime(state, getElapsed(remote, clock, Date.now()));
+        const correction = getDriftCorrection(local.time, expectedTime, state.playbackSpeed);
+        playbackSpeed.current = state.playbackSpeed;
+        if (correction.time !== null) {
+            video.setProp('time', correction.time);
+        }
+        // Changes made by the others are applied exactly, only the heartbeats nudge the speed
+        const speed = heartbeat && !state.paused ? correction.playbackSpeed : state.playbackSpeed;
+        if (local.playbackSpeed !== speed) {
+            video.setProp('playbackSpeed', speed);
+        }
+    }, []);
+
+    const onMessage = React.useCallback((from, message) => {
+        switch (message.type) {
+            case 'hello': {
+                setParticipants((participants) => participants
+                    .filter(({ id }) => id !== from)
+                    .concat({ id: from, name: message.name, host: message.host }));
+                if (sessionRef.current !== null && sessionRef.current.host) {
+                    sendState(getPlaybackState(), false);
+                }
+
+                break;
+            }
+            case 'state': {
+                applyState({
+                    from,
+                    state: message.state,
+                    heartbeat: message.heartbeat,
+                    sentAt: message.sentAt,
+                    receivedAt: Date.now(),
+                });
+                break;
+            }
+            case 'ping': {
+                send({ type: 'pong', to: from, sentAt: message.sentAt, receivedAt: Date.now() });
+                break;
+            }
+            case 'pong': {
+                // The estimate with the lowest latency is the most accurate one
+                const clock = getClockOffset(message, Date.now());
+                if (message.to === peerId && (!clocks.current.has(from) || clock.latency < clocks.current.get(from).latency)) {
+                    clocks.current.set(from, clock);
+                }
+
+                break;
+            }
+            case 'chat': {
+                setMessages((messages) => messages
+                    .concat({ id: createId(), from, name: message.name, text: message.text, time: Date.now() })
+                    .slice(-MAX_MESSAGES));
+                break;
+            }
+        }
+    }, []);
+
+    const leave = React.useCallback(() => {
+        if (transport.current !== null) {
+            transport.current.close();
+            transport.current = null;
+        }
+
+        clocks.current.clear();
+        pendingState.current = null;
+        setSession(null);
+        setParticipants([]);
+        setMessages([]);
+        setError(null);
+    }, []);
+
+    const connect = React.useCallback((sessionId, signallingUrl, host) => {
+        leave();
+        const current = createTransport({ signallingUrl, sessionId, peerId });
+        current.on('peerJoined', () => {
+            current.send({ type: 'hello', name: nameRef.current, host });
+            sendPing();
+        });
+        current.on('peerLeft', (id) => {
+            clocks.current.delete(id);
+            setParticipants((participants) => participants.filter((participant) => participant.id !== id));
+        });
+        current.on('message', onMessage);
+        current.on('error', (error) => {
+            setError(error.message);
+        });
+        current.connect();
+        transport.current = current;
+        playbackSpeed.current = videoStateRef.current.playbackSpeed !== null ? videoStateRef.current.playbackSpeed : 1;
+        setSession({ id: sessionId, signallingUrl, host });
+    }, []);
+
+    const create = React.useCallback((signallingUrl) => {
+        writeSignallingUrl(signallingUrl);
+        connect(createId(), signallingUrl, true);
+    }, []);
+
+    const join = React.useCallback(({ sessionId, signallingUrl }) => {
+        connect(sessionId, signallingUrl, false);
+    }, []);
+
+    // Called by the player after a play, pause, seek or speed change requested locally
+    const broadcast = React.useCallback((changes) => {
+        if (sessionRef.current === null) {
+            return;
+        }
+
+        if (typeof changes.playbackSpeed === 'number') {
+            playbackSpeed.current = changes.playbackSpeed;
+        }
+
+        sendState(getPlaybackState(changes), false);
+    }, []);
+
+    const sendMessage = React.useCallback((text) => {
+        if (sessionRef.current === null || text.trim().length === 0) {
+            return;
+        }
+
+        send({ type: 'chat', name: nameRef.current, text });
+        setMessages((messages) => messages
+            .concat({ id: createId(), from: peerId, name: nameRef.current, text, time: Date.now() })
+            .slice(-MAX_MESSAGES));
+    }, []);
+
+    React.useEffect(() => {
+        if (session === null || !session.host) {
+            return;
+        }
+
+        const interval = setInterval(() => {
+            if (videoStateRef.current.time !== null) {
+                sendState(getPlaybackState(), true);
+            }
+        }, HEARTBEAT_INTERVAL);
+        return () => clearInterval(interval);
+    }, [session]);
+
+    React.useEffect(() => {
+        if (video.state.time !== null && pendingState.current !== null) {
+            const remote = pendingState.current;
+            pendingState.current = null;
+            applyState(remote);
+        }
+    }, [video.state.time]);
+
+    React.useEffect(() => {
+        return () => {
+            if (transport.current !== null) {
+                transport.current.close();
+            }
+        };
+    }, []);
+
+    return {
+        session,
+        peerId,
+        participants,
+        messages,
+        error,
+        signallingUrl,
+        setSignallingUrl,
+        create,
+        join,
+        leave,
+        broadcast,
+        sendMessage,
+    };
+};
+
+module.exports = useWatchParty;
@@ -0,0 +1,160 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const PropTypes = require('prop-types');
+const classnames = require('classnames');
+const { useTranslation } = require('react-i18next');
+const { default: Icon } = require('@stremio/stremio-icons/react');
+const { Button, TextInput } = require('stremio/components');
+const styles = require('./styles');
+
+const WatchPartyMenu = ({ className, session, peerId, participants, messages, error, signallingUrl, onSignallingUrlChanged, onCreate, onLeave, onCopyInvite, onSendMessage }) => {
+    const { t } = useTranslation();
+    const [text, setText] = React.useState('');
+    const messagesRef = React.useRef(null);
+
+    const onMouseDown = React.useCallback((event) => {
+        event.nativeEvent.watchPartyMenuClosePrevented = true;
+    }, []);
+    const onSignallingUrlInput = React.useCallback((event) => {
+        onSignallingUrlChanged(event.currentTarget.value);
+    }, [onSignallingUrlChanged]);
+    const onCreateClick = React.useCallback(() => {
+        onCreate(signallingUrl.trim());
+    }, [signallingUrl, onCreate]);
+    const onTextInput = React.useCallback((event) => {
+        setText(event.currentTarget.value);
+    }, []);
+    const onTextSubmit = React.useCallback(() => {
+        onSendMessage(text);
+        setText('');
+    }, [text, onSendMessage]);
+
+    React.useLayoutEffect(() => {
+        if (messagesRef.current !== null) {
+            messagesRef.current.scrollTop = messagesRef.current.scrollHeight;
+        }
+    }, [messages]);
+
+    return (
+        <div className={classnames(className, styles['watch-party-menu-container'])} onMouseDown={onMouseDown}>
+            <div className={styles['title']}>
+                {t('WATCH_PARTY')}
+            </div>
+            {
+                session === null ?
+                    <React.Fragment>
+                        <div className={styles['description']}>
+                            {t('WATCH_PARTY_DESCRIPTION')}
+                        </div>
+                        <div className={styles['label']}>
+                            {t('WATCH_PARTY_SIGNALLING_SERVER')}
+                        </div>
+                        <TextInput
+                            className={styles['input']}
+                            placeholder={t('WATCH_PARTY_SIGNALLING_SERVER_PLACEHOLDER')}
+                            value={signallingUrl}
+                            onChange={onSignallingUrlInput}
+                        />
+                        <Button className={styles['button']} title={t('WATCH_PARTY_START')} onClick={onCreateClick}>
+                            <div className={styles['label']}>{t('WATCH_PARTY_START')}</div>
+                        </Button>
+                    </React.Fragment>
+                    :
+                    <React.Fragment>
+                        {
+                            error !== null ?
+                                <div className={styles['error']}>
+                                    <Icon className={styles['icon']} name={'warning'} />
+                                    <div className={styles['label']}>{error}</div>
+                                </div>
+                                :
+                                null
+                        }
+                        <div className={styles['participants']}>
+                            <div className={styles['participant']}>
+                                <Icon className={styles['icon']} name={'person-outline'} />
+                                <div className={styles['name']}>{t('WATCH_PARTY_YOU')}</div>
+                                {
+                                    session.host ?
+                                        <div className={styles['host']}>{t('WATCH_PARTY_HOST')}</div>
+                                        :
+                                        null
+                                }
+                            </div>
+                            {participants.map(({ id, name, host }) => (
+                                <div key={id} className={styles['participant']}>
+                                    <Icon className={styles['icon']} name={'person-outline'} />
+                                    <div className={styles['name']}>{name}</div>
+                                    {
+                                        host ?
+                                            <div className={styles['host']}>{t('WATCH_PARTY_HOST')}</div>
+                                            :
+                                            null
+                                    }
+                                </div>
+                            ))}
+                        </div>
+                        <div ref={messagesRef} className={styles['messages']}>
+                            {
+                                messages.length === 0 ?
+                                    <div className={styles['placeholder']}>{t('WATCH_PARTY_NO_MESSAGES')}</div>
+                                    :
+                                    messages.map(({ id, from, name, text }) => (
+                                        <div key={id} className={classnames(styles['message'], { [styles['own']]: from === peerId })}>
+                                            <div className={styles['name']}>{name}</div>
+                                            <div className={styles['text']}>{text}</div>
+                                        </div>
+                                    ))
+                            }
+                        </div>
+                        <TextInput
+                            className={styles['input']}
+                            placeholder={t('WATCH_PARTY_MESSAGE_PLACEHOLDER')}
+                            value={text}
+                            onChange={onTextInput}
+                            onSubmit={onTextSubmit}
+                        />
+                        <div className={styles['buttons']}>
+                            <Button className={styles['button']} title={t('WATCH_PARTY_COPY_INVITE')} onClick={onCopyInvite}>
+                                <Icon className={styles['icon']} name={'link'} />
+                                <div className={styles['label']}>{t('WATCH_PARTY_COPY_INVITE')}</div>
+                            </Button>
+                            <Button className={classnames(styles['button'], styles['leave'])} title={t('WATCH_PARTY_LEAVE')} onClick={onLeave}>
+                                <div className={styles['label']}>{t('WATCH_PARTY_LEAVE')}</div>
+                            </Button>
+                        </div>
+                    </React.Fragment>
+            }
+        </div>
+    );
+};
+
+WatchPartyMenu.propTypes = {
+    className: PropTypes.string,
+    session: PropTypes.shape({
+        id: PropTypes.string,
+        host: PropTypes.bool,
+    }),
+    peerId: PropTypes.string,
+    participants: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string,
+        host: PropTypes.bool,
+    })),
+    messages: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        from: PropTypes.string,
+        name: PropTypes.string,
+        text: PropTypes.string,
+    })),
+    error: PropTypes.string,
+    signallingUrl: PropTypes.string,
+    onSignallingUrlChanged: PropTypes.func,
+    onCreate: PropTypes.func,
+    onLeave: PropTypes.func,
+    onCopyInvite: PropTypes.func,
+    onSendMessage: PropTypes.func,
+};
+
+module.exports = WatchPartyMenu;
@@ -0,0 +1,33 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+/**
+ * Resolves the url a stream is played from. Torrents are served by the
+ * streaming server, urls are played directly unless they point to it.
+ * @param {Object} stream - Stream loaded in the video
+ * @param {string|null} streamingServerURL - Transport url of the selected streaming server
+ * @returns {{ url: string, servedByStreamingServer: boolean }|null}
+ */
+const getStreamMediaUrl = (stream, streamingServerURL) => {
+    if (stream === null || typeof stream !== 'object') {
+        return null;
+    }
+
+    if (typeof stream.url === 'string' && /^https?:\/\//.test(stream.url)) {
+        return {
+            url: stream.url,
+            servedByStreamingServer: typeof streamingServerURL === 'string' && stream.url.startsWith(new URL(streamingServerURL).origin),
+        };
+    }
+
+    if (typeof stream.infoHash === 'string' && typeof streamingServerURL === 'string') {
+        const fileIdx = typeof stream.fileIdx === 'number' ? stream.fileIdx : -1;
+        return {
+            url: new URL(`${encodeURIComponent(stream.infoHash)}/${fileIdx}`, streamingServerURL).href,
+            servedByStreamingServer: true,
+        };
+    }
+
+    return null;
+};
+
+module.exports = getStreamMediaUrl;
@@ -0,0 +1,156 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const SEGMENT_TYPES = ['intro', 'recap', 'credits'];
+
+const SEGMENT_TITLES = {
+    intro: /\b(intro|opening|op)\b/i,
+    recap: /\b(recap|previously)\b/i,
+    credits: /\b(credits|ending|outro|ed)\b/i,
+};
+
+const ANISKIP_TYPES = {
+    'op': 'intro',
+    'mixed-op': 'intro',
+    'recap': 'recap',
+    'ed': 'credits',
+    'mixed-ed': 'credits',
+};
+
+// Videos of the Kitsu anime addon are identified as kitsu:<anime id>:<episode>
+const KITSU_VIDEO_ID_REGEXP = /^kitsu:(\d+):(\d+)$/;
+
+/**
+ * Guesses the segment type of a chapter from its title.
+ * @param {string|null} title - Chapter title
+ * @returns {string|null} One of SEGMENT_TYPES or null
+ */
+const getSegmentType = (title) => {
+    if (typeof title !== 'string') {
+        return null;
+    }
+
+    return SEGMENT_TYPES.find((type) => SEGMENT_TITLES[type].test(title)) || null;
+};
+
+const toChapter = (title, start, end, type) => ({
+    title: typeof title === 'string' && title.length > 0 ? title : null,
+    start: Math.round(start * 1000),
+    end: Math.round(end * 1000),
+    type: typeof type === 'string' ? type : getSegmentType(title),
+});
+
+const isValidChapter = ({ start, end }) => {
+    return !isNaN(start) && !isNaN(end) && end > start;
+};
+
+/**
+ * Reads the embedded MKV/MP4 chapters reported by the probe of the streaming server.
+ * @param {Object|null} probe - Response of the probe
+ * @returns {Array<Object>} Chapters sorted by start, times are in milliseconds
+ */
+const parseProbeChapters = (probe) => {
+    if (probe === null || typeof probe !== 'object' || !Array.isArray(probe.chapters)) {
+        return [];
+    }
+
+    return probe.chapters
+        .map((chapter) => toChapter(chapter.tags && chapter.tags.title, parseFloat(chapter.start_time), parseFloat(chapter.end_time)))
+        .filter(isValidChapter)
+        .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Reads the chapters addons describe as behaviorHints.chapters: [{ title, start, end, type }] in seconds.
+ * @param {Object|null} stream - Loaded stream
+ * @returns {Array<Object>} Chapters sorted by start, times are in milliseconds
+ */
+const parseStreamChapters = (stream) => {
+    if (stream === null || !stream.behaviorHints || !Array.isArray(stream.behaviorHints.chapters)) {
+        return [];
+    }
+
+    return stream.behaviorHints.chapters
+        .filter((chapter) => chapter !== null && typeof chapter === 'object')
+        .map((chapter) => toChapter(chapter.title, parseFloat(chapter.start), parseFloat(chapter.end), chapter.type))
+        .filter(isValidChapter)
+        .sort((a, b) => a.start - b.start);
+};
+
+const fetchJSON = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+    }
+
+    return response.json();
+};
+
+/**
+ * Looks up the crowd sourced opening, recap and ending times of an anime
+ * episode on AniSkip, which knows the episodes by their MyAnimeList id.
+ * @param {Object} request - Video id and duration in milliseconds of the loaded video
+ * @returns {Promise<Array<Object>>} Segments in milliseconds
+ */
+const getAniSkipSegments = async ({ videoId, duration }) => {
+    const match = typeof videoId === 'string' ? videoId.match(KITSU_VIDEO_ID_REGEXP) : null;
+    if (match === null) {
+        return [];
+    }
+
+    const [, kitsuId, episode] = match;
+    const mappings = await fetchJSON(`https://kitsu.io/api/edge/anime/${kitsuId}/mappings?page[limit]=20`);
+    const mapping = Array.isArray(mappings.data) ?
+        mappings.data.find(({ attributes }) => attributes && attributes.externalSite === 'myanimelist/anime')
+        :
+        undefined;
+    if (!mapping) {
+        return [];
+    }
+
+    const types = Object.keys(ANISKIP_TYPES).map((type) => `types[]=${type}`).join('&');
+    const skipTimes = await fetchJSON(`https://api.aniskip.com/v2/skip-times/${mapping.attributes.externalId}/${episode}?${types}&episodeLength=${Math.round(duration / 1000)}`);
+    if (skipTimes.found !== true || !Array.isArray(skipTimes.results)) {
+        return [];
+    }
+
+    return skipTimes.results
+        .filter(({ skipType, interval }) => ANISKIP_TYPES[skipType] && interval)
+        .map(({ skipType, interval }) => ({
+            type: ANISKIP_TYPES[skipType],
+            start: Math.round(interval.startTime * 1000),
+            end: Math.round(interval.endTime * 1000),
+        }));
+};
+
+// Each provider is called with the loaded stream, the meta and video ids and the
+// duration in milliseconds and resolves with segments shaped as { type, start, end }
+const PROVIDERS = [getAniSkipSegments];
+
+const isValidSegment = (segment) => {
+    return segment !== null && typeof segment === 'object' &&
+        SEGMENT_TYPES.includes(segment.type) &&
+        typeof segment.start === 'number' && typeof segment.end === 'number' &&
+        segment.end > segment.start;
+};
+
+/**
+ * Collects the skip segments of every provider. Failing providers are ignored.
+ * @param {Object} request - Stream, id, videoId and duration of the loaded video
+ * @returns {Promise<Array<Object>>} Segments sorted by start
+ */
+const getSkipSegments = async (request) => {
+    const results = await Promise.allSettled(PROVIDERS.map((provider) => provider(request)));
+    return results
+        .filter(({ status, value }) => status === 'fulfilled' && Array.isArray(value))
+        .flatMap(({ value }) => value.filter(isValidSegment))
+        .map(({ type, start, end }) => ({ type, start, end }))
+        .sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+    SEGMENT_TYPES,
+    getSegmentType,
+    parseProbeChapters,
+    parseStreamChapters,
+    getSkipSegments,
+};
@@ -0,0 +1,68 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const SubtitleManager = require('stremio/routes/Player/SubtitleManager/SubtitleManager');
+const parseASSScript = require('stremio/routes/Player/SubtitleManager/parseASSScript');
+
+/**
+ * Loads the selected extra subtitles track as an ASS/SSA script when it is one.
+ * The script is only returned when the HTML video element is available to draw
+ * over, otherwise the native renderer keeps showing the track as plain text.
+ * @param {Object} video - Video returned by useVideo
+ * @returns {Object|null} Parsed script of the selected track
+ */
+const useAssSubtitles = (video) => {
+    const subtitleManager = React.useRef(null);
+    const [script, setScript] = React.useState(null);
+
+    const track = React.useMemo(() => {
+        return video.state.extraSubtitlesTracks.find(({ id }) => id === video.state.selectedExtraSubtitlesTrackId) || null;
+    }, [video.state.extraSubtitlesTracks, video.state.selectedExtraSubtitlesTrackId]);
+
+    React.useEffect(() => {
+        setScript(null);
+        const videoElement = video.containerRef.current !== null ?
+            video.containerRef.current.querySelector('video')
+            :
+            null;
+        if (track === null || typeof track.url !== 'string' || videoElement === null) {
+            return;
+        }
+
+        if (subtitleManager.current === null) {
+            subtitleManager.current = new SubtitleManager();
+        }
+
+        let canceled = false;
+        subtitleManager.current.fetchSubtitles(track.url)
+            .then(({ format, content }) => {
+                if (canceled || (format !== 'ass' && format !== 'ssa')) {
+                    return;
+                }
+
+                const script = parseASSScript(content);
+                if (script.events.length > 0) {
+                    setScript(script);
+                }
+            })
+            .catch((error) => {
+                console.warn('ASS subtitles', error);
+            });
+
+        return () => {
+            canceled = true;
+        };
+    }, [track && track.url, video.state.stream]);
+
+    React.useEffect(() => {
+        return () => {
+            if (subtitleManager.current !== null) {
+                subtitleManager.current.destroy();
+            }
+        };
+    }, []);
+
+    return script;
+};
+
+module.exports = useAssSubtitles;
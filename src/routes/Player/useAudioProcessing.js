@@ -0,0 +1,119 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useProfileStorage } = require('stremio/common');
+const { AudioChain, getUnsupportedReason, getPresetGains, isProcessingEnabled, normalizeAudioProcessing, splitVolume } = require('./AudioProcessing');
+
+/**
+ * Applies the equalizer, night mode and normalization saved with the profile to
+ * the video element, and plays volumes above 100% through a gain. The audio
+ * only goes through the processing chain once something needs it.
+ * @param {Object} video - Video returned by useVideo
+ * @returns {Object} Audio processing, whether it is supported and why not, the volume and functions changing them
+ */
+const useAudioProcessing = (video) => {
+    const [options, setOptions] = useProfileStorage('audioProcessing', normalizeAudioProcessing);
+    const [boostedVolume, setBoostedVolume] = React.useState(null);
+    const chain = React.useRef(null);
+
+    const videoElement = React.useMemo(() => {
+        return video.state.manifest !== null && video.containerRef.current !== null ?
+            video.containerRef.current.querySelector('video')
+            :
+            null;
+    }, [video.state.manifest]);
+
+    // The source is known once the stream is loaded
+    const unsupportedReason = React.useMemo(() => {
+        return videoElement !== null && video.state.duration !== null ? getUnsupportedReason(videoElement) : null;
+    }, [videoElement, video.state.stream, video.state.duration]);
+
+    const supported = videoElement !== null && video.state.duration !== null && unsupportedReason === null;
+
+    const update = React.useCallback((changes) => {
+        setOptions({ ...options, ...changes });
+    }, [options]);
+
+    const selectPreset = React.useCallback((preset) => {
+        const gains = getPresetGains(preset, options.presets);
+        if (gains !== null) {
+            update({ preset, gains });
+        }
+    }, [options, update]);
+
+    const setBandGain = React.useCallback((index, gain) => {
+        update({
+            preset: null,
+            gains: options.gains.map((current, band) => band === index ? gain : current),
+        });
+    }, [options, update]);
+
+    const savePreset = React.useCallback((name) => {
+        update({
+            preset: name,
+            presets: {
+                ...options.presets,
+                [name]: options.gains,
+            }
+        });
+    }, [options, update]);
+
+    const deletePreset = React.useCallback((name) => {
+        const presets = { ...options.presets };
+        delete presets[name];
+        update({
+            preset: options.preset === name ? null : options.preset,
+            presets,
+        });
+    }, [options, update]);
+
+    const setVolume = React.useCallback((volume) => {
+        if (!supported) {
+            video.setProp('volume', volume);
+            return;
+        }
+
+        const split = splitVolume(volume);
+        video.setProp('volume', split.volume);
+        setBoostedVolume(split.gain > 1 ? volume : null);
+    }, [supported]);
+
+    React.useEffect(() => {
+        const gain = boostedVolume !== null ? splitVolume(boostedVolume).gain : 1;
+        if (chain.current === null && supported && (isProcessingEnabled(options) || gain > 1)) {
+            try {
+                chain.current = new AudioChain(videoElement);
+            } catch (error) {
+                console.error('Audio processing', error);
+            }
+        }
+
+        if (chain.current !== null) {
+            chain.current.configure(options, gain);
+        }
+    }, [supported, options, boostedVolume]);
+
+    React.useEffect(() => {
+        return () => {
+            if (chain.current !== null) {
+                chain.current.destroy();
+                chain.current = null;
+            }
+        };
+    }, [videoElement]);
+
+    return {
+        supported,
+        unsupportedReason,
+        options,
+        volume: boostedVolume !== null && video.state.volume === 100 ? boostedVolume : video.state.volume,
+        setVolume,
+        update,
+        selectPreset,
+        setBandGain,
+        savePreset,
+        deletePreset,
+    };
+};
+
+module.exports = useAudioProcessing;
@@ -0,0 +1,50 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+
+const STORAGE_KEY = 'autoSkip';
+
+const read = () => {
+    try {
+        const series = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(series) ? series : [];
+    } catch (_error) {
+        return [];
+    }
+};
+
+const write = (series) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(series));
+    } catch (error) {
+        console.error('Auto skip', error);
+    }
+};
+
+/**
+ * Remembers whether intros, recaps and credits are skipped automatically for a series.
+ * @param {string} metaId - Meta item id of the series
+ * @returns {[boolean, Function]} Whether auto skip is enabled and a function toggling it
+ */
+const useAutoSkip = (metaId) => {
+    const [enabled, setEnabled] = React.useState(() => typeof metaId === 'string' && read().includes(metaId));
+
+    const toggle = React.useCallback(() => {
+        if (typeof metaId !== 'string') {
+            return;
+        }
+
+        const series = read();
+        const enabled = !series.includes(metaId);
+        write(enabled ? series.concat(metaId) : series.filter((id) => id !== metaId));
+        setEnabled(enabled);
+    }, [metaId]);
+
+    React.useEffect(() => {
+        setEnabled(typeof metaId === 'string' && read().includes(metaId));
+    }, [metaId]);
+
+    return [enabled, toggle];
+};
+
+module.exports = useAutoSkip;
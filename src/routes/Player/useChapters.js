@@ -0,0 +1,84 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const getStreamMediaUrl = require('./getStreamMediaUrl');
+const { parseProbeChapters, parseStreamChapters, getSkipSegments } = require('./skipSegments');
+
+/**
+ * Reads the chapters of the loaded stream from its behavior hints or, for
+ * streams served by the streaming server, from the embedded chapters. Chapters
+ * tagged as intro, recap or credits become skip segments, together with the
+ * segments of the skip segments providers.
+ * @param {Object} video - Video returned by useVideo
+ * @param {string|null} streamingServerURL - Transport url of the selected streaming server
+ * @param {Object} ids - Meta id and video id of the loaded video
+ * @returns {[Array<Object>, Array<Object>]} Chapters and skip segments, times are in milliseconds
+ */
+const useChapters = (video, streamingServerURL, { id, videoId }) => {
+    const [probeChapters, setProbeChapters] = React.useState([]);
+    const [providedSegments, setProvidedSegments] = React.useState([]);
+    const durationKnown = video.state.duration !== null && !isNaN(video.state.duration);
+
+    const streamChapters = React.useMemo(() => {
+        return parseStreamChapters(video.state.stream);
+    }, [video.state.stream]);
+
+    const chapters = streamChapters.length > 0 ? streamChapters : probeChapters;
+
+    const skipSegments = React.useMemo(() => {
+        return chapters
+            .filter(({ type }) => type !== null)
+            .map(({ type, start, end }) => ({ type, start, end }))
+            .concat(providedSegments.filter((segment) => {
+                return !chapters.some(({ type, start, end }) => type === segment.type && start < segment.end && segment.start < end);
+            }))
+            .sort((a, b) => a.start - b.start);
+    }, [chapters, providedSegments]);
+
+    React.useEffect(() => {
+        setProbeChapters([]);
+        const media = getStreamMediaUrl(video.state.stream, streamingServerURL);
+        if (media === null || !media.servedByStreamingServer || streamChapters.length > 0) {
+            return;
+        }
+
+        let canceled = false;
+        fetch(new URL(`hlsv2/probe?mediaURL=${encodeURIComponent(media.url)}`, streamingServerURL))
+            .then((response) => response.ok ? response.json() : null)
+            .then((probe) => {
+                if (!canceled) {
+                    setProbeChapters(parseProbeChapters(probe));
+                }
+            })
+            .catch((error) => {
+                console.warn('Chapters', error);
+            });
+
+        return () => {
+            canceled = true;
+        };
+    }, [video.state.stream, streamingServerURL]);
+
+    React.useEffect(() => {
+        setProvidedSegments([]);
+        if (video.state.stream === null || !durationKnown) {
+            return;
+        }
+
+        let canceled = false;
+        getSkipSegments({ stream: video.state.stream, id, videoId, duration: video.state.duration })
+            .then((segments) => {
+                if (!canceled) {
+                    setProvidedSegments(segments);
+                }
+            });
+
+        return () => {
+            canceled = true;
+        };
+    }, [video.state.stream, durationKnown]);
+
+    return [chapters, skipSegments];
+};
+
+module.exports = useChapters;
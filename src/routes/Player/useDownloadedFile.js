@@ -0,0 +1,50 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const { useServices } = require('stremio/services');
+
+/**
+ * Reads a stream saved to the downloads folder, so that it plays without a connection.
+ * @param {string|null} id - Id of the download, null for streams that are not played from the downloads folder
+ * @returns {string|null|undefined} Url of the file, null when the stream has to be played as it is
+ * or undefined while the file is being read
+ */
+const useDownloadedFile = (id) => {
+    const { downloads } = useServices();
+    const [fileUrl, setFileUrl] = React.useState(() => id === null ? null : undefined);
+
+    React.useEffect(() => {
+        if (id === null) {
+            setFileUrl(null);
+            return;
+        }
+
+        let canceled = false;
+        let url = null;
+        setFileUrl(undefined);
+        downloads.getFileUrl(id)
+            .then((result) => {
+                if (canceled) {
+                    URL.revokeObjectURL(result);
+                    return;
+                }
+
+                url = result;
+                setFileUrl(result);
+            })
+            .catch((error) => {
+                // The stream is played from where it was downloaded from instead
+                console.error('Downloads', error);
+                !canceled && setFileUrl(null);
+            });
+
+        return () => {
+            canceled = true;
+            url !== null && URL.revokeObjectURL(url);
+        };
+    }, [id]);
+
+    return fileUrl;
+};
+
+module.exports = useDownloadedFile;
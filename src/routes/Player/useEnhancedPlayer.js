@@ -12,6 +12,7 @@ const events = new EventEmitter();
 const useEnhancedPlayer = () => {
     const audioTrackManager = React.useRef(null);
     const subtitleManager = React.useRef(null);
+    const lastUploadedFile = React.useRef(null);
     
     const [state, setState] = React.useState({
         // Enhanced subtitle styling
@@ -47,6 +48,8 @@ const useEnhancedPlayer = () => {
         
         // File upload and processing
         uploadedSubtitles: [],
+        uploadedSubtitlesCharset: null,
+        uploadedSubtitlesCharsetConfidence: null,
         isProcessingFile: false,
         processingError: null,
         
@@ -239,9 +242,11 @@ const useEnhancedPlayer = () => {
     /**
      * Subtitle file upload and processing
      */
-    const uploadSubtitleFile = React.useCallback(async (file) => {
+    const uploadSubtitleFile = React.useCallback(async (file, options = {}) => {
         if (!subtitleManager.current) return;
 
+        lastUploadedFile.current = file;
+
         setState(prev => ({ 
             ...prev, 
             isProcessingFile: true, 
@@ -251,14 +256,21 @@ const useEnhancedPlayer = () => {
         const startTime = performance.now();
 
         try {
-            const result = await subtitleManager.current.processSubtitleFile(file);
+            const result = await subtitleManager.current.processSubtitleFile(file, options);
             
             const endTime = performance.now();
             
             if (result.success) {
                 setState(prev => ({
                     ...prev,
-                    uploadedSubtitles: [...prev.uploadedSubtitles, result],
+                    uploadedSubtitles: options.charset ?
+                        prev.uploadedSubtitles
+                            .filter(({ metadata }) => metadata.fileName !== result.metadata.fileName)
+                            .concat(result)
+                        :
+                        [...prev.uploadedSubtitles, result],
+                    uploadedSubtitlesCharset: result.metadata.charset,
+                    uploadedSubtitlesCharsetConfidence: result.metadata.charsetConfidence,
                     isProcessingFile: false,
                     performanceMetrics: {
                         ...prev.performanceMetrics,
@@ -296,6 +308,15 @@ const useEnhancedPlayer = () => {
         }
     }, []);
 
+    /**
+     * Decode the last uploaded subtitle file again with a manually chosen charset
+     */
+    const redecodeSubtitleFile = React.useCallback(async (charset) => {
+        if (!lastUploadedFile.current) return;
+
+        return uploadSubtitleFile(lastUploadedFile.current, { charset });
+    }, [uploadSubtitleFile]);
+
     /**
      * Preset management methods
      */
@@ -418,6 +439,7 @@ const useEnhancedPlayer = () => {
         
         // Subtitle file processing
         uploadSubtitleFile,
+        redecodeSubtitleFile,
         convertSubtitles,
         
         // Preset management
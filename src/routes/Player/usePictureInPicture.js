@@ -0,0 +1,52 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+
+/**
+ * Moves the video element of the player into the picture-in-picture window of the browser.
+ * @param {Object} video - Video returned by useVideo
+ * @returns {[boolean|null, Function]} Whether picture-in-picture is active, null when not supported, and a function toggling it
+ */
+const usePictureInPicture = (video) => {
+    const [active, setActive] = React.useState(() => document.pictureInPictureElement instanceof HTMLVideoElement);
+
+    // Only the implementations rendering in a video element support it
+    const videoElement = React.useMemo(() => {
+        return document.pictureInPictureEnabled && video.state.manifest !== null && video.containerRef.current !== null ?
+            video.containerRef.current.querySelector('video')
+            :
+            null;
+    }, [video.state.manifest]);
+
+    const toggle = React.useCallback(() => {
+        if (videoElement === null) {
+            return;
+        }
+
+        const request = document.pictureInPictureElement === videoElement ?
+            document.exitPictureInPicture()
+            :
+            videoElement.requestPictureInPicture();
+        request.catch((error) => console.error('Picture-in-picture', error));
+    }, [videoElement]);
+
+    React.useEffect(() => {
+        if (videoElement === null) {
+            return;
+        }
+
+        const onEnter = () => setActive(true);
+        const onLeave = () => setActive(false);
+        setActive(document.pictureInPictureElement === videoElement);
+        videoElement.addEventListener('enterpictureinpicture', onEnter);
+        videoElement.addEventListener('leavepictureinpicture', onLeave);
+        return () => {
+            videoElement.removeEventListener('enterpictureinpicture', onEnter);
+            videoElement.removeEventListener('leavepictureinpicture', onLeave);
+        };
+    }, [videoElement]);
+
+    return [videoElement !== null && !videoElement.disablePictureInPicture ? active : null, toggle];
+};
+
+module.exports = usePictureInPicture;
@@ -0,0 +1,90 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+
+const STORAGE_KEY = 'playbackMemory';
+const MAX_ITEMS = 500;
+const DEFAULT_SOURCE = 'default';
+
+const read = () => {
+    try {
+        const memory = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return memory !== null && typeof memory === 'object' ? memory : {};
+    } catch (_error) {
+        return {};
+    }
+};
+
+const write = (memory) => {
+    const ids = Object.keys(memory)
+        .sort((a, b) => memory[b].updated - memory[a].updated)
+        .slice(0, MAX_ITEMS);
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(ids.map((id) => [id, memory[id]]))));
+    } catch (error) {
+        console.error('Playback memory', error);
+    }
+};
+
+/**
+ * Remembers the subtitles, subtitles delay and audio track chosen for a meta item.
+ * Choices are kept per stream source, as a delay that fits one release rarely fits another.
+ * @param {string} metaId - Meta item id, shared by all the episodes of a series
+ * @param {string} source - Transport url of the addon that provided the stream
+ */
+const usePlaybackMemory = (metaId, source) => {
+    const sourceKey = typeof source === 'string' ? source : DEFAULT_SOURCE;
+    const [remembered, setRemembered] = React.useState(false);
+
+    const recall = React.useCallback(() => {
+        const item = typeof metaId === 'string' ? read()[metaId] : undefined;
+        if (!item) {
+            return null;
+        }
+
+        if (item.sources[sourceKey]) {
+            return { ...item.sources[sourceKey], sameSource: true };
+        }
+
+        const [latest] = Object.values(item.sources).sort((a, b) => b.updated - a.updated);
+        return latest ? { ...latest, sameSource: false } : null;
+    }, [metaId, sourceKey]);
+
+    const remember = React.useCallback((choices) => {
+        if (typeof metaId !== 'string') {
+            return;
+        }
+
+        const memory = read();
+        const item = memory[metaId] || { sources: {} };
+        const updated = Date.now();
+        memory[metaId] = {
+            updated,
+            sources: {
+                ...item.sources,
+                [sourceKey]: {
+                    ...item.sources[sourceKey],
+                    ...choices,
+                    updated
+                }
+            }
+        };
+        write(memory);
+        setRemembered(true);
+    }, [metaId, sourceKey]);
+
+    const forget = React.useCallback(() => {
+        const memory = read();
+        delete memory[metaId];
+        write(memory);
+        setRemembered(false);
+    }, [metaId]);
+
+    React.useEffect(() => {
+        setRemembered(typeof metaId === 'string' && read()[metaId] !== undefined);
+    }, [metaId]);
+
+    return [remembered, recall, remember, forget];
+};
+
+module.exports = usePlaybackMemory;
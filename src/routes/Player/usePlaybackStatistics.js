@@ -0,0 +1,114 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const getStreamMediaUrl = require('./getStreamMediaUrl');
+const { getBufferHealth, getBitrate, getAverageBitrate, getCodecs, isTranscoded } = require('./StatisticsMenu/playbackStatistics');
+
+const SAMPLE_INTERVAL = 1000;
+
+const getDecodedBytes = (videoElement) => {
+    return typeof videoElement.webkitVideoDecodedByteCount === 'number' ?
+        videoElement.webkitVideoDecodedByteCount + (videoElement.webkitAudioDecodedByteCount || 0)
+        :
+        null;
+};
+
+/**
+ * Samples the playback of the loaded stream for the statistics menu. Details
+ * that only the video element has, like frames and resolution, are missing for
+ * implementations which don't render in one.
+ * @param {Object} video - Video returned by useVideo
+ * @param {string|null} streamingServerURL - Transport url of the selected streaming server
+ * @param {boolean} forceTranscoding - Whether the stream was loaded with transcoding forced
+ * @param {boolean} enabled - Whether to sample, while the statistics are shown
+ * @returns {Object} Playback statistics
+ */
+const usePlaybackStatistics = (video, streamingServerURL, forceTranscoding, enabled) => {
+    const [sample, setSample] = React.useState(null);
+    const [probe, setProbe] = React.useState(null);
+    const loadedAt = React.useRef(0);
+    const previousBytes = React.useRef(null);
+
+    React.useEffect(() => {
+        loadedAt.current = performance.now();
+        previousBytes.current = null;
+        setProbe(null);
+    }, [video.state.stream]);
+
+    React.useEffect(() => {
+        if (!enabled) {
+            return;
+        }
+
+        const update = () => {
+            const videoElement = video.containerRef.current !== null ? video.containerRef.current.querySelector('video') : null;
+            const quality = videoElement !== null && typeof videoElement.getVideoPlaybackQuality === 'function' ?
+                videoElement.getVideoPlaybackQuality()
+                :
+                null;
+            const decodedBytes = videoElement !== null ? getDecodedBytes(videoElement) : null;
+            const bytes = decodedBytes !== null ? { time: performance.now(), bytes: decodedBytes } : null;
+            const resources = performance.getEntriesByType('resource')
+                .filter(({ startTime }) => startTime >= loadedAt.current)
+                .map(({ name }) => name);
+            setSample({
+                width: videoElement !== null && videoElement.videoWidth > 0 ? videoElement.videoWidth : null,
+                height: videoElement !== null && videoElement.videoHeight > 0 ? videoElement.videoHeight : null,
+                decodedFrames: quality !== null ? quality.totalVideoFrames : null,
+                droppedFrames: quality !== null ? quality.droppedVideoFrames : null,
+                bitrate: getBitrate(previousBytes.current, bytes),
+                transcoded: isTranscoded(resources),
+            });
+            previousBytes.current = bytes;
+        };
+        update();
+        const interval = setInterval(update, SAMPLE_INTERVAL);
+        return () => clearInterval(interval);
+    }, [enabled]);
+
+    React.useEffect(() => {
+        const media = getStreamMediaUrl(video.state.stream, streamingServerURL);
+        if (!enabled || media === null) {
+            return;
+        }
+
+        let canceled = false;
+        fetch(new URL(`hlsv2/probe?mediaURL=${encodeURIComponent(media.url)}`, streamingServerURL))
+            .then((response) => response.ok ? response.json() : null)
+            .then((probe) => {
+                if (!canceled && probe !== null) {
+                    setProbe(probe);
+                }
+            })
+            .catch((error) => {
+                console.warn('Statistics', error);
+            });
+
+        return () => {
+            canceled = true;
+        };
+    }, [enabled, video.state.stream, streamingServerURL]);
+
+    return React.useMemo(() => {
+        const videoSize = video.state.stream !== null && video.state.stream.behaviorHints ?
+            video.state.stream.behaviorHints.videoSize
+            :
+            null;
+        const bitrate = sample !== null && sample.bitrate !== null ?
+            sample.bitrate
+            :
+            getAverageBitrate(videoSize, video.state.duration);
+        return {
+            implementation: video.state.manifest !== null ? video.state.manifest.name : null,
+            resolution: sample !== null && sample.width !== null ? `${sample.width}x${sample.height}` : null,
+            decodedFrames: sample !== null ? sample.decodedFrames : null,
+            droppedFrames: sample !== null ? sample.droppedFrames : null,
+            bufferHealth: getBufferHealth(video.state.time, video.state.buffered),
+            bitrate,
+            codecs: getCodecs(probe),
+            transcoding: forceTranscoding ? 'forced' : sample !== null && sample.transcoded ? 'active' : 'none',
+        };
+    }, [sample, probe, forceTranscoding, video.state.manifest, video.state.stream, video.state.duration, video.state.time, video.state.buffered]);
+};
+
+module.exports = usePlaybackStatistics;
@@ -33,9 +33,10 @@ const map = (player) => ({
 });
 
 const usePlayer = (urlParams) => {
-    const { core } = useServices();
+    const { core, trakt, playback } = useServices();
     const { decodeStream } = useCoreSuspender();
     const stream = decodeStream(urlParams.stream);
+    const scrobble = React.useRef({ item: null, progress: 0, paused: true });
     const action = React.useMemo(() => {
         if (stream !== null) {
             return {
@@ -108,6 +109,10 @@ const usePlayer = (urlParams) => {
                     }
                 }
             }, 'player');
+            scrobble.current.progress = duration > 0 ? time / duration * 100 : 0;
+            if (!scrobble.current.paused) {
+                trakt.scrobble('start', scrobble.current.item, scrobble.current.progress);
+            }
         }
     }, []);
 
@@ -134,6 +139,7 @@ const usePlayer = (urlParams) => {
                 action: 'Ended'
             }
         }, 'player');
+        trakt.scrobble('stop', scrobble.current.item, 100);
     }, []);
     const pausedChanged = React.useCallback((paused) => {
         core.transport.dispatch({
@@ -143,6 +149,8 @@ const usePlayer = (urlParams) => {
                 args: { paused }
             }
         }, 'player');
+        scrobble.current.paused = paused;
+        trakt.scrobble(paused ? 'pause' : 'start', scrobble.current.item, scrobble.current.progress);
     }, []);
     const nextVideo = React.useCallback(() => {
         core.transport.dispatch({
@@ -153,8 +161,23 @@ const usePlayer = (urlParams) => {
         }, 'player');
     }, []);
 
+    // What the mini player needs to go on saving the progress once the player is left
+    const session = React.useMemo(() => ({
+        action,
+        item: { type: urlParams.type, id: urlParams.id, videoId: urlParams.videoId },
+    }), [action]);
+
+    React.useEffect(() => {
+        scrobble.current = { item: session.item, progress: 0, paused: true };
+        return () => {
+            if (playback.miniPlayer === null || playback.miniPlayer.session !== session) {
+                trakt.scrobble('stop', session.item, scrobble.current.progress);
+            }
+        };
+    }, [session]);
+
     const player = useModelState({ model: 'player', action, map });
-    return [player, videoParamsChanged, timeChanged, seek, pausedChanged, ended, nextVideo];
+    return [player, videoParamsChanged, timeChanged, seek, pausedChanged, ended, nextVideo, session];
 };
 
 module.exports = usePlayer;
@@ -0,0 +1,157 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const SubtitleManager = require('stremio/routes/Player/SubtitleManager/SubtitleManager');
+
+const STORAGE_KEY = 'secondarySubtitles';
+
+const DEFAULT_STYLE = {
+    size: 75,
+    offset: 20,
+    textColor: '#FFE082',
+};
+
+const readStyle = () => {
+    try {
+        const style = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return style !== null && typeof style === 'object' ? { ...DEFAULT_STYLE, ...style } : DEFAULT_STYLE;
+    } catch (_error) {
+        return DEFAULT_STYLE;
+    }
+};
+
+const writeStyle = (style) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(style));
+    } catch (error) {
+        console.error('Secondary subtitles', error);
+    }
+};
+
+// HTML video exposes embedded tracks as EMBEDDED_<index of the text track>
+const findTextTrack = (videoElement, track) => {
+    const textTracks = Array.from(videoElement.textTracks);
+    const match = /^EMBEDDED_(\d+)$/.exec(track.id);
+    if (match !== null && textTracks[parseInt(match[1], 10)]) {
+        return textTracks[parseInt(match[1], 10)];
+    }
+
+    return textTracks.find(({ language, label }) => language === track.lang && label === track.label) || null;
+};
+
+const readCues = (textTrack) => {
+    return textTrack.cues !== null ?
+        Array.from(textTrack.cues).map(({ startTime, endTime, text }) => ({ start: startTime, end: endTime, text }))
+        :
+        [];
+};
+
+/**
+ * Shows a second subtitles track next to the one rendered by the video.
+ * Extra tracks are fetched and parsed, embedded tracks are read from the text
+ * tracks of the HTML video element. Size, offset and colour are kept across
+ * sessions, the delay only for the current stream.
+ * @param {Object} video - Video returned by useVideo
+ */
+const useSecondarySubtitles = (video) => {
+    const subtitleManager = React.useRef(null);
+    const [trackId, setTrackId] = React.useState(null);
+    const [delay, setDelay] = React.useState(0);
+    const [style, setStyle] = React.useState(readStyle);
+    const [cues, setCues] = React.useState(null);
+
+    const track = React.useMemo(() => {
+        return video.state.subtitlesTracks
+            .concat(video.state.extraSubtitlesTracks)
+            .find(({ id }) => id === trackId) || null;
+    }, [video.state.subtitlesTracks, video.state.extraSubtitlesTracks, trackId]);
+
+    const select = React.useCallback((id) => {
+        setTrackId(id);
+    }, []);
+
+    const updateStyle = React.useCallback((changes) => {
+        setStyle((style) => {
+            const updated = { ...style, ...changes };
+            writeStyle(updated);
+            return updated;
+        });
+    }, []);
+
+    React.useEffect(() => {
+        setCues(null);
+        if (track === null) {
+            return;
+        }
+
+        if (track.embedded) {
+            const videoElement = video.containerRef.current !== null ?
+                video.containerRef.current.querySelector('video')
+                :
+                null;
+            const textTrack = videoElement !== null ? findTextTrack(videoElement, track) : null;
+            if (textTrack === null) {
+                return;
+            }
+
+            // Selecting the primary track resets the mode of the other text tracks
+            if (textTrack.mode === 'disabled') {
+                textTrack.mode = 'hidden';
+            }
+
+            const onCueChange = () => setCues(readCues(textTrack));
+            textTrack.addEventListener('cuechange', onCueChange);
+            onCueChange();
+            return () => {
+                textTrack.removeEventListener('cuechange', onCueChange);
+                if (textTrack.mode === 'hidden') {
+                    textTrack.mode = 'disabled';
+                }
+            };
+        }
+
+        if (subtitleManager.current === null) {
+            subtitleManager.current = new SubtitleManager();
+        }
+
+        let canceled = false;
+        subtitleManager.current.loadSubtitlesFromUrl(track.url)
+            .then(({ subtitles }) => {
+                if (!canceled) {
+                    setCues(subtitles.map(({ start, end, text }) => ({ start, end, text })));
+                }
+            })
+            .catch((error) => {
+                console.warn('Secondary subtitles', error);
+            });
+
+        return () => {
+            canceled = true;
+        };
+    }, [track !== null ? track.id : null, video.state.selectedSubtitlesTrackId]);
+
+    React.useEffect(() => {
+        setTrackId(null);
+        setDelay(0);
+    }, [video.state.stream]);
+
+    React.useEffect(() => {
+        return () => {
+            if (subtitleManager.current !== null) {
+                subtitleManager.current.destroy();
+            }
+        };
+    }, []);
+
+    const secondarySubtitles = React.useMemo(() => ({
+        trackId,
+        track,
+        cues,
+        delay,
+        ...style,
+    }), [trackId, track, cues, delay, style]);
+
+    return [secondarySubtitles, select, setDelay, updateStyle];
+};
+
+module.exports = useSecondarySubtitles;
@@ -0,0 +1,146 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const debounce = require('lodash.debounce');
+const SubtitleManager = require('stremio/routes/Player/SubtitleManager/SubtitleManager');
+
+const IDLE_STATE = {
+    status: 'idle',
+    trackId: null,
+    lang: null,
+    label: null,
+    cues: [],
+    edited: false,
+};
+
+const EXPORT_MIME_TYPES = {
+    srt: 'application/x-subrip',
+    vtt: 'text/vtt',
+    ass: 'text/x-ssa',
+};
+
+const download = (content, filename, format) => {
+    const url = URL.createObjectURL(new Blob([content], { type: EXPORT_MIME_TYPES[format] }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+};
+
+const basename = (label) => {
+    return label.replace(/[?#].*$/, '').replace(/^.*[/\\]/, '').replace(/\.[^.]+$/, '') || 'subtitles';
+};
+
+const editedFilename = (label) => {
+    return `${basename(label).replace(/\.edited$/, '')}.edited.srt`;
+};
+
+const sortCues = (cues) => {
+    return cues.slice().sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Loads the selected extra subtitles track for editing. Edited cues can be
+ * exported as SRT, VTT or ASS and are added back to the player as a local track
+ * shortly after each edit, which replaces the previously edited one in the menus.
+ * @param {Object} video - Video returned by useVideo
+ */
+const useSubtitlesEditor = (video) => {
+    const subtitleManager = React.useRef(null);
+    const [editor, setEditor] = React.useState(IDLE_STATE);
+
+    const getSubtitleManager = React.useCallback(() => {
+        if (subtitleManager.current === null) {
+            subtitleManager.current = new SubtitleManager();
+        }
+
+        return subtitleManager.current;
+    }, []);
+
+    const load = React.useCallback(async () => {
+        const track = video.state.extraSubtitlesTracks.find(({ id }) => id === video.state.selectedExtraSubtitlesTrackId);
+        if (!track) {
+            setEditor(IDLE_STATE);
+            return;
+        }
+        if (editor.trackId === track.id && editor.status !== 'failed') {
+            return;
+        }
+
+        setEditor({ ...IDLE_STATE, status: 'loading', trackId: track.id });
+        try {
+            const { subtitles } = await getSubtitleManager().loadSubtitlesFromUrl(track.url);
+            setEditor((editor) => editor.trackId !== track.id ? editor : {
+                ...IDLE_STATE,
+                status: 'ready',
+                trackId: track.id,
+                lang: track.lang,
+                label: track.label,
+                cues: sortCues(subtitles.map(({ start, end, text }) => ({ start, end, text }))),
+            });
+        } catch (error) {
+            console.error('Subtitles editor', error);
+            setEditor((editor) => editor.trackId !== track.id ? editor : { ...IDLE_STATE, status: 'failed', trackId: track.id });
+        }
+    }, [video.state.extraSubtitlesTracks, video.state.selectedExtraSubtitlesTrackId, editor.trackId, editor.status]);
+
+    const updateCue = React.useCallback((index, changes) => {
+        setEditor((editor) => ({
+            ...editor,
+            cues: sortCues(editor.cues.map((cue, cueIndex) => cueIndex === index ? { ...cue, ...changes } : cue)),
+            edited: true,
+        }));
+    }, []);
+
+    // Moves the cue at the given index and every cue after it by the offset in seconds
+    const shiftFrom = React.useCallback((index, offset) => {
+        setEditor((editor) => ({
+            ...editor,
+            cues: sortCues(editor.cues.map((cue, cueIndex) => cueIndex >= index ?
+                { ...cue, start: Math.max(0, cue.start + offset), end: Math.max(0, cue.end + offset) }
+                :
+                cue
+            )),
+            edited: true,
+        }));
+    }, []);
+
+    const exportTrack = React.useCallback(async (format) => {
+        try {
+            const content = await getSubtitleManager().exportSubtitles(editor.cues, format);
+            download(content, `${basename(editor.label || '')}.${format}`, format);
+        } catch (error) {
+            console.error('Subtitles editor', error);
+        }
+    }, [editor.cues, editor.label]);
+
+    const addEditedTrack = React.useCallback(debounce((cues, label) => {
+        const content = getSubtitleManager().serializeSRT(cues);
+        video.addLocalSubtitles(editedFilename(label || ''), new TextEncoder().encode(content).buffer);
+    }, 1000), []);
+
+    React.useEffect(() => {
+        if (editor.edited) {
+            addEditedTrack(editor.cues, editor.label);
+        }
+    }, [editor.cues]);
+
+    React.useEffect(() => {
+        addEditedTrack.cancel();
+        setEditor(IDLE_STATE);
+    }, [video.state.stream]);
+
+    React.useEffect(() => {
+        return () => {
+            addEditedTrack.cancel();
+            if (subtitleManager.current !== null) {
+                subtitleManager.current.destroy();
+            }
+        };
+    }, []);
+
+    return [editor, load, updateCue, shiftFrom, exportTrack];
+};
+
+module.exports = useSubtitlesEditor;
@@ -0,0 +1,168 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const AudioTrackManager = require('stremio/routes/Player/AudioTrackManager/AudioTrackManager');
+const SubtitleManager = require('stremio/routes/Player/SubtitleManager/SubtitleManager');
+const { detectSpeech, estimateSync } = require('stremio/routes/Player/SubtitleManager/estimateSync');
+const { getUnsupportedReason } = require('stremio/routes/Player/AudioProcessing/AudioChain');
+const { SPEECH_CAPTURE_SETTINGS } = require('stremio/common/ENHANCED_CONSTANTS');
+
+const IDLE_STATE = {
+    status: 'idle',
+    progress: 0,
+    result: null,
+    error: null,
+    undoable: false,
+};
+
+const useSubtitlesSync = (video, onExtraSubtitlesDelayChanged) => {
+    const audioTrackManager = React.useRef(null);
+    const subtitleManager = React.useRef(null);
+    const session = React.useRef(null);
+    const previous = React.useRef(null);
+    const [state, setState] = React.useState(IDLE_STATE);
+
+    const apply = React.useCallback(({ track, subtitles, delay }, result) => {
+        previous.current = {
+            delay,
+            trackId: track.id,
+        };
+
+        // Subtitles timed for a different frame rate are retimed into a new
+        // local track, which the player selects as soon as it is added.
+        if (result.scale !== 1) {
+            const retimed = subtitles.map((subtitle) => ({
+                ...subtitle,
+                start: subtitle.start * result.scale,
+                end: subtitle.end * result.scale,
+            }));
+            const content = subtitleManager.current.serializeSRT(retimed);
+            video.addLocalSubtitles(`${track.lang}.synced.srt`, new TextEncoder().encode(content).buffer);
+        }
+
+        onExtraSubtitlesDelayChanged(Math.round(result.delay * 1000));
+    }, [onExtraSubtitlesDelayChanged]);
+
+    const analyze = React.useCallback(() => {
+        const frames = audioTrackManager.current.stopSpeechCapture();
+        const current = session.current;
+        session.current = null;
+        if (current === null) {
+            return;
+        }
+
+        setState((state) => ({ ...state, status: 'analyzing' }));
+
+        // Let the menu render the analyzing state before the search blocks
+        setTimeout(() => {
+            const result = estimateSync(detectSpeech(frames), current.subtitles);
+            if (result === null || result.confidence < SPEECH_CAPTURE_SETTINGS.minConfidence) {
+                setState({ ...IDLE_STATE, status: 'failed', error: 'PLAYER_SUBTITLES_SYNC_NO_MATCH' });
+                return;
+            }
+
+            apply(current, result);
+            setState({ ...IDLE_STATE, status: 'synced', result, undoable: true });
+        });
+    }, [apply]);
+
+    const start = React.useCallback(async () => {
+        const videoElement = video.containerRef.current !== null ?
+            video.containerRef.current.querySelector('video')
+            :
+            null;
+        const track = video.state.extraSubtitlesTracks
+            .find(({ id }) => id === video.state.selectedExtraSubtitlesTrackId);
+        if (session.current !== null) {
+            return;
+        }
+        if (videoElement === null || !track) {
+            setState({ ...IDLE_STATE, status: 'failed', error: 'PLAYER_SUBTITLES_SYNC_UNAVAILABLE' });
+            return;
+        }
+        // The element can be routed through Web Audio only once, and a stream that can't be processed would stay silent
+        if (getUnsupportedReason(videoElement) !== null) {
+            setState({ ...IDLE_STATE, status: 'failed', error: 'PLAYER_SUBTITLES_SYNC_UNSUPPORTED_STREAM' });
+            return;
+        }
+
+        if (audioTrackManager.current === null) {
+            audioTrackManager.current = new AudioTrackManager();
+            audioTrackManager.current.on('speechCaptureProgress', (seconds) => {
+                setState((state) => ({ ...state, progress: Math.min(1, seconds / SPEECH_CAPTURE_SETTINGS.duration) }));
+                if (seconds >= SPEECH_CAPTURE_SETTINGS.duration) {
+                    analyze();
+                }
+            });
+        }
+        if (subtitleManager.current === null) {
+            subtitleManager.current = new SubtitleManager();
+        }
+
+        session.current = {
+            track,
+            subtitles: [],
+            delay: video.state.extraSubtitlesDelay,
+        };
+        setState({ ...IDLE_STATE, status: 'listening' });
+
+        try {
+            const [{ subtitles }] = await Promise.all([
+                subtitleManager.current.loadSubtitlesFromUrl(track.url),
+                audioTrackManager.current.startSpeechCapture(videoElement),
+            ]);
+            if (session.current !== null) {
+                session.current.subtitles = subtitles;
+            }
+        } catch (error) {
+            console.error('Subtitles sync', error);
+            audioTrackManager.current.stopSpeechCapture();
+            session.current = null;
+            setState({ ...IDLE_STATE, status: 'failed', error: 'PLAYER_SUBTITLES_SYNC_FAILED' });
+        }
+    }, [video.state.extraSubtitlesTracks, video.state.selectedExtraSubtitlesTrackId, video.state.extraSubtitlesDelay, analyze]);
+
+    const cancel = React.useCallback(() => {
+        if (audioTrackManager.current !== null) {
+            audioTrackManager.current.stopSpeechCapture();
+        }
+
+        session.current = null;
+        setState((state) => ({ ...IDLE_STATE, undoable: state.undoable }));
+    }, []);
+
+    const undo = React.useCallback(() => {
+        if (previous.current === null) {
+            return;
+        }
+
+        if (previous.current.trackId !== video.state.selectedExtraSubtitlesTrackId) {
+            video.setExtraSubtitlesTrack(previous.current.trackId);
+        }
+
+        onExtraSubtitlesDelayChanged(previous.current.delay);
+        previous.current = null;
+        setState(IDLE_STATE);
+    }, [video.state.selectedExtraSubtitlesTrackId, onExtraSubtitlesDelayChanged]);
+
+    React.useEffect(() => {
+        cancel();
+        previous.current = null;
+        setState(IDLE_STATE);
+    }, [video.state.stream]);
+
+    React.useEffect(() => {
+        return () => {
+            if (audioTrackManager.current !== null) {
+                audioTrackManager.current.destroy();
+            }
+            if (subtitleManager.current !== null) {
+                subtitleManager.current.destroy();
+            }
+        };
+    }, []);
+
+    return [state, start, cancel, undo];
+};
+
+module.exports = useSubtitlesSync;
@@ -0,0 +1,196 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const React = require('react');
+const getStreamMediaUrl = require('./getStreamMediaUrl');
+
+const CAPTURE_WIDTH = 192;
+const CAPTURES_PER_STREAM = 100;
+const MIN_CAPTURE_INTERVAL = 10000;
+const CAPTURE_TIMEOUT = 10000;
+const MAX_CACHED_STREAMS = 5;
+
+// Kept outside of the player so that returning to a title shows its thumbnails right away
+const cache = new Map();
+
+const getCacheEntry = (url) => {
+    const entry = cache.has(url) ?
+        cache.get(url)
+        :
+        { capturable: true, frames: new Map() };
+    cache.delete(url);
+    cache.set(url, entry);
+    if (cache.size > MAX_CACHED_STREAMS) {
+        const [oldestUrl, oldest] = cache.entries().next().value;
+        oldest.frames.forEach(({ url }) => URL.revokeObjectURL(url));
+        cache.delete(oldestUrl);
+    }
+
+    return entry;
+};
+
+const createDecoder = (url) => {
+    const decoder = document.createElement('video');
+    decoder.muted = true;
+    decoder.preload = 'auto';
+    decoder.crossOrigin = 'anonymous';
+    decoder.src = url;
+    return decoder;
+};
+
+const destroyDecoder = (decoder) => {
+    decoder.removeAttribute('src');
+    decoder.load();
+};
+
+const waitForDecoder = (decoder, event) => {
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => onDone(new Error(`Timed out waiting for ${event}`)), CAPTURE_TIMEOUT);
+        const onEvent = () => onDone(null);
+        const onError = () => onDone(new Error('Failed to decode the stream'));
+        const onDone = (error) => {
+            clearTimeout(timeout);
+            decoder.removeEventListener(event, onEvent);
+            decoder.removeEventListener('error', onError);
+            if (error !== null) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+        decoder.addEventListener(event, onEvent);
+        decoder.addEventListener('error', onError);
+    });
+};
+
+const captureFrame = async (decoder, time) => {
+    if (decoder.readyState < HTMLMediaElement.HAVE_METADATA) {
+        await waitForDecoder(decoder, 'loadedmetadata');
+    }
+
+    const seeked = waitForDecoder(decoder, 'seeked');
+    decoder.currentTime = time / 1000;
+    await seeked;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = CAPTURE_WIDTH;
+    canvas.height = decoder.videoWidth > 0 ?
+        Math.round(CAPTURE_WIDTH * decoder.videoHeight / decoder.videoWidth)
+        :
+        Math.round(CAPTURE_WIDTH * 9 / 16);
+    canvas.getContext('2d').drawImage(decoder, 0, 0, canvas.width, canvas.height);
+    // Throws a security error when the stream does not allow cross origin reads
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+    if (blob === null) {
+        throw new Error('Failed to encode the frame');
+    }
+
+    return {
+        url: URL.createObjectURL(blob),
+        x: 0,
+        y: 0,
+        width: canvas.width,
+        height: canvas.height,
+    };
+};
+
+/**
+ * Provides seek bar thumbnails for the loaded stream. Frames are captured on
+ * demand by a hidden decoder of the same url and cached per stream url.
+ * @param {Object} video - Video returned by useVideo
+ * @param {string|null} streamingServerURL - Transport url of the selected streaming server
+ * @returns {[Function, Function]} Getter of the thumbnail for a time and a function requesting one
+ */
+const useTrickplay = (video, streamingServerURL) => {
+    const entryRef = React.useRef(null);
+    const decoderRef = React.useRef(null);
+    const mediaUrlRef = React.useRef(null);
+    const queueRef = React.useRef({ capturing: false, pending: null });
+    const [version, setVersion] = React.useState(0);
+    const durationRef = React.useRef(video.state.duration);
+    durationRef.current = video.state.duration;
+
+    const getInterval = () => {
+        return Math.max(MIN_CAPTURE_INTERVAL, durationRef.current / CAPTURES_PER_STREAM);
+    };
+
+    const captureNext = React.useCallback(async () => {
+        const queue = queueRef.current;
+        const entry = entryRef.current;
+        if (queue.capturing || queue.pending === null || entry === null) {
+            return;
+        }
+
+        const bucket = queue.pending;
+        queue.pending = null;
+        queue.capturing = true;
+        try {
+            if (decoderRef.current === null) {
+                decoderRef.current = createDecoder(mediaUrlRef.current);
+            }
+
+            const frame = await captureFrame(decoderRef.current, bucket * getInterval());
+            if (entryRef.current === entry) {
+                entry.frames.set(bucket, frame);
+                setVersion((version) => version + 1);
+            } else {
+                URL.revokeObjectURL(frame.url);
+            }
+        } catch (error) {
+            // Streams the browser can't decode or read back won't have captured thumbnails
+            if (entryRef.current === entry) {
+                console.warn('Trickplay', error);
+                entry.capturable = false;
+            }
+        } finally {
+            queue.capturing = false;
+        }
+
+        captureNext();
+    }, []);
+
+    const getThumbnail = React.useCallback((time) => {
+        const entry = entryRef.current;
+        if (entry === null || time === null || isNaN(time)) {
+            return null;
+        }
+
+        // Neighbouring frames are shown while the exact one is being captured
+        const bucket = Math.round(time / getInterval());
+        return entry.frames.get(bucket) || entry.frames.get(bucket - 1) || entry.frames.get(bucket + 1) || null;
+    }, [version]);
+
+    const requestThumbnail = React.useCallback((time) => {
+        const entry = entryRef.current;
+        if (entry === null || !entry.capturable || time === null || isNaN(time) ||
+            durationRef.current === null || isNaN(durationRef.current)) {
+            return;
+        }
+
+        const bucket = Math.round(time / getInterval());
+        if (!entry.frames.has(bucket)) {
+            queueRef.current.pending = bucket;
+            captureNext();
+        }
+    }, []);
+
+    React.useEffect(() => {
+        const media = getStreamMediaUrl(video.state.stream, streamingServerURL);
+        entryRef.current = media !== null ? getCacheEntry(media.url) : null;
+        mediaUrlRef.current = media !== null ? media.url : null;
+        queueRef.current = { capturing: false, pending: null };
+        setVersion((version) => version + 1);
+    }, [video.state.stream, streamingServerURL]);
+
+    React.useEffect(() => {
+        return () => {
+            if (decoderRef.current !== null) {
+                destroyDecoder(decoderRef.current);
+                decoderRef.current = null;
+            }
+        };
+    }, [video.state.stream, streamingServerURL]);
+
+    return [getThumbnail, requestThumbnail];
+};
+
+module.exports = useTrickplay;
@@ -1,64 +1,36 @@
 // Copyright (C) 2017-2023 Smart code 203358507
 
 const React = require('react');
-const Video = require('@stremio/stremio-video');
 const EventEmitter = require('eventemitter3');
-
-const events = new EventEmitter();
-
-const useVideo = () => {
-    const video = React.useRef(null);
+const { Playback, useServices } = require('stremio/services');
+const { useLiveRef } = require('stremio/common');
+
+const VIDEO_EVENTS = ['error', 'ended', 'subtitlesTrackLoaded', 'extraSubtitlesTrackLoaded', 'extraSubtitlesTrackAdded', 'implementationChanged'];
+
+/**
+ * Plays in the video of the playback service. When the player is left after the
+ * mini player was requested, playback goes on in the mini player, and the player
+ * opened back at the same location takes it over.
+ * @param {Object|null} miniPlayer - Title, location and core session of the player, null when there is no mini player
+ */
+const useVideo = (miniPlayer) => {
+    const { playback } = useServices();
     const containerRef = React.useRef(null);
+    const miniPlayerRef = useLiveRef(miniPlayer);
+    const miniPlayerRequested = React.useRef(false);
+    const events = React.useMemo(() => new EventEmitter(), []);
 
-    const [state, setState] = React.useState({
-        manifest: null,
-        stream: null,
-        paused: null,
-        time: null,
-        duration: null,
-        buffering: null,
-        buffered: null,
-        volume: null,
-        muted: null,
-        playbackSpeed: null,
-        videoParams: null,
-        audioTracks: [],
-        selectedAudioTrackId: null,
-        subtitlesTracks: [],
-        selectedSubtitlesTrackId: null,
-        subtitlesOffset: null,
-        subtitlesSize: null,
-        subtitlesFont: null,
-        subtitlesTextColor: null,
-        subtitlesBackgroundColor: null,
-        subtitlesBackgroundOpacity: null,
-        subtitlesOutlineColor: null,
-        subtitlesOutlineSize: null,
-        extraSubtitlesTracks: [],
-        selectedExtraSubtitlesTrackId: null,
-        extraSubtitlesSize: null,
-        extraSubtitlesDelay: null,
-        extraSubtitlesOffset: null,
-        extraSubtitlesTextColor: null,
-        extraSubtitlesBackgroundColor: null,
-        extraSubtitlesOutlineColor: null,
+    // Whether the video was taken over from the mini player, which keeps its state
+    const [restored] = React.useState(() => {
+        return playback.miniPlayer !== null && playback.miniPlayer.href === window.location.hash;
     });
-
-    const dispatch = (action, options) => {
-        if (video.current && containerRef.current) {
-            try {
-                video.current.dispatch(action, {
-                    ...options,
-                    containerElement: containerRef.current,
-                });
-            } catch (error) {
-                console.error('Video:', error);
-            }
-        }
-    };
+    const [state, setState] = React.useState(() => {
+        return restored ? playback.videoState : Playback.INITIAL_VIDEO_STATE;
+    });
+    const stateRef = useLiveRef(state);
 
     const load = (args, options) => {
-        dispatch({
+        playback.dispatch({
             type: 'command',
             commandName: 'load',
             commandArgs: args
@@ -66,14 +38,14 @@ const useVideo = () => {
     };
 
     const unload = () => {
-        dispatch({
+        playback.dispatch({
             type: 'command',
             commandName: 'unload',
         });
     };
 
     const addExtraSubtitlesTracks = (tracks) => {
-        dispatch({
+        playback.dispatch({
             type: 'command',
             commandName: 'addExtraSubtitlesTracks',
             commandArgs: {
@@ -83,7 +55,7 @@ const useVideo = () => {
     };
 
     const addLocalSubtitles = (filename, buffer) => {
-        dispatch({
+        playback.dispatch({
             type: 'command',
             commandName: 'addLocalSubtitles',
             commandArgs: {
@@ -94,7 +66,7 @@ const useVideo = () => {
     };
 
     const setProp = (name, value) => {
-        dispatch({ type: 'setProp', propName: name, propValue: value });
+        playback.setProp(name, value);
     };
 
     const setSubtitlesTrack = (id) => {
@@ -107,61 +79,33 @@ const useVideo = () => {
         setProp('selectedExtraSubtitlesTrackId', id);
     };
 
-    const onError = (error) => {
-        events.emit('error', error);
-    };
-
-    const onEnded = () => {
-        events.emit('ended');
-    };
-
-    const onSubtitlesTrackLoaded = (track) => {
-        events.emit('subtitlesTrackLoaded', track);
+    // Playback goes on in the mini player once the player is left
+    const requestMiniPlayer = () => {
+        miniPlayerRequested.current = true;
     };
 
-    const onExtraSubtitlesTrackLoaded = (track) => {
-        events.emit('extraSubtitlesTrackLoaded', track);
-    };
-
-    const onExtraSubtitlesTrackAdded = (track) => {
-        events.emit('extraSubtitlesTrackAdded', track);
-    };
-
-    const onPropChanged = (name, value) => {
-        setState((state) => ({
-            ...state,
-            [name]: value
-        }));
-    };
-
-    const onImplementationChanged = (manifest) => {
-        manifest.props.forEach((propName) => dispatch(({ type: 'observeProp', propName })));
-        setState((state) => ({
-            ...state,
-            manifest
-        }));
-
-        events.emit('implementationChanged', manifest);
-    };
+    // A layout effect, so that the video is moved before the player is removed from the document
+    React.useLayoutEffect(() => {
+        if (!playback.restore(window.location.hash)) {
+            playback.reset();
+        }
 
-    React.useEffect(() => {
-        video.current = new Video();
-        video.current.on('error', onError);
-        video.current.on('ended', onEnded);
-        video.current.on('propChanged', onPropChanged);
-        video.current.on('propValue', onPropChanged);
-        video.current.on('implementationChanged', onImplementationChanged);
-        video.current.on('subtitlesTrackLoaded', onSubtitlesTrackLoaded);
-        video.current.on('extraSubtitlesTrackLoaded', onExtraSubtitlesTrackLoaded);
-        video.current.on('extraSubtitlesTrackAdded', onExtraSubtitlesTrackAdded);
+        const onVideoStateChanged = () => {
+            setState(playback.videoState);
+        };
+        const listeners = VIDEO_EVENTS.map((name) => [name, (...args) => events.emit(name, ...args)]);
+        playback.on('videoStateChanged', onVideoStateChanged);
+        listeners.forEach(([name, listener]) => playback.on(name, listener));
+        playback.mount(containerRef.current);
+        setState(playback.videoState);
 
         return () => {
-            if (video.current) {
-                try {
-                    video.current.destroy();
-                } catch (err) {
-                    console.error('Error destroying video:', err);
-                }
+            playback.off('videoStateChanged', onVideoStateChanged);
+            listeners.forEach(([name, listener]) => playback.off(name, listener));
+            if (miniPlayerRequested.current && miniPlayerRef.current !== null && stateRef.current.stream !== null) {
+                playback.minimize(miniPlayerRef.current);
+            } else {
+                playback.reset();
             }
         };
     }, []);
@@ -169,6 +113,7 @@ const useVideo = () => {
     return {
         events,
         containerRef,
+        restored,
         state,
         load,
         unload,
@@ -177,6 +122,7 @@ const useVideo = () => {
         setProp,
         setSubtitlesTrack,
         setExtraSubtitlesTrack,
+        requestMiniPlayer,
     };
 };
 
@@ -16,6 +16,7 @@ import { useServices } from "stremio/services";
 import { usePlatform, useToast } from "stremio/common";
 import { Section, Option, Link } from "../components";
 import User from "./User";
+import TraktSync from "./TraktSync";
 import useDataExport from "./useDataExport";
 import styles from "./General.less";
 import useGeneralOptions from "./useGeneralOptions";
@@ -39,7 +40,7 @@ type Props = {
 
 const General = forwardRef<HTMLDivElement, Props>(({ profile }: Props, ref) => {
   const { t } = useTranslation();
-  const { core, shell } = useServices();
+  const { core, shell, trakt } = useServices();
   const platform = usePlatform();
   const toast = useToast();
   const [dataExport, loadDataExport] = useDataExport();
@@ -291,6 +292,7 @@ const General = forwardRef<HTMLDivElement, Props>(({ profile }: Props, ref) => {
           action: "LogoutTrakt",
         },
       });
+      trakt.reset();
     }
   }, [isTraktAuthenticated, profile.auth]);
 
@@ -450,6 +452,7 @@ const General = forwardRef<HTMLDivElement, Props>(({ profile }: Props, ref) => {
               : t("SETTINGS_TRAKT_AUTHENTICATE")}
           </Button>
         </Option>
+        {isTraktAuthenticated && <TraktSync />}
       </Section>
 
       <Section>
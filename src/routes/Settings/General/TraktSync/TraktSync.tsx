@@ -0,0 +1,118 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button, Toggle } from 'stremio/components';
+import useTraktSync from './useTraktSync';
+import styles from './TraktSync.less';
+
+const TraktSync = () => {
+    const { t } = useTranslation();
+    const { configured, status, error, lastSync, summary, scrobbleEnabled, setScrobbleEnabled, sync } = useTraktSync();
+
+    const scrobbleToggle = useMemo(() => ({
+        checked: scrobbleEnabled,
+        onClick: () => setScrobbleEnabled(!scrobbleEnabled),
+    }), [scrobbleEnabled]);
+
+    const statusLabel = useMemo(() => {
+        return status === 'syncing' ?
+            t('TRAKT_SYNC_IN_PROGRESS')
+            :
+            status === 'error' && error !== null ?
+                t(error)
+                :
+                lastSync !== null ?
+                    t('TRAKT_SYNC_LAST', { time: new Date(lastSync).toLocaleString() })
+                    :
+                    t('TRAKT_SYNC_NEVER');
+    }, [status, error, lastSync]);
+
+    const rows = useMemo(() => {
+        return summary !== null ?
+            [
+                [t('TRAKT_SYNC_IMPORTED'), summary.imported],
+                [t('TRAKT_SYNC_ADDED_TO_LIBRARY'), summary.addedToLibrary],
+                [t('TRAKT_SYNC_REMOVED_FROM_LIBRARY'), summary.removedFromLibrary],
+                [t('TRAKT_SYNC_ADDED_TO_TRAKT'), summary.addedToTrakt],
+                [t('TRAKT_SYNC_REMOVED_FROM_TRAKT'), summary.removedFromTrakt],
+            ]
+            :
+            [];
+    }, [summary]);
+
+    // Builds without a Trakt client id can't talk to Trakt at all
+    if (!configured) {
+        return (
+            <div className={styles['trakt-sync']}>
+                <div className={styles['header']}>
+                    <div className={styles['status']}>
+                        <Icon className={styles['icon']} name={'warning'} />
+                        <div className={styles['label']}>
+                            {t('TRAKT_SYNC_NOT_CONFIGURED')}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles['trakt-sync']}>
+            <div className={styles['header']}>
+                <div className={styles['status']}>
+                    <Icon className={styles['icon']} name={status === 'error' ? 'warning' : 'trakt'} />
+                    <div className={styles['label']}>
+                        {statusLabel}
+                    </div>
+                </div>
+                <Button className={styles['button']} title={t('TRAKT_SYNC_NOW')} disabled={status === 'syncing'} tabIndex={-1} onClick={sync}>
+                    {t('TRAKT_SYNC_NOW')}
+                </Button>
+            </div>
+            <div className={styles['option']}>
+                <div className={styles['label']}>
+                    {t('TRAKT_SCROBBLE')}
+                </div>
+                <Toggle tabIndex={-1} {...scrobbleToggle} />
+            </div>
+            {
+                rows.length > 0 &&
+                    <div className={styles['list']}>
+                        {
+                            rows.map(([label, value]) => (
+                                <div key={label} className={styles['row']}>
+                                    <div className={styles['label']}>{label}</div>
+                                    <div className={styles['value']}>{value}</div>
+                                </div>
+                            ))
+                        }
+                    </div>
+            }
+            {
+                summary !== null && summary.conflicts.length > 0 &&
+                    <React.Fragment>
+                        <div className={styles['subtitle']}>
+                            {t('TRAKT_SYNC_CONFLICTS')}
+                        </div>
+                        <div className={styles['description']}>
+                            {t('TRAKT_SYNC_CONFLICTS_RULE')}
+                        </div>
+                        <div className={styles['list']}>
+                            {
+                                summary.conflicts.map(({ id, name, kept }) => (
+                                    <div key={id} className={styles['row']}>
+                                        <div className={styles['label']} title={name}>{name}</div>
+                                        <div className={styles['value']}>
+                                            {t(kept === 'trakt' ? 'TRAKT_SYNC_KEPT_FROM_TRAKT' : 'TRAKT_SYNC_KEPT_FROM_LIBRARY')}
+                                        </div>
+                                    </div>
+                                ))
+                            }
+                        </div>
+                    </React.Fragment>
+            }
+        </div>
+    );
+};
+
+export default TraktSync;
@@ -0,0 +1,3 @@
+import TraktSync from './TraktSync';
+
+export default TraktSync;
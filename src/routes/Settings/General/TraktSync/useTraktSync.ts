@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useServices } from 'stremio/services';
+import { useModelState, useTrakt } from 'stremio/common';
+
+// The sync runs by itself when the panel is opened and the last one is older than this
+const SYNC_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Loads every page of the library and syncs it with Trakt.
+ */
+const useTraktSync = () => {
+    const { core } = useServices();
+    const trakt = useTrakt();
+    const library = useModelState({ model: 'library', action: null }) as Library;
+    const [loading, setLoading] = useState(false);
+
+    const sync = useCallback(() => {
+        setLoading(true);
+        core.transport.dispatch({
+            action: 'Load',
+            args: {
+                model: 'LibraryWithFilters',
+                args: {
+                    request: {
+                        type: null,
+                    }
+                }
+            }
+        }, 'library');
+    }, []);
+
+    useEffect(() => {
+        if (!loading || library.selected === null) {
+            return;
+        }
+
+        if (library.selectable.nextPage !== null) {
+            core.transport.dispatch({
+                action: 'LibraryWithFilters',
+                args: {
+                    action: 'LoadNextPage',
+                }
+            }, 'library');
+            return;
+        }
+
+        setLoading(false);
+        trakt.sync(library.catalog);
+    }, [loading, library]);
+
+    useEffect(() => {
+        if (trakt.configured && (trakt.lastSync === null || Date.now() - trakt.lastSync > SYNC_INTERVAL)) {
+            sync();
+        }
+    }, []);
+
+    return {
+        ...trakt,
+        status: loading ? 'syncing' : trakt.status,
+        sync,
+    };
+};
+
+export default useTraktSync;
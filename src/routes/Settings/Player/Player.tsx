@@ -1,8 +1,9 @@
 import React, { forwardRef } from 'react';
-import { ColorInput, MultiselectMenu, Toggle } from 'stremio/components';
+import { Chips, ColorInput, MultiselectMenu, Toggle } from 'stremio/components';
 import { useServices } from 'stremio/services';
 import { Category, Option, Section } from '../components';
 import usePlayerOptions from './usePlayerOptions';
+import useStreamPreferencesOptions from './useStreamPreferencesOptions';
 import { usePlatform } from 'stremio/common';
 
 type Props = {
@@ -15,6 +16,7 @@ const Player = forwardRef<HTMLDivElement, Props>(({ profile }: Props, ref) => {
 
     const {
         subtitlesLanguageSelect,
+        secondarySubtitlesLanguageSelect,
         subtitlesSizeSelect,
         subtitlesFontSelect,
         subtitlesTextColorInput,
@@ -35,6 +37,14 @@ const Player = forwardRef<HTMLDivElement, Props>(({ profile }: Props, ref) => {
         pauseOnMinimizeToggle,
     } = usePlayerOptions(profile);
 
+    const {
+        streamResolutionSelect,
+        streamMaxSizeSelect,
+        streamLanguageSelect,
+        streamAddonsChips,
+        streamCodecBlacklistChips,
+    } = useStreamPreferencesOptions(profile);
+
     return (
         <Section ref={ref} label={'SETTINGS_NAV_PLAYER'}>
             <Category icon={'subtitles'} label={'SETTINGS_SECTION_SUBTITLES'}>
@@ -44,6 +54,12 @@ const Player = forwardRef<HTMLDivElement, Props>(({ profile }: Props, ref) => {
                         {...subtitlesLanguageSelect}
                     />
                 </Option>
+                <Option label={'SETTINGS_SECONDARY_SUBTITLES_LANGUAGE'}>
+                    <MultiselectMenu
+                        className={'multiselect'}
+                        {...secondarySubtitlesLanguageSelect}
+                    />
+                </Option>
                 <Option label={'SETTINGS_SUBTITLES_SIZE'}>
                     <MultiselectMenu
                         className={'multiselect'}
@@ -136,6 +152,32 @@ const Player = forwardRef<HTMLDivElement, Props>(({ profile }: Props, ref) => {
                     />
                 </Option>
             </Category>
+            <Category icon={'filters'} label={'SETTINGS_SECTION_STREAM_SELECTION'}>
+                <Option label={'SETTINGS_STREAM_RESOLUTION'}>
+                    <MultiselectMenu
+                        className={'multiselect'}
+                        {...streamResolutionSelect}
+                    />
+                </Option>
+                <Option label={'SETTINGS_STREAM_MAX_SIZE'}>
+                    <MultiselectMenu
+                        className={'multiselect'}
+                        {...streamMaxSizeSelect}
+                    />
+                </Option>
+                <Option label={'SETTINGS_STREAM_LANGUAGE'}>
+                    <MultiselectMenu
+                        className={'multiselect'}
+                        {...streamLanguageSelect}
+                    />
+                </Option>
+                <Option label={'SETTINGS_STREAM_ADDONS'}>
+                    <Chips {...streamAddonsChips} />
+                </Option>
+                <Option label={'SETTINGS_STREAM_CODEC_BLACKLIST'}>
+                    <Chips {...streamCodecBlacklistChips} />
+                </Option>
+            </Category>
             <Category icon={'glasses'} label={'SETTINGS_SECTION_ADVANCED'}>
                 <Option label={'SETTINGS_PLAY_IN_EXTERNAL_PLAYER'}>
                     <MultiselectMenu
@@ -37,6 +37,26 @@ const usePlayerOptions = (profile: Profile) => {
         }
     }), [profile.settings, sortedLanguageOptions]);
 
+    const secondarySubtitlesLanguageSelect = useMemo(() => ({
+        options: [
+            { value: null, label: t('NONE') },
+            ...sortedLanguageOptions
+        ],
+        value: profile.settings.secondarySubtitlesLanguage,
+        onSelect: (value: string) => {
+            core.transport.dispatch({
+                action: 'Ctx',
+                args: {
+                    action: 'UpdateSettings',
+                    args: {
+                        ...profile.settings,
+                        secondarySubtitlesLanguage: value
+                    }
+                }
+            });
+        }
+    }), [profile.settings, sortedLanguageOptions]);
+
     const subtitlesSizeSelect = useMemo(() => ({
         options: CONSTANTS.SUBTITLES_SIZES.map((size) => ({
             value: `${size}`,
@@ -403,6 +423,7 @@ const usePlayerOptions = (profile: Profile) => {
 
     return {
         subtitlesLanguageSelect,
+        secondarySubtitlesLanguageSelect,
         subtitlesSizeSelect,
         subtitlesTextColorInput,
         subtitlesBackgroundColorInput,
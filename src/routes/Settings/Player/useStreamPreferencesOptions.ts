@@ -0,0 +1,101 @@
+import { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { languageNames, useLanguageSorting, useStreamPreferences } from 'stremio/common';
+
+const LANGUAGES_NAMES: Record<string, string> = languageNames;
+
+const RESOLUTIONS = [2160, 1080, 720, 480];
+const MAX_SIZES = [2, 5, 10, 20, 50];
+const CODECS = ['hevc', 'avc', 'av1', 'vp9', 'xvid'];
+const GIGABYTE = 1024 ** 3;
+
+const useStreamPreferencesOptions = (profile: Profile) => {
+    const { t } = useTranslation();
+    const [preferences, updatePreferences] = useStreamPreferences();
+
+    const languageOptions = useMemo(() => Object.keys(LANGUAGES_NAMES).map((code) => ({
+        value: code,
+        label: LANGUAGES_NAMES[code]
+    })), []);
+
+    const { sortedOptions: sortedLanguageOptions } = useLanguageSorting(languageOptions);
+
+    const toggle = (values: string[], value: string) => {
+        return values.includes(value) ? values.filter((current) => current !== value) : values.concat(value);
+    };
+
+    const streamResolutionSelect = useMemo(() => ({
+        options: [
+            { value: null, label: t('STREAM_PREFERENCES_ANY') },
+            ...RESOLUTIONS.map((resolution) => ({
+                value: `${resolution}`,
+                label: resolution === 2160 ? '4K' : `${resolution}p`
+            }))
+        ],
+        value: preferences.resolution !== null ? `${preferences.resolution}` : null,
+        onSelect: (value: string | null) => {
+            updatePreferences({ resolution: value !== null ? parseInt(value, 10) : null });
+        }
+    }), [preferences, updatePreferences]);
+
+    const streamMaxSizeSelect = useMemo(() => ({
+        options: [
+            { value: null, label: t('STREAM_PREFERENCES_NO_LIMIT') },
+            ...MAX_SIZES.map((size) => ({
+                value: `${size * GIGABYTE}`,
+                label: `${size} GB`
+            }))
+        ],
+        value: preferences.maxSize !== null ? `${preferences.maxSize}` : null,
+        onSelect: (value: string | null) => {
+            updatePreferences({ maxSize: value !== null ? parseInt(value, 10) : null });
+        }
+    }), [preferences, updatePreferences]);
+
+    const streamLanguageSelect = useMemo(() => ({
+        options: [
+            { value: null, label: t('STREAM_PREFERENCES_ANY') },
+            ...sortedLanguageOptions
+        ],
+        value: preferences.language,
+        onSelect: (value: string | null) => {
+            updatePreferences({ language: value });
+        }
+    }), [preferences, sortedLanguageOptions, updatePreferences]);
+
+    const streamAddonsChips = useMemo(() => ({
+        options: profile.addons
+            .filter(({ manifest }) => manifest.resources.some((resource) => {
+                return resource === 'stream' || (typeof resource === 'object' && resource.name === 'stream');
+            }))
+            .map(({ transportUrl, manifest }) => ({
+                value: transportUrl,
+                label: manifest.name
+            })),
+        selected: preferences.addons,
+        onSelect: (value: string) => {
+            updatePreferences({ addons: toggle(preferences.addons, value) });
+        }
+    }), [profile.addons, preferences, updatePreferences]);
+
+    const streamCodecBlacklistChips = useMemo(() => ({
+        options: CODECS.map((codec) => ({
+            value: codec,
+            label: codec.toUpperCase()
+        })),
+        selected: preferences.codecBlacklist,
+        onSelect: (value: string) => {
+            updatePreferences({ codecBlacklist: toggle(preferences.codecBlacklist, value) });
+        }
+    }), [preferences, updatePreferences]);
+
+    return {
+        streamResolutionSelect,
+        streamMaxSizeSelect,
+        streamLanguageSelect,
+        streamAddonsChips,
+        streamCodecBlacklistChips,
+    };
+};
+
+export default useStreamPreferencesOptions;
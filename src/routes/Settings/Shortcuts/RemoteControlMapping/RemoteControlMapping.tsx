@@ -0,0 +1,89 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import { Button } from 'stremio/components';
+import { useRemoteControl } from 'stremio/common';
+import styles from './RemoteControlMapping.less';
+
+const RemoteControlMapping = () => {
+    const { t } = useTranslation();
+    const { actions, bind, unbind, reset, capture, getInputLabel } = useRemoteControl();
+    const [capturing, setCapturing] = useState<string | null>(null);
+
+    const onBindClick = useCallback((action: string) => {
+        setCapturing((capturing) => capturing === action ? null : action);
+    }, []);
+
+    const onResetClick = useCallback(() => {
+        setCapturing(null);
+        reset();
+    }, [reset]);
+
+    useEffect(() => {
+        if (capturing === null) {
+            return;
+        }
+
+        const cancel = capture((input) => {
+            bind(input, capturing);
+            setCapturing(null);
+        });
+        const onKeyDown = ({ key }: KeyboardEvent) => {
+            key === 'Escape' && setCapturing(null);
+        };
+
+        window.addEventListener('keydown', onKeyDown);
+        return () => {
+            window.removeEventListener('keydown', onKeyDown);
+            cancel();
+        };
+    }, [capturing]);
+
+    return (
+        <div className={styles['remote-control-mapping']}>
+            <div className={styles['title']}>
+                {t('REMOTE_CONTROL_MAPPING')}
+            </div>
+            <div className={styles['description']}>
+                {t('REMOTE_CONTROL_MAPPING_DESCRIPTION')}
+            </div>
+            <div className={styles['actions']}>
+                {
+                    actions.map(({ action, label, inputs }) => (
+                        <div key={action} className={styles['action']}>
+                            <div className={styles['label']}>
+                                {label}
+                            </div>
+                            <div className={styles['inputs']}>
+                                {
+                                    inputs.map((input) => (
+                                        <Button key={input} className={styles['input']} title={t('REMOTE_CONTROL_UNBIND')} onClick={() => unbind(input)}>
+                                            {getInputLabel(input)}
+                                        </Button>
+                                    ))
+                                }
+                                <Button
+                                    className={styles['bind-button']}
+                                    title={t('REMOTE_CONTROL_BIND')}
+                                    onClick={() => onBindClick(action)}
+                                >
+                                    {
+                                        capturing === action ?
+                                            t('REMOTE_CONTROL_PRESS_BUTTON')
+                                            :
+                                            <Icon className={styles['icon']} name={'add'} />
+                                    }
+                                </Button>
+                            </div>
+                        </div>
+                    ))
+                }
+            </div>
+            <Button className={styles['reset-button']} onClick={onResetClick}>
+                {t('REMOTE_CONTROL_MAPPING_RESET')}
+            </Button>
+        </div>
+    );
+};
+
+export default RemoteControlMapping;
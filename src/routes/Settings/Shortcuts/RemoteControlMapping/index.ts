@@ -0,0 +1,3 @@
+import RemoteControlMapping from './RemoteControlMapping';
+
+export default RemoteControlMapping;
@@ -1,14 +1,104 @@
-import React, { forwardRef } from 'react';
+import React, { forwardRef, useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
 import { Section } from '../components';
-import { ShortcutsGroup } from 'stremio/components';
+import { Button, ShortcutsGroup } from 'stremio/components';
 import { useShortcuts } from 'stremio/common';
+import { CHORD_SEPARATOR, CHORD_TIMEOUT, MAX_CHORD_LENGTH, formatStep, getEventStep } from 'stremio/common/Shortcuts/keyBindings';
+import RemoteControlMapping from './RemoteControlMapping';
 import styles from './Shortcuts.less';
 
+type Recording = {
+    name: string,
+    index: number,
+};
+
 const Shortcuts = forwardRef<HTMLDivElement>((_, ref) => {
-    const { grouped } = useShortcuts();
+    const { t } = useTranslation();
+    const { grouped, update, reset, findConflict } = useShortcuts();
+    const [recording, setRecording] = useState<Recording | null>(null);
+    const [recorded, setRecorded] = useState<string[]>([]);
+    const [conflict, setConflict] = useState<{ combo: string, label: string } | null>(null);
+
+    const onComboSelect = useCallback((name: string, index: number) => {
+        setRecorded([]);
+        setConflict(null);
+        setRecording((recording) => recording?.name === name && recording.index === index ? null : { name, index });
+    }, []);
+
+    const onResetClick = useCallback(() => {
+        setRecording(null);
+        setConflict(null);
+        reset();
+    }, [reset]);
+
+    useEffect(() => {
+        if (recording === null) {
+            return;
+        }
+
+        const steps: string[] = [];
+        let timeout: NodeJS.Timeout | null = null;
+        const save = () => {
+            const combo = steps.join(CHORD_SEPARATOR);
+            const conflicting = findConflict(recording.name, recording.index, combo);
+            if (conflicting !== null) {
+                setConflict({ combo, label: conflicting.label });
+            } else {
+                update(recording.name, recording.index, combo);
+            }
+
+            setRecording(null);
+            setRecorded([]);
+        };
+        // Keys are captured before they reach the shortcuts, so that any of them can be bound
+        const onKeyDown = (event: KeyboardEvent) => {
+            const modified = event.ctrlKey || event.altKey || event.metaKey;
+            // Tab and Shift+Tab still move the focus and Escape cancels the recording
+            if (event.key === 'Tab' && !modified) {
+                return;
+            }
+
+            const step = getEventStep(event);
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.key === 'Escape' && !modified && !event.shiftKey) {
+                setRecording(null);
+                setRecorded([]);
+                return;
+            }
+
+            if (step === null) {
+                return;
+            }
+
+            steps.push(formatStep(step));
+            setRecorded(steps.slice());
+            timeout !== null && clearTimeout(timeout);
+            if (steps.length === MAX_CHORD_LENGTH) {
+                save();
+            } else {
+                timeout = setTimeout(save, CHORD_TIMEOUT);
+            }
+        };
+
+        window.addEventListener('keydown', onKeyDown, true);
+        return () => {
+            window.removeEventListener('keydown', onKeyDown, true);
+            timeout !== null && clearTimeout(timeout);
+        };
+    }, [recording, update, findConflict]);
 
     return (
         <Section ref={ref} label={'SETTINGS_NAV_SHORTCUTS'}>
+            <div className={styles['description']}>
+                {t('SETTINGS_SHORTCUTS_EDIT_DESCRIPTION')}
+            </div>
+            {
+                conflict !== null &&
+                    <div className={styles['conflict']}>
+                        {t('SETTINGS_SHORTCUT_CONFLICT', { combo: conflict.combo, shortcut: t(conflict.label) })}
+                    </div>
+            }
             {
                 grouped.map(({ name, label, shortcuts }) => (
                     <ShortcutsGroup
@@ -16,9 +106,16 @@ const Shortcuts = forwardRef<HTMLDivElement>((_, ref) => {
                         className={styles['shortcuts-group']}
                         label={label}
                         shortcuts={shortcuts}
+                        recording={recording}
+                        recorded={recorded.join(CHORD_SEPARATOR)}
+                        onComboSelect={onComboSelect}
                     />
                 ))
             }
+            <Button className={styles['reset-button']} onClick={onResetClick}>
+                {t('SETTINGS_SHORTCUTS_RESET')}
+            </Button>
+            <RemoteControlMapping />
         </Section>
     );
 });
@@ -0,0 +1,37 @@
+import React, { useMemo } from 'react';
+import classNames from 'classnames';
+import styles from './Graph.less';
+
+type Props = {
+    className?: string,
+    label: string,
+    value: string,
+    samples: number[],
+};
+
+const Graph = ({ className, label, value, samples }: Props) => {
+    const points = useMemo(() => {
+        const max = Math.max(...samples, 1);
+        const step = samples.length > 1 ? 100 / (samples.length - 1) : 0;
+        return samples
+            .map((sample, index) => `${(index * step).toFixed(2)},${(100 - (sample / max) * 100).toFixed(2)}`)
+            .join(' ');
+    }, [samples]);
+
+    return (
+        <div className={classNames(className, styles['graph'])}>
+            <div className={styles['heading']}>
+                <div className={styles['label']}>{label}</div>
+                <div className={styles['value']}>{value}</div>
+            </div>
+            <svg className={styles['plot']} viewBox={'0 0 100 100'} preserveAspectRatio={'none'}>
+                {
+                    samples.length > 1 &&
+                        <polyline className={styles['line']} points={points} vectorEffect={'non-scaling-stroke'} />
+                }
+            </svg>
+        </div>
+    );
+};
+
+export default Graph;
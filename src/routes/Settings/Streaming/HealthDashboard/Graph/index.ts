@@ -0,0 +1,3 @@
+import Graph from './Graph';
+
+export default Graph;
@@ -0,0 +1,128 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '@stremio/stremio-icons/react';
+import Graph from './Graph';
+import useServerHealth from './useServerHealth';
+import styles from './HealthDashboard.less';
+
+const toMegabytes = (bytes: number) => {
+    return parseFloat((bytes / 1000 / 1000).toFixed(2));
+};
+
+const toPercent = (progress: number) => {
+    return Math.min(Math.round(progress * 100), 100);
+};
+
+type Props = {
+    streamingServer: StreamingServer,
+};
+
+const HealthDashboard = ({ streamingServer }: Props) => {
+    const { t } = useTranslation();
+    const { active, error, statistics, history, files, stallDuration, stalled } = useServerHealth(streamingServer);
+
+    const graphs = useMemo(() => {
+        const last = history[history.length - 1];
+        return [
+            {
+                label: t('SETTINGS_STREAMING_HEALTH_DOWNLOAD_SPEED'),
+                value: `${toMegabytes(last?.downloadSpeed ?? 0)} ${t('MB_S')}`,
+                samples: history.map(({ downloadSpeed }) => downloadSpeed),
+            },
+            {
+                label: t('SETTINGS_STREAMING_HEALTH_UPLOAD_SPEED'),
+                value: `${toMegabytes(last?.uploadSpeed ?? 0)} ${t('MB_S')}`,
+                samples: history.map(({ uploadSpeed }) => uploadSpeed),
+            },
+            {
+                label: t('PLAYER_PEERS'),
+                value: `${last?.peers ?? 0}`,
+                samples: history.map(({ peers }) => peers),
+            },
+            {
+                label: t('SETTINGS_STREAMING_HEALTH_SWARM_SIZE'),
+                value: `${last?.swarmSize ?? 0}`,
+                samples: history.map(({ swarmSize }) => swarmSize),
+            },
+        ];
+    }, [history]);
+
+    return (
+        <div className={styles['health-dashboard']}>
+            <div className={styles['title']}>
+                {t('SETTINGS_STREAMING_HEALTH')}
+            </div>
+            {
+                !active ?
+                    <div className={styles['message']}>
+                        {t('SETTINGS_STREAMING_HEALTH_NO_TORRENT')}
+                    </div>
+                    :
+                    statistics === null ?
+                        <div className={styles['message']}>
+                            {t(error ? 'SETTINGS_STREAMING_HEALTH_UNAVAILABLE' : 'SETTINGS_STREAMING_HEALTH_LOADING')}
+                        </div>
+                        :
+                        <React.Fragment>
+                            <div className={styles['name']} title={statistics.name}>
+                                {statistics.name}
+                            </div>
+                            {
+                                stalled &&
+                                    <div className={styles['stall-warning']}>
+                                        <Icon className={styles['icon']} name={'warning'} />
+                                        <div className={styles['label']}>
+                                            {t('SETTINGS_STREAMING_HEALTH_STALLED', { seconds: Math.round(stallDuration / 1000) })}
+                                        </div>
+                                        <div className={styles['suggestion']}>
+                                            {t('SETTINGS_STREAMING_HEALTH_SWITCH_STREAM')}
+                                        </div>
+                                    </div>
+                            }
+                            <div className={styles['graphs']}>
+                                {
+                                    graphs.map((graph) => (
+                                        <Graph key={graph.label} {...graph} />
+                                    ))
+                                }
+                            </div>
+                            <div className={styles['subtitle']}>
+                                {t('SETTINGS_STREAMING_HEALTH_SOURCES')}
+                            </div>
+                            <div className={styles['list']}>
+                                {
+                                    statistics.sources.map((source) => (
+                                        <div key={source.url} className={styles['row']}>
+                                            <div className={styles['label']} title={source.url}>{source.url}</div>
+                                            <div className={styles['value']}>
+                                                {t('SETTINGS_STREAMING_HEALTH_SOURCE_HITS', { found: source.numFound, unique: source.numFoundUniq, requests: source.numRequests })}
+                                            </div>
+                                        </div>
+                                    ))
+                                }
+                            </div>
+                            <div className={styles['subtitle']}>
+                                {t('SETTINGS_STREAMING_HEALTH_FILES')}
+                            </div>
+                            <div className={styles['list']}>
+                                {
+                                    files.map((file, index) => (
+                                        <div key={index} className={styles['row']}>
+                                            <div className={styles['label']} title={file.name}>{file.name}</div>
+                                            <div className={styles['progress-bar-container']}>
+                                                <div className={styles['progress-bar']} style={{ width: `${toPercent(file.progress ?? 0)}%` }} />
+                                            </div>
+                                            <div className={styles['value']}>
+                                                {file.progress !== null ? `${toPercent(file.progress)}%` : '-'}
+                                            </div>
+                                        </div>
+                                    ))
+                                }
+                            </div>
+                        </React.Fragment>
+            }
+        </div>
+    );
+};
+
+export default HealthDashboard;
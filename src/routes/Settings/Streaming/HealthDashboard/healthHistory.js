@@ -0,0 +1,54 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const MAX_SAMPLES = 60;
+const STALL_TIMEOUT = 30000;
+
+/**
+ * Adds the statistics of the streaming server to the history, keeping only the latest samples.
+ * @param {Array<Object>} history - Previous samples, oldest first
+ * @param {Object} statistics - Statistics returned by the streaming server
+ * @param {number} time - Time of the sample in milliseconds
+ * @returns {Array<Object>} New history
+ */
+const appendSample = (history, statistics, time) => {
+    return history
+        .concat({
+            time,
+            downloadSpeed: statistics.downloadSpeed || 0,
+            uploadSpeed: statistics.uploadSpeed || 0,
+            peers: statistics.peers || 0,
+            swarmSize: statistics.swarmSize || 0,
+            downloaded: statistics.downloaded || 0,
+            completed: statistics.streamProgress || 0,
+        })
+        .slice(-MAX_SAMPLES);
+};
+
+/**
+ * Measures for how long nothing was downloaded, while the stream is not yet complete.
+ * @param {Array<Object>} history - Samples, oldest first
+ * @returns {number} Milliseconds since the last progress
+ */
+const getStallDuration = (history) => {
+    if (history.length < 2) {
+        return 0;
+    }
+
+    const last = history[history.length - 1];
+    if (last.completed >= 1) {
+        return 0;
+    }
+
+    let index = history.length - 1;
+    while (index > 0 && history[index - 1].downloaded >= last.downloaded) {
+        index--;
+    }
+
+    return last.time - history[index].time;
+};
+
+module.exports = {
+    STALL_TIMEOUT,
+    appendSample,
+    getStallDuration,
+};
@@ -0,0 +1,3 @@
+import HealthDashboard from './HealthDashboard';
+
+export default HealthDashboard;
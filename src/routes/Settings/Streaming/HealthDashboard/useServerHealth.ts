@@ -0,0 +1,122 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useServices } from 'stremio/services';
+import { STALL_TIMEOUT, appendSample, getStallDuration } from './healthHistory';
+
+const STATISTICS_INTERVAL = 2000;
+const FILES_INTERVAL = 10000;
+
+type Sample = {
+    time: number,
+    downloadSpeed: number,
+    uploadSpeed: number,
+    peers: number,
+    swarmSize: number,
+    downloaded: number,
+    completed: number,
+};
+
+const useServerHealth = (streamingServer: StreamingServer) => {
+    const { core } = useServices();
+    const [history, setHistory] = useState<Sample[]>([]);
+    const [filesProgress, setFilesProgress] = useState<(number | null)[]>([]);
+
+    const selected = streamingServer.selected?.statistics ?? null;
+
+    const statistics = useMemo(() => {
+        const content = streamingServer.statistics?.type === 'Ready' ?
+            streamingServer.statistics.content as Statistics : null;
+
+        return content !== null && content.infoHash === selected?.infoHash ? content : null;
+    }, [streamingServer.statistics, selected]);
+
+    const filesCount = statistics?.files?.length ?? 0;
+
+    const files = useMemo(() => {
+        return statistics !== null ?
+            statistics.files.map((file, fileIdx) => ({
+                name: file.name,
+                length: file.length,
+                selected: fileIdx === selected?.fileIdx,
+                progress: fileIdx === selected?.fileIdx ?
+                    statistics.streamProgress
+                    :
+                    filesProgress[fileIdx] ?? null,
+            }))
+            :
+            [];
+    }, [statistics, filesProgress]);
+
+    const stallDuration = useMemo(() => {
+        return getStallDuration(history);
+    }, [history]);
+
+    useEffect(() => {
+        setHistory([]);
+        setFilesProgress([]);
+        if (selected === null) {
+            return;
+        }
+
+        const { infoHash, fileIdx } = selected;
+        const getStatistics = () => {
+            core.transport.dispatch({
+                action: 'StreamingServer',
+                args: {
+                    action: 'GetStatistics',
+                    args: {
+                        infoHash,
+                        fileIdx,
+                    }
+                }
+            });
+        };
+
+        getStatistics();
+        const interval = setInterval(getStatistics, STATISTICS_INTERVAL);
+        return () => clearInterval(interval);
+    }, [selected?.infoHash, selected?.fileIdx]);
+
+    useEffect(() => {
+        if (statistics !== null) {
+            setHistory((history) => appendSample(history, statistics, Date.now()) as Sample[]);
+        }
+    }, [statistics]);
+
+    // The core only tracks the statistics of the selected file, the progress of the others is asked to the server directly
+    useEffect(() => {
+        if (selected === null || streamingServer.baseUrl === null || filesCount < 2) {
+            return;
+        }
+
+        let canceled = false;
+        const getFilesProgress = () => {
+            Promise.all(Array.from({ length: filesCount }, (_, fileIdx) => {
+                return fetch(new URL(`${selected.infoHash}/${fileIdx}/stats.json`, streamingServer.baseUrl!))
+                    .then((response) => response.json())
+                    .then(({ streamProgress }) => typeof streamProgress === 'number' ? streamProgress : null)
+                    .catch(() => null);
+            })).then((progress) => {
+                !canceled && setFilesProgress(progress);
+            });
+        };
+
+        getFilesProgress();
+        const interval = setInterval(getFilesProgress, FILES_INTERVAL);
+        return () => {
+            canceled = true;
+            clearInterval(interval);
+        };
+    }, [selected?.infoHash, streamingServer.baseUrl, filesCount]);
+
+    return {
+        active: selected !== null,
+        error: streamingServer.statistics?.type === 'Err',
+        statistics,
+        history,
+        files,
+        stallDuration,
+        stalled: stallDuration >= STALL_TIMEOUT,
+    };
+};
+
+export default useServerHealth;
@@ -5,6 +5,7 @@ import { Button, MultiselectMenu } from 'stremio/components';
 import { useToast } from 'stremio/common';
 import { Section, Option } from '../components';
 import URLsManager from './URLsManager';
+import HealthDashboard from './HealthDashboard';
 import useStreamingOptions from './useStreamingOptions';
 import styles from './Streaming.less';
 
@@ -85,6 +86,10 @@ const Streaming = forwardRef<HTMLDivElement, Props>(({ profile, streamingServer
                         />
                     </Option>
             }
+            {
+                streamingServer.settings?.type === 'Ready' &&
+                    <HealthDashboard streamingServer={streamingServer} />
+            }
         </Section>
     );
 });
@@ -5,6 +5,8 @@ const Board = require('./Board');
 const Discover = require('./Discover');
 const Library = require('./Library');
 const Calendar = require('./Calendar').default;
+const { default: Collection } = require('./Collection');
+const { default: Downloads } = require('./Downloads');
 const MetaDetails = require('./MetaDetails');
 const NotFound = require('./NotFound');
 const Search = require('./Search');
@@ -18,6 +20,8 @@ module.exports = {
     Discover,
     Library,
     Calendar,
+    Collection,
+    Downloads,
     MetaDetails,
     NotFound,
     Search,
@@ -0,0 +1,160 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+const { toDay, getDueReminders } = require('./reminders');
+
+const STORAGE_KEY = 'calendarReminders';
+
+function readState() {
+    try {
+        const state = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return {
+            enabled: state.enabled === true,
+            day: typeof state.day === 'string' ? state.day : null,
+            reminded: Array.isArray(state.reminded) ? state.reminded : [],
+            names: state.names !== null && typeof state.names === 'object' ? state.names : {},
+        };
+    } catch (_error) {
+        return { enabled: false, day: null, reminded: [], names: {} };
+    }
+}
+
+function writeState(state) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Calendar reminders', error);
+    }
+}
+
+function isSupported() {
+    return typeof window.Notification === 'function';
+}
+
+function CalendarReminders({ core }) {
+    let active = false;
+    let state = readState();
+
+    const events = new EventEmitter();
+
+    function onStateChanged() {
+        events.emit('stateChanged');
+    }
+    async function check() {
+        if (!state.enabled || !isSupported() || window.Notification.permission !== 'granted') {
+            return;
+        }
+
+        const ctx = await core.transport.getState('ctx');
+        const now = new Date();
+        const day = toDay(now);
+        const reminded = state.day === day ? state.reminded : [];
+        const reminders = getDueReminders(ctx.notifications.items, state.names, reminded, now);
+        if (reminders.length > 0 || state.day !== day) {
+            state = { ...state, day, reminded: reminded.concat(reminders.map(({ videoId }) => videoId)) };
+            writeState(state);
+        }
+        if (reminders.length > 0) {
+            events.emit('reminders', reminders);
+        }
+    }
+    // Notification items have no names, they are kept from the calendar when it is loaded
+    async function updateNames() {
+        const calendar = await core.transport.getState('calendar');
+        if (!calendar || !Array.isArray(calendar.items)) {
+            return;
+        }
+
+        const names = calendar.items
+            .flatMap(({ items }) => items)
+            .reduce((names, { id, name }) => ({ ...names, [id]: name }), {});
+        state = { ...state, names: { ...state.names, ...names } };
+        writeState(state);
+    }
+    function onNewState(models) {
+        if (models.includes('calendar')) {
+            updateNames().catch((error) => console.error('Calendar reminders', error));
+        }
+        if (models.includes('ctx')) {
+            check().catch((error) => console.error('Calendar reminders', error));
+        }
+    }
+    function onCoreStateChanged() {
+        if (core.transport !== null) {
+            core.transport.off('NewState', onNewState);
+        }
+        if (core.active) {
+            core.transport.on('NewState', onNewState);
+            onNewState(['ctx']);
+        }
+    }
+
+    Object.defineProperties(this, {
+        active: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return active;
+            }
+        },
+        supported: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return isSupported();
+            }
+        },
+        permission: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return isSupported() ? window.Notification.permission : 'denied';
+            }
+        },
+        enabled: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return state.enabled && isSupported() && window.Notification.permission === 'granted';
+            }
+        }
+    });
+
+    this.start = function() {
+        if (active) {
+            return;
+        }
+
+        active = true;
+        core.on('stateChanged', onCoreStateChanged);
+        onCoreStateChanged();
+    };
+    this.stop = function() {
+        active = false;
+        core.off('stateChanged', onCoreStateChanged);
+        if (core.transport !== null) {
+            core.transport.off('NewState', onNewState);
+        }
+    };
+    // Enabling asks for the permission to show notifications the first time
+    this.setEnabled = async function(enabled) {
+        if (enabled && isSupported() && window.Notification.permission === 'default') {
+            await window.Notification.requestPermission();
+        }
+
+        state = { ...state, enabled };
+        writeState(state);
+        onStateChanged();
+        if (core.active) {
+            check().catch((error) => console.error('Calendar reminders', error));
+        }
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+module.exports = CalendarReminders;
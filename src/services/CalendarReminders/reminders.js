@@ -0,0 +1,52 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Formats a date as a day of the local time zone.
+ * @param {Date} date
+ * @returns {string} Day like "2026-10-18"
+ */
+const toDay = (date) => {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Series video ids end with the season and the episode, like "tt0944947:1:5"
+const parseVideoId = (videoId) => {
+    const match = videoId.match(/:(\d+):(\d+)$/);
+    return match !== null ?
+        { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) }
+        :
+        { season: null, episode: null };
+};
+
+/**
+ * Lists the reminders due for the videos released today. The core only notifies
+ * about new videos of the titles having notifications on.
+ * @param {Object} items - Notification items by meta id
+ * @param {Object} names - Names of the titles by meta id or video id
+ * @param {Array<string>} reminded - Ids of the videos already reminded today
+ * @param {Date} now - Current date
+ * @returns {Array<{ metaId: string, videoId: string, name: string|null, season: number|null, episode: number|null, deepLink: string }>}
+ */
+const getDueReminders = (items, names, reminded, now) => {
+    const today = toDay(now);
+    return Object.values(items)
+        .flat()
+        .filter(({ videoId, videoReleased }) => {
+            const released = new Date(videoReleased);
+            return !isNaN(released.getTime()) && toDay(released) === today && released <= now && !reminded.includes(videoId);
+        })
+        .map(({ metaId, videoId }) => ({
+            metaId,
+            videoId,
+            name: names[metaId] || names[videoId] || null,
+            ...parseVideoId(videoId),
+            deepLink: `#/detail/series/${encodeURIComponent(metaId)}/${encodeURIComponent(videoId)}`,
+        }));
+};
+
+module.exports = {
+    toDay,
+    getDueReminders,
+};
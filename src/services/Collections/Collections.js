@@ -0,0 +1,135 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+const { createProfileStorageAdapter } = require('./storage');
+const {
+    normalizeData,
+    addCollection,
+    renameCollection,
+    removeCollection,
+    setCollectionOnBoard,
+    addItems,
+    removeItems,
+    moveItem,
+    setItemCollections,
+    setItemTags,
+} = require('./collections');
+
+const STORAGE_KEY = 'collections';
+
+const createId = () => `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+
+function Collections({ profileStorage }) {
+    let active = false;
+    let data = normalizeData(null);
+    let unsubscribe = null;
+
+    const storage = createProfileStorageAdapter(profileStorage, STORAGE_KEY);
+    const events = new EventEmitter();
+
+    function onCollectionsChanged() {
+        events.emit('collectionsChanged');
+    }
+    function save() {
+        storage.write(data).catch((error) => console.error('Collections', error));
+    }
+    function load() {
+        storage.read()
+            .then((stored) => {
+                const next = normalizeData(stored);
+                // Writing the collections tells about them changing as well
+                if (active && (next.mtime !== data.mtime || next.mtime === 0)) {
+                    data = next;
+                    onCollectionsChanged();
+                }
+            })
+            .catch((error) => console.error('Collections', error));
+    }
+    function update(next) {
+        if (!active) {
+            return;
+        }
+
+        data = { ...next, mtime: Date.now() };
+        onCollectionsChanged();
+        save();
+    }
+
+    Object.defineProperties(this, {
+        active: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return active;
+            }
+        },
+        collections: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return data.collections;
+            }
+        },
+        tags: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return data.tags;
+            }
+        }
+    });
+
+    this.start = function() {
+        if (active) {
+            return;
+        }
+
+        active = true;
+        unsubscribe = storage.subscribe(load);
+        load();
+    };
+    this.stop = function() {
+        active = false;
+        if (unsubscribe !== null) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+    };
+    this.create = function(name) {
+        const id = createId();
+        update(addCollection(data, { id, name }));
+        return id;
+    };
+    this.rename = function(id, name) {
+        update(renameCollection(data, id, name));
+    };
+    this.remove = function(id) {
+        update(removeCollection(data, id));
+    };
+    this.setOnBoard = function(id, board) {
+        update(setCollectionOnBoard(data, id, board));
+    };
+    this.addItems = function(id, items) {
+        update(addItems(data, id, items));
+    };
+    this.removeItems = function(id, itemIds) {
+        update(removeItems(data, id, itemIds));
+    };
+    this.moveItem = function(id, itemId, index) {
+        update(moveItem(data, id, itemId, index));
+    };
+    this.setItemCollections = function(item, ids) {
+        update(setItemCollections(data, item, ids));
+    };
+    this.setItemTags = function(itemId, tags) {
+        update(setItemTags(data, itemId, tags));
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+module.exports = Collections;
@@ -0,0 +1,189 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+/**
+ * Reads collections data, falling back to no collections when it is missing or malformed.
+ * @param {Object|null|undefined} data - Stored collections data
+ * @returns {{ collections: Array<Object>, tags: Object, mtime: number }}
+ */
+const normalizeData = (data) => {
+    const valid = data !== null && typeof data === 'object';
+    return {
+        collections: valid && Array.isArray(data.collections) ?
+            data.collections.filter((collection) => typeof collection.id === 'string' && Array.isArray(collection.items))
+            :
+            [],
+        tags: valid && data.tags !== null && typeof data.tags === 'object' ? data.tags : {},
+        mtime: valid && typeof data.mtime === 'number' ? data.mtime : 0,
+    };
+};
+
+/**
+ * Keeps what a collection needs to show an item without loading it.
+ * @param {Object} item - Library item or meta item preview
+ * @returns {{ id: string, type: string, name: string, poster: string|null, posterShape: string }}
+ */
+const toCollectionItem = (item) => ({
+    id: typeof item._id === 'string' ? item._id : item.id,
+    type: item.type,
+    name: item.name,
+    poster: typeof item.poster === 'string' ? item.poster : null,
+    posterShape: typeof item.posterShape === 'string' ? item.posterShape : 'poster',
+});
+
+/**
+ * Links to the details of a collection item.
+ * @param {Object} item - Collection item
+ * @returns {{ metaDetailsVideos: string|null, metaDetailsStreams: string|null }}
+ */
+const getDeepLinks = ({ type, id }) => {
+    const path = `#/detail/${encodeURIComponent(type)}/${encodeURIComponent(id)}`;
+    return type === 'movie' ?
+        { metaDetailsVideos: null, metaDetailsStreams: `${path}/${encodeURIComponent(id)}` }
+        :
+        { metaDetailsVideos: path, metaDetailsStreams: null };
+};
+
+const updateCollection = (data, id, update) => ({
+    ...data,
+    collections: data.collections.map((collection) => collection.id === id ? update(collection) : collection),
+});
+
+const addCollection = (data, { id, name }) => ({
+    ...data,
+    collections: data.collections.concat({ id, name, board: false, items: [] }),
+});
+
+const renameCollection = (data, id, name) => {
+    return updateCollection(data, id, (collection) => ({ ...collection, name }));
+};
+
+const removeCollection = (data, id) => ({
+    ...data,
+    collections: data.collections.filter((collection) => collection.id !== id),
+});
+
+const setCollectionOnBoard = (data, id, board) => {
+    return updateCollection(data, id, (collection) => ({ ...collection, board }));
+};
+
+/**
+ * Adds items at the end of a collection, items already in it keep their place.
+ */
+const addItems = (data, id, items) => {
+    return updateCollection(data, id, (collection) => ({
+        ...collection,
+        items: collection.items.concat(
+            items
+                .map(toCollectionItem)
+                .filter((item, index, added) => !collection.items.some(({ id }) => id === item.id) && added.findIndex(({ id }) => id === item.id) === index)
+        ),
+    }));
+};
+
+const removeItems = (data, id, itemIds) => {
+    return updateCollection(data, id, (collection) => ({
+        ...collection,
+        items: collection.items.filter((item) => !itemIds.includes(item.id)),
+    }));
+};
+
+/**
+ * Moves an item of a collection to another position.
+ * @param {Object} data - Collections data
+ * @param {string} id - Collection id
+ * @param {string} itemId - Id of the moved item
+ * @param {number} index - Position the item is moved to
+ */
+const moveItem = (data, id, itemId, index) => {
+    return updateCollection(data, id, (collection) => {
+        const item = collection.items.find((item) => item.id === itemId);
+        if (!item) {
+            return collection;
+        }
+
+        const items = collection.items.filter((item) => item.id !== itemId);
+        items.splice(Math.max(0, Math.min(index, items.length)), 0, item);
+        return { ...collection, items };
+    });
+};
+
+/**
+ * Puts an item in exactly the given collections.
+ * @param {Object} data - Collections data
+ * @param {Object} item - Library item or meta item preview
+ * @param {Array<string>} ids - Ids of the collections the item belongs to
+ */
+const setItemCollections = (data, item, ids) => {
+    const { id: itemId } = toCollectionItem(item);
+    return data.collections.reduce((data, collection) => {
+        const included = collection.items.some(({ id }) => id === itemId);
+        if (ids.includes(collection.id) && !included) {
+            return addItems(data, collection.id, [item]);
+        }
+        if (!ids.includes(collection.id) && included) {
+            return removeItems(data, collection.id, [itemId]);
+        }
+
+        return data;
+    }, data);
+};
+
+/**
+ * Splits free-form text into tags, separated by commas.
+ * @param {string} text - Tags as typed by the user
+ * @returns {Array<string>} Trimmed tags without duplicates
+ */
+const parseTags = (text) => {
+    return text
+        .split(',')
+        .map((tag) => tag.trim().replace(/\s+/g, ' '))
+        .filter((tag, index, tags) => tag.length > 0 && tags.findIndex((other) => other.toLowerCase() === tag.toLowerCase()) === index);
+};
+
+const setItemTags = (data, itemId, tags) => {
+    const { [itemId]: _previous, ...rest } = data.tags;
+    return {
+        ...data,
+        tags: tags.length > 0 ? { ...rest, [itemId]: tags } : rest,
+    };
+};
+
+/**
+ * Lists the tags used by the given items.
+ * @param {Object} tags - Tags by item id
+ * @param {Array<string>} itemIds - Ids of the items
+ * @returns {Array<string>} Sorted tags
+ */
+const getTags = (tags, itemIds) => {
+    return Array.from(new Set(itemIds.flatMap((itemId) => tags[itemId] || [])))
+        .sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Keeps the items having all the selected tags.
+ * @param {Array<Object>} items - Collection items
+ * @param {Object} tags - Tags by item id
+ * @param {Array<string>} selected - Selected tags
+ * @returns {Array<Object>}
+ */
+const filterItemsByTags = (items, tags, selected) => {
+    return items.filter(({ id }) => selected.every((tag) => (tags[id] || []).includes(tag)));
+};
+
+module.exports = {
+    normalizeData,
+    toCollectionItem,
+    getDeepLinks,
+    addCollection,
+    renameCollection,
+    removeCollection,
+    setCollectionOnBoard,
+    addItems,
+    removeItems,
+    moveItem,
+    setItemCollections,
+    parseTags,
+    setItemTags,
+    getTags,
+    filterItemsByTags,
+};
@@ -0,0 +1,35 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Storage adapters keep the collections data somewhere, they all have the same
+// async read and write and tell when the data changed elsewhere, so the service
+// doesn't need to know where it goes.
+
+/**
+ * Keeps the collections with the profile, which syncs them with the account.
+ * @param {Object} profileStorage - Profile storage service
+ * @param {string} key - Profile storage key
+ */
+const createProfileStorageAdapter = (profileStorage, key) => ({
+    read: async () => {
+        const data = profileStorage.get(key);
+        return data !== undefined ? data : null;
+    },
+    write: async (data) => {
+        profileStorage.set(key, data);
+    },
+    // Called when the collections were changed on another device or window
+    subscribe: (listener) => {
+        const onValueChanged = (changed) => {
+            if (changed === key) {
+                listener();
+            }
+        };
+
+        profileStorage.on('valueChanged', onValueChanged);
+        return () => profileStorage.off('valueChanged', onValueChanged);
+    },
+});
+
+module.exports = {
+    createProfileStorageAdapter,
+};
@@ -18,8 +18,8 @@ interface CoreTransport {
     dispatch: (action: Action, model?: string) => Promise<void>,
     decodeStream: (stream: string) => Promise<Stream>,
     analytics: (event: AnalyticsEvent) => Promise<void>,
-    on: (name: string, listener: () => void) => void,
-    off: (name: string, listener: () => void) => void,
+    on: (name: string, listener: (...args: any[]) => void) => void,
+    off: (name: string, listener: (...args: any[]) => void) => void,
 }
 
 interface Core {
@@ -0,0 +1,376 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+const { STATUS, getNextItem, exceedsCache, getStatsUrl, isFileCached, getResponseSize, moveItem } = require('./queue');
+const { readFolder, writeFolder } = require('./folderStorage');
+
+const STORAGE_KEY = 'downloads';
+const PROGRESS_INTERVAL = 500;
+const FOLDER_ERRORS = ['DOWNLOADS_ERROR_NO_FOLDER', 'DOWNLOADS_ERROR_FOLDER_PERMISSION'];
+
+// Downloads interrupted by closing the app are queued again
+function readItems() {
+    try {
+        const items = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(items) ?
+            items.map((item) => item.status === STATUS.DOWNLOADING ? { ...item, status: STATUS.QUEUED } : item)
+            :
+            [];
+    } catch (_error) {
+        return [];
+    }
+}
+
+function writeItems(items) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (error) {
+        console.error('Downloads', error);
+    }
+}
+
+function DownloadError(code) {
+    this.code = code;
+}
+
+function Downloads() {
+    let active = false;
+    let items = readItems();
+    let folder = null;
+    let folderPermission = null;
+    let folderLoaded = false;
+    let current = null;
+
+    const events = new EventEmitter();
+
+    function updateItem(id, changes) {
+        items = items.map((item) => item.id === id ? { ...item, ...changes } : item);
+    }
+    function onItemsChanged() {
+        writeItems(items);
+        events.emit('itemsChanged');
+    }
+    function onFolderChanged() {
+        events.emit('folderChanged');
+    }
+    // Items that failed for the lack of a folder are downloaded once one can be written to
+    function retryFolderItems() {
+        items = items.map((item) => item.status === STATUS.ERROR && FOLDER_ERRORS.includes(item.error) ?
+            { ...item, status: STATUS.QUEUED, error: null }
+            :
+            item
+        );
+        onItemsChanged();
+        next();
+    }
+    // Access to a folder restored after a reload has to be granted again
+    async function loadFolder() {
+        try {
+            folder = await readFolder();
+            folderPermission = folder !== null ? await folder.queryPermission({ mode: 'readwrite' }) : null;
+        } catch (error) {
+            console.error('Downloads', error);
+        }
+
+        folderLoaded = true;
+        onFolderChanged();
+        next();
+    }
+    async function openFile(item) {
+        if (folder === null) {
+            throw new DownloadError('DOWNLOADS_ERROR_NO_FOLDER');
+        }
+
+        const permission = await folder.queryPermission({ mode: 'readwrite' });
+        if (permission !== folderPermission) {
+            folderPermission = permission;
+            onFolderChanged();
+        }
+        if (permission !== 'granted') {
+            throw new DownloadError('DOWNLOADS_ERROR_FOLDER_PERMISSION');
+        }
+
+        const file = await folder.getFileHandle(item.fileName, { create: true });
+        const writable = await file.createWritable({ keepExistingData: item.downloaded > 0 });
+        await writable.seek(item.downloaded);
+        return writable;
+    }
+    async function fetchStats(url) {
+        try {
+            const response = await fetch(getStatsUrl(url));
+            return response.ok ? await response.json() : null;
+        } catch (_error) {
+            return null;
+        }
+    }
+    async function download(item) {
+        const controller = new AbortController();
+        let downloaded = item.downloaded;
+        let writable = null;
+        current = { id: item.id, controller };
+        updateItem(item.id, { status: STATUS.DOWNLOADING, error: null });
+        onItemsChanged();
+        try {
+            if (item.destination === 'folder') {
+                writable = await openFile(item);
+            }
+
+            const response = await fetch(item.url, {
+                signal: controller.signal,
+                headers: downloaded > 0 ? { Range: `bytes=${downloaded}-` } : {}
+            });
+            if (!response.ok) {
+                throw new DownloadError('DOWNLOADS_ERROR_NETWORK');
+            }
+
+            // Servers that don't support ranges send the whole file again
+            if (downloaded > 0 && response.status !== 206) {
+                downloaded = 0;
+                writable !== null && await writable.truncate(0);
+            }
+
+            const size = getResponseSize(response.headers);
+            if (item.destination === 'cache' && size !== null && exceedsCache(items, item.id, size, item.cacheSize)) {
+                throw new DownloadError('DOWNLOADS_ERROR_CACHE_FULL');
+            }
+
+            updateItem(item.id, { size, downloaded });
+            onItemsChanged();
+            const reader = response.body.getReader();
+            let progressTime = Date.now();
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+
+                // Data meant for the streaming server cache is only read so that the server fetches it
+                writable !== null && await writable.write(value);
+                downloaded += value.byteLength;
+                // Without a known size the cache is checked as the data comes
+                if (item.destination === 'cache' && size === null && exceedsCache(items, item.id, downloaded, item.cacheSize)) {
+                    controller.abort();
+                    throw new DownloadError('DOWNLOADS_ERROR_CACHE_FULL');
+                }
+                if (Date.now() - progressTime >= PROGRESS_INTERVAL) {
+                    progressTime = Date.now();
+                    updateItem(item.id, { downloaded });
+                    onItemsChanged();
+                }
+            }
+
+            writable !== null && await writable.close();
+            // The server only keeps the file for offline viewing once all of its pieces are cached
+            if (item.destination === 'cache' && !isFileCached(await fetchStats(item.url))) {
+                downloaded = 0;
+                throw new DownloadError('DOWNLOADS_ERROR_NOT_CACHED');
+            }
+
+            updateItem(item.id, { status: STATUS.COMPLETED, size: size !== null ? size : downloaded, downloaded });
+        } catch (error) {
+            // Closing keeps what was written so far, resuming continues from there
+            if (writable !== null) {
+                await writable.close().catch((closeError) => console.error('Downloads', closeError));
+            }
+            if (controller.signal.aborted && !(error instanceof DownloadError)) {
+                updateItem(item.id, { downloaded });
+            } else {
+                updateItem(item.id, {
+                    status: STATUS.ERROR,
+                    error: error instanceof DownloadError ? error.code : 'DOWNLOADS_ERROR_NETWORK',
+                    downloaded
+                });
+            }
+        }
+
+        current = null;
+        onItemsChanged();
+        next();
+    }
+    function next() {
+        if (!active || !folderLoaded || current !== null) {
+            return;
+        }
+
+        const item = getNextItem(items);
+        if (item !== null) {
+            download(item);
+        }
+    }
+    function onStateChanged() {
+        events.emit('stateChanged');
+    }
+
+    const folderLoading = loadFolder();
+
+    Object.defineProperties(this, {
+        active: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return active;
+            }
+        },
+        items: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return items;
+            }
+        },
+        folder: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return folder !== null ? folder.name : null;
+            }
+        },
+        folderPermission: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return folderPermission;
+            }
+        },
+        folderSupported: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return typeof window.showDirectoryPicker === 'function';
+            }
+        }
+    });
+
+    this.start = function() {
+        if (active) {
+            return;
+        }
+
+        active = true;
+        onStateChanged();
+        next();
+    };
+    this.stop = function() {
+        if (current !== null) {
+            updateItem(current.id, { status: STATUS.QUEUED });
+            current.controller.abort();
+        }
+
+        active = false;
+        onStateChanged();
+    };
+    this.add = function({ id, metaId, title, fileName, url, destination, cacheSize, deepLinks }) {
+        if (items.some((item) => item.id === id)) {
+            return false;
+        }
+
+        items = items.concat({
+            id,
+            metaId,
+            title,
+            fileName,
+            url,
+            destination,
+            cacheSize,
+            deepLinks,
+            size: null,
+            downloaded: 0,
+            status: STATUS.QUEUED,
+            error: null,
+            added: Date.now()
+        });
+        onItemsChanged();
+        next();
+        return true;
+    };
+    this.pause = function(id) {
+        updateItem(id, { status: STATUS.PAUSED });
+        onItemsChanged();
+        if (current !== null && current.id === id) {
+            current.controller.abort();
+        }
+    };
+    this.resume = function(id) {
+        updateItem(id, { status: STATUS.QUEUED, error: null });
+        onItemsChanged();
+        next();
+    };
+    this.remove = function(id) {
+        const item = items.find((item) => item.id === id);
+        if (!item) {
+            return;
+        }
+
+        items = items.filter((item) => item.id !== id);
+        onItemsChanged();
+        if (current !== null && current.id === id) {
+            current.controller.abort();
+        }
+        if (item.destination === 'folder' && folder !== null) {
+            folder.removeEntry(item.fileName).catch((error) => console.error('Downloads', error));
+        }
+    };
+    this.move = function(id, offset) {
+        items = moveItem(items, id, offset);
+        onItemsChanged();
+    };
+    this.chooseFolder = async function() {
+        folder = await window.showDirectoryPicker({ id: 'downloads', mode: 'readwrite' });
+        folderPermission = 'granted';
+        onFolderChanged();
+        writeFolder(folder).catch((error) => console.error('Downloads', error));
+        retryFolderItems();
+    };
+    this.requestFolderPermission = async function() {
+        if (folder === null) {
+            return;
+        }
+
+        folderPermission = await folder.requestPermission({ mode: 'readwrite' });
+        onFolderChanged();
+        if (folderPermission === 'granted') {
+            retryFolderItems();
+        }
+    };
+    /**
+     * Gives a url the player can read a file saved to the downloads folder from,
+     * it has to be revoked with URL.revokeObjectURL once the file is not played anymore.
+     * @param {string} id - Id of the download
+     * @returns {Promise<string>} Object url of the file
+     */
+    this.getFileUrl = async function(id) {
+        await folderLoading;
+        const item = items.find((item) => item.id === id);
+        if (!item || item.destination !== 'folder' || item.status !== STATUS.COMPLETED) {
+            throw new DownloadError('DOWNLOADS_ERROR_NOT_FOUND');
+        }
+        if (folder === null) {
+            throw new DownloadError('DOWNLOADS_ERROR_NO_FOLDER');
+        }
+
+        const permission = await folder.queryPermission({ mode: 'read' }) === 'granted' ?
+            'granted'
+            :
+            await folder.requestPermission({ mode: 'read' });
+        if (permission !== 'granted') {
+            throw new DownloadError('DOWNLOADS_ERROR_FOLDER_PERMISSION');
+        }
+
+        const file = await folder.getFileHandle(item.fileName);
+        return URL.createObjectURL(await file.getFile());
+    };
+    this.clearFolder = function() {
+        folder = null;
+        folderPermission = null;
+        onFolderChanged();
+        writeFolder(null).catch((error) => console.error('Downloads', error));
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+module.exports = Downloads;
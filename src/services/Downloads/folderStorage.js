@@ -0,0 +1,55 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Folder handles can't be written to the local storage, but IndexedDB keeps them
+const DATABASE_NAME = 'downloads';
+const STORE_NAME = 'folder';
+const FOLDER_KEY = 'folder';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function runTransaction(mode, run) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = run(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+async function readFolder() {
+    if (typeof window.indexedDB === 'undefined') {
+        return null;
+    }
+
+    const folder = await runTransaction('readonly', (store) => store.get(FOLDER_KEY));
+    return folder !== undefined ? folder : null;
+}
+
+async function writeFolder(folder) {
+    if (typeof window.indexedDB === 'undefined') {
+        return;
+    }
+
+    await runTransaction('readwrite', (store) => folder !== null ? store.put(folder, FOLDER_KEY) : store.delete(FOLDER_KEY));
+}
+
+module.exports = {
+    readFolder,
+    writeFolder,
+};
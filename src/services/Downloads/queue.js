@@ -0,0 +1,110 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const STATUS = {
+    QUEUED: 'queued',
+    DOWNLOADING: 'downloading',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    ERROR: 'error',
+};
+
+/**
+ * Picks the item to download next, items are downloaded one at a time in queue order.
+ * @param {Array<Object>} items - Download items in queue order
+ * @returns {Object|null} The first queued item or null when one is already downloading
+ */
+const getNextItem = (items) => {
+    if (items.some(({ status }) => status === STATUS.DOWNLOADING)) {
+        return null;
+    }
+
+    return items.find(({ status }) => status === STATUS.QUEUED) || null;
+};
+
+/**
+ * Sums the bytes the downloads keep in the streaming server cache.
+ * @param {Array<Object>} items - Download items
+ * @param {string} [exceptId] - Item to leave out of the sum
+ * @returns {number} Used bytes
+ */
+const getCacheUsage = (items, exceptId) => {
+    return items
+        .filter(({ id, destination }) => destination === 'cache' && id !== exceptId)
+        .reduce((usage, { size, downloaded }) => usage + (size !== null ? size : downloaded), 0);
+};
+
+/**
+ * Tells whether keeping more bytes in the streaming server cache would go over its size.
+ * @param {Array<Object>} items - Download items
+ * @param {string} id - Item the bytes are downloaded for
+ * @param {number} bytes - Bytes of the item
+ * @param {number|null} cacheSize - Size of the cache, null when unlimited
+ * @returns {boolean}
+ */
+const exceedsCache = (items, id, bytes, cacheSize) => {
+    return cacheSize !== null && getCacheUsage(items, id) + bytes > cacheSize;
+};
+
+/**
+ * Links to the statistics the streaming server keeps for a file of a torrent.
+ * @param {string} url - Streaming server url of the file
+ * @returns {string}
+ */
+const getStatsUrl = (url) => {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname.replace(/\/$/, '')}/stats.json`;
+};
+
+/**
+ * Reads from the statistics of a file whether all of its pieces are in the streaming server cache.
+ * @param {Object|null} stats - Statistics of the file
+ * @returns {boolean}
+ */
+const isFileCached = (stats) => {
+    return stats !== null && typeof stats === 'object' && typeof stats.streamProgress === 'number' && stats.streamProgress >= 1;
+};
+
+/**
+ * Reads the full size of the file from the headers of a whole or partial response.
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} Size in bytes, null when unknown
+ */
+const getResponseSize = (headers) => {
+    const range = /\/(\d+)$/.exec(headers.get('Content-Range') || '');
+    if (range !== null) {
+        return parseInt(range[1], 10);
+    }
+
+    const length = parseInt(headers.get('Content-Length'), 10);
+    return !isNaN(length) ? length : null;
+};
+
+/**
+ * Moves an item up or down the queue.
+ * @param {Array<Object>} items - Download items in queue order
+ * @param {string} id - Item to move
+ * @param {number} offset - Positions to move by, negative to move up
+ * @returns {Array<Object>} Reordered items
+ */
+const moveItem = (items, id, offset) => {
+    const index = items.findIndex((item) => item.id === id);
+    const target = Math.min(Math.max(index + offset, 0), items.length - 1);
+    if (index === -1 || index === target) {
+        return items;
+    }
+
+    const reordered = items.slice();
+    reordered.splice(target, 0, ...reordered.splice(index, 1));
+    return reordered;
+};
+
+module.exports = {
+    STATUS,
+    getNextItem,
+    getCacheUsage,
+    exceedsCache,
+    getStatsUrl,
+    isFileCached,
+    getResponseSize,
+    moveItem,
+};
@@ -13,41 +13,6 @@ function KeyboardShortcuts() {
         }
 
         switch (event.code) {
-            case 'Digit0': {
-                event.preventDefault();
-                window.location = '#/search';
-                break;
-            }
-            case 'Digit1': {
-                event.preventDefault();
-                window.location = '#/';
-                break;
-            }
-            case 'Digit2': {
-                event.preventDefault();
-                window.location = '#/discover';
-                break;
-            }
-            case 'Digit3': {
-                event.preventDefault();
-                window.location = '#/library';
-                break;
-            }
-            case 'Digit4': {
-                event.preventDefault();
-                window.location = '#/calendar';
-                break;
-            }
-            case 'Digit5': {
-                event.preventDefault();
-                window.location = '#/addons';
-                break;
-            }
-            case 'Digit6': {
-                event.preventDefault();
-                window.location = '#/settings';
-                break;
-            }
             case 'Backspace': {
                 event.preventDefault();
                 if (event.ctrlKey) {
@@ -0,0 +1,202 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+const Video = require('@stremio/stremio-video');
+
+const INITIAL_VIDEO_STATE = {
+    manifest: null,
+    stream: null,
+    paused: null,
+    time: null,
+    duration: null,
+    buffering: null,
+    buffered: null,
+    volume: null,
+    muted: null,
+    playbackSpeed: null,
+    videoParams: null,
+    audioTracks: [],
+    selectedAudioTrackId: null,
+    subtitlesTracks: [],
+    selectedSubtitlesTrackId: null,
+    subtitlesDelay: null,
+    subtitlesOffset: null,
+    subtitlesSize: null,
+    subtitlesFont: null,
+    subtitlesTextColor: null,
+    subtitlesBackgroundColor: null,
+    subtitlesBackgroundOpacity: null,
+    subtitlesOutlineColor: null,
+    subtitlesOutlineSize: null,
+    extraSubtitlesTracks: [],
+    selectedExtraSubtitlesTrackId: null,
+    extraSubtitlesSize: null,
+    extraSubtitlesDelay: null,
+    extraSubtitlesOffset: null,
+    extraSubtitlesTextColor: null,
+    extraSubtitlesBackgroundColor: null,
+    extraSubtitlesOutlineColor: null,
+};
+
+const FORWARDED_EVENTS = ['error', 'ended', 'subtitlesTrackLoaded', 'extraSubtitlesTrackLoaded', 'extraSubtitlesTrackAdded'];
+
+// Owns the video outside of the player route, so that playback can go on in
+// the mini player while browsing. The video renders in a single container
+// element which is moved between the player and the mini player.
+function Playback() {
+    let active = false;
+    let video = null;
+    let videoState = INITIAL_VIDEO_STATE;
+    let miniPlayer = null;
+
+    const containerElement = document.createElement('div');
+    containerElement.style.width = '100%';
+    containerElement.style.height = '100%';
+
+    const events = new EventEmitter();
+
+    function onStateChanged() {
+        events.emit('stateChanged');
+    }
+    function onMiniPlayerChanged() {
+        events.emit('miniPlayerChanged');
+    }
+    function dispatch(action, options) {
+        if (video !== null) {
+            try {
+                video.dispatch(action, {
+                    ...options,
+                    containerElement,
+                });
+            } catch (error) {
+                console.error('Video:', error);
+            }
+        }
+    }
+    function onPropChanged(name, value) {
+        videoState = {
+            ...videoState,
+            [name]: value
+        };
+        events.emit('videoStateChanged');
+    }
+    function onImplementationChanged(manifest) {
+        manifest.props.forEach((propName) => dispatch({ type: 'observeProp', propName }));
+        videoState = {
+            ...videoState,
+            manifest
+        };
+        events.emit('videoStateChanged');
+        events.emit('implementationChanged', manifest);
+    }
+    function createVideo() {
+        video = new Video();
+        video.on('propChanged', onPropChanged);
+        video.on('propValue', onPropChanged);
+        video.on('implementationChanged', onImplementationChanged);
+        FORWARDED_EVENTS.forEach((name) => {
+            video.on(name, (...args) => events.emit(name, ...args));
+        });
+    }
+    function destroyVideo() {
+        if (video !== null) {
+            try {
+                video.destroy();
+            } catch (error) {
+                console.error('Error destroying video:', error);
+            }
+        }
+
+        video = null;
+        videoState = INITIAL_VIDEO_STATE;
+    }
+
+    Object.defineProperties(this, {
+        active: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return active;
+            }
+        },
+        videoState: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return videoState;
+            }
+        },
+        miniPlayer: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return miniPlayer;
+            }
+        }
+    });
+
+    this.start = function() {
+        if (active) {
+            return;
+        }
+
+        createVideo();
+        active = true;
+        onStateChanged();
+    };
+    this.stop = function() {
+        destroyVideo();
+        miniPlayer = null;
+        active = false;
+        onStateChanged();
+    };
+    this.dispatch = dispatch;
+    this.setProp = function(name, value) {
+        dispatch({ type: 'setProp', propName: name, propValue: value });
+    };
+    // Moves the video into the given element, keeping it playing
+    this.mount = function(element) {
+        if (containerElement.parentElement !== element) {
+            element.appendChild(containerElement);
+        }
+    };
+    // Starts over with a new video, stopping whatever was playing
+    this.reset = function() {
+        if (!active) {
+            return;
+        }
+
+        destroyVideo();
+        createVideo();
+        events.emit('videoStateChanged');
+        if (miniPlayer !== null) {
+            miniPlayer = null;
+            onMiniPlayerChanged();
+        }
+    };
+    // Keeps the video playing after the player is left, until it is restored or closed
+    this.minimize = function({ title, href, session }) {
+        miniPlayer = { title, href, session };
+        onMiniPlayerChanged();
+    };
+    // Hands the video back to the player opened at href, if it was minimized from there
+    this.restore = function(href) {
+        if (miniPlayer === null || miniPlayer.href !== href) {
+            return false;
+        }
+
+        miniPlayer = null;
+        onMiniPlayerChanged();
+        return true;
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+Playback.INITIAL_VIDEO_STATE = INITIAL_VIDEO_STATE;
+
+module.exports = Playback;
@@ -0,0 +1,183 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+const debounce = require('lodash.debounce');
+const { normalizeData, toDatastoreItem, fromDatastoreItem, mergeEntries, createDatastoreApi } = require('./datastore');
+
+const STORAGE_KEY = 'profileStorage';
+const API_URL = 'https://api.strem.io';
+const PUSH_DELAY = 1000;
+
+function readData() {
+    try {
+        return normalizeData(JSON.parse(window.localStorage.getItem(STORAGE_KEY)));
+    } catch (_error) {
+        return normalizeData(null);
+    }
+}
+
+function writeData(data) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+        console.error('Profile storage', error);
+    }
+}
+
+/**
+ * Keeps values the core has no settings for with the profile of the logged in
+ * account. They are cached on this device, which is all there is while logged out.
+ */
+function ProfileStorage({ core }) {
+    let active = false;
+    let data = readData();
+    let authKey = null;
+
+    const keys = new Set();
+    const outdated = new Set();
+    const events = new EventEmitter();
+
+    function onValuesChanged(changed) {
+        changed.forEach((key) => events.emit('valueChanged', key));
+    }
+    async function getAuth() {
+        if (!core.active) {
+            return null;
+        }
+
+        const ctx = await core.transport.getState('ctx');
+        return ctx.profile.auth;
+    }
+    async function push() {
+        const auth = await getAuth();
+        if (auth === null || auth.user._id !== data.account) {
+            return;
+        }
+
+        const pushed = Array.from(outdated).filter((key) => data.entries[key]);
+        outdated.clear();
+        if (pushed.length > 0) {
+            await createDatastoreApi({ url: API_URL, authKey: auth.key })
+                .put(pushed.map((key) => toDatastoreItem(key, data.entries[key])));
+        }
+    }
+    const pushDebounced = debounce(() => {
+        push().catch((error) => console.error('Profile storage', error));
+    }, PUSH_DELAY);
+    async function pull(pulled) {
+        const auth = await getAuth();
+        if (!active || auth === null || pulled.length === 0) {
+            return;
+        }
+
+        const items = await createDatastoreApi({ url: API_URL, authKey: auth.key }).get(pulled);
+        const remote = (Array.isArray(items) ? items : [])
+            .map(fromDatastoreItem)
+            .filter((entry) => entry !== null)
+            .reduce((remote, { key, value, mtime }) => ({ ...remote, [key]: { value, mtime } }), {});
+        const merged = mergeEntries(data, auth.user._id, remote, pulled);
+        data = merged.data;
+        writeData(data);
+        onValuesChanged(merged.changed);
+        if (merged.outdated.length > 0) {
+            merged.outdated.forEach((key) => outdated.add(key));
+            pushDebounced();
+        }
+    }
+    // The values are read from the account again each time someone logs in
+    async function sync() {
+        const auth = await getAuth();
+        const nextAuthKey = auth !== null ? auth.key : null;
+        if (nextAuthKey !== authKey) {
+            authKey = nextAuthKey;
+            await pull(Array.from(keys));
+        }
+    }
+    function onNewState(models) {
+        if (models.includes('ctx')) {
+            sync().catch((error) => console.error('Profile storage', error));
+        }
+    }
+    function onCoreStateChanged() {
+        if (core.transport !== null) {
+            core.transport.off('NewState', onNewState);
+        }
+        if (core.active) {
+            core.transport.on('NewState', onNewState);
+            onNewState(['ctx']);
+        }
+    }
+    // Values changed in another window apply here as well
+    function onStorage(event) {
+        if (event.storageArea !== window.localStorage || event.key !== STORAGE_KEY) {
+            return;
+        }
+
+        const mtime = (entry) => entry ? entry.mtime : null;
+        const previous = data;
+        data = readData();
+        onValuesChanged(Array.from(keys).filter((key) => mtime(previous.entries[key]) !== mtime(data.entries[key])));
+    }
+
+    Object.defineProperties(this, {
+        active: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return active;
+            }
+        }
+    });
+
+    this.start = function() {
+        if (active) {
+            return;
+        }
+
+        active = true;
+        core.on('stateChanged', onCoreStateChanged);
+        window.addEventListener('storage', onStorage);
+        onCoreStateChanged();
+    };
+    this.stop = function() {
+        active = false;
+        authKey = null;
+        core.off('stateChanged', onCoreStateChanged);
+        window.removeEventListener('storage', onStorage);
+        if (core.transport !== null) {
+            core.transport.off('NewState', onNewState);
+        }
+        pushDebounced.flush();
+    };
+    /**
+     * Reads a value, it is read from the account as well the first time.
+     * @param {string} key - Key of the value
+     * @returns {any} The value or undefined when it was never set
+     */
+    this.get = function(key) {
+        if (!keys.has(key)) {
+            keys.add(key);
+            if (active && authKey !== null) {
+                pull([key]).catch((error) => console.error('Profile storage', error));
+            }
+        }
+
+        return data.entries[key] ? data.entries[key].value : undefined;
+    };
+    this.set = function(key, value) {
+        keys.add(key);
+        data = { ...data, entries: { ...data.entries, [key]: { value, mtime: Date.now() } } };
+        writeData(data);
+        onValuesChanged([key]);
+        outdated.add(key);
+        pushDebounced();
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+module.exports = ProfileStorage;
@@ -0,0 +1,145 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// The core drops settings it doesn't know, so the values are kept with the
+// account in its library datastore instead. Each value is a removed library
+// item of type 'other', which no library or continue watching row shows.
+const ITEM_ID_PREFIX = 'stremio-web:';
+
+const toItemId = (key) => `${ITEM_ID_PREFIX}${key}`;
+
+/**
+ * Reads the stored values, falling back to nothing stored when they are missing or malformed.
+ * @param {Object|null|undefined} data - Stored data
+ * @returns {{ account: string|null, entries: Object }}
+ */
+const normalizeData = (data) => {
+    const valid = data !== null && typeof data === 'object';
+    return {
+        account: valid && typeof data.account === 'string' ? data.account : null,
+        entries: valid && data.entries !== null && typeof data.entries === 'object' ? data.entries : {},
+    };
+};
+
+/**
+ * Wraps a value in a library item, the core never changes the name of the items it syncs.
+ * @param {string} key - Key of the value
+ * @param {{ value: any, mtime: number }} entry - Value and the time it was changed
+ * @returns {Object} Library item
+ */
+const toDatastoreItem = (key, { value, mtime }) => {
+    const time = new Date(mtime).toISOString();
+    return {
+        _id: toItemId(key),
+        name: JSON.stringify(value),
+        type: 'other',
+        poster: null,
+        posterShape: 'square',
+        removed: true,
+        temp: false,
+        _ctime: time,
+        _mtime: time,
+        state: {
+            lastWatched: null,
+            timeWatched: 0,
+            timeOffset: 0,
+            overallTimeWatched: 0,
+            timesWatched: 0,
+            flaggedWatched: 0,
+            duration: 0,
+            video_id: null,
+            watched: null,
+            noNotif: true,
+        },
+        behaviorHints: {
+            defaultVideoId: null,
+            featuredVideoId: null,
+            hasScheduledVideos: false,
+        },
+    };
+};
+
+/**
+ * Reads a value back from its library item.
+ * @param {Object} item - Library item
+ * @returns {{ key: string, value: any, mtime: number }|null}
+ */
+const fromDatastoreItem = (item) => {
+    if (item === null || typeof item !== 'object' || typeof item._id !== 'string' || !item._id.startsWith(ITEM_ID_PREFIX)) {
+        return null;
+    }
+
+    const mtime = new Date(item._mtime).getTime();
+    try {
+        return isNaN(mtime) ? null : { key: item._id.slice(ITEM_ID_PREFIX.length), value: JSON.parse(item.name), mtime };
+    } catch (_error) {
+        return null;
+    }
+};
+
+/**
+ * Merges the values of this device with the ones stored with the account, the
+ * most recently changed wins. Values changed while logged out go to the first
+ * account logged in and the ones of another account are replaced.
+ * @param {{ account: string|null, entries: Object }} local - Values of this device
+ * @param {string} account - Id of the logged in account
+ * @param {Object} remote - Entries of the account by key
+ * @param {Array<string>} keys - Keys that were read from the account
+ * @returns {{ data: Object, changed: Array<string>, outdated: Array<string> }} Merged values, keys changed
+ * on this device and keys the account is missing changes of
+ */
+const mergeEntries = (local, account, remote, keys) => {
+    const entries = local.account === null || local.account === account ? local.entries : {};
+    return keys.reduce((result, key) => {
+        const entry = entries[key];
+        const remoteEntry = remote[key];
+        if (remoteEntry && (!entry || remoteEntry.mtime > entry.mtime)) {
+            result.data.entries[key] = remoteEntry;
+            result.changed.push(key);
+        } else if (entry && (!remoteEntry || entry.mtime > remoteEntry.mtime)) {
+            result.outdated.push(key);
+        } else if (!entry && local.entries[key]) {
+            delete result.data.entries[key];
+            result.changed.push(key);
+        }
+
+        return result;
+    }, { data: { account, entries: { ...entries } }, changed: [], outdated: [] });
+};
+
+/**
+ * Client of the datastore of the Stremio API.
+ * @param {Object} options
+ * @param {string} options.url - Base url of the API
+ * @param {string} options.authKey - Auth key of the user
+ * @returns {Object}
+ */
+const createDatastoreApi = ({ url, authKey }) => {
+    const request = async (method, body) => {
+        const response = await fetch(`${url}/api/${method}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ authKey, collection: 'libraryItem', ...body }),
+        });
+        const json = await response.json();
+        if (!response.ok || json.error) {
+            throw new Error(json.error && typeof json.error.message === 'string' ? json.error.message : `Request failed with status ${response.status}`);
+        }
+
+        return json.result;
+    };
+
+    return {
+        get: (keys) => request('datastoreGet', { ids: keys.map(toItemId), all: false }),
+        put: (items) => request('datastorePut', { changes: items }),
+    };
+};
+
+module.exports = {
+    normalizeData,
+    toDatastoreItem,
+    fromDatastoreItem,
+    mergeEntries,
+    createDatastoreApi,
+};
@@ -0,0 +1,235 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+const { DEFAULT_MAPPING, REPEATED_ACTIONS, parseAction } = require('./inputs');
+
+const STORAGE_KEY = 'remoteControlMapping';
+const AXIS_THRESHOLD = 0.6;
+const REPEAT_DELAY = 400;
+const REPEAT_INTERVAL = 120;
+
+const NAVIGATION_DIRECTIONS = {
+    navigateUp: 'up',
+    navigateDown: 'down',
+    navigateLeft: 'left',
+    navigateRight: 'right',
+};
+
+function readMapping() {
+    try {
+        const mapping = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return mapping !== null && typeof mapping === 'object' ? mapping : { ...DEFAULT_MAPPING };
+    } catch (_error) {
+        return { ...DEFAULT_MAPPING };
+    }
+}
+
+function writeMapping(mapping) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(mapping));
+    } catch (error) {
+        console.error('Remote control', error);
+    }
+}
+
+// Remotes that don't name their keys are told apart by key code
+function getKeyInput(event) {
+    return event.key !== 'Unidentified' ? `key:${event.key}` : `key:${event.keyCode}`;
+}
+
+function RemoteControl() {
+    let active = false;
+    let mapping = readMapping();
+    let capture = null;
+    let frameId = null;
+    const pressed = new Map();
+
+    const events = new EventEmitter();
+
+    function execute(action) {
+        const { type, name, combo } = parseAction(action);
+        if (NAVIGATION_DIRECTIONS[action] && typeof window.navigate === 'function') {
+            window.navigate(NAVIGATION_DIRECTIONS[action]);
+        } else if (action === 'select') {
+            if (document.activeElement instanceof HTMLElement && document.activeElement !== document.body) {
+                document.activeElement.click();
+            }
+        } else if (action === 'back') {
+            window.history.back();
+        } else if (action === 'hints') {
+            events.emit('hints');
+        } else if (type === 'shortcut') {
+            events.emit('shortcut', name, combo);
+        }
+    }
+    function onInput(input, repeated) {
+        if (capture !== null) {
+            if (!repeated) {
+                const callback = capture;
+                capture = null;
+                callback(input);
+            }
+
+            return;
+        }
+
+        const action = mapping[input];
+        if (typeof action === 'string' && (!repeated || REPEATED_ACTIONS.includes(action))) {
+            execute(action);
+        }
+    }
+    function poll() {
+        const now = Date.now();
+        const current = new Set();
+        Array.from(navigator.getGamepads())
+            .filter((gamepad) => gamepad !== null && gamepad.connected)
+            .forEach((gamepad) => {
+                gamepad.buttons.forEach((button, index) => {
+                    if (button.pressed) {
+                        current.add(`button:${index}`);
+                    }
+                });
+                gamepad.axes.forEach((value, index) => {
+                    if (value <= -AXIS_THRESHOLD) {
+                        current.add(`axis:${index}:-`);
+                    } else if (value >= AXIS_THRESHOLD) {
+                        current.add(`axis:${index}:+`);
+                    }
+                });
+            });
+        current.forEach((input) => {
+            const state = pressed.get(input);
+            if (!state) {
+                pressed.set(input, { repeatAt: now + REPEAT_DELAY });
+                onInput(input, false);
+            } else if (now >= state.repeatAt) {
+                state.repeatAt = now + REPEAT_INTERVAL;
+                onInput(input, true);
+            }
+        });
+        pressed.forEach((_state, input) => {
+            if (!current.has(input)) {
+                pressed.delete(input);
+            }
+        });
+        frameId = requestAnimationFrame(poll);
+    }
+    function startPolling() {
+        if (frameId === null) {
+            frameId = requestAnimationFrame(poll);
+        }
+    }
+    function stopPolling() {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+        pressed.clear();
+    }
+    function getGamepadsCount() {
+        return typeof navigator.getGamepads === 'function' ?
+            Array.from(navigator.getGamepads()).filter((gamepad) => gamepad !== null && gamepad.connected).length
+            :
+            0;
+    }
+    function onGamepadConnected() {
+        startPolling();
+        events.emit('gamepadConnected');
+    }
+    function onGamepadDisconnected() {
+        if (getGamepadsCount() === 0) {
+            stopPolling();
+        }
+
+        events.emit('gamepadDisconnected');
+    }
+    function onKeyDown(event) {
+        // Only named keys can be bound, character keys are left to the keyboard shortcuts
+        if (event.key.length === 1 || event.key === 'Escape') {
+            return;
+        }
+
+        const input = getKeyInput(event);
+        if (capture !== null || typeof mapping[input] === 'string') {
+            event.preventDefault();
+            event.stopPropagation();
+            onInput(input, event.repeat);
+        }
+    }
+    function onStateChanged() {
+        events.emit('stateChanged');
+    }
+
+    Object.defineProperties(this, {
+        active: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return active;
+            }
+        },
+        mapping: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return mapping;
+            }
+        }
+    });
+
+    this.start = function() {
+        if (active) {
+            return;
+        }
+
+        window.addEventListener('gamepadconnected', onGamepadConnected);
+        window.addEventListener('gamepaddisconnected', onGamepadDisconnected);
+        window.addEventListener('keydown', onKeyDown, true);
+        if (getGamepadsCount() > 0) {
+            startPolling();
+        }
+
+        active = true;
+        onStateChanged();
+    };
+    this.stop = function() {
+        window.removeEventListener('gamepadconnected', onGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', onGamepadDisconnected);
+        window.removeEventListener('keydown', onKeyDown, true);
+        stopPolling();
+        capture = null;
+        active = false;
+        onStateChanged();
+    };
+    this.bind = function(input, action) {
+        mapping = { ...mapping, [input]: action };
+        writeMapping(mapping);
+        events.emit('mappingChanged');
+    };
+    this.unbind = function(input) {
+        mapping = { ...mapping };
+        delete mapping[input];
+        writeMapping(mapping);
+        events.emit('mappingChanged');
+    };
+    this.resetMapping = function() {
+        mapping = { ...DEFAULT_MAPPING };
+        writeMapping(mapping);
+        events.emit('mappingChanged');
+    };
+    // The next pressed button, axis or remote key is passed to the callback instead of being executed
+    this.captureInput = function(callback) {
+        capture = callback;
+        return () => {
+            if (capture === callback) {
+                capture = null;
+            }
+        };
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+module.exports = RemoteControl;
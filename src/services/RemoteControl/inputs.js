@@ -0,0 +1,91 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Inputs are identified as button:<index> and axis:<index>:<direction> for the standard
+// gamepad layout and as key:<key> for the keys of TV remotes
+const NAVIGATION_ACTIONS = ['navigateUp', 'navigateDown', 'navigateLeft', 'navigateRight', 'select', 'back', 'hints'];
+
+const DEFAULT_MAPPING = {
+    'button:0': 'select',
+    'button:1': 'back',
+    'button:2': 'shortcut:subtitlesMenu:0',
+    'button:3': 'shortcut:audioMenu:0',
+    'button:4': 'shortcut:seekBackward:0',
+    'button:5': 'shortcut:seekForward:0',
+    'button:6': 'shortcut:volumeDown:0',
+    'button:7': 'shortcut:volumeUp:0',
+    'button:8': 'hints',
+    'button:9': 'shortcut:playPause:0',
+    'button:10': 'shortcut:fullscreen:0',
+    'button:11': 'shortcut:infoMenu:0',
+    'button:12': 'navigateUp',
+    'button:13': 'navigateDown',
+    'button:14': 'navigateLeft',
+    'button:15': 'navigateRight',
+    'axis:0:-': 'navigateLeft',
+    'axis:0:+': 'navigateRight',
+    'axis:1:-': 'navigateUp',
+    'axis:1:+': 'navigateDown',
+    'key:MediaPlayPause': 'shortcut:playPause:0',
+    'key:MediaPlay': 'shortcut:playPause:0',
+    'key:MediaPause': 'shortcut:playPause:0',
+    'key:MediaFastForward': 'shortcut:seekForward:0',
+    'key:MediaRewind': 'shortcut:seekBackward:0',
+    'key:ChannelUp': 'shortcut:seekForward:1',
+    'key:ChannelDown': 'shortcut:seekBackward:1',
+    'key:ColorF0Red': 'shortcut:subtitlesMenu:0',
+    'key:ColorF1Green': 'shortcut:audioMenu:0',
+    'key:ColorF2Yellow': 'shortcut:speedMenu:0',
+    'key:ColorF3Blue': 'shortcut:infoMenu:0',
+    'key:Info': 'hints',
+    'key:GoBack': 'back',
+    'key:BrowserBack': 'back',
+};
+
+// Held inputs mapped to these actions are repeated
+const REPEATED_ACTIONS = [
+    'navigateUp',
+    'navigateDown',
+    'navigateLeft',
+    'navigateRight',
+    'shortcut:seekForward:0',
+    'shortcut:seekForward:1',
+    'shortcut:seekBackward:0',
+    'shortcut:seekBackward:1',
+    'shortcut:volumeUp:0',
+    'shortcut:volumeDown:0',
+];
+
+const BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu', 'LS', 'RS', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+const AXIS_LABELS = [['LS ←', 'LS →'], ['LS ↑', 'LS ↓'], ['RS ←', 'RS →'], ['RS ↑', 'RS ↓']];
+
+const getInputLabel = (input) => {
+    const [type, id, direction] = input.split(':');
+    const index = parseInt(id, 10);
+    switch (type) {
+        case 'button': {
+            return BUTTON_LABELS[index] || `#${index}`;
+        }
+        case 'axis': {
+            return AXIS_LABELS[index] ? AXIS_LABELS[index][direction === '-' ? 0 : 1] : `${direction}${index}`;
+        }
+        default: {
+            return input.slice(type.length + 1);
+        }
+    }
+};
+
+const parseAction = (action) => {
+    const [type, name, combo] = action.split(':');
+    return type === 'shortcut' ?
+        { type, name, combo: parseInt(combo, 10) || 0 }
+        :
+        { type, name: null, combo: null };
+};
+
+module.exports = {
+    NAVIGATION_ACTIONS,
+    DEFAULT_MAPPING,
+    REPEATED_ACTIONS,
+    getInputLabel,
+    parseAction,
+};
@@ -1,7 +1,14 @@
 type ServicesContext = {
     core: Core,
     shell: any,
+    calendarReminders: any,
     chromecast: any,
+    collections: any,
     keyboardShortcuts: any,
+    remoteControl: any,
     dragAndDrop: any,
+    downloads: any,
+    playback: any,
+    profileStorage: any,
+    trakt: any,
 };
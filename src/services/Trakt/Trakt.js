@@ -0,0 +1,358 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const EventEmitter = require('eventemitter3');
+const { TraktError, createTraktApi } = require('./api');
+const { isTraktId, getScrobbleBody, getWatchedHistory, getPendingHistory, addImported, getListItems, toSyncItems, toMetaItemPreview, mergeWatchlist, getRatingStatus, getTraktRating } = require('./sync');
+
+const STORAGE_KEY = 'trakt';
+const API_URL = typeof process.env.TRAKT_API_URL === 'string' ? process.env.TRAKT_API_URL : 'https://api.trakt.tv';
+// Without a client id Trakt refuses every request, so the sync is left out of such builds
+const CLIENT_ID = typeof process.env.TRAKT_CLIENT_ID === 'string' && process.env.TRAKT_CLIENT_ID.length > 0 ? process.env.TRAKT_CLIENT_ID : null;
+
+const STATUS = {
+    IDLE: 'idle',
+    SYNCING: 'syncing',
+    ERROR: 'error',
+};
+
+const INITIAL_STATE = {
+    scrobble: true,
+    lastSync: null,
+    synced: null,
+    history: {},
+    imported: {},
+    ratings: {},
+    localRatings: {},
+    summary: null,
+};
+
+function readState() {
+    try {
+        const state = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return state !== null && typeof state === 'object' ? { ...INITIAL_STATE, ...state } : INITIAL_STATE;
+    } catch (_error) {
+        return INITIAL_STATE;
+    }
+}
+
+function writeState(state) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Trakt', error);
+    }
+}
+
+function Trakt({ core }) {
+    let active = false;
+    let state = readState();
+    let status = STATUS.IDLE;
+    let error = null;
+    let nowPlaying = null;
+
+    const events = new EventEmitter();
+
+    function updateState(changes) {
+        state = { ...state, ...changes };
+        writeState(state);
+        events.emit('syncChanged');
+    }
+    function setStatus(nextStatus, nextError) {
+        status = nextStatus;
+        error = nextError;
+        events.emit('syncChanged');
+    }
+    // The access token is the one of the Trakt account linked to the Stremio one
+    async function getApi() {
+        if (!core.active) {
+            return null;
+        }
+
+        const ctx = await core.transport.getState('ctx');
+        const trakt = ctx.profile.auth !== null ? ctx.profile.auth.user.trakt : null;
+        return trakt && Date.now() / 1000 < trakt.created_at + trakt.expires_in ?
+            createTraktApi({ url: API_URL, clientId: CLIENT_ID, accessToken: trakt.access_token })
+            :
+            null;
+    }
+    function dispatch(action, args) {
+        core.transport.dispatch({
+            action: 'Ctx',
+            args: { action, args }
+        });
+    }
+    async function pushRatings(api, ratings) {
+        const pending = Object.keys(state.localRatings)
+            .map((id) => ({ id, ...state.localRatings[id] }))
+            .filter(({ id, status, time }) => {
+                const remote = ratings[id];
+                return (!remote || time > remote.time) && (remote ? getRatingStatus(remote.rating) : null) !== status;
+            })
+            .map((item) => ({ ...item, rating: getTraktRating(item.status) }));
+        const added = pending.filter(({ rating }) => rating !== null);
+        const removed = pending.filter(({ rating }) => rating === null);
+        if (added.length > 0) {
+            await api.addRatings(toSyncItems(added));
+        }
+        if (removed.length > 0) {
+            await api.removeRatings(toSyncItems(removed));
+        }
+
+        return pending.reduce((ratings, { id, type, rating, time }) => {
+            const result = { ...ratings };
+            if (rating !== null) {
+                result[id] = { type, rating, time };
+            } else {
+                delete result[id];
+            }
+
+            return result;
+        }, ratings);
+    }
+
+    Object.defineProperties(this, {
+        active: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return active;
+            }
+        },
+        configured: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return CLIENT_ID !== null;
+            }
+        },
+        status: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return status;
+            }
+        },
+        error: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return error;
+            }
+        },
+        scrobbleEnabled: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return state.scrobble;
+            }
+        },
+        lastSync: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return state.lastSync;
+            }
+        },
+        summary: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return state.summary;
+            }
+        },
+        history: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return state.history;
+            }
+        },
+        ratings: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return state.ratings;
+            }
+        },
+        localRatings: {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return state.localRatings;
+            }
+        }
+    });
+
+    this.start = function() {
+        if (active) {
+            return;
+        }
+
+        active = true;
+        events.emit('stateChanged');
+    };
+    this.stop = function() {
+        active = false;
+        nowPlaying = null;
+        events.emit('stateChanged');
+    };
+    /**
+     * Tells Trakt what is being watched. Repeated actions for the same video are
+     * sent once, and a video is only paused or stopped after it was started.
+     */
+    this.scrobble = async function(action, item, progress) {
+        const body = item !== null ? getScrobbleBody(item, progress) : null;
+        if (!active || CLIENT_ID === null || !state.scrobble || body === null) {
+            return;
+        }
+
+        const key = `${item.id}:${item.videoId}`;
+        const playing = nowPlaying !== null && nowPlaying.key === key;
+        if (playing ? nowPlaying.action === action : action !== 'start') {
+            return;
+        }
+
+        nowPlaying = action !== 'stop' ? { key, action } : null;
+        try {
+            const api = await getApi();
+            if (api !== null) {
+                await api.scrobble(action, body);
+            }
+        } catch (error) {
+            // Trakt refuses the same scrobble sent again within a few minutes
+            if (!(error instanceof TraktError && error.status === 409)) {
+                console.error('Trakt', error);
+            }
+        }
+    };
+    /**
+     * Imports the watch history, merges the watchlist with the library and
+     * sends the ratings made since the last sync.
+     * @param {Array<Object>} library - All the items in the library
+     */
+    this.sync = async function(library) {
+        if (!active || CLIENT_ID === null || status === STATUS.SYNCING) {
+            return;
+        }
+
+        setStatus(STATUS.SYNCING, null);
+        try {
+            const api = await getApi();
+            if (api === null) {
+                throw new TraktError(401);
+            }
+
+            const [watchedMovies, watchedShows, watchlist, ratings] = await Promise.all([
+                api.getWatchedMovies(),
+                api.getWatchedShows(),
+                api.getWatchlist().then(getListItems),
+                api.getRatings().then(getListItems),
+            ]);
+            // What was imported by the previous syncs is left as it is, even if changed since on Stremio
+            const history = getPendingHistory(getWatchedHistory(watchedMovies, watchedShows), state.imported);
+            const merge = mergeWatchlist(library, watchlist, state.synced, state.lastSync);
+            if (merge.addToTrakt.length > 0) {
+                await api.addToWatchlist(toSyncItems(merge.addToTrakt));
+            }
+            if (merge.removeFromTrakt.length > 0) {
+                await api.removeFromWatchlist(toSyncItems(merge.removeFromTrakt));
+            }
+
+            merge.addToLibrary.forEach((item) => dispatch('AddToLibrary', toMetaItemPreview(item)));
+            merge.removeFromLibrary.forEach(({ id }) => dispatch('RemoveFromLibrary', id));
+            // Episodes are imported when their series is opened, as marking them needs its videos
+            const importedMovies = library.filter(({ _id, type, state }) => {
+                return type === 'movie' && Array.isArray(history[_id]) && state.timesWatched === 0 && state.flaggedWatched === 0;
+            });
+            importedMovies.forEach(({ _id }) => dispatch('LibraryItemMarkAsWatched', { id: _id, is_watched: true }));
+            const imported = importedMovies.reduce((imported, { _id }) => addImported(imported, _id, [_id]), state.imported);
+
+            const nextRatings = await pushRatings(api, ratings.reduce((ratings, { id, type, rating, time }) => {
+                return { ...ratings, [id]: { type, rating, time } };
+            }, {}));
+            const removedFromTrakt = merge.removeFromTrakt.map(({ id }) => id);
+            updateState({
+                lastSync: Date.now(),
+                synced: watchlist
+                    .map(({ id }) => id)
+                    .filter((id) => !removedFromTrakt.includes(id))
+                    .concat(merge.addToTrakt.map(({ id }) => id)),
+                history: getPendingHistory(history, imported),
+                imported,
+                ratings: nextRatings,
+                localRatings: {},
+                summary: {
+                    imported: importedMovies.length,
+                    addedToLibrary: merge.addToLibrary.length,
+                    removedFromLibrary: merge.removeFromLibrary.length,
+                    addedToTrakt: merge.addToTrakt.length,
+                    removedFromTrakt: merge.removeFromTrakt.length,
+                    conflicts: merge.conflicts,
+                },
+            });
+            setStatus(STATUS.IDLE, null);
+        } catch (error) {
+            console.error('Trakt', error);
+            setStatus(STATUS.ERROR, error instanceof TraktError && (error.status === 401 || error.status === 403) ?
+                'TRAKT_SYNC_ERROR_AUTH'
+                :
+                'TRAKT_SYNC_ERROR_NETWORK'
+            );
+        }
+    };
+    /**
+     * Rates a movie or a show on Trakt. Ratings that can't be sent now are
+     * sent with the next sync, unless rated again on Trakt in the meantime.
+     */
+    this.rate = async function({ type, id }, ratingStatus) {
+        if (CLIENT_ID === null || !isTraktId(id)) {
+            return;
+        }
+
+        const time = Date.now();
+        updateState({ localRatings: { ...state.localRatings, [id]: { type, status: ratingStatus, time } } });
+        try {
+            const api = await getApi();
+            if (api === null) {
+                return;
+            }
+
+            const ratings = await pushRatings(api, state.ratings);
+            updateState({ ratings, localRatings: {} });
+        } catch (error) {
+            console.error('Trakt', error);
+        }
+    };
+    /**
+     * Takes videos of a meta item out of the history left to import, so that
+     * they are not marked as watched again by the next syncs.
+     * @param {string} id - Id of the meta item
+     * @param {Array<string>} videoIds - Ids of the imported videos, the meta item id for movies
+     */
+    this.markImported = function(id, videoIds) {
+        const imported = addImported(state.imported, id, videoIds);
+        updateState({
+            history: getPendingHistory(state.history, imported),
+            imported,
+        });
+    };
+    this.setScrobbleEnabled = function(enabled) {
+        updateState({ scrobble: enabled });
+    };
+    // The sync state belongs to the linked Trakt account
+    this.reset = function() {
+        nowPlaying = null;
+        updateState({ ...INITIAL_STATE, scrobble: state.scrobble });
+        setStatus(STATUS.IDLE, null);
+    };
+    this.on = function(name, listener) {
+        events.on(name, listener);
+    };
+    this.off = function(name, listener) {
+        events.off(name, listener);
+    };
+}
+
+Trakt.STATUS = STATUS;
+
+module.exports = Trakt;
@@ -0,0 +1,50 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+function TraktError(status) {
+    this.status = status;
+}
+
+/**
+ * Client of the parts of the Trakt API used for scrobbling and syncing.
+ * @param {Object} options
+ * @param {string} options.url - Base url of the API
+ * @param {string} options.clientId - Client id the app is registered on Trakt with
+ * @param {string} options.accessToken - Access token of the user
+ * @returns {Object}
+ */
+const createTraktApi = ({ url, clientId, accessToken }) => {
+    const request = async (method, path, body) => {
+        const response = await fetch(`${url}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                'trakt-api-version': '2',
+                'trakt-api-key': clientId,
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+        if (!response.ok) {
+            throw new TraktError(response.status);
+        }
+
+        return response.status === 204 ? null : response.json();
+    };
+
+    return {
+        scrobble: (action, body) => request('POST', `/scrobble/${action}`, body),
+        getWatchedMovies: () => request('GET', '/sync/watched/movies'),
+        getWatchedShows: () => request('GET', '/sync/watched/shows'),
+        getWatchlist: () => request('GET', '/sync/watchlist'),
+        addToWatchlist: (items) => request('POST', '/sync/watchlist', items),
+        removeFromWatchlist: (items) => request('POST', '/sync/watchlist/remove', items),
+        getRatings: () => request('GET', '/sync/ratings'),
+        addRatings: (items) => request('POST', '/sync/ratings', items),
+        removeRatings: (items) => request('POST', '/sync/ratings/remove', items),
+    };
+};
+
+module.exports = {
+    TraktError,
+    createTraktApi,
+};
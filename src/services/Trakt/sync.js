@@ -0,0 +1,266 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Items are matched by their imdb id, the only id known to both Stremio and Trakt
+const IMDB_ID = /^tt\d+$/;
+
+const TYPES = {
+    movie: 'movie',
+    show: 'series',
+};
+
+const isTraktId = (id) => {
+    return typeof id === 'string' && IMDB_ID.test(id);
+};
+
+/**
+ * Builds the body of a scrobble request for a movie or an episode.
+ * @param {Object} item - Item being played
+ * @param {string} item.type - Type of the meta item
+ * @param {string} item.id - Id of the meta item
+ * @param {string|null} item.videoId - Id of the video, `<id>:<season>:<episode>` for episodes
+ * @param {number} progress - Watched percentage
+ * @returns {Object|null} Null when the item can't be matched on Trakt
+ */
+const getScrobbleBody = ({ type, id, videoId }, progress) => {
+    if (!isTraktId(id)) {
+        return null;
+    }
+
+    progress = Math.round(Math.max(0, Math.min(100, progress)) * 100) / 100;
+    if (type === 'movie') {
+        return { movie: { ids: { imdb: id } }, progress };
+    }
+
+    if (type === 'series' && typeof videoId === 'string') {
+        const [videoMetaId, season, episode] = videoId.split(':');
+        if (videoMetaId === id && /^\d+$/.test(season) && /^\d+$/.test(episode)) {
+            return {
+                show: { ids: { imdb: id } },
+                episode: { season: parseInt(season, 10), number: parseInt(episode, 10) },
+                progress,
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Lists the videos watched on Trakt by meta id.
+ * @param {Array<Object>} movies - Response of /sync/watched/movies
+ * @param {Array<Object>} shows - Response of /sync/watched/shows
+ * @returns {Object<string, Array<string>>} Movies list their own id, shows the ids of their episodes
+ */
+const getWatchedHistory = (movies, shows) => {
+    const history = {};
+    movies.forEach(({ movie }) => {
+        const id = movie && movie.ids ? movie.ids.imdb : null;
+        if (isTraktId(id)) {
+            history[id] = [id];
+        }
+    });
+    shows.forEach(({ show, seasons }) => {
+        const id = show && show.ids ? show.ids.imdb : null;
+        if (isTraktId(id) && Array.isArray(seasons)) {
+            history[id] = seasons.flatMap((season) => season.episodes.map((episode) => `${id}:${season.number}:${episode.number}`));
+        }
+    });
+
+    return history;
+};
+
+/**
+ * Leaves out of a watch history the videos imported already.
+ * @param {Object<string, Array<string>>} history - Watch history from getWatchedHistory
+ * @param {Object<string, Array<string>>} imported - Ids of the imported videos by meta id
+ * @returns {Object<string, Array<string>>} Videos left to import, by meta id
+ */
+const getPendingHistory = (history, imported) => {
+    return Object.keys(history).reduce((pending, id) => {
+        const videoIds = Array.isArray(imported[id]) ?
+            history[id].filter((videoId) => !imported[id].includes(videoId))
+            :
+            history[id];
+        if (videoIds.length > 0) {
+            pending[id] = videoIds;
+        }
+
+        return pending;
+    }, {});
+};
+
+/**
+ * Records videos of a meta item as imported.
+ * @param {Object<string, Array<string>>} imported - Ids of the imported videos by meta id
+ * @param {string} id - Id of the meta item
+ * @param {Array<string>} videoIds - Ids of the videos imported now
+ * @returns {Object<string, Array<string>>}
+ */
+const addImported = (imported, id, videoIds) => {
+    const current = Array.isArray(imported[id]) ? imported[id] : [];
+    return {
+        ...imported,
+        [id]: current.concat(videoIds.filter((videoId) => !current.includes(videoId))),
+    };
+};
+
+/**
+ * Reads the movies and shows of a Trakt list, leaving out seasons, episodes
+ * and items without an imdb id.
+ * @param {Array<Object>} items - Response of /sync/watchlist or /sync/ratings
+ * @returns {Array<Object>} Id, type, name, year, rating and the time it was added at
+ */
+const getListItems = (items) => {
+    return items
+        .filter(({ type }) => Object.prototype.hasOwnProperty.call(TYPES, type))
+        .map((item) => {
+            const content = item[item.type];
+            return {
+                id: content.ids ? content.ids.imdb : null,
+                type: TYPES[item.type],
+                name: content.title,
+                year: typeof content.year === 'number' ? content.year : null,
+                rating: typeof item.rating === 'number' ? item.rating : null,
+                time: Date.parse(item.listed_at || item.rated_at),
+            };
+        })
+        .filter(({ id }) => isTraktId(id));
+};
+
+/**
+ * Converts library items to the Trakt sync format.
+ * @param {Array<Object>} items - Items with an id and a type
+ * @returns {{ movies: Array<Object>, shows: Array<Object> }}
+ */
+const toSyncItems = (items) => {
+    return {
+        movies: items.filter(({ type }) => type === 'movie').map(({ id, rating }) => ({ ids: { imdb: id }, ...(typeof rating === 'number' ? { rating } : {}) })),
+        shows: items.filter(({ type }) => type === 'series').map(({ id, rating }) => ({ ids: { imdb: id }, ...(typeof rating === 'number' ? { rating } : {}) })),
+    };
+};
+
+/**
+ * Builds the meta item a watchlist item is added to the library with.
+ * @param {Object} item - Watchlist item returned by getListItems
+ * @returns {Object}
+ */
+const toMetaItemPreview = ({ id, type, name, year }) => {
+    return {
+        id,
+        type,
+        name,
+        poster: `https://images.metahub.space/poster/medium/${id}/img`,
+        posterShape: 'poster',
+        releaseInfo: year !== null ? String(year) : null,
+    };
+};
+
+/**
+ * Merges the Trakt watchlist with the library, using the items both had at
+ * the end of the last sync to tell additions from removals. Before the first
+ * sync nothing is removed. An item added on one side after the last sync is
+ * never removed because of a removal on the other side, the conflict is
+ * resolved in favour of the most recent change.
+ * @param {Array<Object>} library - Library items
+ * @param {Array<Object>} watchlist - Watchlist items returned by getListItems
+ * @param {Array<string>|null} synced - Ids both sides had after the last sync
+ * @param {number|null} lastSync - Time of the last sync
+ * @returns {Object} Items to add to and remove from each side, and the conflicts
+ */
+const mergeWatchlist = (library, watchlist, synced, lastSync) => {
+    const libraryItems = library
+        .filter(({ _id, type }) => isTraktId(_id) && (type === 'movie' || type === 'series'))
+        .map(({ _id, type, name, _mtime }) => ({ id: _id, type, name, time: new Date(_mtime).getTime() }));
+    const libraryIds = libraryItems.map(({ id }) => id);
+    const watchlistIds = watchlist.map(({ id }) => id);
+    const wasSynced = (id) => Array.isArray(synced) && synced.includes(id);
+    const changedSinceSync = ({ time }) => lastSync === null || time > lastSync;
+    const result = {
+        addToLibrary: [],
+        removeFromLibrary: [],
+        addToTrakt: [],
+        removeFromTrakt: [],
+        conflicts: [],
+    };
+
+    watchlist
+        .filter(({ id }) => !libraryIds.includes(id))
+        .forEach((item) => {
+            if (!wasSynced(item.id)) {
+                result.addToLibrary.push(item);
+            } else if (changedSinceSync(item)) {
+                result.addToLibrary.push(item);
+                result.conflicts.push({ id: item.id, name: item.name, kept: 'trakt' });
+            } else {
+                result.removeFromTrakt.push(item);
+            }
+        });
+    libraryItems
+        .filter(({ id }) => !watchlistIds.includes(id))
+        .forEach((item) => {
+            if (!wasSynced(item.id)) {
+                result.addToTrakt.push(item);
+            } else if (changedSinceSync(item)) {
+                result.addToTrakt.push(item);
+                result.conflicts.push({ id: item.id, name: item.name, kept: 'library' });
+            } else {
+                result.removeFromLibrary.push(item);
+            }
+        });
+
+    return result;
+};
+
+/**
+ * Converts a Trakt rating from 1 to 10 to a Stremio one.
+ * @param {number|null} rating
+ * @returns {'liked'|'loved'|null}
+ */
+const getRatingStatus = (rating) => {
+    return rating === null ? null : rating >= 9 ? 'loved' : rating >= 7 ? 'liked' : null;
+};
+
+/**
+ * Converts a Stremio rating to a Trakt one.
+ * @param {'liked'|'loved'|null} status
+ * @returns {number|null}
+ */
+const getTraktRating = (status) => {
+    return status === 'loved' ? 10 : status === 'liked' ? 8 : null;
+};
+
+/**
+ * Decides which side a rating is taken from. The most recent rating wins, a
+ * rating made on Trakt wins over one of which the time isn't known.
+ * @param {'liked'|'loved'|null} status - Current Stremio rating
+ * @param {Object} [local] - Last rating made in the app, with its status and time
+ * @param {Object} [remote] - Trakt rating, with its rating and time
+ * @returns {'pull'|'push'|null} Whether to apply the Trakt rating, send the Stremio one or do nothing
+ */
+const mergeRating = (status, local, remote) => {
+    const remoteStatus = remote ? getRatingStatus(remote.rating) : null;
+    if (remoteStatus === status) {
+        return null;
+    }
+
+    if (remote && (!local || remote.time > local.time)) {
+        return 'pull';
+    }
+
+    return status !== null || local ? 'push' : null;
+};
+
+module.exports = {
+    isTraktId,
+    getScrobbleBody,
+    getWatchedHistory,
+    getPendingHistory,
+    addImported,
+    getListItems,
+    toSyncItems,
+    toMetaItemPreview,
+    mergeWatchlist,
+    getRatingStatus,
+    getTraktRating,
+    mergeRating,
+};
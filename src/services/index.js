@@ -1,18 +1,32 @@
 // Copyright (C) 2017-2023 Smart code 203358507
 
+const CalendarReminders = require('./CalendarReminders');
 const Chromecast = require('./Chromecast');
+const Collections = require('./Collections');
 const Core = require('./Core');
+const Downloads = require('./Downloads');
 const DragAndDrop = require('./DragAndDrop');
 const KeyboardShortcuts = require('./KeyboardShortcuts');
+const Playback = require('./Playback');
+const ProfileStorage = require('./ProfileStorage');
+const RemoteControl = require('./RemoteControl');
 const { ServicesProvider, useServices } = require('./ServicesContext');
 const Shell = require('./Shell');
+const Trakt = require('./Trakt');
 
 module.exports = {
+    CalendarReminders,
     Chromecast,
+    Collections,
     Core,
+    Downloads,
     DragAndDrop,
     KeyboardShortcuts,
+    Playback,
+    ProfileStorage,
+    RemoteControl,
     ServicesProvider,
     useServices,
-    Shell
+    Shell,
+    Trakt
 };
@@ -13,6 +13,22 @@ type Auth = {
     },
 };
 
+type StreamPreferences = {
+    resolution: number | null,
+    maxSize: number | null,
+    addons: string[],
+    language: string | null,
+    codecBlacklist: string[],
+};
+
+type AudioProcessing = {
+    nightMode: boolean,
+    normalization: boolean,
+    preset: string | null,
+    gains: number[],
+    presets: Record<string, number[]>,
+};
+
 type Settings = {
     audioLanguage: string,
     audioPassthrough: boolean,
@@ -49,6 +65,7 @@ type Settings = {
 };
 
 type Profile = {
+    addons: Addon[],
     auth: Auth | null,
     settings: Settings,
 };
@@ -0,0 +1,24 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { EQUALIZER_PRESETS, getAudioProcessing, isProcessingEnabled, splitVolume, getNormalizationGain } = require('../src/routes/Player/AudioProcessing/audioProcessing');
+
+describe('audioProcessing', () => {
+    it('fills in and clamps the saved options', () => {
+        expect(isProcessingEnabled(getAudioProcessing(undefined))).toBe(false);
+        expect(getAudioProcessing({ gains: [1, 2] }).gains).toEqual(EQUALIZER_PRESETS.flat);
+        expect(getAudioProcessing({ gains: [20, -20, 0, 0, 0, 0, 0, 0, 0, 0] }).gains.slice(0, 2)).toEqual([12, -12]);
+        expect(isProcessingEnabled(getAudioProcessing({ nightMode: true }))).toBe(true);
+    });
+
+    it('boosts the volume above 100 through a gain', () => {
+        expect(splitVolume(80)).toEqual({ volume: 80, gain: 1 });
+        expect(splitVolume(150)).toEqual({ volume: 100, gain: 1.5 });
+    });
+
+    it('moves the normalization gain slowly and ignores silence', () => {
+        expect(getNormalizationGain(-80, 1)).toBe(1);
+        expect(getNormalizationGain(-40, 1)).toBeGreaterThan(1);
+        expect(getNormalizationGain(-40, 1)).toBeLessThan(4);
+        expect(getNormalizationGain(0, 1)).toBeLessThan(1);
+    });
+});
@@ -0,0 +1,37 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { getSelectionRange, getBulkActions } = require('../src/routes/Library/bulkActions');
+
+const ctx = (action, args) => ({ action: 'Ctx', args: { action, args } });
+
+describe('bulkActions', () => {
+    const items = [
+        { _id: 'tt1', type: 'movie', name: 'First', poster: null, posterShape: 'poster', watched: true, progress: 0, state: { noNotif: false } },
+        { _id: 'tt2', type: 'series', name: 'Second', poster: null, posterShape: 'poster', watched: false, progress: 40, state: { noNotif: true } },
+    ];
+
+    it('selects the range between the anchor and the clicked item', () => {
+        const ids = ['tt1', 'tt2', 'tt3', 'tt4'];
+        expect(getSelectionRange(ids, 'tt3', 'tt1')).toEqual(['tt1', 'tt2', 'tt3']);
+        expect(getSelectionRange(ids, null, 'tt2')).toEqual(['tt2']);
+        expect(getSelectionRange(ids, 'tt9', 'tt4')).toEqual(['tt4']);
+    });
+
+    it('only changes the items the action applies to', () => {
+        expect(getBulkActions('watched', items)).toEqual({
+            actions: [ctx('LibraryItemMarkAsWatched', { id: 'tt2', is_watched: true })],
+            undo: [ctx('LibraryItemMarkAsWatched', { id: 'tt2', is_watched: false })],
+        });
+        expect(getBulkActions('dismiss', items)).toEqual({
+            actions: [ctx('RewindLibraryItem', 'tt2'), ctx('DismissNotificationItem', 'tt2')],
+            undo: null,
+        });
+        expect(getBulkActions('notifications', items).actions).toEqual([ctx('ToggleLibraryItemNotifications', ['tt1', true])]);
+    });
+
+    it('adds removed items back on undo', () => {
+        const { actions, undo } = getBulkActions('remove', items.slice(0, 1));
+        expect(actions).toEqual([ctx('RemoveFromLibrary', 'tt1')]);
+        expect(undo).toEqual([ctx('AddToLibrary', { id: 'tt1', type: 'movie', name: 'First', poster: null, posterShape: 'poster' })]);
+    });
+});
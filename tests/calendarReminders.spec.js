@@ -0,0 +1,28 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { toDay, getDueReminders } = require('../src/services/CalendarReminders/reminders');
+
+describe('calendarReminders', () => {
+    const now = new Date(2026, 9, 18, 20, 0);
+    const items = {
+        tt1: [
+            { metaId: 'tt1', videoId: 'tt1:2:3', videoReleased: new Date(2026, 9, 18, 9, 0).toISOString() },
+            { metaId: 'tt1', videoId: 'tt1:2:2', videoReleased: new Date(2026, 9, 11, 9, 0).toISOString() },
+        ],
+        kitsu: [
+            { metaId: 'kitsu:1', videoId: 'kitsu:1:4', videoReleased: new Date(2026, 9, 18, 19, 0).toISOString() },
+        ],
+    };
+
+    it('formats local days', () => {
+        expect(toDay(now)).toBe('2026-10-18');
+    });
+
+    it('reminds about the videos released today once', () => {
+        expect(getDueReminders(items, { tt1: 'Show' }, [], now)).toEqual([
+            { metaId: 'tt1', videoId: 'tt1:2:3', name: 'Show', season: 2, episode: 3, deepLink: '#/detail/series/tt1/tt1%3A2%3A3' },
+            { metaId: 'kitsu:1', videoId: 'kitsu:1:4', name: null, season: 1, episode: 4, deepLink: '#/detail/series/kitsu%3A1/kitsu%3A1%3A4' },
+        ]);
+        expect(getDueReminders(items, {}, ['tt1:2:3', 'kitsu:1:4'], now)).toEqual([]);
+    });
+});
@@ -0,0 +1,64 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { getWeek, getWeekDays, parseWeek, getCalendarHref, isVideoWatched, filterCalendarItems } = require('../src/routes/Calendar/calendarViews');
+
+describe('calendar views', () => {
+    const episode = (id, type, season, episode) => ({
+        id,
+        season,
+        episode,
+        deepLinks: { metaDetailsStreams: `#/detail/${type}/${id}/${encodeURIComponent(`${id}:${season}:${episode}`)}` },
+    });
+    const items = [
+        {
+            date: { year: 2026, month: 10, day: 12 },
+            items: [episode('tt1', 'series', 1, 4), episode('tt1', 'series', 1, 5), episode('tt2', 'anime', 2, 1)],
+        },
+        { date: { year: 2026, month: 10, day: 13 }, items: [] },
+    ];
+    const library = {
+        tt1: { _id: 'tt1', watched: false, state: { video_id: 'tt1:1:4' } },
+    };
+
+    it('finds iso weeks', () => {
+        expect(getWeek({ year: 2026, month: 10, day: 18 })).toEqual({ year: 2026, week: 42 });
+        expect(getWeek({ year: 2027, month: 1, day: 1 })).toEqual({ year: 2026, week: 53 });
+        expect(getWeek({ year: 2024, month: 12, day: 30 })).toEqual({ year: 2025, week: 1 });
+    });
+
+    it('lists the days of a week from monday', () => {
+        const days = getWeekDays({ year: 2026, week: 42 });
+        expect(days).toHaveLength(7);
+        expect(days[0]).toEqual({ year: 2026, month: 10, day: 12 });
+        expect(days[6]).toEqual({ year: 2026, month: 10, day: 18 });
+    });
+
+    it('parses only existing weeks', () => {
+        expect(parseWeek('2026', '42')).toEqual({ year: 2026, week: 42 });
+        expect(parseWeek('2026', '53')).toEqual({ year: 2026, week: 53 });
+        expect(parseWeek('2025', '53')).toBe(null);
+        expect(parseWeek('2026', '0')).toBe(null);
+        expect(parseWeek(undefined, undefined)).toBe(null);
+    });
+
+    it('links to the period of a view', () => {
+        const date = { year: 2026, month: 10, day: 18 };
+        expect(getCalendarHref('month', date)).toBe('#/calendar/2026/10');
+        expect(getCalendarHref('week', date)).toBe('#/calendar/week/2026/42');
+        expect(getCalendarHref('agenda', date)).toBe('#/calendar/agenda/2026/10');
+    });
+
+    it('takes episodes up to the last watched one as watched', () => {
+        expect(isVideoWatched(items[0].items[0], library, [])).toBe(true);
+        expect(isVideoWatched(items[0].items[1], library, [])).toBe(false);
+        expect(isVideoWatched(items[0].items[1], library, ['tt1:1:5'])).toBe(true);
+        expect(isVideoWatched(items[0].items[2], library, [])).toBe(false);
+    });
+
+    it('filters the videos and keeps the days', () => {
+        const ids = (items) => items.map(({ items }) => items.map(({ id, episode }) => `${id}:${episode}`));
+        expect(ids(filterCalendarItems(items, { collection: ['tt2'], type: null, hideWatched: false }, library, []))).toEqual([['tt2:1'], []]);
+        expect(ids(filterCalendarItems(items, { collection: null, type: 'series', hideWatched: false }, library, []))).toEqual([['tt1:4', 'tt1:5'], []]);
+        expect(ids(filterCalendarItems(items, { collection: null, type: null, hideWatched: true }, library, []))).toEqual([['tt1:5', 'tt2:1'], []]);
+    });
+});
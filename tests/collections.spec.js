@@ -0,0 +1,33 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { normalizeData, addCollection, moveItem, setItemCollections, parseTags, setItemTags, filterItemsByTags } = require('../src/services/Collections/collections');
+
+describe('collections', () => {
+    const item = (id) => ({ _id: id, type: 'movie', name: id, poster: null, posterShape: 'poster' });
+    const data = [{ id: 'a', name: 'Friday movie night' }, { id: 'b', name: 'Kids' }]
+        .reduce((data, collection) => addCollection(data, collection), normalizeData(null));
+
+    it('puts an item in several collections', () => {
+        const both = setItemCollections(data, item('tt1'), ['a', 'b']);
+        expect(both.collections.map(({ items }) => items.map(({ id }) => id))).toEqual([['tt1'], ['tt1']]);
+
+        const one = setItemCollections(both, item('tt1'), ['b']);
+        expect(one.collections.map(({ items }) => items.length)).toEqual([0, 1]);
+    });
+
+    it('moves items inside a collection', () => {
+        const filled = ['tt1', 'tt2', 'tt3'].reduce((data, id) => setItemCollections(data, item(id), ['a']), data);
+        expect(moveItem(filled, 'a', 'tt3', 0).collections[0].items.map(({ id }) => id)).toEqual(['tt3', 'tt1', 'tt2']);
+        expect(moveItem(filled, 'a', 'tt1', 5).collections[0].items.map(({ id }) => id)).toEqual(['tt2', 'tt3', 'tt1']);
+    });
+
+    it('filters items by tags', () => {
+        expect(parseTags(' rewatch, Comfy ,, rewatch,comfy ')).toEqual(['rewatch', 'Comfy']);
+
+        const { tags } = setItemTags(setItemTags(data, 'tt1', ['rewatch', 'comfy']), 'tt2', ['comfy']);
+        const items = [{ id: 'tt1' }, { id: 'tt2' }, { id: 'tt3' }];
+        expect(filterItemsByTags(items, tags, ['comfy']).map(({ id }) => id)).toEqual(['tt1', 'tt2']);
+        expect(filterItemsByTags(items, tags, ['comfy', 'rewatch']).map(({ id }) => id)).toEqual(['tt1']);
+        expect(setItemTags({ tags }, 'tt2', []).tags).toEqual({ tt1: ['rewatch', 'comfy'] });
+    });
+});
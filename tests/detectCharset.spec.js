@@ -0,0 +1,86 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const detectCharset = require('../src/routes/Player/SubtitleManager/detectCharset');
+
+const encode = (text, charset) => {
+    const decoder = new TextDecoder(charset);
+    const bytes = new Map();
+    for (let byte = 0; byte < 256; byte++) {
+        bytes.set(decoder.decode(Uint8Array.of(byte)), byte);
+    }
+
+    return Uint8Array.from(text, (char) => bytes.get(char));
+};
+
+const srt = (...lines) => lines
+    .map((line, index) => `${index + 1}\n00:00:0${index},000 --> 00:00:0${index + 1},000\n${line}\n`)
+    .join('\n');
+
+const HEBREW = srt('שלום, מה שלומך היום?', 'אני לא יודע מה לעשות עם הכסף הזה.', 'בוא נלך הביתה עכשיו.');
+const ARABIC = srt('مرحبا، كيف حالك اليوم؟', 'لا أعرف ماذا أفعل بهذا المال.', 'لنذهب إلى المنزل الآن.');
+const RUSSIAN = srt('Привет, как дела сегодня?', 'Я не знаю, что делать с этими деньгами.', 'Пойдём домой сейчас.');
+const FRENCH = srt('Bonjour, ça va? Il a été là.', 'Je ne sais pas quoi faire à côté de la forêt.');
+
+describe('detectCharset', () => {
+    describe('byte order marks', () => {
+        it('detect UTF-8 BOM', async () => {
+            const bytes = Uint8Array.of(0xEF, 0xBB, 0xBF, ...new TextEncoder().encode(HEBREW));
+            expect(detectCharset(bytes))
+                .toEqual({ charset: 'utf-8', confidence: 1, bom: true });
+        });
+
+        it('detect UTF-16 LE BOM', async () => {
+            expect(detectCharset(Uint8Array.of(0xFF, 0xFE, 0x31, 0x00)))
+                .toEqual({ charset: 'utf-16le', confidence: 1, bom: true });
+        });
+
+        it('detect UTF-16 BE BOM', async () => {
+            expect(detectCharset(Uint8Array.of(0xFE, 0xFF, 0x00, 0x31)))
+                .toEqual({ charset: 'utf-16be', confidence: 1, bom: true });
+        });
+    });
+
+    describe('unicode without BOM', () => {
+        it('detect UTF-16 LE', async () => {
+            const bytes = Uint8Array.from(Buffer.from(HEBREW, 'utf16le'));
+            expect(detectCharset(bytes).charset).toBe('utf-16le');
+        });
+
+        it('detect UTF-16 BE', async () => {
+            const bytes = Uint8Array.from(Buffer.from(HEBREW, 'utf16le').swap16());
+            expect(detectCharset(bytes).charset).toBe('utf-16be');
+        });
+
+        it('detect UTF-8', async () => {
+            expect(detectCharset(new TextEncoder().encode(HEBREW)).charset).toBe('utf-8');
+        });
+
+        it('detect plain ASCII as UTF-8', async () => {
+            expect(detectCharset(new TextEncoder().encode(srt('Hello there')))).toEqual({ charset: 'utf-8', confidence: 1, bom: false });
+        });
+    });
+
+    describe('single-byte code pages', () => {
+        it('detect windows-1255', async () => {
+            expect(detectCharset(encode(HEBREW, 'windows-1255')).charset).toBe('windows-1255');
+        });
+
+        it('detect windows-1256', async () => {
+            expect(detectCharset(encode(ARABIC, 'windows-1256')).charset).toBe('windows-1256');
+        });
+
+        it('detect windows-1251', async () => {
+            expect(detectCharset(encode(RUSSIAN, 'windows-1251')).charset).toBe('windows-1251');
+        });
+
+        it('detect windows-1252', async () => {
+            expect(detectCharset(encode(FRENCH, 'windows-1252')).charset).toBe('windows-1252');
+        });
+
+        it('report confidence between 0 and 1', async () => {
+            const { confidence } = detectCharset(encode(HEBREW, 'windows-1255'));
+            expect(confidence).toBeGreaterThan(0);
+            expect(confidence).toBeLessThan(1);
+        });
+    });
+});
@@ -0,0 +1,37 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { STATUS, getNextItem, getCacheUsage, exceedsCache, getStatsUrl, isFileCached, getResponseSize, moveItem } = require('../src/services/Downloads/queue');
+
+const item = (id, status, destination = 'cache', size = null, downloaded = 0) => ({ id, status, destination, size, downloaded });
+
+describe('downloads queue', () => {
+    it('downloads one item at a time in queue order', () => {
+        const items = [item('a', STATUS.COMPLETED), item('b', STATUS.PAUSED), item('c', STATUS.QUEUED), item('d', STATUS.QUEUED)];
+        expect(getNextItem(items).id).toBe('c');
+        expect(getNextItem(moveItem(items, 'd', -1)).id).toBe('d');
+        expect(getNextItem([...items, item('e', STATUS.DOWNLOADING)])).toBe(null);
+    });
+
+    it('measures the cache usage and the size of partial responses', () => {
+        const items = [item('a', STATUS.COMPLETED, 'cache', 100, 100), item('b', STATUS.DOWNLOADING, 'cache', null, 20), item('c', STATUS.COMPLETED, 'folder', 500, 500)];
+        expect(getCacheUsage(items)).toBe(120);
+        expect(getCacheUsage(items, 'a')).toBe(20);
+        expect(getResponseSize(new Headers({ 'Content-Range': 'bytes 100-199/1000', 'Content-Length': '100' }))).toBe(1000);
+        expect(getResponseSize(new Headers({ 'Content-Length': '100' }))).toBe(100);
+        expect(getResponseSize(new Headers())).toBe(null);
+    });
+
+    it('keeps the cached items within the cache size', () => {
+        const items = [item('a', STATUS.COMPLETED, 'cache', 100, 100), item('b', STATUS.DOWNLOADING, 'cache', null, 20)];
+        expect(exceedsCache(items, 'b', 50, 150)).toBe(false);
+        expect(exceedsCache(items, 'b', 51, 150)).toBe(true);
+        expect(exceedsCache(items, 'b', 1000, null)).toBe(false);
+    });
+
+    it('tells from the server statistics whether a file is cached', () => {
+        expect(getStatsUrl('http://127.0.0.1:11470/0123abcd/1?tr=udp')).toBe('http://127.0.0.1:11470/0123abcd/1/stats.json');
+        expect(isFileCached({ streamProgress: 1 })).toBe(true);
+        expect(isFileCached({ streamProgress: 0.98 })).toBe(false);
+        expect(isFileCached(null)).toBe(false);
+    });
+});
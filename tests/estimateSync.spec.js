@@ -0,0 +1,89 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { detectSpeech, estimateSync } = require('../src/routes/Player/SubtitleManager/estimateSync');
+
+const random = (seed) => () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+const createCues = (next) => {
+    const cues = [];
+    for (let time = 0; time < 7200;) {
+        time += 0.5 + next() * 4;
+        const duration = 1 + next() * 4;
+        cues.push({ start: time, end: time + duration });
+        time += duration;
+    }
+
+    return cues;
+};
+
+// Simulates a minute of audio in which speech follows the cues shown at
+// `scale * start + delay`, with a share of the frames misclassified.
+const captureFrames = (next, cues, { from, delay, scale, noise }) => {
+    const frames = [];
+    for (let time = from; time < from + 60; time += 0.05) {
+        const cueTime = (time - delay) / scale;
+        const active = cues.some(({ start, end }) => cueTime >= start && cueTime < end);
+        const speech = next() < noise ? !active : active;
+        frames.push({
+            time,
+            energy: speech ? -30 + next() * 5 : -60 + next() * 5,
+            ratio: speech ? 0.7 : 0.2
+        });
+    }
+
+    return frames;
+};
+
+describe('estimateSync', () => {
+    const next = random(42);
+    const cues = createCues(next);
+
+    it('find a constant delay', async () => {
+        const frames = captureFrames(next, cues, { from: 300, delay: 2.5, scale: 1, noise: 0.1 });
+        const result = estimateSync(detectSpeech(frames), cues);
+        expect(result.scale).toBe(1);
+        expect(result.delay).toBeCloseTo(2.5, 1);
+        expect(result.confidence).toBeGreaterThan(0.2);
+    });
+
+    it('find a negative delay', async () => {
+        const frames = captureFrames(next, cues, { from: 1200, delay: -7.3, scale: 1, noise: 0.2 });
+        const result = estimateSync(detectSpeech(frames), cues);
+        expect(result.scale).toBe(1);
+        expect(Math.abs(result.delay + 7.3)).toBeLessThan(0.1);
+    });
+
+    it('find framerate drift late in the video', async () => {
+        const scale = 25 / (24000 / 1001);
+        const frames = captureFrames(next, cues, { from: 3000, delay: 3, scale, noise: 0.1 });
+        const result = estimateSync(detectSpeech(frames), cues);
+        expect(result.scale).toBeCloseTo(scale, 5);
+        expect(Math.abs(result.delay - 3)).toBeLessThan(0.1);
+    });
+
+    it('find framerate drift early in the video', async () => {
+        const scale = 25 / (24000 / 1001);
+        const frames = captureFrames(next, cues, { from: 100, delay: 0, scale, noise: 0.1 });
+        const result = estimateSync(detectSpeech(frames), cues);
+        // 25 / 23.976 and 25 / 24 are indistinguishable this close to the start
+        expect(result.scale).toBeCloseTo(scale, 2);
+        expect(Math.abs(result.delay)).toBeLessThan(0.1);
+    });
+
+    it('report no confidence when speech does not follow the cues', async () => {
+        const frames = captureFrames(next, cues, { from: 600, delay: 1, scale: 1, noise: 0.45 });
+        const result = estimateSync(detectSpeech(frames), cues);
+        expect(result.confidence).toBeLessThan(0.2);
+    });
+
+    it('return null without enough audio', async () => {
+        const frames = captureFrames(next, cues, { from: 600, delay: 1, scale: 1, noise: 0 })
+            .filter(({ time }) => time < 610);
+        expect(estimateSync(detectSpeech(frames), cues)).toBe(null);
+    });
+
+    it('return null without cues', async () => {
+        const frames = captureFrames(next, cues, { from: 600, delay: 1, scale: 1, noise: 0 });
+        expect(estimateSync(detectSpeech(frames), [])).toBe(null);
+    });
+});
@@ -0,0 +1,24 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const groupStreams = require('../src/routes/MetaDetails/StreamsList/groupStreams');
+
+describe('groupStreams', () => {
+    it('collapses the same torrent file and url offered by several addons', () => {
+        const streams = [
+            { addonName: 'Torrentio', infoHash: 'ABCDEF', fileIdx: 1 },
+            { addonName: 'Torrentio', infoHash: 'abcdef', fileIdx: 2 },
+            { addonName: 'MediaFusion', infoHash: 'abcdef', fileIdx: 1 },
+            { addonName: 'First', url: 'https://Example.com/video.mp4/' },
+            { addonName: 'Second', url: 'https://example.com/video.mp4#t=0' },
+            { addonName: 'Third', externalUrl: 'https://example.com' },
+            { addonName: 'Fourth', externalUrl: 'https://example.com' },
+        ];
+        expect(groupStreams(streams).map(({ addonName, origins }) => [addonName, origins.map(({ addonName }) => addonName)])).toEqual([
+            ['Torrentio', ['Torrentio', 'MediaFusion']],
+            ['Torrentio', ['Torrentio']],
+            ['First', ['First', 'Second']],
+            ['Third', ['Third']],
+            ['Fourth', ['Fourth']],
+        ]);
+    });
+});
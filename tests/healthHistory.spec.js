@@ -0,0 +1,31 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { STALL_TIMEOUT, appendSample, getStallDuration } = require('../src/routes/Settings/Streaming/HealthDashboard/healthHistory');
+
+const statistics = (downloaded, streamProgress = 0.5) => ({
+    downloadSpeed: 0,
+    uploadSpeed: 0,
+    peers: 3,
+    swarmSize: 10,
+    downloaded,
+    streamProgress,
+});
+
+describe('healthHistory', () => {
+    it('measures the time since the last downloaded bytes', () => {
+        const history = [100, 200, 200, 200]
+            .reduce((history, downloaded, index) => appendSample(history, statistics(downloaded), index * STALL_TIMEOUT), []);
+
+        expect(getStallDuration(history)).toBe(2 * STALL_TIMEOUT);
+        expect(getStallDuration(appendSample(history, statistics(300), 4 * STALL_TIMEOUT))).toBe(0);
+        expect(getStallDuration(appendSample(history, statistics(200, 1), 4 * STALL_TIMEOUT))).toBe(0);
+    });
+
+    it('keeps only the latest samples', () => {
+        const history = Array.from({ length: 100 })
+            .reduce((history, _, index) => appendSample(history, statistics(index), index), []);
+
+        expect(history).toHaveLength(60);
+        expect(history[0].downloaded).toBe(40);
+    });
+});
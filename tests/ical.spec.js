@@ -0,0 +1,52 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { getRangeMonths, getRangeItems, toICalendar } = require('../src/routes/Calendar/ical');
+
+describe('ical', () => {
+    const items = [
+        {
+            date: { year: 2026, month: 10, day: 31 },
+            items: [
+                { id: 'tt1', name: 'Show, The; Part 2', title: 'Pilot', season: 1, episode: 5, deepLinks: { metaDetailsStreams: '#/detail/series/tt1/tt1%3A1%3A5' } },
+            ],
+        },
+        { date: { year: 2026, month: 11, day: 1 }, items: [] },
+    ];
+
+    it('lists the months of a range of days', () => {
+        expect(getRangeMonths({ year: 2026, month: 11, day: 15 }, 90)).toEqual([
+            { year: 2026, month: 11 },
+            { year: 2026, month: 12 },
+            { year: 2027, month: 1 },
+            { year: 2027, month: 2 },
+        ]);
+        expect(getRangeMonths({ year: 2026, month: 10, day: 1 }, 1)).toEqual([{ year: 2026, month: 10 }]);
+    });
+
+    it('keeps the items of a range of days', () => {
+        expect(getRangeItems(items, { year: 2026, month: 10, day: 18 }, 14)).toEqual(items.slice(0, 1));
+        expect(getRangeItems(items, { year: 2026, month: 11, day: 1 }, 90)).toEqual(items.slice(1));
+    });
+
+    it('builds an all day event linking to the streams of each video', () => {
+        const ics = toICalendar(items, { name: 'Stremio', stamp: new Date(Date.UTC(2026, 9, 18, 8, 30)), baseUrl: 'https://web.stremio.com/' });
+        const lines = ics.split('\r\n');
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines).toContain('UID:tt1-1-5-20261031@stremio');
+        expect(lines).toContain('DTSTAMP:20261018T083000Z');
+        expect(lines).toContain('DTSTART;VALUE=DATE:20261031');
+        expect(lines).toContain('DTEND;VALUE=DATE:20261101');
+        expect(lines).toContain('SUMMARY:Show\\, The\\; Part 2 S01E05');
+        expect(lines).toContain('URL:https://web.stremio.com/#/detail/series/tt1/tt1%3A1%3A5');
+        expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(1);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('folds lines longer than 75 octets', () => {
+        const ics = toICalendar([{ date: items[0].date, items: [{ ...items[0].items[0], name: 'é'.repeat(60) }] }], { name: 'Stremio', stamp: new Date(0), baseUrl: '' });
+        const lines = ics.split('\r\n');
+        expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(lines.find((line) => line.startsWith('SUMMARY:')).length).toBeLessThan(75);
+        expect(ics.replace(/\r\n /g, '')).toContain(`SUMMARY:${'é'.repeat(60)} S01E05`);
+    });
+});
@@ -0,0 +1,108 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const ts = require('typescript');
+
+// Jest only transforms JavaScript here, so the module is compiled with TypeScript itself
+const requireTS = (filename) => {
+    const source = fs.readFileSync(filename, 'utf8');
+    const { outputText } = ts.transpileModule(source, { compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2019 } });
+    const compiled = new Module(filename);
+    compiled.filename = filename;
+    compiled._compile(outputText, filename);
+    return compiled.exports;
+};
+
+const { parseCombo, getEventStep, normalizeKeyBindings, applyKeyBindings, findConflict } = requireTS(path.join(__dirname, '../src/common/Shortcuts/keyBindings.ts'));
+
+const GROUPS = [
+    {
+        name: 'general',
+        label: 'SETTINGS_NAV_GENERAL',
+        shortcuts: [
+            { name: 'fullscreen', label: 'SETTINGS_SHORTCUT_FULLSCREEN', combos: ['F'] },
+            { name: 'shortcuts', label: 'SETTINGS_SHORTCUT_SHORTCUTS', combos: ['Ctrl+/'] },
+        ],
+    },
+    {
+        name: 'player',
+        label: 'SETTINGS_NAV_PLAYER',
+        shortcuts: [
+            { name: 'seekForward', label: 'SETTINGS_SHORTCUT_SEEK_FORWARD', combos: ['ArrowRight', 'Shift+ArrowRight'] },
+            { name: 'subtitles', label: 'SETTINGS_SHORTCUT_SUBTITLES', combos: ['Ctrl+K S'] },
+        ],
+    },
+];
+
+const keyboardEvent = (event) => ({ ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...event });
+
+describe('keyBindings', () => {
+    describe('parseCombo', () => {
+        it('reads the modifiers and the key of each step of a chord', () => {
+            expect(parseCombo('Ctrl+K Shift+s')).toEqual([
+                { key: 'K', Ctrl: true, Alt: false, Shift: false, Meta: false },
+                { key: 'S', Ctrl: false, Alt: false, Shift: true, Meta: false },
+            ]);
+        });
+
+        it('reads a trailing plus as the plus key', () => {
+            expect(parseCombo('Shift++')).toEqual([{ key: '+', Ctrl: false, Alt: false, Shift: true, Meta: false }]);
+        });
+
+        it('reads an empty combo as no steps', () => {
+            expect(parseCombo('')).toEqual([]);
+        });
+    });
+
+    describe('getEventStep', () => {
+        it('names letters and digits after the physical key', () => {
+            expect(getEventStep(keyboardEvent({ code: 'KeyS', key: 'ß', altKey: true }))).toEqual({ key: 'S', Ctrl: false, Alt: true, Shift: false, Meta: false });
+            expect(getEventStep(keyboardEvent({ code: 'Numpad4', key: '4' }))).toEqual({ key: '4', Ctrl: false, Alt: false, Shift: false, Meta: false });
+        });
+
+        it('names other keys after the key or its code', () => {
+            expect(getEventStep(keyboardEvent({ code: 'Slash', key: '/', ctrlKey: true }))).toEqual({ key: '/', Ctrl: true, Alt: false, Shift: false, Meta: false });
+            expect(getEventStep(keyboardEvent({ code: 'Space', key: ' ' }))).toEqual({ key: 'Space', Ctrl: false, Alt: false, Shift: false, Meta: false });
+        });
+
+        it('ignores modifiers pressed alone', () => {
+            expect(getEventStep(keyboardEvent({ code: 'ShiftLeft', key: 'Shift', shiftKey: true }))).toBe(null);
+        });
+    });
+
+    describe('applyKeyBindings', () => {
+        it('replaces the combos of the bound shortcuts', () => {
+            const groups = applyKeyBindings(GROUPS, { fullscreen: ['G'] });
+            expect(groups[0].shortcuts[0].combos).toEqual(['G']);
+            expect(groups[0].shortcuts[1]).toBe(GROUPS[0].shortcuts[1]);
+        });
+
+        it('ignores bindings whose number of combos changed', () => {
+            const groups = applyKeyBindings(GROUPS, { seekForward: ['L'] });
+            expect(groups[1].shortcuts[0].combos).toEqual(['ArrowRight', 'Shift+ArrowRight']);
+        });
+
+        it('keeps the defaults without bindings', () => {
+            expect(applyKeyBindings(GROUPS, normalizeKeyBindings(undefined))).toEqual(GROUPS);
+            expect(applyKeyBindings(GROUPS, normalizeKeyBindings('F'))).toEqual(GROUPS);
+        });
+    });
+
+    describe('findConflict', () => {
+        it('finds the shortcut bound to the same combo', () => {
+            expect(findConflict(GROUPS, 'fullscreen', 0, 'Shift+ArrowRight').name).toBe('seekForward');
+        });
+
+        it('finds chords starting with the combo and combos starting a chord', () => {
+            expect(findConflict(GROUPS, 'fullscreen', 0, 'Ctrl+K').name).toBe('subtitles');
+            expect(findConflict(GROUPS, 'subtitles', 0, 'F G').name).toBe('fullscreen');
+        });
+
+        it('does not conflict with the combo being replaced', () => {
+            expect(findConflict(GROUPS, 'subtitles', 0, 'Ctrl+K')).toBe(null);
+            expect(findConflict(GROUPS, 'seekForward', 1, 'Alt+ArrowRight')).toBe(null);
+        });
+    });
+});
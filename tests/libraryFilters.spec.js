@@ -0,0 +1,57 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { DEFAULT_FILTERS, parseYear, isFiltering, filterLibraryItems, getGenres, getLibraryStats } = require('../src/routes/Library/libraryFilters');
+
+describe('libraryFilters', () => {
+    const items = [
+        { _id: 'tt1', type: 'movie', name: 'Amélie', watched: true, progress: 0, state: { timeWatched: 0, overallTimeWatched: 7200000 } },
+        { _id: 'tt2', type: 'series', name: 'The Office', watched: false, progress: 30, state: { timeWatched: 600000, overallTimeWatched: 3600000 } },
+        { _id: 'tt3', type: 'series', name: 'Dark', watched: false, progress: 0, state: { timeWatched: 0, overallTimeWatched: 0 } },
+    ];
+    const meta = {
+        tt1: { year: 2001, genres: ['Comedy', 'Romance'] },
+        tt2: { year: 2005, genres: ['Comedy'] },
+    };
+    const notifications = { tt3: [{ id: 'tt3:2:1' }] };
+    const filter = (filters) => filterLibraryItems(items, { ...DEFAULT_FILTERS, ...filters }, notifications, meta).map(({ _id }) => _id);
+
+    it('reads the first year of a release info', () => {
+        expect(parseYear('2010–2015')).toBe(2010);
+        expect(parseYear('2010')).toBe(2010);
+        expect(parseYear('')).toBe(null);
+        expect(parseYear(undefined)).toBe(null);
+    });
+
+    it('only filters when a filter is set', () => {
+        expect(isFiltering(DEFAULT_FILTERS)).toBe(false);
+        expect(isFiltering({ ...DEFAULT_FILTERS, search: '  ' })).toBe(false);
+        expect(isFiltering({ ...DEFAULT_FILTERS, genre: 'Comedy' })).toBe(true);
+    });
+
+    it('searches names ignoring case and accents', () => {
+        expect(filter({ search: 'amelie' })).toEqual(['tt1']);
+        expect(filter({ search: 'office the' })).toEqual(['tt2']);
+    });
+
+    it('matches any of the progress facets', () => {
+        expect(filter({ progress: ['in_progress'] })).toEqual(['tt2']);
+        expect(filter({ progress: ['watched', 'new_videos'] })).toEqual(['tt1', 'tt3']);
+    });
+
+    it('filters by year range and genre, leaving out items without meta', () => {
+        expect(filter({ yearFrom: 2002 })).toEqual(['tt2']);
+        expect(filter({ yearTo: 2005, genre: 'Romance' })).toEqual(['tt1']);
+        expect(getGenres(items, meta)).toEqual(['Comedy', 'Romance']);
+    });
+
+    it('counts hours watched and completion per type', () => {
+        expect(getLibraryStats(items)).toEqual({
+            total: 3,
+            hoursWatched: 3,
+            types: [
+                { type: 'series', total: 2, watched: 0, completion: 0 },
+                { type: 'movie', total: 1, watched: 1, completion: 100 },
+            ],
+        });
+    });
+});
@@ -0,0 +1,61 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const parseASSScript = require('../src/routes/Player/SubtitleManager/parseASSScript');
+
+const script = (...dialogues) => [
+    '[Script Info]',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Arial,60,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,3,1,2,20,20,40,1',
+    'Style: Sign,Verdana,40,&H0000FFFF,&H000000FF,&H00000000,&H00000000,0,1,0,0,100,100,0,0,3,2,0,8,10,10,10,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...dialogues.map((dialogue) => `Dialogue: ${dialogue}`),
+].join('\r\n');
+
+describe('parseASSScript', () => {
+    it('parses script info and styles', () => {
+        const { playResX, playResY, styles } = parseASSScript(script());
+        expect([playResX, playResY]).toEqual([1920, 1080]);
+        expect(styles.Default).toMatchObject({ fontName: 'Arial', fontSize: 60, bold: true, alignment: 2, marginV: 40 });
+        expect(styles.Default.backColour).toEqual({ r: 0, g: 0, b: 0, a: 128 });
+        expect(styles.Sign).toMatchObject({ italic: true, borderStyle: 3, alignment: 8 });
+        expect(styles.Sign.primaryColour).toEqual({ r: 255, g: 255, b: 0, a: 0 });
+    });
+
+    it('keeps commas in the text and converts line breaks', () => {
+        const { events: [event] } = parseASSScript(script('0,0:00:01.00,0:00:03.50,Default,,0,0,0,,Well, hello\\Nthere\\hfriend'));
+        expect(event).toMatchObject({ start: 1, end: 3.5, text: 'Well, hello\nthere friend', supported: true });
+        expect(event.marginV).toBe(40);
+    });
+
+    it('applies override tags to the following segments', () => {
+        const { events: [event] } = parseASSScript(script('0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\an8\\pos(960,100)\\fad(200,300)}Red {\\c&H0000FF&\\i1}text{\\r}reset'));
+        expect(event).toMatchObject({ alignment: 8, position: { x: 960, y: 100 }, fade: { type: 'fad', fadeIn: 200, fadeOut: 300 } });
+        expect(event.segments.map(({ text }) => text)).toEqual(['Red ', 'text', 'reset']);
+        expect(event.segments[1].style).toMatchObject({ italic: true, primaryColour: { r: 255, g: 0, b: 0, a: 0 } });
+        expect(event.segments[2].style).toMatchObject({ italic: false, primaryColour: { r: 255, g: 255, b: 255, a: 0 } });
+    });
+
+    it('times karaoke syllables', () => {
+        const { events: [event] } = parseASSScript(script('0,0:00:04.00,0:00:06.00,Default,,0,0,0,,{\\k50}Ka{\\kf30}ra{\\ko40}oke'));
+        expect(event.segments.map(({ karaoke }) => karaoke)).toEqual([
+            { type: 'k', start: 0, duration: 500 },
+            { type: 'K', start: 500, duration: 300 },
+            { type: 'ko', start: 800, duration: 400 },
+        ]);
+    });
+
+    it('marks unsupported effects and drops drawings', () => {
+        const { events } = parseASSScript(script(
+            '0,0:00:07.00,0:00:08.00,Default,,0,0,0,,{\\t(0,500,\\fs80)\\pos(1,2)}Animated',
+            '0,0:00:09.00,0:00:10.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}',
+        ));
+        expect(events[0]).toMatchObject({ supported: false, text: 'Animated', position: { x: 1, y: 2 } });
+        expect(events[1]).toMatchObject({ text: '', segments: [] });
+    });
+});
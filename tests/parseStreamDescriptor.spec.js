@@ -0,0 +1,42 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const parseStreamDescriptor = require('../src/common/parseStreamDescriptor');
+
+describe('parseStreamDescriptor', () => {
+    it('parses torrent streams descriptions', () => {
+        const descriptor = parseStreamDescriptor({
+            name: 'Torrentio\n4k DV | HDR10',
+            description: 'Movie.2024.2160p.WEB-DL.DDP5.1.Atmos.DV.HDR10.H.265\n👤 152 💾 14.3 GB ⚙️ ThePirateBay\n🇬🇧 / 🇮🇱',
+        });
+        expect(descriptor).toEqual({
+            resolution: 2160,
+            hdr: ['DV', 'HDR10'],
+            codec: 'hevc',
+            audioChannels: '5.1',
+            size: Math.round(14.3 * 1024 ** 3),
+            seeders: 152,
+            source: 'WEB-DL',
+            languages: ['eng', 'heb'],
+            subtitles: [],
+        });
+    });
+
+    it('prefers behavior hints and tells subtitles apart from audio', () => {
+        const descriptor = parseStreamDescriptor({
+            name: 'Addon 720p',
+            title: 'Movie HDCAM x264 2.0 GB Heb subs',
+            behaviorHints: { videoSize: 1000 },
+        });
+        expect(descriptor).toEqual({
+            resolution: 720,
+            hdr: [],
+            codec: 'avc',
+            audioChannels: null,
+            size: 1000,
+            seeders: null,
+            source: 'CAM',
+            languages: [],
+            subtitles: ['heb'],
+        });
+    });
+});
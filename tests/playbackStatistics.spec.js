@@ -0,0 +1,25 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { getBufferHealth, getBitrate, getCodecs, isTranscoded } = require('../src/routes/Player/StatisticsMenu/playbackStatistics');
+
+describe('playbackStatistics', () => {
+    it('measures the buffer and the bitrate', () => {
+        expect(getBufferHealth(10000, 25000)).toBe(15);
+        expect(getBufferHealth(null, 25000)).toBe(null);
+        expect(getBitrate({ time: 0, bytes: 0 }, { time: 1000, bytes: 500000 })).toBe(4000);
+        expect(getBitrate(null, { time: 1000, bytes: 500000 })).toBe(null);
+    });
+
+    it('reads the codecs and the transcoding from the streaming server', () => {
+        const probe = {
+            streams: [
+                { track: 'video', codec: 'hevc' },
+                { track: 'audio', codec: 'eac3', channels: 6 },
+                { track: 'subtitle', codec: 'subrip' },
+            ],
+        };
+        expect(getCodecs(probe)).toEqual(['hevc', 'eac3 6ch']);
+        expect(isTranscoded(['http://127.0.0.1:11470/hlsv2/abc/master.m3u8?mediaURL=x'])).toBe(true);
+        expect(isTranscoded(['http://127.0.0.1:11470/abc/0'])).toBe(false);
+    });
+});
@@ -0,0 +1,52 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { normalizeData, toDatastoreItem, fromDatastoreItem, mergeEntries } = require('../src/services/ProfileStorage/datastore');
+
+describe('profile storage', () => {
+    const entry = (value, mtime) => ({ value, mtime });
+
+    it('falls back to nothing stored', () => {
+        expect(normalizeData(null)).toEqual({ account: null, entries: {} });
+        expect(normalizeData({ account: 1, entries: 'x' })).toEqual({ account: null, entries: {} });
+    });
+
+    it('keeps values in hidden library items', () => {
+        const item = toDatastoreItem('keyBindings', entry({ fullscreen: ['G'] }, Date.UTC(2025, 0, 1)));
+        expect(item).toMatchObject({
+            _id: 'stremio-web:keyBindings',
+            type: 'other',
+            removed: true,
+            temp: false,
+            _mtime: '2025-01-01T00:00:00.000Z',
+        });
+        expect(fromDatastoreItem(item)).toEqual({ key: 'keyBindings', value: { fullscreen: ['G'] }, mtime: Date.UTC(2025, 0, 1) });
+    });
+
+    it('ignores other and malformed library items', () => {
+        expect(fromDatastoreItem({ _id: 'tt0903747', name: 'Breaking Bad', _mtime: '2025-01-01T00:00:00.000Z' })).toBe(null);
+        expect(fromDatastoreItem({ _id: 'stremio-web:keyBindings', name: '{', _mtime: '2025-01-01T00:00:00.000Z' })).toBe(null);
+        expect(fromDatastoreItem(null)).toBe(null);
+    });
+
+    it('keeps the most recently changed values', () => {
+        const local = { account: 'user', entries: { a: entry(1, 2), b: entry(1, 1) } };
+        const merged = mergeEntries(local, 'user', { a: entry(2, 1), b: entry(2, 2), c: entry(2, 1) }, ['a', 'b', 'c']);
+        expect(merged.data).toEqual({ account: 'user', entries: { a: entry(1, 2), b: entry(2, 2), c: entry(2, 1) } });
+        expect(merged.changed).toEqual(['b', 'c']);
+        expect(merged.outdated).toEqual(['a']);
+    });
+
+    it('gives the values changed while logged out to the account', () => {
+        const merged = mergeEntries({ account: null, entries: { a: entry(1, 1) } }, 'user', {}, ['a']);
+        expect(merged.data).toEqual({ account: 'user', entries: { a: entry(1, 1) } });
+        expect(merged.outdated).toEqual(['a']);
+    });
+
+    it('replaces the values of another account', () => {
+        const local = { account: 'other', entries: { a: entry(1, 2), b: entry(1, 2) } };
+        const merged = mergeEntries(local, 'user', { a: entry(2, 1) }, ['a', 'b']);
+        expect(merged.data).toEqual({ account: 'user', entries: { a: entry(2, 1) } });
+        expect(merged.changed).toEqual(['a', 'b']);
+        expect(merged.outdated).toEqual([]);
+    });
+});
@@ -0,0 +1,70 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { getStreamCandidates, rankStreams } = require('../src/common/rankStreams');
+
+const stream = (name, behaviorHints = {}) => ({
+    name,
+    description: '',
+    behaviorHints,
+    deepLinks: { player: `#/player/${encodeURIComponent(name)}` },
+});
+
+const streams = [
+    {
+        addon: { transportUrl: 'https://first.addon/manifest.json' },
+        content: {
+            type: 'Ready',
+            content: [
+                stream('2160p HEVC 40 GB'),
+                stream('1080p x264 3 GB', { bingeGroup: 'first-1080p' }),
+                stream('720p HDCAM'),
+            ],
+        },
+    },
+    {
+        addon: { transportUrl: 'https://second.addon/manifest.json' },
+        content: {
+            type: 'Ready',
+            content: [
+                stream('1080p x265 2 GB 🇮🇱'),
+                { name: '1080p', description: '', deepLinks: { player: null } },
+            ],
+        },
+    },
+    {
+        addon: { transportUrl: 'https://third.addon/manifest.json' },
+        content: { type: 'Loading' },
+    },
+];
+
+const names = (candidates) => candidates.map(({ stream }) => stream.name);
+
+describe('rankStreams', () => {
+    it('ranks by resolution and skips streams that cannot be played', () => {
+        expect(names(rankStreams(getStreamCandidates(streams), {}))).toEqual([
+            '2160p HEVC 40 GB',
+            '1080p x264 3 GB',
+            '1080p x265 2 GB 🇮🇱',
+            '720p HDCAM',
+        ]);
+    });
+
+    it('applies the preferences', () => {
+        const preferences = {
+            resolution: 1080,
+            maxSize: 10 * 1024 ** 3,
+            addons: [],
+            language: 'heb',
+            codecBlacklist: ['avc'],
+        };
+        expect(names(rankStreams(getStreamCandidates(streams), preferences))).toEqual([
+            '1080p x265 2 GB 🇮🇱',
+            '720p HDCAM',
+        ]);
+    });
+
+    it('ranks the streams of the binge group first', () => {
+        const ranked = rankStreams(getStreamCandidates(streams), { addons: ['https://second.addon/manifest.json'] }, 'first-1080p');
+        expect(names(ranked).slice(0, 2)).toEqual(['1080p x264 3 GB', '1080p x265 2 GB 🇮🇱']);
+    });
+});
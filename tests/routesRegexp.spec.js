@@ -136,6 +136,62 @@ describe('routesRegexp', () => {
         });
     });
 
+    describe('collection route regexp', () => {
+        it('match /library/collection/id', async () => {
+            expect(Array.from('/library/collection/id'.match(routesRegexp.collection.regexp)))
+                .toEqual(['/library/collection/id', 'id']);
+        });
+
+        it('not match /library/collection/', async () => {
+            expect('/library/collection/'.match(routesRegexp.collection.regexp))
+                .toBe(null);
+        });
+
+        it('not match /library/collection/id/', async () => {
+            expect('/library/collection/id/'.match(routesRegexp.collection.regexp))
+                .toBe(null);
+        });
+    });
+
+    describe('calendar route regexp', () => {
+        it('match /calendar', async () => {
+            expect(Array.from('/calendar'.match(routesRegexp.calendar.regexp)))
+                .toEqual(['/calendar', undefined, undefined, undefined]);
+        });
+
+        it('match /calendar/2026/10', async () => {
+            expect(Array.from('/calendar/2026/10'.match(routesRegexp.calendar.regexp)))
+                .toEqual(['/calendar/2026/10', undefined, '2026', '10']);
+        });
+
+        it('match /calendar/week/2026/42', async () => {
+            expect(Array.from('/calendar/week/2026/42'.match(routesRegexp.calendar.regexp)))
+                .toEqual(['/calendar/week/2026/42', 'week', '2026', '42']);
+        });
+
+        it('match /calendar/agenda', async () => {
+            expect(Array.from('/calendar/agenda'.match(routesRegexp.calendar.regexp)))
+                .toEqual(['/calendar/agenda', 'agenda', undefined, undefined]);
+        });
+
+        it('not match /calendar/day/2026/10', async () => {
+            expect('/calendar/day/2026/10'.match(routesRegexp.calendar.regexp))
+                .toBe(null);
+        });
+    });
+
+    describe('downloads route regexp', () => {
+        it('match /downloads', async () => {
+            expect(Array.from('/downloads'.match(routesRegexp.downloads.regexp)))
+                .toEqual(['/downloads']);
+        });
+
+        it('not match /downloads/', async () => {
+            expect('/downloads/'.match(routesRegexp.downloads.regexp))
+                .toBe(null);
+        });
+    });
+
     describe('search route regexp', () => {
         it('match /search', async () => {
             expect(Array.from('/search'.match(routesRegexp.search.regexp)))
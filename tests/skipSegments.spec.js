@@ -0,0 +1,127 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { getSegmentType, parseProbeChapters, parseStreamChapters, getSkipSegments } = require('../src/routes/Player/skipSegments');
+
+const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+});
+
+describe('skipSegments', () => {
+    describe('getSegmentType', () => {
+        it('guesses the type from the chapter title', () => {
+            expect(getSegmentType('Opening')).toBe('intro');
+            expect(getSegmentType('OP')).toBe('intro');
+            expect(getSegmentType('Previously on')).toBe('recap');
+            expect(getSegmentType('End Credits')).toBe('credits');
+            expect(getSegmentType('ED')).toBe('credits');
+        });
+
+        it('does not tag other chapters', () => {
+            expect(getSegmentType('Chapter 1')).toBe(null);
+            expect(getSegmentType('Operation')).toBe(null);
+            expect(getSegmentType(null)).toBe(null);
+        });
+    });
+
+    describe('parseProbeChapters', () => {
+        it('reads the chapters in milliseconds sorted by start', () => {
+            const chapters = parseProbeChapters({
+                chapters: [
+                    { start_time: '90.5', end_time: '1300', tags: { title: 'Episode' } },
+                    { start_time: '0', end_time: '90.5', tags: { title: 'Opening' } },
+                    { start_time: '1300', end_time: '1420' },
+                ],
+            });
+
+            expect(chapters).toEqual([
+                { title: 'Opening', start: 0, end: 90500, type: 'intro' },
+                { title: 'Episode', start: 90500, end: 1300000, type: null },
+                { title: null, start: 1300000, end: 1420000, type: null },
+            ]);
+        });
+
+        it('skips empty chapters and probes without chapters', () => {
+            expect(parseProbeChapters({ chapters: [{ start_time: '10', end_time: '10' }, { start_time: 'x', end_time: '5' }] })).toEqual([]);
+            expect(parseProbeChapters({})).toEqual([]);
+            expect(parseProbeChapters(null)).toEqual([]);
+        });
+    });
+
+    describe('parseStreamChapters', () => {
+        it('reads the chapters of the behavior hints and keeps their type', () => {
+            const chapters = parseStreamChapters({
+                behaviorHints: {
+                    chapters: [
+                        { title: 'Outro', start: 1300, end: 1400 },
+                        { title: 'Cold open', start: 0, end: 60, type: 'recap' },
+                        null,
+                    ],
+                },
+            });
+
+            expect(chapters).toEqual([
+                { title: 'Cold open', start: 0, end: 60000, type: 'recap' },
+                { title: 'Outro', start: 1300000, end: 1400000, type: 'credits' },
+            ]);
+        });
+
+        it('returns no chapters for streams without them', () => {
+            expect(parseStreamChapters({ url: 'http://example.com/video.mp4' })).toEqual([]);
+            expect(parseStreamChapters(null)).toEqual([]);
+        });
+    });
+
+    describe('getSkipSegments', () => {
+        const fetch = global.fetch;
+
+        afterEach(() => {
+            global.fetch = fetch;
+        });
+
+        it('looks up the segments of kitsu episodes on AniSkip', async () => {
+            global.fetch = jest.fn((url) => {
+                if (url.startsWith('https://kitsu.io/api/edge/anime/7442/mappings')) {
+                    return Promise.resolve(jsonResponse({
+                        data: [
+                            { attributes: { externalSite: 'anidb', externalId: '9541' } },
+                            { attributes: { externalSite: 'myanimelist/anime', externalId: '16498' } },
+                        ],
+                    }));
+                }
+
+                return Promise.resolve(jsonResponse({
+                    found: true,
+                    results: [
+                        { skipType: 'ed', interval: { startTime: 1300.2, endTime: 1390 } },
+                        { skipType: 'op', interval: { startTime: 30, endTime: 120.5 } },
+                        { skipType: 'unknown', interval: { startTime: 0, endTime: 10 } },
+                    ],
+                }));
+            });
+
+            const segments = await getSkipSegments({ stream: null, id: 'kitsu:7442', videoId: 'kitsu:7442:3', duration: 1420000 });
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch.mock.calls[1][0]).toMatch(/^https:\/\/api\.aniskip\.com\/v2\/skip-times\/16498\/3\?.*&episodeLength=1420$/);
+            expect(segments).toEqual([
+                { type: 'intro', start: 30000, end: 120500 },
+                { type: 'credits', start: 1300200, end: 1390000 },
+            ]);
+        });
+
+        it('does not look up other videos', async () => {
+            global.fetch = jest.fn();
+
+            await expect(getSkipSegments({ stream: null, id: 'tt0903747', videoId: 'tt0903747:1:1', duration: 3000000 })).resolves.toEqual([]);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('ignores failing lookups', async () => {
+            global.fetch = jest.fn(() => Promise.resolve(jsonResponse({ found: false, results: [] }, 404)));
+
+            await expect(getSkipSegments({ stream: null, id: 'kitsu:1', videoId: 'kitsu:1:1', duration: 1400000 })).resolves.toEqual([]);
+        });
+    });
+});
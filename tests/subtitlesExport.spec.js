@@ -0,0 +1,75 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+jest.mock('stremio/common/ENHANCED_CONSTANTS', () => ({
+    SUBTITLE_FORMATS: [],
+    PERFORMANCE_SETTINGS: {},
+    ERROR_MESSAGES: { subtitleProcessing: { CONVERSION_FAILED: 'Conversion failed' } },
+    STATUS_INDICATORS: { subtitleProcessing: { IDLE: 'idle', PARSING: 'parsing', CONVERTING: 'converting', SUCCESS: 'success', ERROR: 'error' } },
+}), { virtual: true });
+
+const SubtitleManager = require('../src/routes/Player/SubtitleManager/SubtitleManager');
+
+const CUES = [
+    { start: 1.5, end: 3.3, text: 'Hello <i>there</i>' },
+    { start: 3661.0415, end: 3662, text: 'Two\nlines' },
+];
+
+describe('subtitles export', () => {
+    let subtitleManager;
+
+    beforeEach(() => {
+        subtitleManager = new SubtitleManager();
+    });
+
+    afterEach(() => {
+        subtitleManager.destroy();
+    });
+
+    it('formats times rounded to whole milliseconds', () => {
+        expect(subtitleManager.convertSRTTimeToVTT(3.3)).toBe('00:00:03.300');
+        expect(subtitleManager.convertVTTTimeToSRT(3.3)).toBe('00:00:03,300');
+        expect(subtitleManager.convertSRTTimeToVTT(59.9996)).toBe('00:01:00.000');
+        expect(subtitleManager.convertVTTTimeToSRT(3661.0415)).toBe('01:01:01,042');
+        expect(subtitleManager.convertSRTTimeToVTT(0)).toBe('00:00:00.000');
+    });
+
+    it('serializes VTT with a header and one block per cue', () => {
+        const content = subtitleManager.serializeVTT([
+            { start: '00:00:01.500', end: '00:00:03.300', text: 'Hello' },
+            { start: '00:00:04.000', end: '00:00:05.000', text: 'World' },
+        ]);
+
+        expect(content).toBe('WEBVTT\n\n00:00:01.500 --> 00:00:03.300\nHello\n\n00:00:04.000 --> 00:00:05.000\nWorld\n');
+    });
+
+    it('serializes ASS dialogues in centiseconds with override tags', () => {
+        const content = subtitleManager.serializeASS([
+            { start: 1.5, end: 3.333, text: '<b>Bold</b> <font color="#ff0000">red</font>\nnext', actor: 'Ann', effect: '' },
+        ]);
+        const lines = content.split('\n');
+
+        expect(lines[0]).toBe('[Script Info]');
+        expect(lines).toContain('[Events]');
+        expect(lines).toContain('Dialogue: 0,0:00:01.50,0:00:03.33,Default,Ann,0,0,0,,{\\b1}Bold{\\b0} red\\Nnext');
+    });
+
+    it('exports SRT, VTT and ASS documents', async () => {
+        await expect(subtitleManager.exportSubtitles(CUES, 'srt')).resolves.toBe(
+            '1\n00:00:01,500 --> 00:00:03,300\nHello <i>there</i>\n\n' +
+            '2\n01:01:01,042 --> 01:01:02,000\nTwo\nlines\n'
+        );
+        await expect(subtitleManager.exportSubtitles(CUES, 'vtt')).resolves.toBe(
+            'WEBVTT\n\n' +
+            '00:00:01.500 --> 00:00:03.300\nHello <i>there</i>\n\n' +
+            '01:01:01.042 --> 01:01:02.000\nTwo\nlines\n'
+        );
+
+        const ass = await subtitleManager.exportSubtitles(CUES, 'ass');
+        expect(ass).toContain('Dialogue: 0,0:00:01.50,0:00:03.30,Default,,0,0,0,,Hello {\\i1}there{\\i0}');
+        expect(ass).toContain('Dialogue: 0,1:01:01.04,1:01:02.00,Default,,0,0,0,,Two\\Nlines');
+    });
+
+    it('rejects unknown formats', async () => {
+        await expect(subtitleManager.exportSubtitles(CUES, 'sub')).rejects.toThrow('Conversion failed: sub');
+    });
+});
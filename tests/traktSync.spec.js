@@ -0,0 +1,125 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const http = require('http');
+const { TraktError, createTraktApi } = require('../src/services/Trakt/api');
+const { getScrobbleBody, getWatchedHistory, getPendingHistory, addImported, getListItems, toSyncItems, mergeWatchlist, mergeRating } = require('../src/services/Trakt/sync');
+
+const ACCESS_TOKEN = 'token';
+const CLIENT_ID = 'client';
+
+// Mock of the Trakt endpoints used by the sync, keeping the watchlist in memory
+const createMockTrakt = () => {
+    const watchlist = [
+        { type: 'movie', listed_at: '2025-01-01T00:00:00.000Z', movie: { title: 'Movie', year: 2020, ids: { imdb: 'tt0000001' } } },
+    ];
+    const scrobbles = [];
+    const server = http.createServer((request, response) => {
+        let data = '';
+        request.on('data', (chunk) => data += chunk);
+        request.on('end', () => {
+            const send = (status, body) => {
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(body));
+            };
+            if (request.headers['authorization'] !== `Bearer ${ACCESS_TOKEN}` || request.headers['trakt-api-version'] !== '2' || request.headers['trakt-api-key'] !== CLIENT_ID) {
+                return send(401, {});
+            }
+
+            const body = data.length > 0 ? JSON.parse(data) : null;
+            switch (`${request.method} ${request.url}`) {
+                case 'GET /sync/watchlist':
+                    return send(200, watchlist);
+                case 'POST /sync/watchlist':
+                    body.shows.forEach(({ ids }) => watchlist.push({ type: 'show', listed_at: new Date().toISOString(), show: { title: ids.imdb, ids } }));
+                    return send(201, {});
+                case 'POST /sync/watchlist/remove': {
+                    const ids = body.movies.concat(body.shows).map(({ ids }) => ids.imdb);
+                    watchlist.splice(0, watchlist.length, ...watchlist.filter((item) => !ids.includes(item[item.type].ids.imdb)));
+                    return send(200, {});
+                }
+                case 'POST /scrobble/start':
+                    scrobbles.push(body);
+                    return send(201, {});
+                default:
+                    return send(404, {});
+            }
+        });
+    });
+
+    return { server, watchlist, scrobbles };
+};
+
+describe('traktSync', () => {
+    const mock = createMockTrakt();
+    let url = null;
+
+    beforeAll((done) => {
+        mock.server.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${mock.server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        mock.server.close(done);
+    });
+
+    it('scrobbles movies and episodes with an imdb id', async () => {
+        const api = createTraktApi({ url, clientId: CLIENT_ID, accessToken: ACCESS_TOKEN });
+        const body = getScrobbleBody({ type: 'series', id: 'tt0000002', videoId: 'tt0000002:1:3' }, 42.123);
+        await api.scrobble('start', body);
+
+        expect(mock.scrobbles).toEqual([{ show: { ids: { imdb: 'tt0000002' } }, episode: { season: 1, number: 3 }, progress: 42.12 }]);
+        expect(getScrobbleBody({ type: 'movie', id: 'kitsu:1', videoId: null }, 10)).toBe(null);
+        await expect(createTraktApi({ url, clientId: CLIENT_ID, accessToken: 'expired' }).getWatchlist()).rejects.toBeInstanceOf(TraktError);
+    });
+
+    it('merges the watchlist with the library both ways', async () => {
+        const api = createTraktApi({ url, clientId: CLIENT_ID, accessToken: ACCESS_TOKEN });
+        const library = [
+            { _id: 'tt0000003', type: 'series', name: 'Series', _mtime: '2025-01-02T00:00:00.000Z' },
+            { _id: 'tt0000004', type: 'series', name: 'Removed on Trakt', _mtime: '2025-01-02T00:00:00.000Z' },
+        ];
+
+        const first = mergeWatchlist(library, getListItems(await api.getWatchlist()), null, null);
+        expect(first.addToLibrary.map(({ id }) => id)).toEqual(['tt0000001']);
+        expect(first.addToTrakt.map(({ id }) => id)).toEqual(['tt0000003', 'tt0000004']);
+        expect(first.removeFromLibrary).toEqual([]);
+        await api.addToWatchlist(toSyncItems([first.addToTrakt[0]]));
+
+        // The movie was removed from the library and the series from Trakt since the last sync
+        const lastSync = Date.parse('2025-01-03T00:00:00.000Z');
+        const synced = ['tt0000001', 'tt0000003', 'tt0000004'];
+        const second = mergeWatchlist(library, getListItems(await api.getWatchlist()), synced, lastSync);
+        expect(second.removeFromTrakt.map(({ id }) => id)).toEqual(['tt0000001']);
+        expect(second.removeFromLibrary.map(({ id }) => id)).toEqual(['tt0000004']);
+        expect(second.addToLibrary).toEqual([]);
+        await api.removeFromWatchlist(toSyncItems(second.removeFromTrakt));
+        expect(mock.watchlist.map((item) => item[item.type].ids.imdb)).toEqual(['tt0000003']);
+
+        // Watching an item after the last sync keeps it even though it was removed on Trakt
+        const watched = [{ ...library[1], _mtime: '2025-01-04T00:00:00.000Z' }];
+        const third = mergeWatchlist(watched, [], synced, lastSync);
+        expect(third.addToTrakt.map(({ id }) => id)).toEqual(['tt0000004']);
+        expect(third.conflicts).toEqual([{ id: 'tt0000004', name: 'Removed on Trakt', kept: 'library' }]);
+    });
+
+    it('imports each watched video once', () => {
+        const history = getWatchedHistory(
+            [{ movie: { ids: { imdb: 'tt0000001' } } }],
+            [{ show: { ids: { imdb: 'tt0000002' } }, seasons: [{ number: 1, episodes: [{ number: 1 }, { number: 2 }] }] }]
+        );
+        expect(getPendingHistory(history, {})).toEqual(history);
+
+        const imported = addImported(addImported({}, 'tt0000001', ['tt0000001']), 'tt0000002', ['tt0000002:1:1']);
+        expect(getPendingHistory(history, imported)).toEqual({ tt0000002: ['tt0000002:1:2'] });
+        expect(addImported(imported, 'tt0000002', ['tt0000002:1:1', 'tt0000002:1:2']).tt0000002).toEqual(['tt0000002:1:1', 'tt0000002:1:2']);
+    });
+
+    it('takes the most recent rating', () => {
+        expect(mergeRating(null, undefined, { rating: 10, time: 1 })).toBe('pull');
+        expect(mergeRating('liked', { status: 'liked', time: 2 }, { rating: 10, time: 1 })).toBe('push');
+        expect(mergeRating('liked', undefined, { rating: 8, time: 1 })).toBe(null);
+        expect(mergeRating('loved', undefined, undefined)).toBe('push');
+    });
+});
@@ -0,0 +1,24 @@
+// Copyright (C) 2017-2025 Smart code 203358507
+
+const { getExpectedTime, getClockOffset, getElapsed, getDriftCorrection } = require('../src/routes/Player/WatchParty/sync');
+
+describe('watch party sync', () => {
+    it('estimates the playback time of the others', () => {
+        expect(getExpectedTime({ time: 10000, paused: false, playbackSpeed: 1.5 }, 2000)).toBe(13000);
+        expect(getExpectedTime({ time: 10000, paused: true, playbackSpeed: 1.5 }, 2000)).toBe(10000);
+    });
+
+    it('measures how long ago a state was sent', () => {
+        const clock = getClockOffset({ sentAt: 1000, receivedAt: 5050 }, 1100);
+        expect(clock).toEqual({ offset: 4000, latency: 50 });
+        expect(getElapsed({ sentAt: 6000, receivedAt: 2100 }, clock, 2300)).toBe(300);
+        expect(getElapsed({ sentAt: 6000, receivedAt: 2100 }, null, 2300)).toBe(200);
+    });
+
+    it('nudges the speed on small drifts and seeks on large ones', () => {
+        expect(getDriftCorrection(10000, 10100, 1)).toEqual({ time: null, playbackSpeed: 1 });
+        expect(getDriftCorrection(10000, 10500, 1)).toEqual({ time: null, playbackSpeed: 1.05 });
+        expect(getDriftCorrection(10000, 9500, 1)).toEqual({ time: null, playbackSpeed: 0.95 });
+        expect(getDriftCorrection(10000, 15000, 1)).toEqual({ time: 15000, playbackSpeed: 1 });
+    });
+});
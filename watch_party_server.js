@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+// Copyright (C) 2017-2025 Smart code 203358507
+
+// Signalling server for watch parties, peers exchange their WebRTC offers,
+// answers and candidates through it and then talk to each other directly.
+
+const HTTP_PORT = process.env.PORT || 8090;
+const KEEP_ALIVE_INTERVAL = 30000;
+const MAX_BODY_SIZE = 65536;
+
+const http = require('http');
+
+const sessions = new Map();
+
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const onEvents = (req, res, sessionId, peerId) => {
+    const peers = sessions.get(sessionId) || new Map();
+    sessions.set(sessionId, peers);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    peers.forEach((peer) => sendEvent(peer, 'joined', { peer: peerId }));
+    peers.set(peerId, res);
+
+    const keepAlive = setInterval(() => res.write(':\n\n'), KEEP_ALIVE_INTERVAL);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        peers.delete(peerId);
+        if (peers.size === 0) {
+            sessions.delete(sessionId);
+        } else {
+            peers.forEach((peer) => sendEvent(peer, 'left', { peer: peerId }));
+        }
+    });
+};
+
+const onSignal = (req, res, sessionId) => {
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+            res.writeHead(413).end();
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        try {
+            const { from, to, data } = JSON.parse(body);
+            const peer = sessions.has(sessionId) ? sessions.get(sessionId).get(to) : null;
+            if (!peer) {
+                res.writeHead(404).end();
+                return;
+            }
+
+            sendEvent(peer, 'signal', { from, data });
+            res.writeHead(204).end();
+        } catch (_error) {
+            res.writeHead(400).end();
+        }
+    });
+};
+
+http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const match = /^\/sessions\/([^/]+)\/(events|signal)$/.exec(pathname);
+    if (match !== null && match[2] === 'events' && req.method === 'GET' && searchParams.has('peer')) {
+        onEvents(req, res, decodeURIComponent(match[1]), searchParams.get('peer'));
+    } else if (match !== null && match[2] === 'signal' && req.method === 'POST') {
+        onSignal(req, res, decodeURIComponent(match[1]));
+    } else {
+        res.writeHead(404).end();
+    }
+}).listen(HTTP_PORT, () => console.info(`Watch party signalling server listening on port: ${HTTP_PORT}`));
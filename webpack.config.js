@@ -212,6 +212,10 @@ module.exports = (env, argv) => ({
         new webpack.ProgressPlugin(),
         new webpack.EnvironmentPlugin({
             SENTRY_DSN: null,
+            WATCH_PARTY_SIGNALLING_URL: null,
+            CALENDAR_FEED_URL: null,
+            TRAKT_API_URL: 'https://api.trakt.tv',
+            TRAKT_CLIENT_ID: null,
             ...env,
             SERVICE_WORKER_DISABLED: false,
             DEBUG: argv.mode !== 'production',